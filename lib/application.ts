@@ -6,10 +6,19 @@ import { UuidString } from './types';
 import { SyncEvent, ApplicationEvent, applicationEventForSyncEvent } from '@Lib/events';
 import { StorageEncryptionPolicies } from './services/storage_service';
 import { Uuid } from '@Lib/uuid';
-import { BackupFile } from './services/protocol_service';
+import {
+  BackupFile,
+  BackupFileVersion,
+  BackupFileItemsInImportOrder,
+  ChunkedImportOptions,
+  ImportCheckpoint
+} from './services/protocol_service';
 import { EncryptionIntent } from '@Protocol/intents';
 import { SyncOptions } from './services/sync/sync_service';
+import { SyncRetryOptions } from '@Services/sync/retry';
+import { SearchOptions } from '@Services/search/search_index';
 import { SNSmartTag } from './models/app/smartTag';
+import { SNNote } from '@Models/app/note';
 import { SNItem, ItemMutator, MutationType } from '@Models/core/item';
 import { SNPredicate } from '@Models/core/predicate';
 import { PurePayload } from '@Payloads/pure_payload';
@@ -18,10 +27,19 @@ import { ValueCallback } from './services/challenge/challenge_service';
 import { PureService } from '@Lib/services/pure_service';
 import { SNPureCrypto } from 'sncrypto/lib/common/pure_crypto';
 import { Environment, Platform } from './platforms';
-import { removeFromArray, isNullOrUndefined, isString, sleep } from '@Lib/utils';
+import {
+  removeFromArray,
+  isNullOrUndefined,
+  isString,
+  sleep,
+  extendArray,
+  uniqueArray
+} from '@Lib/utils';
 import { ContentType } from '@Models/content_types';
 import { CopyPayload, PayloadContent, CreateMaxPayloadFromAnyObject } from '@Payloads/generator';
 import { PayloadSource } from '@Payloads/sources';
+import { ConflictResolver } from '@Payloads/deltas/resolvers';
+import { ConflictResolution } from '@Models/core/conflicts';
 import { CreateItemFromPayload } from '@Models/generator';
 import { StoragePersistencePolicies, StorageValueModes } from '@Services/storage_service';
 import {
@@ -41,19 +59,30 @@ import {
   SNSyncService,
   ChallengeService,
   SyncModes,
-  ItemManager
+  ItemManager,
+  SNBackupService,
+  SNRealtimeService
 } from './services';
 import { DeviceInterface } from './device_interface';
+import { HttpInterceptor, HttpTransport } from '@Services/api/http_service';
+import { ImportAction, ImportPlanEntry } from '@Payloads/deltas/file_import';
+import { StorageKey } from './storage_keys';
+import { PlainFile, ImportPlainFiles, ExportPlainFiles } from '@Services/converters/markdown';
+import { NoteAppFormat, ConvertNoteAppExport } from '@Services/converters/note_apps';
+import { BackupFileForConvertedNotes, ConvertedNote } from '@Services/converters/notes';
 import {
   API_MESSAGE_GENERIC_SYNC_FAIL,
   InsufficientPasswordMessage,
-  UPGRADING_ENCRYPTION
+  UPGRADING_ENCRYPTION,
+  BACKUP_FILE_DECRYPTION_FAILED,
+  INVALID_NOTE_APP_EXPORT
 } from './services/api/messages';
 import { MINIMUM_PASSWORD_LENGTH } from './services/api/session_manager';
 
 
 /** How often to automatically sync, in milliseconds */
 const DEFAULT_AUTO_SYNC_INTERVAL = 30000;
+const DEFAULT_IMPORT_BATCH_SIZE = 100;
 
 type LaunchCallback = {
   receiveChallenge: (challenge: Challenge) => void
@@ -81,6 +110,7 @@ export class SNApplication {
   private swapClasses?: any[]
   private skipClasses?: any[]
   private defaultHost?: string
+  private httpTransport?: HttpTransport
 
   private crypto?: SNPureCrypto
   public deviceInterface?: DeviceInterface
@@ -100,6 +130,8 @@ export class SNApplication {
   public privilegesService?: SNPrivilegesService
   public actionsManager?: SNActionsService
   public historyManager?: SNHistoryManager
+  public backupService?: SNBackupService
+  public realtimeService?: SNRealtimeService
   private itemManager?: ItemManager
 
   private eventHandlers: ApplicationObserver[] = [];
@@ -133,6 +165,9 @@ export class SNApplication {
    * and 'with' is the custom subclass to use.
    * @param skipClasses An array of classes to skip making services for.
    * @param defaultHost Default host to use in ApiService.
+   * @param httpTransport The platform-dependent implementation of HttpTransport that
+   * network requests are sent with. Defaults to SNXMLHttpRequestTransport; Node can use
+   * SNNodeHttpTransport, and platforms with fetch can use SNFetchHttpTransport.
    */
   constructor(
     environment: Environment,
@@ -144,6 +179,7 @@ export class SNApplication {
     swapClasses?: { swap: any, with: any }[],
     skipClasses?: any[],
     defaultHost?: string,
+    httpTransport?: HttpTransport,
   ) {
     if (!deviceInterface) {
       throw Error('Device Interface must be supplied.');
@@ -169,6 +205,7 @@ export class SNApplication {
     this.swapClasses = swapClasses;
     this.skipClasses = skipClasses;
     this.defaultHost = defaultHost;
+    this.httpTransport = httpTransport;
     this.constructServices();
   }
 
@@ -304,6 +341,15 @@ export class SNApplication {
     return this.addEventObserver(filteredCallback, event);
   }
 
+  /**
+   * Adds an interceptor that runs around each network request the application makes,
+   * such as to add headers, log requests, or answer them with mock responses.
+   * @returns A function that removes the interceptor
+   */
+  public addHttpInterceptor(interceptor: HttpInterceptor) {
+    return this.httpService!.addInterceptor(interceptor);
+  }
+
   private async notifyEvent(event: ApplicationEvent, data?: any) {
     for (const observer of this.eventHandlers.slice()) {
       if (observer.singleEvent && observer.singleEvent === event) {
@@ -587,6 +633,50 @@ export class SNApplication {
     return this.itemManager!.notesMatchingSmartTag(smartTag);
   }
 
+  public countNotesMatchingSmartTag(smartTag: SNSmartTag) {
+    return this.itemManager!.countNotesMatchingSmartTag(smartTag);
+  }
+
+  /**
+   * Returns notes whose title or text match the query, ordered by relevance.
+   * Text in double quotes is matched as an exact phrase.
+   */
+  public searchNotes(query: string, options?: SearchOptions) {
+    return this.itemManager!.searchNotes(query, options);
+  }
+
+  /**
+   * Returns all items that have conflicted copies, grouped by the original item,
+   * along with how each copy differs from the original.
+   */
+  public getConflicts() {
+    return this.itemManager!.getConflicts();
+  }
+
+  /**
+   * Resolves a conflict by keeping the content of the chosen version, or merged content,
+   * on the original item and deleting all of its conflicted copies.
+   * @param resolution The uuid of the version to keep, which is either the original item
+   * or one of its conflicted copies, or content merged from the versions.
+   */
+  public async resolveConflict(originalUuid: UuidString, resolution: ConflictResolution) {
+    const item = await this.itemManager!.resolveConflict(originalUuid, resolution);
+    await this.sync();
+    return item;
+  }
+
+  /**
+   * Registers a function to resolve conflicts between versions of items of the given
+   * content type, such as when syncing or importing. The resolver receives the local
+   * (base) payload, the incoming (apply) payload, and the last synced (ancestor) payload
+   * if known, and returns the resulting payloads, or undefined to defer to the item's
+   * built-in conflict strategy.
+   * @returns A function that unregisters the resolver
+   */
+  public registerConflictResolver(contentType: ContentType, resolver: ConflictResolver) {
+    return this.modelManager!.registerConflictResolver(contentType, resolver);
+  }
+
   /** Returns an item's direct references */
   public referencesForItem(item: SNItem, contentType?: ContentType) {
     let references = this.itemManager!.referencesForItem(item.uuid);
@@ -621,6 +711,14 @@ export class SNApplication {
     return this.itemManager!.getSmartTags();
   }
 
+  /**
+   * @param predicate Either a predicate, or a query string such as
+   * `title:startsWith("Meeting") AND NOT pinned`.
+   */
+  public async createSmartTag(title: string, predicate: SNPredicate | string) {
+    return this.itemManager!.createSmartTag(title, predicate);
+  }
+
   public getNoteCount() {
     return this.itemManager!.noteCount;
   }
@@ -756,20 +854,219 @@ export class SNApplication {
   }
 
   /**
+   * Password protected backups are verified against their manifest, and must decrypt
+   * entirely, before any of their items are imported.
    * @returns
    * .affectedItems: Items that were either created or dirtied by this import
    * .errorCount: The number of items that were not imported due to failure to decrypt.
+   * .error: If the backup could not be imported, the reason why, in which case no
+   * items were imported.
    */
   public async importData(
     data: BackupFile,
     password?: string,
     awaitSync = false
   ) {
-    const decryptedPayloads = await this.protocolService!.payloadsByDecryptingBackupFile(
+    const { payloads: decryptedPayloads, error } = await this.decryptBackupFile(
+      data,
+      password
+    );
+    if (error) {
+      return { error };
+    }
+    const validPayloads = this.importablePayloads(decryptedPayloads!);
+    const affectedUuids = await this.modelManager!.importPayloads(validPayloads);
+    const promise = this.sync();
+    if (awaitSync) {
+      await promise;
+    }
+    const affectedItems = this.getAll(affectedUuids) as SNItem[];
+    return {
+      affectedItems: affectedItems,
+      errorCount: decryptedPayloads!.length - validPayloads.length
+    };
+  }
+
+  /**
+   * Determines what importing a backup file would do, without importing anything, so
+   * that the user can review which items would be created, overwritten, or conflicted,
+   * and choose which to import with `applyImportPlan`.
+   * @returns
+   * .plan: An entry for each item of the file, including those that fail to decrypt.
+   * .error: If the backup could not be imported, the reason why.
+   */
+  public async planImport(data: BackupFile, password?: string) {
+    const { payloads: decryptedPayloads, error } = await this.decryptBackupFile(
       data,
       password
     );
-    const validPayloads = decryptedPayloads.filter((payload) => {
+    if (error) {
+      return { error };
+    }
+    const plan = await this.modelManager!.planImport(
+      this.importablePayloads(decryptedPayloads!)
+    );
+    for (const payload of decryptedPayloads!) {
+      if (payload.errorDecrypting) {
+        plan.push({
+          action: ImportAction.FailedDecryption,
+          payload: payload,
+          results: []
+        });
+      }
+    }
+    return { plan };
+  }
+
+  /**
+   * Imports the items of a plan created by `planImport`. The selected items are
+   * imported against the current state of items, so that changes made since the plan
+   * was created are not lost.
+   * @param uuids The uuids of the items to import. Defaults to all items that can be
+   * imported.
+   * @returns Like `importData`, where errorCount includes only the selected items.
+   */
+  public async applyImportPlan(
+    plan: ImportPlanEntry[],
+    uuids?: UuidString[],
+    awaitSync = false
+  ) {
+    const selected = plan.filter((entry) => {
+      return !uuids || uuids.includes(entry.payload.uuid!);
+    });
+    const importable = selected.filter((entry) => {
+      return entry.action !== ImportAction.FailedDecryption;
+    });
+    const affectedUuids = await this.modelManager!.importPayloads(
+      importable.map((entry) => entry.payload)
+    );
+    const promise = this.sync();
+    if (awaitSync) {
+      await promise;
+    }
+    const affectedItems = this.getAll(affectedUuids) as SNItem[];
+    return {
+      affectedItems: affectedItems,
+      errorCount: selected.length - importable.length
+    };
+  }
+
+  /**
+   * Verifies a backup file, and that a password is given if it is password protected.
+   * @returns The reason the file cannot be imported, if any.
+   */
+  private async verifyBackupFile(data: BackupFile, password?: string) {
+    const validation = await this.protocolService!.validateBackupFile(data);
+    if (!validation.valid) {
+      return validation.error;
+    }
+    if (data.version === BackupFileVersion.PasswordProtected && !password) {
+      return BACKUP_FILE_DECRYPTION_FAILED;
+    }
+  }
+
+  /**
+   * Verifies and decrypts a backup file. Password protected backups must decrypt
+   * entirely.
+   */
+  private async decryptBackupFile(
+    data: BackupFile,
+    password?: string
+  ): Promise<{ payloads?: PurePayload[], error?: string }> {
+    const error = await this.verifyBackupFile(data, password);
+    if (error) {
+      return { error };
+    }
+    const passwordProtected = data.version === BackupFileVersion.PasswordProtected;
+    const payloads = await this.protocolService!.payloadsByDecryptingBackupFile(
+      data,
+      password
+    );
+    if (
+      passwordProtected &&
+      payloads.some((payload) => payload.errorDecrypting)
+    ) {
+      return { error: BACKUP_FILE_DECRYPTION_FAILED };
+    }
+    return { payloads };
+  }
+
+  /**
+   * Like `importData`, but decrypts and imports items in batches, so that large backups
+   * need not be decrypted all at once. Imported items are saved to disk after each
+   * batch. If an import is interrupted, importing the same file again resumes after
+   * the last imported batch.
+   * As with `importData`, password protected backups are verified, and every remaining
+   * batch is decrypted once to check that it decrypts, before any item is imported.
+   * @returns Like `importData`, where affectedItems and errorCount include only the
+   * items imported by this call.
+   */
+  public async importDataInChunks(
+    data: BackupFile,
+    password?: string,
+    options: ChunkedImportOptions = {}
+  ) {
+    const error = await this.verifyBackupFile(data, password);
+    if (error) {
+      return { error };
+    }
+    const batchSize = options.batchSize || DEFAULT_IMPORT_BATCH_SIZE;
+    const rawItems = BackupFileItemsInImportOrder(data);
+    /** Identifies the file, so that only an import of the same file is resumed */
+    const importId = await this.protocolService!.crypto!.sha256(
+      JSON.stringify(rawItems.map((rawItem) => [rawItem.uuid, rawItem.updated_at]))
+    );
+    const checkpoint: ImportCheckpoint | undefined = await this.storageService!.getValue(
+      StorageKey.ImportCheckpoint
+    );
+    let importedCount = checkpoint && checkpoint.id === importId
+      ? checkpoint.importedCount
+      : 0;
+    const decrypt = await this.protocolService!.createBackupFileDecryptor(data, password);
+    if (data.version === BackupFileVersion.PasswordProtected) {
+      for (let index = importedCount; index < rawItems.length; index += batchSize) {
+        const decryptedPayloads = await decrypt(rawItems.slice(index, index + batchSize));
+        if (decryptedPayloads.some((payload) => payload.errorDecrypting)) {
+          return { error: BACKUP_FILE_DECRYPTION_FAILED };
+        }
+      }
+    }
+    const affectedUuids: UuidString[] = [];
+    let errorCount = 0;
+    options.onProgress?.({ importedCount, totalCount: rawItems.length });
+    while (importedCount < rawItems.length) {
+      const batch = rawItems.slice(importedCount, importedCount + batchSize);
+      const decryptedPayloads = await decrypt(batch);
+      const validPayloads = this.importablePayloads(decryptedPayloads);
+      const batchUuids = await this.modelManager!.importPayloads(validPayloads);
+      const batchItems = this.itemManager!.findItems(batchUuids) as SNItem[];
+      await this.syncService!.persistPayloads(batchItems.map((item) => item.payload));
+      extendArray(affectedUuids, batchUuids);
+      errorCount += decryptedPayloads.length - validPayloads.length;
+      importedCount += batch.length;
+      await this.storageService!.setValue(
+        StorageKey.ImportCheckpoint,
+        { id: importId, importedCount } as ImportCheckpoint
+      );
+      options.onProgress?.({ importedCount, totalCount: rawItems.length });
+    }
+    await this.storageService!.removeValue(StorageKey.ImportCheckpoint);
+    const promise = this.sync();
+    if (options.awaitSync) {
+      await promise;
+    }
+    const affectedItems = this.getAll(uniqueArray(affectedUuids)) as SNItem[];
+    return {
+      affectedItems: affectedItems,
+      errorCount: errorCount
+    };
+  }
+
+  /**
+   * Returns the decrypted payloads that can be imported.
+   */
+  private importablePayloads(decryptedPayloads: PurePayload[]) {
+    return decryptedPayloads.filter((payload) => {
       return !payload.errorDecrypting;
     }).map((payload) => {
       /* Don't want to activate any components during import process in
@@ -788,16 +1085,63 @@ export class SNApplication {
         return payload;
       }
     });
-    const affectedUuids = await this.modelManager!.importPayloads(validPayloads);
+  }
+
+  /**
+   * Imports a folder-like structure of `.md` and `.txt` files as notes. Front-matter
+   * tags, and each file's folder, become tags, which are joined with existing tags of
+   * the same title.
+   * @returns
+   * .affectedItems: The created notes, and the tags they were added to.
+   */
+  public async importPlainFiles(files: PlainFile[], awaitSync = false) {
+    const { notes, tags } = await ImportPlainFiles(files, this.itemManager!);
+    const affectedItems = await this.itemManager!.emitItemsFromPayloads(
+      notes.concat(tags),
+      PayloadSource.LocalChanged
+    );
     const promise = this.sync();
     if (awaitSync) {
       await promise;
     }
-    const affectedItems = this.getAll(affectedUuids) as SNItem[];
-    return {
-      affectedItems: affectedItems,
-      errorCount: decryptedPayloads.length - validPayloads.length
-    };
+    return { affectedItems };
+  }
+
+  /**
+   * Imports the notes of another note app's export, such as an Evernote `.enex` file,
+   * along with their tags and dates. The notes are imported as a backup file with
+   * `importData`, so tags matching an existing tag's title are merged into that tag.
+   * @param data The contents of the export's file, or for formats exported as multiple
+   * files, the contents of each file.
+   * @returns Like `importData`, or .error if the data could not be read.
+   */
+  public async importNoteAppExport(
+    format: NoteAppFormat,
+    data: string | string[],
+    awaitSync = false
+  ) {
+    let convertedNotes: ConvertedNote[];
+    try {
+      convertedNotes = ConvertNoteAppExport(format, data);
+    } catch (e) {
+      return { error: INVALID_NOTE_APP_EXPORT };
+    }
+    const backupFile = await BackupFileForConvertedNotes(
+      convertedNotes,
+      this.itemManager!.tags
+    );
+    return this.importData(backupFile, undefined, awaitSync);
+  }
+
+  /**
+   * Exports all notes, or just the given notes if supplied, as markdown files with
+   * front-matter describing their tags, dates, and flags.
+   */
+  public exportPlainFiles(notes?: SNNote[]) {
+    return ExportPlainFiles(
+      notes || this.itemManager!.notes,
+      this.itemManager!
+    );
   }
 
   /**
@@ -816,6 +1160,35 @@ export class SNApplication {
     );
   }
 
+  /**
+   * Like `createBackupFile`, but returns the backup as chunks of the JSON string, which
+   * are created one item at a time, so that the entire backup need not be held in memory.
+   * Joining the chunks produces a valid backup file.
+   */
+  public createBackupFileChunks(
+    subItems?: SNItem[],
+    intent?: EncryptionIntent
+  ) {
+    return this.protocolService!.createBackupFileChunks(subItems, intent);
+  }
+
+  /**
+   * Creates a JSON string representing a backup of all items, or just subItems if
+   * supplied, encrypted with a key derived from the given password rather than with
+   * the account's keys.
+   */
+  public async createPasswordProtectedBackupFile(
+    password: string,
+    subItems?: SNItem[],
+    returnIfEmpty = false
+  ) {
+    return this.protocolService!.createPasswordProtectedBackupFile(
+      password,
+      subItems,
+      returnIfEmpty
+    );
+  }
+
   public isEphemeralSession() {
     return this.storageService!.isEphemeralSession();
   }
@@ -836,6 +1209,46 @@ export class SNApplication {
     return this.syncService!.isOutOfSync();
   }
 
+  /**
+   * Whether the last sync failed because the sync server could not be reached.
+   * Observe ApplicationEvent.EnteredOffline and ApplicationEvent.ExitedOffline
+   * to be notified of changes.
+   */
+  public isOffline() {
+    return this.syncService!.isOffline();
+  }
+
+  /** The date a failed sync will next be retried, if a retry is scheduled */
+  public getNextSyncRetryDate() {
+    return this.syncService!.getNextRetryDate();
+  }
+
+  /**
+   * Changes how failed syncs are retried. Options not given keep their current values.
+   */
+  public setSyncRetryOptions(options: Partial<SyncRetryOptions>) {
+    this.syncService!.setRetryOptions(options);
+  }
+
+  /**
+   * @returns The content types selectively synced, or undefined if all items are synced
+   */
+  public async getSyncSelection() {
+    return this.syncService!.getSyncSelection();
+  }
+
+  /**
+   * Downloads and keeps only items of the given content types, such as to skip large
+   * content types on mobile, or to defer them until later. Items keys, user preferences
+   * and privileges are always synced, so that protections keep applying.
+   * Local items of content types no longer selected are removed from this device only.
+   * Pass no content types to sync all items again.
+   */
+  public async setSyncSelection(contentTypes?: ContentType[]) {
+    await this.syncService!.setSyncSelection(contentTypes);
+    return this.sync();
+  }
+
   public async resolveOutOfSync() {
     return this.syncService!.resolveOutOfSync();
   }
@@ -1268,6 +1681,8 @@ export class SNApplication {
     this.createPrivilegesService();
     this.createHistoryManager();
     this.createActionsManager();
+    this.createBackupService();
+    this.createRealtimeService();
   }
 
   private clearServices() {
@@ -1286,6 +1701,8 @@ export class SNApplication {
     this.privilegesService = undefined;
     this.actionsManager = undefined;
     this.historyManager = undefined;
+    this.backupService = undefined;
+    this.realtimeService = undefined;
     this.itemManager = undefined;
 
     this.services = [];
@@ -1337,7 +1754,8 @@ export class SNApplication {
   }
 
   private createHttpManager() {
-    this.httpService = new SNHttpService();
+    const MaybeSwappedHttpService = this.getClass<typeof SNHttpService>(SNHttpService);
+    this.httpService = new MaybeSwappedHttpService(this.httpTransport);
     this.services.push(this.httpService!);
   }
 
@@ -1394,12 +1812,13 @@ export class SNApplication {
       this.storageService!,
       this.modelManager!,
       this.apiService!,
-      this.deviceInterface!.interval
+      this.deviceInterface!.interval,
+      this.deviceInterface!.timeout
     );
-    const syncEventCallback = async (eventName: string) => {
+    const syncEventCallback = async (eventName: string, data: any) => {
       const appEvent = applicationEventForSyncEvent(eventName as SyncEvent);
       if (appEvent) {
-        await this.notifyEvent(appEvent);
+        await this.notifyEvent(appEvent, data);
       }
       await this.protocolService!.onSyncEvent(eventName as SyncEvent);
     };
@@ -1433,7 +1852,9 @@ export class SNApplication {
       this.itemManager!,
       this.storageService!,
       [ContentType.Note],
-      this.deviceInterface!.timeout
+      this.deviceInterface!.timeout,
+      this.apiService!,
+      this.protocolService!
     );
     this.services.push(this.historyManager!);
   }
@@ -1451,6 +1872,31 @@ export class SNApplication {
     this.services.push(this.actionsManager!);
   }
 
+  private createBackupService() {
+    this.backupService = new SNBackupService(
+      this.protocolService!,
+      this.storageService!,
+      this.deviceInterface!
+    );
+    this.services.push(this.backupService!);
+  }
+
+  private createRealtimeService() {
+    this.realtimeService = new SNRealtimeService(
+      this.apiService!,
+      this.syncService!,
+      this.deviceInterface!
+    );
+    /** Connections are made with the session, so are reopened with each new session */
+    const uninstall = this.addEventObserver(async () => {
+      if (this.realtimeService!.isStarted()) {
+        this.realtimeService!.connect();
+      }
+    }, ApplicationEvent.SignedIn);
+    this.serviceObservers.push(uninstall);
+    this.services.push(this.realtimeService!);
+  }
+
   private shouldSkipClass(classCandidate: any) {
     return this.skipClasses && this.skipClasses.includes(classCandidate);
   }
@@ -0,0 +1,189 @@
+import http from 'http';
+import https from 'https';
+import os from 'os';
+import path from 'path';
+import { SNWebCrypto } from 'sncrypto';
+import { SNApplication } from '@Lib/application';
+import { Environment, Platform } from '@Lib/platforms';
+import {
+  Challenge,
+  ChallengeType,
+  ChallengeValue,
+  challengeTypeToString
+} from '@Lib/challenges';
+import { SNAlertService } from '@Services/alert_service';
+import { SNNodeHttpTransport } from '@Services/api/http_transports';
+import { SNComponentManager } from '@Services/component_manager';
+import { SNFileDeviceInterface } from './file_device_interface';
+import { CreatePrompter, Prompter } from './prompt';
+import {
+  Commands,
+  FlagValue,
+  HasFlag,
+  ParseArguments,
+  UsageText
+} from './commands';
+
+const DEFAULT_DIRECTORY = path.join(os.homedir(), '.standardnotes-cli');
+const DEFAULT_SERVER = 'https://sync.standardnotes.org';
+/** The number of incorrect values accepted for a challenge before it is canceled */
+const MAX_CHALLENGE_ATTEMPTS = 3;
+
+function PlatformForNode() {
+  switch (process.platform) {
+    case 'darwin':
+      return Platform.MacDesktop;
+    case 'win32':
+      return Platform.WindowsDesktop;
+    default:
+      return Platform.LinuxDesktop;
+  }
+}
+
+function CreateAlertService(prompter: Prompter): SNAlertService {
+  return {
+    async confirm(text, title, confirmButtonText = 'Yes', confirmButtonType, cancelButtonText = 'No') {
+      const answer = await prompter.ask(
+        `${title ? title + ': ' : ''}${text} [${confirmButtonText}/${cancelButtonText}] `
+      ).catch(() => '');
+      const normalized = answer.trim().toLowerCase();
+      return normalized.length > 0 && confirmButtonText.toLowerCase().startsWith(normalized);
+    },
+    async alert(text, title) {
+      process.stderr.write(`${title ? title + ': ' : ''}${text}\n`);
+    },
+    blockingDialog(text) {
+      process.stderr.write(`${text}\n`);
+      return () => undefined;
+    }
+  };
+}
+
+function CancelChallenge(application: SNApplication, challenge: Challenge) {
+  try {
+    application.cancelChallenge(challenge);
+  } catch (error) {
+    /** The challenge has already completed */
+  }
+}
+
+/**
+ * Prompts for each value a challenge requires, such as the local passcode or account
+ * password, and prompts again for values that are incorrect. Challenges that require
+ * biometrics cannot be answered from a terminal, and are canceled.
+ */
+function AnswerChallenge(application: SNApplication, challenge: Challenge, prompter: Prompter) {
+  if (challenge.types.includes(ChallengeType.Biometric)) {
+    process.stderr.write('Biometrics are not supported from the command line.\n');
+    CancelChallenge(application, challenge);
+    return;
+  }
+  let attempts = 0;
+  const submit = async (types: ChallengeType[]) => {
+    try {
+      const values: ChallengeValue[] = [];
+      for (const type of types) {
+        const value = await prompter.ask(`Enter your ${challengeTypeToString(type)}: `, true);
+        values.push(new ChallengeValue(type, value));
+      }
+      await application.submitValuesForChallenge(challenge, values);
+    } catch (error) {
+      CancelChallenge(application, challenge);
+    }
+  };
+  application.setChallengeCallbacks({
+    challenge,
+    onInvalidValue: (value) => {
+      attempts++;
+      if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        process.stderr.write('Too many incorrect attempts.\n');
+        CancelChallenge(application, challenge);
+        return;
+      }
+      process.stderr.write(`Incorrect ${challengeTypeToString(value.type)}.\n`);
+      submit([value.type]);
+    }
+  });
+  submit(challenge.types);
+}
+
+/**
+ * Runs the command line interface with the given arguments, not including the program
+ * name. Data is kept in the directory given by `--dir`, the `SN_CLI_DIRECTORY`
+ * environment variable, or `~/.standardnotes-cli`.
+ * With `--json`, results and errors are written to standard output as JSON for scripts
+ * to read. Prompts are always written to standard error.
+ * @returns The process exit code
+ */
+export async function RunCli(argv: string[]) {
+  let args;
+  try {
+    args = ParseArguments(argv);
+  } catch (error) {
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+  if (!args.command || HasFlag(args, 'help')) {
+    process.stdout.write(UsageText() + '\n');
+    return HasFlag(args, 'help') ? 0 : 1;
+  }
+  const command = Commands[args.command];
+  if (!command) {
+    process.stderr.write(`Unknown command: ${args.command}\n\n${UsageText()}\n`);
+    return 1;
+  }
+  const json = HasFlag(args, 'json');
+  const directory = FlagValue(args, 'dir') ||
+    process.env.SN_CLI_DIRECTORY ||
+    DEFAULT_DIRECTORY;
+  const prompter = CreatePrompter();
+  const application = new SNApplication(
+    Environment.Desktop,
+    PlatformForNode(),
+    new SNFileDeviceInterface(directory, ''),
+    new SNWebCrypto(),
+    CreateAlertService(prompter),
+    '',
+    undefined,
+    /** Components run in browser frames, which a terminal does not have */
+    [SNComponentManager],
+    DEFAULT_SERVER,
+    new SNNodeHttpTransport({ http, https })
+  );
+  try {
+    await application.prepareForLaunch({
+      receiveChallenge: (challenge) => {
+        AnswerChallenge(application, challenge, prompter);
+      }
+    });
+    await application.launch(true);
+    const result = await command.run({
+      application,
+      prompter,
+      write: (text) => process.stdout.write(text)
+    }, args);
+    if (json) {
+      if (result.data !== undefined) {
+        process.stdout.write(JSON.stringify(result.data, undefined, 2) + '\n');
+      }
+    } else if (result.text) {
+      process.stdout.write(result.text + '\n');
+    }
+    return 0;
+  } catch (error) {
+    const message = error?.message || String(error);
+    if (json) {
+      process.stdout.write(JSON.stringify({ error: message }) + '\n');
+    } else {
+      process.stderr.write(`Error: ${message}\n`);
+    }
+    return 1;
+  } finally {
+    prompter.close();
+    /** Signing out deinitializes the application itself */
+    if (application.isStarted()) {
+      await application.prepareForDeinit();
+      application.deinit();
+    }
+  }
+}
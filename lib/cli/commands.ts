@@ -0,0 +1,443 @@
+import { promises as fs } from 'fs';
+import { SNApplication } from '@Lib/application';
+import { ContentType } from '@Models/content_types';
+import { SNItem } from '@Models/core/item';
+import { SNPredicate } from '@Models/core/predicate';
+import { ParsePredicateQuery } from '@Models/core/predicate_query';
+import { SNNote, NoteMutator } from '@Models/app/note';
+import { SNTag, TagMutator } from '@Models/app/tag';
+import { EncryptionIntent } from '@Protocol/intents';
+import { BackupFile, BackupFileVersion } from '@Services/protocol_service';
+import { Prompter } from './prompt';
+
+/** Flags that do not take a value */
+const BOOLEAN_FLAGS = ['json', 'help', 'trashed', 'decrypted'];
+
+export type ParsedArguments = {
+  command?: string
+  positionals: string[]
+  /** The values of each flag, in the order given. Boolean flags have the value true. */
+  flags: Record<string, (string | true)[]>
+}
+
+/**
+ * Parses command line arguments of the form
+ * `<command> [positionals] [--flag value | --flag=value | --boolean-flag]`.
+ * Flags may be repeated. Arguments after `--` are positionals.
+ */
+export function ParseArguments(argv: string[]): ParsedArguments {
+  const positionals: string[] = [];
+  const flags: Record<string, (string | true)[]> = {};
+  const addFlag = (name: string, value: string | true) => {
+    (flags[name] = flags[name] || []).push(value);
+  };
+  for (let index = 0; index < argv.length; index++) {
+    const argument = argv[index];
+    if (argument === '--') {
+      positionals.push(...argv.slice(index + 1));
+      break;
+    }
+    if (!argument.startsWith('--')) {
+      positionals.push(argument);
+      continue;
+    }
+    const equalsIndex = argument.indexOf('=');
+    if (equalsIndex !== -1) {
+      addFlag(argument.slice(2, equalsIndex), argument.slice(equalsIndex + 1));
+      continue;
+    }
+    const name = argument.slice(2);
+    if (BOOLEAN_FLAGS.includes(name)) {
+      addFlag(name, true);
+    } else if (index + 1 < argv.length) {
+      addFlag(name, argv[++index]);
+    } else {
+      throw Error(`Missing value for --${name}`);
+    }
+  }
+  return {
+    command: positionals.shift(),
+    positionals,
+    flags
+  };
+}
+
+/** @returns The last value given for a flag */
+export function FlagValue(args: ParsedArguments, name: string) {
+  const values = args.flags[name];
+  if (!values || values.length === 0) {
+    return undefined;
+  }
+  const value = values[values.length - 1];
+  return value === true ? undefined : value;
+}
+
+function FlagValues(args: ParsedArguments, name: string) {
+  return (args.flags[name] || []).filter((value) => value !== true) as string[];
+}
+
+export function HasFlag(args: ParsedArguments, name: string) {
+  return !!args.flags[name];
+}
+
+export type CommandContext = {
+  application: SNApplication
+  prompter: Prompter
+  /** Writes a command's raw output, such as a backup file, to standard output */
+  write: (text: string) => void
+}
+
+/**
+ * The result of a command.
+ * .data: The result, written as JSON when the `--json` flag is given.
+ * .text: The result as readable text, written otherwise.
+ */
+export type CommandResult = {
+  data?: any
+  text?: string
+}
+
+type Command = {
+  usage: string
+  description: string
+  run: (context: CommandContext, args: ParsedArguments) => Promise<CommandResult>
+}
+
+function NoteSummary(application: SNApplication, note: SNNote) {
+  const tags = application.referencingForItem(note, ContentType.Tag) as SNTag[];
+  return {
+    uuid: note.uuid,
+    title: note.safeTitle(),
+    tags: tags.map((tag) => tag.title).sort(),
+    pinned: !!note.pinned,
+    trashed: !!note.trashed,
+    created_at: note.created_at,
+    updated_at: note.userModifiedDate
+  };
+}
+
+function NoteDetails(application: SNApplication, note: SNNote) {
+  return {
+    ...NoteSummary(application, note),
+    text: note.safeText()
+  };
+}
+
+function NotesListText(notes: SNNote[]) {
+  return notes.map((note) => `${note.uuid}  ${note.safeTitle()}`).join('\n');
+}
+
+function FindNote(application: SNApplication, uuid?: string) {
+  if (!uuid) {
+    throw Error('A note uuid is required.');
+  }
+  const item = application.findItem(uuid);
+  if (!item || item.content_type !== ContentType.Note || item.deleted) {
+    throw Error(`No note with uuid ${uuid}`);
+  }
+  return item as SNNote;
+}
+
+function ParseLimit(args: ParsedArguments) {
+  const value = FlagValue(args, 'limit');
+  if (value === undefined) {
+    return undefined;
+  }
+  const limit = parseInt(value, 10);
+  if (isNaN(limit) || limit <= 0) {
+    throw Error('--limit must be a positive number.');
+  }
+  return limit;
+}
+
+/** The text of a note, from the --text flag, or the file given by the --file flag */
+async function TextFromArguments(args: ParsedArguments) {
+  const file = FlagValue(args, 'file');
+  if (file) {
+    return fs.readFile(file, 'utf8');
+  }
+  return FlagValue(args, 'text');
+}
+
+async function AddNoteToTags(application: SNApplication, note: SNItem, titles: string[]) {
+  for (const title of titles) {
+    const tag = await application.findOrCreateTag(title);
+    await application.changeItem<TagMutator>(tag.uuid, (mutator) => {
+      mutator.addItemAsRelationship(note);
+    });
+  }
+}
+
+async function SignIn(context: CommandContext, args: ParsedArguments) {
+  const { application, prompter } = context;
+  const email = args.positionals[0] || await prompter.ask('Email: ');
+  const password = await prompter.ask('Password: ', true);
+  const server = FlagValue(args, 'server');
+  if (server) {
+    await application.setHost(server);
+  }
+  let mfaKey: string | undefined;
+  let mfaCode: string | undefined;
+  for (;;) {
+    const response = await application.signIn(
+      email, password, false, false, mfaKey, mfaCode, true, true
+    );
+    if (!response) {
+      throw Error('Signing in was canceled.');
+    }
+    const error = response.error;
+    if (!error) {
+      break;
+    }
+    if (error.tag === 'mfa-required' || error.tag === 'mfa-invalid') {
+      mfaKey = error.payload?.mfa_key;
+      mfaCode = await prompter.ask(
+        error.tag === 'mfa-invalid'
+          ? 'Invalid code. Two-factor authentication code: '
+          : 'Two-factor authentication code: '
+      );
+      continue;
+    }
+    throw Error(error.message || 'Unable to sign in.');
+  }
+  return {
+    data: { email },
+    text: `Signed in as ${email}`
+  };
+}
+
+/** The commands of the command line interface, by name */
+export const Commands: Record<string, Command> = {
+  status: {
+    usage: 'status',
+    description: 'Shows the signed in account, server, and last sync date',
+    run: async ({ application }) => {
+      const user = application.getUser();
+      const lastSyncDate = application.getLastSyncDate();
+      const data = {
+        email: user?.email,
+        server: await application.getHost(),
+        lastSyncDate,
+        noteCount: application.getNoteCount(),
+        hasPasscode: application.hasPasscode()
+      };
+      return {
+        data,
+        text: [
+          user ? `Signed in as ${user.email}` : 'Not signed in',
+          `Server: ${data.server}`,
+          `Last synced: ${lastSyncDate ? lastSyncDate.toISOString() : 'never'}`,
+          `Notes: ${data.noteCount}`
+        ].join('\n')
+      };
+    }
+  },
+
+  signin: {
+    usage: 'signin [email] [--server url]',
+    description: 'Signs into an account, prompting for its password',
+    run: SignIn
+  },
+
+  signout: {
+    usage: 'signout',
+    description: 'Signs out, and removes all local data',
+    run: async ({ application }) => {
+      await application.signOut();
+      return { data: {}, text: 'Signed out' };
+    }
+  },
+
+  sync: {
+    usage: 'sync',
+    description: 'Syncs with the server',
+    run: async ({ application }) => {
+      if (application.noAccount()) {
+        throw Error('Sign in to sync.');
+      }
+      await application.sync({ awaitAll: true });
+      const lastSyncDate = application.getLastSyncDate();
+      return {
+        data: { lastSyncDate },
+        text: `Synced at ${lastSyncDate ? lastSyncDate.toISOString() : 'unknown time'}`
+      };
+    }
+  },
+
+  list: {
+    usage: 'list [--tag title] [--where query] [--trashed] [--limit n]',
+    description: 'Lists notes, optionally those in a tag or matching a predicate query',
+    run: async ({ application }, args) => {
+      let notes: SNNote[];
+      const where = FlagValue(args, 'where');
+      if (where) {
+        const result = ParsePredicateQuery(where);
+        if (result.error) {
+          throw Error(`Invalid query at ${result.error.position}: ${result.error.message}`);
+        }
+        const predicate = SNPredicate.CompoundPredicate([
+          new SNPredicate('content_type', '=', ContentType.Note),
+          result.predicate!
+        ]);
+        notes = application.findItems(predicate) as SNNote[];
+      } else {
+        notes = application.getItems(ContentType.Note) as SNNote[];
+      }
+      const tagTitle = FlagValue(args, 'tag');
+      if (tagTitle) {
+        const tag = application.findTagByTitle(tagTitle);
+        if (!tag) {
+          throw Error(`No tag titled ${tagTitle}`);
+        }
+        const tagged = application.referencesForItem(tag, ContentType.Note)
+          .map((note) => note.uuid);
+        notes = notes.filter((note) => tagged.includes(note.uuid));
+      }
+      const trashed = HasFlag(args, 'trashed');
+      notes = notes
+        .filter((note) => !note.deleted && !!note.trashed === trashed)
+        .sort((a, b) => b.userModifiedDate.getTime() - a.userModifiedDate.getTime());
+      const limit = ParseLimit(args);
+      if (limit) {
+        notes = notes.slice(0, limit);
+      }
+      return {
+        data: notes.map((note) => NoteSummary(application, note)),
+        text: NotesListText(notes)
+      };
+    }
+  },
+
+  search: {
+    usage: 'search <query> [--trashed] [--limit n]',
+    description: 'Lists notes whose title or text match the query, most relevant first',
+    run: async ({ application }, args) => {
+      const query = args.positionals.join(' ');
+      if (!query) {
+        throw Error('A search query is required.');
+      }
+      const notes = application.searchNotes(query, {
+        limit: ParseLimit(args),
+        includeTrashed: HasFlag(args, 'trashed')
+      });
+      return {
+        data: notes.map((note) => NoteSummary(application, note)),
+        text: NotesListText(notes)
+      };
+    }
+  },
+
+  show: {
+    usage: 'show <uuid>',
+    description: 'Shows a note',
+    run: async ({ application }, args) => {
+      const note = FindNote(application, args.positionals[0]);
+      return {
+        data: NoteDetails(application, note),
+        text: `${note.safeTitle()}\n\n${note.safeText()}`
+      };
+    }
+  },
+
+  create: {
+    usage: 'create --title title [--text text | --file path] [--tag title]...',
+    description: 'Creates a note, and syncs it if signed in',
+    run: async ({ application }, args) => {
+      const text = await TextFromArguments(args);
+      const note = await application.createManagedItem(
+        ContentType.Note,
+        { title: FlagValue(args, 'title') || '', text: text || '', references: [] },
+        true
+      ) as SNNote;
+      await AddNoteToTags(application, note, FlagValues(args, 'tag'));
+      await application.sync({ awaitAll: true });
+      const created = application.findItem(note.uuid) as SNNote;
+      return {
+        data: NoteDetails(application, created),
+        text: created.uuid
+      };
+    }
+  },
+
+  edit: {
+    usage: 'edit <uuid> [--title title] [--text text | --file path] [--tag title]...',
+    description: 'Changes a note\'s title or text, or adds it to tags, and syncs it',
+    run: async ({ application }, args) => {
+      const note = FindNote(application, args.positionals[0]);
+      const title = FlagValue(args, 'title');
+      const text = await TextFromArguments(args);
+      await application.changeItem<NoteMutator>(note.uuid, (mutator) => {
+        if (title !== undefined) {
+          mutator.title = title;
+        }
+        if (text !== undefined) {
+          mutator.text = text;
+        }
+      }, true);
+      await AddNoteToTags(application, note, FlagValues(args, 'tag'));
+      await application.sync({ awaitAll: true });
+      const changed = application.findItem(note.uuid) as SNNote;
+      return {
+        data: NoteDetails(application, changed),
+        text: changed.uuid
+      };
+    }
+  },
+
+  export: {
+    usage: 'export [--out path] [--decrypted]',
+    description: 'Creates a backup of all items, encrypted if signed in unless --decrypted',
+    run: async ({ application, write }, args) => {
+      const intent = HasFlag(args, 'decrypted')
+        ? EncryptionIntent.FileDecrypted
+        : EncryptionIntent.FilePreferEncrypted;
+      const data = await application.createBackupFile(undefined, intent);
+      const out = FlagValue(args, 'out');
+      if (!out) {
+        write(data!);
+        return {};
+      }
+      await fs.writeFile(out, data!, { mode: 0o600 });
+      return {
+        data: { path: out },
+        text: `Saved backup to ${out}`
+      };
+    }
+  },
+
+  import: {
+    usage: 'import <path>',
+    description: 'Imports a backup file, prompting for its password if it has one',
+    run: async ({ application, prompter }, args) => {
+      const path = args.positionals[0];
+      if (!path) {
+        throw Error('A backup file path is required.');
+      }
+      const data: BackupFile = JSON.parse(await fs.readFile(path, 'utf8'));
+      const password = data.version === BackupFileVersion.PasswordProtected
+        ? await prompter.ask('Backup file password: ', true)
+        : undefined;
+      const result = await application.importData(data, password, true);
+      if (result.error) {
+        throw Error(result.error);
+      }
+      return {
+        data: {
+          imported: result.affectedItems!.length,
+          errorCount: result.errorCount
+        },
+        text: `Imported ${result.affectedItems!.length} items` +
+          (result.errorCount ? `, ${result.errorCount} could not be decrypted` : '')
+      };
+    }
+  }
+};
+
+export function UsageText() {
+  const lines = ['Usage: snjs <command> [options] [--json] [--dir path]', '', 'Commands:'];
+  for (const name of Object.keys(Commands)) {
+    lines.push(`  ${Commands[name].usage}`);
+    lines.push(`      ${Commands[name].description}`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,231 @@
+import { promises as fs } from 'fs';
+import path from 'path';
+import { DeviceInterface } from '@Lib/device_interface';
+
+const STORAGE_FILE_NAME = 'storage.json';
+const ITEMS_FILE_NAME = 'items.json';
+const KEYCHAIN_FILE_NAME = 'keychain.json';
+const BACKUPS_DIRECTORY_NAME = 'backups';
+
+/** Files may contain keys and account credentials, so only the user may read them */
+const DIRECTORY_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+/**
+ * A device interface for Node that keeps items, storage values, and the keychain value
+ * in JSON files in a directory. Each application namespace has its own items and
+ * storage files, while the keychain file is shared, as the keychain is on other
+ * platforms. Backup files are saved in the directory's `backups` folder.
+ * Files are read once and then kept in memory. Each change rewrites its file in full,
+ * by writing a temporary file and renaming it over the original, so that a file is
+ * never left partially written.
+ * The keychain value is not encrypted by this interface.
+ */
+export class SNFileDeviceInterface extends DeviceInterface {
+
+  private directory: string
+  private openUrlCallback?: (url: string) => void
+  private files: Partial<Record<string, Record<string, any>>> = {}
+  private queue: Promise<any> = Promise.resolve()
+
+  constructor(
+    directory: string,
+    namespace: string,
+    timeout?: any,
+    interval?: any,
+    openUrl?: (url: string) => void
+  ) {
+    super(namespace, timeout, interval);
+    this.directory = directory;
+    this.openUrlCallback = openUrl;
+  }
+
+  public deinit() {
+    this.files = {};
+    super.deinit();
+  }
+
+  private fileName(name: string) {
+    return this.namespace ? `${this.namespace}-${name}` : name;
+  }
+
+  private get storageFileName() {
+    return this.fileName(STORAGE_FILE_NAME);
+  }
+
+  private get itemsFileName() {
+    return this.fileName(ITEMS_FILE_NAME);
+  }
+
+  private get backupsDirectory() {
+    return path.join(this.directory, BACKUPS_DIRECTORY_NAME);
+  }
+
+  /** Runs operations one at a time, in the order they are requested */
+  private serialize<T>(operation: () => Promise<T>): Promise<T> {
+    const result = this.queue.then(operation);
+    /** A failed operation does not prevent the following ones from running */
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async readFile(name: string) {
+    let contents = this.files[name];
+    if (!contents) {
+      try {
+        contents = JSON.parse(await fs.readFile(path.join(this.directory, name), 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        contents = {};
+      }
+      this.files[name] = contents;
+    }
+    return contents!;
+  }
+
+  private async writeFile(name: string, contents: Record<string, any>) {
+    const filePath = path.join(this.directory, name);
+    const temporaryPath = `${filePath}.tmp`;
+    await fs.mkdir(this.directory, { recursive: true, mode: DIRECTORY_MODE });
+    await fs.writeFile(temporaryPath, JSON.stringify(contents), { mode: FILE_MODE });
+    await fs.rename(temporaryPath, filePath);
+    this.files[name] = contents;
+  }
+
+  /** Reads a file, applies `change` to a copy of its contents, and writes the copy */
+  private changeFile(name: string, change: (contents: Record<string, any>) => void) {
+    return this.serialize(async () => {
+      const contents = { ...(await this.readFile(name)) };
+      change(contents);
+      await this.writeFile(name, contents);
+    });
+  }
+
+  private readValues(name: string) {
+    return this.serialize(() => this.readFile(name));
+  }
+
+  /**
+   * Creates the directory if it does not exist.
+   * @returns isNewDatabase: True if there was no items file for the namespace.
+   */
+  public async openDatabase() {
+    await fs.mkdir(this.directory, { recursive: true, mode: DIRECTORY_MODE });
+    const isNewDatabase = await fs.access(path.join(this.directory, this.itemsFileName))
+      .then(() => false)
+      .catch(() => true);
+    if (isNewDatabase) {
+      await this.changeFile(this.itemsFileName, () => undefined);
+    }
+    return { isNewDatabase };
+  }
+
+  async getRawStorageValue(key: string) {
+    return (await this.readValues(this.storageFileName))[key];
+  }
+
+  async getAllRawStorageKeyValues() {
+    const values = await this.readValues(this.storageFileName);
+    return Object.keys(values).sort().map((key) => {
+      return { key, value: values[key] };
+    });
+  }
+
+  async setRawStorageValue(key: string, value: any) {
+    await this.changeFile(this.storageFileName, (values) => {
+      values[key] = value;
+    });
+  }
+
+  async removeRawStorageValue(key: string) {
+    await this.changeFile(this.storageFileName, (values) => {
+      delete values[key];
+    });
+  }
+
+  async removeAllRawStorageValues() {
+    await this.changeFile(this.storageFileName, (values) => {
+      for (const key of Object.keys(values)) {
+        delete values[key];
+      }
+    });
+  }
+
+  async getAllRawDatabasePayloads() {
+    return Object.values(await this.readValues(this.itemsFileName));
+  }
+
+  async saveRawDatabasePayload(payload: any) {
+    return this.saveRawDatabasePayloads([payload]);
+  }
+
+  /** Saves all payloads with one write, so that either all or none are saved */
+  async saveRawDatabasePayloads(payloads: any[]) {
+    if (payloads.length === 0) {
+      return;
+    }
+    await this.changeFile(this.itemsFileName, (items) => {
+      for (const payload of payloads) {
+        items[payload.uuid] = payload;
+      }
+    });
+  }
+
+  async removeRawDatabasePayloadWithId(id: string) {
+    await this.changeFile(this.itemsFileName, (items) => {
+      delete items[id];
+    });
+  }
+
+  async removeAllRawDatabasePayloads() {
+    await this.changeFile(this.itemsFileName, (items) => {
+      for (const uuid of Object.keys(items)) {
+        delete items[uuid];
+      }
+    });
+  }
+
+  async getKeychainValue() {
+    return (await this.readValues(KEYCHAIN_FILE_NAME))[this.keychainStorageKey];
+  }
+
+  async setKeychainValue(value: any) {
+    await this.changeFile(KEYCHAIN_FILE_NAME, (keychain) => {
+      keychain[this.keychainStorageKey] = value;
+    });
+  }
+
+  async clearKeychainValue() {
+    await this.changeFile(KEYCHAIN_FILE_NAME, (keychain) => {
+      delete keychain[this.keychainStorageKey];
+    });
+  }
+
+  openUrl(url: string) {
+    if (this.openUrlCallback) {
+      this.openUrlCallback(url);
+    }
+  }
+
+  public async saveBackupFile(name: string, data: string) {
+    await fs.mkdir(this.backupsDirectory, { recursive: true, mode: DIRECTORY_MODE });
+    await fs.writeFile(path.join(this.backupsDirectory, name), data, { mode: FILE_MODE });
+  }
+
+  public async getBackupFileNames() {
+    try {
+      return await fs.readdir(this.backupsDirectory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  public async removeBackupFile(name: string) {
+    await fs.unlink(path.join(this.backupsDirectory, name));
+  }
+}
@@ -0,0 +1,5 @@
+import { RunCli } from './cli';
+
+RunCli(process.argv.slice(2)).then((exitCode) => {
+  process.exit(exitCode);
+});
@@ -0,0 +1,85 @@
+import readline from 'readline';
+import { Writable } from 'stream';
+
+export type Prompter = {
+  /**
+   * Asks a question, and resolves with the next line of input.
+   * @param hidden Whether typed input is hidden, as for passwords.
+   */
+  ask(question: string, hidden?: boolean): Promise<string>
+  close(): void
+}
+
+/**
+ * Creates a prompter that reads answers from `input` one line at a time, so that
+ * answers may also be piped in by scripts. Questions are written to `output`, which is
+ * standard error by default so that they are not mixed with a command's results.
+ */
+export function CreatePrompter(
+  input: NodeJS.ReadableStream & { isTTY?: boolean } = process.stdin,
+  output: NodeJS.WritableStream = process.stderr
+): Prompter {
+  let muted = false;
+  /** Readline echoes typed input to its output, which is dropped while muted */
+  const echo = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) {
+        output.write(chunk, encoding);
+      }
+      callback();
+    }
+  });
+  let lines: readline.Interface | undefined;
+  const pendingLines: string[] = [];
+  const waiting: { resolve: (line: string) => void, reject: (error: Error) => void }[] = [];
+  let ended = false;
+
+  const open = () => {
+    if (lines) {
+      return;
+    }
+    lines = readline.createInterface({ input, output: echo, terminal: !!input.isTTY });
+    lines.on('line', (line) => {
+      const next = waiting.shift();
+      if (next) {
+        next.resolve(line);
+      } else {
+        pendingLines.push(line);
+      }
+    });
+    lines.on('close', () => {
+      ended = true;
+      for (const next of waiting.splice(0)) {
+        next.reject(Error('Input ended before a value was entered.'));
+      }
+    });
+  };
+
+  return {
+    async ask(question: string, hidden = false) {
+      open();
+      output.write(question);
+      muted = hidden;
+      try {
+        return await new Promise<string>((resolve, reject) => {
+          if (pendingLines.length > 0) {
+            resolve(pendingLines.shift()!);
+          } else if (ended) {
+            reject(Error('Input ended before a value was entered.'));
+          } else {
+            waiting.push({ resolve, reject });
+          }
+        });
+      } finally {
+        if (hidden && input.isTTY) {
+          output.write('\n');
+        }
+        muted = false;
+      }
+    },
+    close() {
+      lines?.close();
+      lines = undefined;
+    }
+  };
+}
@@ -87,4 +87,25 @@ export abstract class DeviceInterface {
 
   abstract openUrl(url: string): void;
 
+  /**
+   * Saves a backup file to a location of the platform's choosing, such as a backups
+   * folder, replacing any backup file with the same name. Platforms that support
+   * automatic backups must override this function, along with `getBackupFileNames`
+   * and `removeBackupFile`.
+   */
+  public async saveBackupFile(name: string, data: string): Promise<void> {
+    throw Error('Saving backup files is not supported on this platform.');
+  }
+
+  /**
+   * @returns The names of the backup files saved with `saveBackupFile` that still exist.
+   */
+  public async getBackupFileNames(): Promise<string[]> {
+    return [];
+  }
+
+  public async removeBackupFile(name: string): Promise<void> {
+    throw Error('Removing backup files is not supported on this platform.');
+  }
+
 }
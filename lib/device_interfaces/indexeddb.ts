@@ -0,0 +1,256 @@
+import { DeviceInterface } from '@Lib/device_interface';
+import { removeFromArray } from '@Lib/utils';
+
+const DATABASE_NAME = 'standardnotes';
+const DATABASE_VERSION = 1;
+
+enum ObjectStore {
+  Items = 'items',
+  Storage = 'storage',
+  Keychain = 'keychain'
+}
+
+export enum DatabaseErrorType {
+  /** The database could not be opened */
+  Open = 1,
+  /** Opening or upgrading the database is blocked by another tab using an older version */
+  Blocked = 2,
+  /** The database was closed because another tab is upgrading it */
+  VersionChange = 3,
+  /** A transaction failed or was aborted, such as when storage quota is exceeded */
+  Transaction = 4
+}
+
+export type DatabaseError = {
+  type: DatabaseErrorType
+  error?: any
+}
+
+type DatabaseErrorObserver = (error: DatabaseError) => void
+
+/**
+ * A device interface for web browsers that keeps items, storage values, and the keychain
+ * value in IndexedDB. Each application namespace has its own database.
+ * Operations run in their own transactions, and reject if their transaction fails.
+ * Observers added with `addErrorObserver` are also notified of failures, including those
+ * that do not belong to an operation, such as the database being blocked by another tab.
+ */
+export class SNIndexedDBDeviceInterface extends DeviceInterface {
+
+  private database?: IDBDatabase
+  private opening?: Promise<{ isNewDatabase?: boolean }>
+  private errorObservers: DatabaseErrorObserver[] = []
+  private openUrlCallback?: (url: string) => void
+
+  constructor(
+    namespace: string,
+    timeout?: any,
+    interval?: any,
+    openUrl?: (url: string) => void
+  ) {
+    super(namespace, timeout, interval);
+    this.openUrlCallback = openUrl;
+  }
+
+  public deinit() {
+    if (this.database) {
+      this.database.close();
+      this.database = undefined;
+    }
+    this.opening = undefined;
+    this.errorObservers.length = 0;
+    super.deinit();
+  }
+
+  public get databaseName() {
+    return this.namespace ? `${this.namespace}-${DATABASE_NAME}` : DATABASE_NAME;
+  }
+
+  public addErrorObserver(observer: DatabaseErrorObserver) {
+    this.errorObservers.push(observer);
+    return () => {
+      removeFromArray(this.errorObservers, observer);
+    };
+  }
+
+  private notifyError(type: DatabaseErrorType, error?: any) {
+    for (const observer of this.errorObservers.slice()) {
+      observer({ type, error });
+    }
+  }
+
+  /**
+   * Opens the database, creating it if it does not exist. Other operations open the
+   * database as needed, so calling this first is not required.
+   */
+  public async openDatabase() {
+    if (!this.opening) {
+      this.opening = this.open().catch((error) => {
+        this.opening = undefined;
+        throw error;
+      });
+    }
+    return this.opening;
+  }
+
+  private open() {
+    return new Promise<{ isNewDatabase?: boolean }>((resolve, reject) => {
+      let isNewDatabase = false;
+      const request = indexedDB.open(this.databaseName, DATABASE_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        isNewDatabase = event.oldVersion === 0;
+        if (!database.objectStoreNames.contains(ObjectStore.Items)) {
+          database.createObjectStore(ObjectStore.Items, { keyPath: 'uuid' });
+        }
+        if (!database.objectStoreNames.contains(ObjectStore.Storage)) {
+          database.createObjectStore(ObjectStore.Storage);
+        }
+        if (!database.objectStoreNames.contains(ObjectStore.Keychain)) {
+          database.createObjectStore(ObjectStore.Keychain);
+        }
+      };
+      request.onblocked = () => {
+        this.notifyError(DatabaseErrorType.Blocked);
+      };
+      request.onerror = () => {
+        this.notifyError(DatabaseErrorType.Open, request.error);
+        reject(request.error);
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        database.onversionchange = () => {
+          /** Close so that the other tab's upgrade can proceed. The database is
+           * reopened by the next operation. */
+          database.close();
+          if (this.database === database) {
+            this.database = undefined;
+            this.opening = undefined;
+          }
+          this.notifyError(DatabaseErrorType.VersionChange);
+        };
+        this.database = database;
+        resolve({ isNewDatabase });
+      };
+    });
+  }
+
+  /**
+   * Runs `operation` in a transaction on a single object store.
+   * @returns The result of the request returned by `operation`, once the transaction
+   * completes. Rejects if the transaction fails or is aborted.
+   */
+  private async transact<T = undefined>(
+    storeName: ObjectStore,
+    mode: IDBTransactionMode,
+    operation: (store: IDBObjectStore) => IDBRequest | void
+  ): Promise<T> {
+    await this.openDatabase();
+    return new Promise<T>((resolve, reject) => {
+      const transaction = this.database!.transaction(storeName, mode);
+      let request: IDBRequest | void;
+      /** An invalid request, such as a payload without a uuid, throws rather than fails */
+      let thrownError: any;
+      transaction.oncomplete = () => {
+        resolve(request ? request.result : undefined);
+      };
+      /** A failed request aborts its transaction, so that none of its writes are kept */
+      transaction.onabort = () => {
+        const error = thrownError || transaction.error || (request && request.error);
+        this.notifyError(DatabaseErrorType.Transaction, error);
+        reject(error || Error('IndexedDB transaction was aborted'));
+      };
+      try {
+        request = operation(transaction.objectStore(storeName));
+      } catch (error) {
+        thrownError = error;
+        transaction.abort();
+      }
+    });
+  }
+
+  async getRawStorageValue(key: string) {
+    return this.transact<any>(ObjectStore.Storage, 'readonly', (store) => store.get(key));
+  }
+
+  async getAllRawStorageKeyValues() {
+    const results: { key: string, value: any }[] = [];
+    await this.transact(ObjectStore.Storage, 'readonly', (store) => {
+      const request = store.openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          results.push({ key: cursor.key as string, value: cursor.value });
+          cursor.continue();
+        }
+      };
+    });
+    return results;
+  }
+
+  async setRawStorageValue(key: string, value: any) {
+    await this.transact(ObjectStore.Storage, 'readwrite', (store) => store.put(value, key));
+  }
+
+  async removeRawStorageValue(key: string) {
+    await this.transact(ObjectStore.Storage, 'readwrite', (store) => store.delete(key));
+  }
+
+  async removeAllRawStorageValues() {
+    await this.transact(ObjectStore.Storage, 'readwrite', (store) => store.clear());
+  }
+
+  async getAllRawDatabasePayloads() {
+    return this.transact<any[]>(ObjectStore.Items, 'readonly', (store) => store.getAll());
+  }
+
+  async saveRawDatabasePayload(payload: any) {
+    return this.saveRawDatabasePayloads([payload]);
+  }
+
+  /** Saves all payloads in one transaction, so that either all or none are saved */
+  async saveRawDatabasePayloads(payloads: any[]) {
+    if (payloads.length === 0) {
+      return;
+    }
+    await this.transact(ObjectStore.Items, 'readwrite', (store) => {
+      for (const payload of payloads) {
+        store.put(payload);
+      }
+    });
+  }
+
+  async removeRawDatabasePayloadWithId(id: string) {
+    await this.transact(ObjectStore.Items, 'readwrite', (store) => store.delete(id));
+  }
+
+  async removeAllRawDatabasePayloads() {
+    await this.transact(ObjectStore.Items, 'readwrite', (store) => store.clear());
+  }
+
+  async getKeychainValue() {
+    return this.transact<any>(ObjectStore.Keychain, 'readonly', (store) => {
+      return store.get(this.keychainStorageKey);
+    });
+  }
+
+  async setKeychainValue(value: any) {
+    await this.transact(ObjectStore.Keychain, 'readwrite', (store) => {
+      return store.put(value, this.keychainStorageKey);
+    });
+  }
+
+  async clearKeychainValue() {
+    await this.transact(ObjectStore.Keychain, 'readwrite', (store) => {
+      return store.delete(this.keychainStorageKey);
+    });
+  }
+
+  openUrl(url: string) {
+    if (this.openUrlCallback) {
+      this.openUrlCallback(url);
+    } else {
+      window.open(url, '_blank');
+    }
+  }
+}
@@ -0,0 +1,240 @@
+import { DeviceInterface } from '@Lib/device_interface';
+
+/**
+ * A connection to a SQLite database, provided by the platform's SQLite driver, such as
+ * `better-sqlite3` or `sqlite3` on Node. The library does not depend on a driver, so
+ * platforms adapt the driver of their choice to this interface.
+ */
+export interface SQLiteDatabase {
+  /** Runs a statement that does not return rows, with `?` placeholders bound to `params` */
+  execute(sql: string, params?: any[]): Promise<void>
+  /** Runs a query, with `?` placeholders bound to `params`
+   * @returns The resulting rows, as objects keyed by column name */
+  query(sql: string, params?: any[]): Promise<Record<string, any>[]>
+}
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS items (
+    namespace TEXT NOT NULL,
+    uuid TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    PRIMARY KEY (namespace, uuid)
+  )`,
+  `CREATE TABLE IF NOT EXISTS storage (
+    namespace TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    PRIMARY KEY (namespace, key)
+  )`,
+  `CREATE TABLE IF NOT EXISTS keychain (
+    key TEXT PRIMARY KEY NOT NULL,
+    value TEXT
+  )`
+];
+
+/**
+ * A device interface for desktop and command line platforms that keeps items, storage
+ * values, and the keychain value in a SQLite database. Multiple application namespaces
+ * may share one database. Storage values are kept as given, which the storage service
+ * provides as strings, while payloads and the keychain value are kept as JSON.
+ * The keychain value is not encrypted by this interface. Platforms with a secure
+ * credential store should override the keychain functions to use it.
+ * Operations are run one at a time, so that statements of a transaction are never
+ * interleaved with those of another operation.
+ */
+export class SNSQLiteDeviceInterface extends DeviceInterface {
+
+  private database?: SQLiteDatabase
+  private openUrlCallback?: (url: string) => void
+  private queue: Promise<any> = Promise.resolve()
+
+  constructor(
+    database: SQLiteDatabase,
+    namespace: string,
+    timeout?: any,
+    interval?: any,
+    openUrl?: (url: string) => void
+  ) {
+    super(namespace, timeout, interval);
+    this.database = database;
+    this.openUrlCallback = openUrl;
+  }
+
+  public deinit() {
+    this.database = undefined;
+    super.deinit();
+  }
+
+  private get namespaceValue() {
+    return this.namespace || '';
+  }
+
+  /** Runs operations one at a time, in the order they are requested */
+  private serialize<T>(operation: (database: SQLiteDatabase) => Promise<T>): Promise<T> {
+    const result = this.queue.then(() => operation(this.database!));
+    /** A failed operation does not prevent the following ones from running */
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  /**
+   * Runs statements in a transaction, so that either all or none of their changes are
+   * kept.
+   */
+  private transact(statements: { sql: string, params?: any[] }[]) {
+    return this.serialize(async (database) => {
+      await database.execute('BEGIN');
+      try {
+        for (const statement of statements) {
+          await database.execute(statement.sql, statement.params);
+        }
+        await database.execute('COMMIT');
+      } catch (error) {
+        await database.execute('ROLLBACK').catch(() => undefined);
+        throw error;
+      }
+    });
+  }
+
+  /**
+   * Creates the interface's tables if they do not exist.
+   * @returns isNewDatabase: True if the tables were created.
+   */
+  public async openDatabase() {
+    const existing = await this.serialize((database) => {
+      return database.query(
+        `SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'items'`
+      );
+    });
+    await this.transact(SCHEMA.map((sql) => ({ sql })));
+    return { isNewDatabase: existing.length === 0 };
+  }
+
+  async getRawStorageValue(key: string) {
+    const rows = await this.serialize((database) => {
+      return database.query(
+        'SELECT value FROM storage WHERE namespace = ? AND key = ?',
+        [this.namespaceValue, key]
+      );
+    });
+    return rows.length > 0 ? rows[0].value : undefined;
+  }
+
+  async getAllRawStorageKeyValues() {
+    const rows = await this.serialize((database) => {
+      return database.query(
+        'SELECT key, value FROM storage WHERE namespace = ? ORDER BY key',
+        [this.namespaceValue]
+      );
+    });
+    return rows.map((row) => {
+      return { key: row.key as string, value: row.value };
+    });
+  }
+
+  async setRawStorageValue(key: string, value: any) {
+    await this.serialize((database) => {
+      return database.execute(
+        'INSERT OR REPLACE INTO storage (namespace, key, value) VALUES (?, ?, ?)',
+        [this.namespaceValue, key, value]
+      );
+    });
+  }
+
+  async removeRawStorageValue(key: string) {
+    await this.serialize((database) => {
+      return database.execute(
+        'DELETE FROM storage WHERE namespace = ? AND key = ?',
+        [this.namespaceValue, key]
+      );
+    });
+  }
+
+  async removeAllRawStorageValues() {
+    await this.serialize((database) => {
+      return database.execute(
+        'DELETE FROM storage WHERE namespace = ?',
+        [this.namespaceValue]
+      );
+    });
+  }
+
+  async getAllRawDatabasePayloads() {
+    const rows = await this.serialize((database) => {
+      return database.query(
+        'SELECT payload FROM items WHERE namespace = ?',
+        [this.namespaceValue]
+      );
+    });
+    return rows.map((row) => JSON.parse(row.payload));
+  }
+
+  async saveRawDatabasePayload(payload: any) {
+    return this.saveRawDatabasePayloads([payload]);
+  }
+
+  /** Saves all payloads in one transaction, so that either all or none are saved */
+  async saveRawDatabasePayloads(payloads: any[]) {
+    if (payloads.length === 0) {
+      return;
+    }
+    await this.transact(payloads.map((payload) => {
+      return {
+        sql: 'INSERT OR REPLACE INTO items (namespace, uuid, payload) VALUES (?, ?, ?)',
+        params: [this.namespaceValue, payload.uuid, JSON.stringify(payload)]
+      };
+    }));
+  }
+
+  async removeRawDatabasePayloadWithId(id: string) {
+    await this.serialize((database) => {
+      return database.execute(
+        'DELETE FROM items WHERE namespace = ? AND uuid = ?',
+        [this.namespaceValue, id]
+      );
+    });
+  }
+
+  async removeAllRawDatabasePayloads() {
+    await this.serialize((database) => {
+      return database.execute(
+        'DELETE FROM items WHERE namespace = ?',
+        [this.namespaceValue]
+      );
+    });
+  }
+
+  async getKeychainValue() {
+    const rows = await this.serialize((database) => {
+      return database.query(
+        'SELECT value FROM keychain WHERE key = ?',
+        [this.keychainStorageKey]
+      );
+    });
+    return rows.length > 0 && rows[0].value ? JSON.parse(rows[0].value) : undefined;
+  }
+
+  async setKeychainValue(value: any) {
+    await this.serialize((database) => {
+      return database.execute(
+        'INSERT OR REPLACE INTO keychain (key, value) VALUES (?, ?)',
+        [this.keychainStorageKey, JSON.stringify(value)]
+      );
+    });
+  }
+
+  async clearKeychainValue() {
+    await this.serialize((database) => {
+      return database.execute(
+        'DELETE FROM keychain WHERE key = ?',
+        [this.keychainStorageKey]
+      );
+    });
+  }
+
+  openUrl(url: string) {
+    if (this.openUrlCallback) {
+      this.openUrlCallback(url);
+    }
+  }
+}
@@ -44,7 +44,16 @@ export enum ApplicationEvent {
   LocalDatabaseWriteError = 21,
   /** When a single roundtrip completes with sync, in a potentially multi-page sync request.
    * If just a single roundtrip, this event will be triggered, along with CompletedFullSync */
-  CompletedIncrementalSync = 22
+  CompletedIncrementalSync = 22,
+  /**
+   * A failed sync will be retried. The event's data includes the `attempt` number,
+   * the `delay` in milliseconds, and the `date` of the retry.
+   */
+  SyncRetryScheduled = 23,
+  /** A sync failed because the sync server could not be reached */
+  EnteredOffline = 24,
+  /** The sync server could be reached again after having entered offline */
+  ExitedOffline = 25
 };
 
 export function applicationEventForSyncEvent(syncEvent: SyncEvent) {
@@ -52,6 +61,9 @@ export function applicationEventForSyncEvent(syncEvent: SyncEvent) {
     [SyncEvent.FullSyncCompleted]: ApplicationEvent.CompletedFullSync,
     [SyncEvent.SingleSyncCompleted]: ApplicationEvent.CompletedIncrementalSync,
     [SyncEvent.SyncError]: ApplicationEvent.FailedSync,
+    [SyncEvent.SyncRetryScheduled]: ApplicationEvent.SyncRetryScheduled,
+    [SyncEvent.EnteredOffline]: ApplicationEvent.EnteredOffline,
+    [SyncEvent.ExitedOffline]: ApplicationEvent.ExitedOffline,
     [SyncEvent.SyncTakingTooLong]: ApplicationEvent.HighLatencySync,
     [SyncEvent.EnterOutOfSync]: ApplicationEvent.EnteredOutOfSync,
     [SyncEvent.ExitOutOfSync]: ApplicationEvent.ExitedOutOfSync,
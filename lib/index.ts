@@ -1,10 +1,23 @@
 export { SNApplication } from '@Lib/application';
-export { SNProtocolService, KeyMode } from '@Services/protocol_service';
+export { SNProtocolService, KeyMode, BackupFileVersion } from '@Services/protocol_service';
+export type {
+  BackupFile,
+  BackupFileManifest,
+  ImportProgress,
+  ChunkedImportOptions
+} from '@Services/protocol_service';
 export { SNProtocolOperator001 } from '@Protocol/operator/001/operator_001';
 export { SNProtocolOperator002 } from '@Protocol/operator/002/operator_002';
 export { SNProtocolOperator003 } from '@Protocol/operator/003/operator_003';
 export { SNProtocolOperator004 } from '@Protocol/operator/004/operator_004';
 export { DeviceInterface } from '@Lib/device_interface';
+export {
+  SNIndexedDBDeviceInterface,
+  DatabaseErrorType
+} from '@Lib/device_interfaces/indexeddb';
+export type { DatabaseError } from '@Lib/device_interfaces/indexeddb';
+export { SNSQLiteDeviceInterface } from '@Lib/device_interfaces/sqlite';
+export type { SQLiteDatabase } from '@Lib/device_interfaces/sqlite';
 export {
   SNItem, ItemMutator, AppDataField,
   SNItemsKey,
@@ -20,6 +33,24 @@ export {
   SNUserPrefs, UserPrefsMutator, WebPrefKey,
 } from './models';
 export { MutationType } from '@Models/core/item';
+export {
+  ParsePredicateQuery,
+  PrintPredicateQuery
+} from '@Models/core/predicate_query';
+export type {
+  PredicateQueryError,
+  PredicateQueryResult
+} from '@Models/core/predicate_query';
+export { CompilePredicate } from '@Models/core/predicate_compiler';
+export type { PredicateEvaluator } from '@Models/core/predicate_compiler';
+export { ContentDifferences } from '@Models/core/conflicts';
+export type {
+  ContentDifference,
+  ConflictedCopy,
+  ItemConflict,
+  ConflictResolution,
+  ConflictResolutionRecord
+} from '@Models/core/conflicts';
 export { ComponentArea } from './models/app/component';
 export { LiveItem } from './models/live_item';
 export type { UuidString } from './types';
@@ -28,6 +59,23 @@ export { SNComponentManager } from './services/component_manager';
 export { HistorySession } from '@Services/history/history_session';
 export { ItemHistory } from '@Services/history/item_history';
 export { ItemHistoryEntry } from '@Services/history/item_history_entry';
+export { DiffHistoryEntries } from '@Services/history/functions';
+export type { TextDiff, HistoryEntryDiff } from '@Services/history/functions';
+export {
+  PreviewRetentionPolicy,
+  DefaultHistoryRetentionPolicy
+} from '@Services/history/retention';
+export type {
+  HistoryRetentionPolicy,
+  RetentionTier,
+  RetentionPreview
+} from '@Services/history/retention';
+export { MergeHistoryTimeline } from '@Services/history/remote';
+export type {
+  RevisionListEntry,
+  RemoteRevision,
+  HistoryTimelineEntry
+} from '@Services/history/remote';
 export {
   SNPrivileges,
   ProtectedAction,
@@ -35,7 +83,54 @@ export {
 } from './models/app/privileges';
 export { PayloadManager } from './services/model_manager';
 export { ItemManager } from './services/item_manager';
-export { SNHttpService } from './services/api/http_service';
+export { NoteSearchIndex } from '@Services/search/search_index';
+export type { SearchOptions, SearchResult } from '@Services/search/search_index';
+export {
+  NormalizeTagTitle,
+  DedupeTagTitles,
+  PayloadsForConvertedNotes,
+  BackupFileForConvertedNotes
+} from '@Services/converters/notes';
+export type { ConvertedNote, ConversionResult } from '@Services/converters/notes';
+export {
+  ParseFrontMatter,
+  SerializeFrontMatter,
+  NoteFromPlainFile,
+  FrontMatterForNote,
+  ImportPlainFiles,
+  ExportPlainFiles
+} from '@Services/converters/markdown';
+export type { PlainFile, FrontMatter, FrontMatterValue } from '@Services/converters/markdown';
+export { DecodeHtmlEntities, HtmlToMarkdown } from '@Services/converters/html';
+export type { HtmlConversionOptions } from '@Services/converters/html';
+export { ConvertedNotesFromEnex } from '@Services/converters/evernote';
+export {
+  ConvertedNoteFromGoogleKeep,
+  ConvertedNotesFromGoogleKeep
+} from '@Services/converters/google_keep';
+export { ConvertedNotesFromSimplenote } from '@Services/converters/simplenote';
+export { NoteAppFormat, ConvertNoteAppExport } from '@Services/converters/note_apps';
+export { SNHttpService, HttpVerb, HttpErrorTag } from './services/api/http_service';
+export type {
+  HttpResponse,
+  HttpRequestOptions,
+  HttpTransport,
+  HttpTransportRequest,
+  HttpTransportResponse,
+  HttpInterceptor
+} from './services/api/http_service';
+export {
+  SNXMLHttpRequestTransport,
+  SNFetchHttpTransport,
+  SNNodeHttpTransport
+} from '@Services/api/http_transports';
+export type { NodeHttpModule } from '@Services/api/http_transports';
+export {
+  SNMockSyncServer,
+  SNMockServerTransport,
+  SNMockRealtimeChannel
+} from '@Services/api/mock_sync_server';
+export type { MockSyncServerOptions } from '@Services/api/mock_sync_server';
 export { ChallengeService } from './services/challenge/challenge_service';
 export { PureService } from '@Services/pure_service';
 export { ApplicationService } from '@Services/application_service';
@@ -62,11 +157,38 @@ export {
   SyncQueueStrategy,
 } from './services/sync/sync_service';
 export { SortPayloadsByRecentAndContentPriority } from './services/sync/utils';
+export {
+  SyncFailureKind,
+  SyncFailureKindForStatus,
+  SyncRetryDelay,
+  RetryAfterDelay,
+  DEFAULT_SYNC_RETRY_OPTIONS
+} from './services/sync/retry';
+export type { SyncRetryOptions } from './services/sync/retry';
 export { SNSessionManager } from './services/api/session_manager';
 export { SNMigrationService } from './services/migration_service';
 export { ButtonType } from './services/alert_service';
 export type { DismissBlockingDialog, SNAlertService } from './services/alert_service';
 export { SNHistoryManager } from './services/history/history_manager';
+export {
+  SNBackupService,
+  BackupEvent,
+  DefaultBackupSchedule
+} from './services/backup_service';
+export type { BackupSchedule, BackupStatus, BackupResult } from './services/backup_service';
+export {
+  SNRealtimeService,
+  SNWebSocketChannel,
+  SNEventSourceChannel,
+  RealtimeEvent,
+  RealtimeMessageType
+} from './services/realtime_service';
+export type {
+  RealtimeChannel,
+  RealtimeConnection,
+  RealtimeConnectionHandlers,
+  RealtimeOptions
+} from './services/realtime_service';
 export { SNPrivilegesService } from './services/privileges_service';
 export { SNSingletonManager } from './services/singleton_manager';
 export { SNApiService } from './services/api/api_service';
@@ -135,6 +257,21 @@ export { ProtocolVersion } from '@Lib/protocol/versions';
 export { PayloadFormat } from '@Payloads/formats';
 export { PurePayload } from '@Payloads/pure_payload';
 export { PayloadField } from '@Payloads/fields';
+export { ConflictStrategy } from '@Payloads/deltas/strategies';
+export { ConflictDelta } from '@Payloads/deltas/conflict';
+export { ConflictResolverRegistry } from '@Payloads/deltas/resolvers';
+export { ImportAction } from '@Payloads/deltas/file_import';
+export type { ImportPlanEntry } from '@Payloads/deltas/file_import';
+export type { ConflictResolver } from '@Payloads/deltas/resolvers';
+export { MergeText } from '@Protocol/merge/text_merge';
+export {
+  DiffLines,
+  DiffWords,
+  DiffCharacters,
+  CountTextChanges,
+  DiffOperation
+} from '@Protocol/merge/text_diff';
+export type { DiffSegment, DiffCounts } from '@Protocol/merge/text_diff';
 
 export { StorageKey } from '@Lib/storage_keys';
 
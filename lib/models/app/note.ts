@@ -2,6 +2,8 @@ import { PayloadFormat } from './../../protocol/payloads/formats';
 import { isNullOrUndefined } from '@Lib/utils';
 import { SNItem, ItemMutator, AppDataField } from '@Models/core/item';
 import { PurePayload } from './../../protocol/payloads/pure_payload';
+import { ConflictStrategy } from '@Protocol/payloads/deltas/strategies';
+import { PayloadSource } from '@Payloads/sources';
 
 export interface NoteContent {
   title: string
@@ -50,6 +52,31 @@ export class SNNote extends SNItem implements NoteContent {
   safeTitle() {
     return this.title || '';
   }
+
+  public contentKeysToMergeAsText() {
+    return ['title', 'text'];
+  }
+
+  /**
+   * Rather than duplicating a note whenever its content conflicts, attempt to merge
+   * the changes, so that edits made to different parts of a note on different devices
+   * do not result in a conflicted copy.
+   */
+  public strategyWhenConflictingWithItem(item: SNItem) {
+    const strategy = super.strategyWhenConflictingWithItem(item);
+    const wouldDuplicate =
+      strategy === ConflictStrategy.KeepLeftDuplicateRight ||
+      strategy === ConflictStrategy.DuplicateLeftKeepRight;
+    if (
+      wouldDuplicate &&
+      !this.errorDecrypting &&
+      !item.errorDecrypting &&
+      item.payload.source !== PayloadSource.FileImport
+    ) {
+      return ConflictStrategy.MergeText;
+    }
+    return strategy;
+  }
 }
 
 export class NoteMutator extends ItemMutator {
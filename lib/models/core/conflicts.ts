@@ -0,0 +1,72 @@
+import isEqual from 'lodash/isEqual';
+import { SNItem } from '@Models/core/item';
+import { UuidString } from '@Lib/types';
+import { isString } from '@Lib/utils';
+import { DiffLines, DiffSegment } from '@Protocol/merge/text_diff';
+
+/** A content key whose value differs between two versions of an item */
+export type ContentDifference = {
+  key: string
+  from: any
+  to: any
+  /** For text values, the line changes from `from` to `to` */
+  lines?: DiffSegment[]
+}
+
+export type ConflictedCopy = {
+  item: SNItem
+  /** How the copy differs from the original item */
+  differences: ContentDifference[]
+}
+
+/** An item together with the conflicted copies that were created of it */
+export type ItemConflict = {
+  original: SNItem
+  conflicts: ConflictedCopy[]
+}
+
+/**
+ * Either the uuid of the version to keep, which is the original item or one of its
+ * conflicted copies, or content merged from the versions by the user.
+ */
+export type ConflictResolution = UuidString | Record<string, any>
+
+/** Saved on the original item once its conflict is resolved */
+export type ConflictResolutionRecord = {
+  resolvedAt: Date
+  /** The uuid of the version whose content was kept, or undefined if content was merged */
+  keptUuid?: UuidString
+  /** The uuids of the conflicted copies that were deleted */
+  discardedUuids: UuidString[]
+}
+
+/**
+ * Returns the content keys whose values differ between two versions of an item,
+ * not counting keys that are ignored when checking equality, such as `conflict_of`.
+ */
+export function ContentDifferences(from: SNItem, to: SNItem) {
+  const ignored = from.contentKeysToIgnoreWhenCheckingEquality().concat(['appData']);
+  const fromContent = from.safeContent as Record<string, any>;
+  const toContent = to.safeContent as Record<string, any>;
+  const keys = new Set(Object.keys(fromContent).concat(Object.keys(toContent)));
+  const differences: ContentDifference[] = [];
+  for (const key of keys) {
+    if (ignored.includes(key)) {
+      continue;
+    }
+    const fromValue = fromContent[key];
+    const toValue = toContent[key];
+    if (isEqual(fromValue, toValue)) {
+      continue;
+    }
+    const difference: ContentDifference = { key, from: fromValue, to: toValue };
+    if (
+      (isString(fromValue) || fromValue === undefined) &&
+      (isString(toValue) || toValue === undefined)
+    ) {
+      difference.lines = DiffLines(fromValue || '', toValue || '');
+    }
+    differences.push(difference);
+  }
+  return differences;
+}
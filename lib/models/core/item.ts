@@ -40,7 +40,8 @@ export enum AppDataField {
   MobileActive = 'mobileActive',
   LastSize = 'lastSize',
   PrefersPlainEditor = 'prefersPlainEditor',
-  ComponentInstallError = 'installError'
+  ComponentInstallError = 'installError',
+  ConflictResolution = 'conflictResolution'
 }
 
 type AppData = {
@@ -226,6 +227,14 @@ export class SNItem {
     return [AppDataField.UserModifiedDate];
   }
 
+  /**
+   * Content keys whose values are text that can be merged line by line when
+   * conflicting with ConflictStrategy.MergeText.
+   */
+  public contentKeysToMergeAsText(): string[] {
+    return [];
+  }
+
   public getContentCopy() {
     return JSON.parse(JSON.stringify(this.content));
   }
@@ -262,7 +271,7 @@ export class SNItem {
    * In the default implementation, we create a duplicate if content differs.
    * However, if they only differ by references, we KEEP_LEFT_MERGE_REFS.
    */
-  public strategyWhenConflictingWithItem(item: SNItem) {
+  public strategyWhenConflictingWithItem(item: SNItem): ConflictStrategy {
     if (this.errorDecrypting) {
       return ConflictStrategy.KeepLeftDuplicateRight;
     }
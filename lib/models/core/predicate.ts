@@ -1,8 +1,14 @@
 import { SNItem } from '@Models/core/item';
 import { isString } from '@Lib/utils';
+import { CompilePredicate } from '@Models/core/predicate_compiler';
+import {
+  IsRelativeDateString,
+  IsAbsoluteDateString,
+  DateFromString
+} from '@Models/core/predicate_dates';
 type PredicateType = string[] | SNPredicate
 type PredicateArray = Array<string[]> | SNPredicate[]
-type PredicateValue = string | Date | boolean | PredicateType | PredicateArray;
+type PredicateValue = string | number | Date | boolean | PredicateType | PredicateArray;
 
 /**
  * A local-only construct that defines a built query that can be used to 
@@ -28,6 +34,10 @@ export class SNPredicate {
       this.value = array.map((element: any) => {
         if (Array.isArray(element)) {
           return SNPredicate.FromArray(element);
+        } else if (!(element instanceof SNPredicate) && element?.operator) {
+          /** A nested predicate that has been serialized to JSON, such as in the
+           * content of a smart tag, loses its class, so we recreate it */
+          return SNPredicate.FromJson(element);
         } else {
           return element;
         }
@@ -54,11 +64,23 @@ export class SNPredicate {
     return ['and', 'or'].includes(this.operator);
   }
 
-  arrayRepresentation() {
+  /**
+   * Returns the predicate in its [keypath, operator, value] form, where any nested
+   * predicates are also converted to their array form.
+   */
+  arrayRepresentation(): any[] {
+    let value = this.value;
+    if (this.isRecursive()) {
+      value = (value as any[]).map((element) => {
+        return element instanceof SNPredicate ? element.arrayRepresentation() : element;
+      });
+    } else if (value instanceof SNPredicate) {
+      value = value.arrayRepresentation();
+    }
     return [
       this.keypath,
       this.operator,
-      this.value
+      value
     ]
   }
 
@@ -74,99 +96,28 @@ export class SNPredicate {
     );
   }
 
+  /**
+   * Supported operators are:
+   * - and, or, not: combine nested predicates. The keypath is ignored.
+   * - =, !=, <, >, <=, >=: compare the value at the keypath.
+   * - startsWith, endsWith: string prefix and suffix matching.
+   * - contains: case insensitive substring matching, against a string or the
+   *   elements of an array of strings.
+   * - between: value is a [lower, upper] pair, both inclusive.
+   * - exists: value is true if the keypath should have a non-null value, false if not.
+   * - length: value is a [comparator, number] pair, such as ['>=', 2], that the length
+   *   of the array or string at the keypath is compared with. Missing values have length 0.
+   * - in: value is an array, one of whose elements must equal the value at the keypath.
+   * - includes: value is a string or predicate, which the array at the keypath must
+   *   contain or have an element satisfying.
+   * - matches: value is a regular expression pattern, or a [pattern, flags] pair.
+   * Date values may be relative, such as '7.days.ago', or ISO 8601 date strings.
+   * The predicate is compiled on first use. Compiled forms are cached by the predicate's
+   * value rather than by instance, so each call still serializes the predicate once to
+   * look up its compiled form.
+   */
   static ObjectSatisfiesPredicate(object: any, predicate: PredicateType): boolean {
-    /* Predicates may not always be created using the official constructor
-       so if it's still an array here, convert to object */
-    if (Array.isArray(predicate)) {
-      predicate = this.FromArray(predicate);
-    }
-
-    if (predicate.isRecursive()) {
-      if (predicate.operator === 'and') {
-        for (const subPredicate of predicate.valueAsArray()) {
-          if (!this.ObjectSatisfiesPredicate(object, subPredicate)) {
-            return false;
-          }
-        }
-        return true;
-      }
-      if (predicate.operator === 'or') {
-        for (const subPredicate of predicate.valueAsArray()) {
-          if (this.ObjectSatisfiesPredicate(object, subPredicate)) {
-            return true;
-          }
-        }
-        return false;
-      }
-    }
-
-    let targetValue = predicate.value;
-    if (typeof (targetValue) === 'string' && targetValue.includes('.ago')) {
-      targetValue = this.DateFromString(targetValue);
-    }
-
-    /* Process not before handling the keypath, because not does not use it. */
-    if (predicate.operator === 'not') {
-      return !this.ObjectSatisfiesPredicate(object, targetValue as PredicateType);
-    }
-
-    const valueAtKeyPath = predicate.keypath.split('.').reduce((previous, current) => {
-      return previous && previous[current];
-    }, object);
-
-    const falseyValues = [false, '', null, undefined, NaN];
-    /* If the value at keyPath is undefined, either because the 
-      property is nonexistent or the value is null. */
-    if (valueAtKeyPath === undefined) {
-      if (predicate.operator === '!=') {
-        return !falseyValues.includes(predicate.value as any);
-      } else {
-        return falseyValues.includes(predicate.value as any);
-      }
-    }
-
-    if (predicate.operator === '=') {
-      /* Use array comparison */
-      if (Array.isArray(valueAtKeyPath)) {
-        return JSON.stringify(valueAtKeyPath) === JSON.stringify(targetValue);
-      } else {
-        return valueAtKeyPath === targetValue;
-      }
-    }
-    else if (predicate.operator === '!=') {
-      // Use array comparison
-      if (Array.isArray(valueAtKeyPath)) {
-        return JSON.stringify(valueAtKeyPath) !== JSON.stringify(targetValue);
-      } else {
-        return valueAtKeyPath !== targetValue;
-      }
-    }
-    else if (predicate.operator === '<') {
-      return valueAtKeyPath < targetValue;
-    }
-    else if (predicate.operator === '>') {
-      return valueAtKeyPath > targetValue;
-    }
-    else if (predicate.operator === '<=') {
-      return valueAtKeyPath <= targetValue;
-    }
-    else if (predicate.operator === '>=') {
-      return valueAtKeyPath >= targetValue;
-    }
-    else if (predicate.operator === 'startsWith') {
-      return valueAtKeyPath.startsWith(targetValue);
-    }
-    else if (predicate.operator === 'in') {
-      return (targetValue as any[]).indexOf(valueAtKeyPath) !== -1;
-    }
-    else if (predicate.operator === 'includes') {
-      return this.resolveIncludesPredicate(valueAtKeyPath, targetValue);
-    }
-    else if (predicate.operator === 'matches') {
-      const regex = new RegExp(targetValue as string);
-      return regex.test(valueAtKeyPath);
-    }
-    return false;
+    return CompilePredicate(predicate)(object);
   }
 
   /**
@@ -212,19 +163,20 @@ export class SNPredicate {
     return true;
   }
 
+  static IsRelativeDateString(value: any) {
+    return IsRelativeDateString(value);
+  }
+
+  static IsAbsoluteDateString(value: any) {
+    return IsAbsoluteDateString(value);
+  }
+
   /**
-   * Predicate date strings are of form "x.days.ago" or "x.hours.ago"
+   * Predicate date strings are either relative, of form "x.unit.ago", where unit
+   * is one of minutes, hours, days, weeks, months or years (or the singular form),
+   * or absolute ISO 8601 dates, such as "2020-06-30" or "2020-06-30T12:00:00.000Z".
    */
   static DateFromString(string: string) {
-    const comps = string.split('.');
-    const unit = comps[1];
-    const date = new Date;
-    const offset = parseInt(comps[0]);
-    if (unit === 'days') {
-      date.setDate(date.getDate() - offset);
-    } else if (unit === 'hours') {
-      date.setHours(date.getHours() - offset);
-    }
-    return date;
+    return DateFromString(string);
   }
 }
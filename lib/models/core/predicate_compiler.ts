@@ -0,0 +1,296 @@
+import { isString, isFunction } from '@Lib/utils';
+import {
+  IsRelativeDateString,
+  IsAbsoluteDateString,
+  DateFromString
+} from '@Models/core/predicate_dates';
+
+/** A function that returns whether an object satisfies the predicate it was compiled from */
+export type PredicateEvaluator = (object: any) => boolean
+
+const COMPARISON_OPERATORS = ['=', '!=', '<', '>', '<=', '>='];
+const FALSEY_VALUES = [false, '', null, undefined, NaN];
+
+/** The maximum number of compiled evaluators to keep in the cache */
+const CACHE_LIMIT = 200;
+
+/**
+ * Compiled evaluators, keyed by the serialized form of the predicate they were compiled
+ * from. Predicates are keyed by value rather than by instance, as predicate instances
+ * may be mutated, and equivalent predicates are often created afresh, such as when a
+ * smart tag is re-created from its payload.
+ */
+const cache: Map<string, PredicateEvaluator> = new Map();
+
+/**
+ * Compiles a predicate into a function that evaluates it against an object.
+ * Work that depends only on the predicate, such as splitting keypaths, parsing
+ * absolute dates and constructing regular expressions, is done once up front rather
+ * than for every object the predicate is evaluated against. Relative dates such as
+ * '7.days.ago' are still resolved at evaluation time, as their value changes with time.
+ * @param predicate A predicate, or its array or JSON representation.
+ */
+export function CompilePredicate(predicate: any): PredicateEvaluator {
+  const array = normalize(predicate);
+  const key = JSON.stringify(array, function (this: any, key: string, value: any) {
+    /* Distinguish dates from strings, as they are compared differently */
+    return this[key] instanceof Date ? { date: value } : value;
+  });
+  let evaluator = cache.get(key);
+  if (!evaluator) {
+    evaluator = compileNode(array);
+    if (cache.size >= CACHE_LIMIT) {
+      /* Maps iterate in insertion order, so this is the least recently compiled */
+      cache.delete(cache.keys().next().value!);
+    }
+    cache.set(key, evaluator);
+  }
+  return evaluator;
+}
+
+/**
+ * Returns true if the predicate contains a relative date, in which case the set of
+ * objects satisfying it can change over time without the objects themselves changing.
+ */
+export function PredicateIsTimeDependent(predicate: any): boolean {
+  const containsRelativeDate = (value: any): boolean => {
+    if (Array.isArray(value)) {
+      return value.some(containsRelativeDate);
+    }
+    return IsRelativeDateString(value);
+  };
+  return containsRelativeDate(normalize(predicate));
+}
+
+/**
+ * Returns the [keypath, operator, value] form of a predicate. Predicates may not always
+ * be created using the official constructor, so arrays and JSON objects are normalized
+ * here as SNPredicate's constructor would, which also converts values such as 'true'
+ * to booleans. SNPredicate instances are recognized by their `arrayRepresentation`
+ * rather than by class, so that this module does not depend on SNPredicate.
+ */
+function normalize(predicate: any): any[] {
+  if (isFunction(predicate.arrayRepresentation)) {
+    return predicate.arrayRepresentation();
+  }
+  const [keypath, operator, value] = Array.isArray(predicate)
+    ? predicate
+    : [predicate.keypath, predicate.operator, predicate.value];
+  if (operator === 'and' || operator === 'or') {
+    return [keypath, operator, (value as any[]).map((element) => {
+      return Array.isArray(element) || element?.operator || element?.arrayRepresentation
+        ? normalize(element)
+        : element;
+    })];
+  }
+  if (value === 'true' || value === 'false') {
+    return [keypath, operator, JSON.parse(value)];
+  }
+  if (value && isFunction(value.arrayRepresentation)) {
+    return [keypath, operator, value.arrayRepresentation()];
+  }
+  return [keypath, operator, value];
+}
+
+function compileNode(predicate: any): PredicateEvaluator {
+  const [keypath, operator, value] = normalize(predicate);
+
+  if (operator === 'and') {
+    const evaluators = (value as any[]).map(compileNode);
+    return (object) => {
+      for (const evaluator of evaluators) {
+        if (!evaluator(object)) {
+          return false;
+        }
+      }
+      return true;
+    };
+  }
+  if (operator === 'or') {
+    const evaluators = (value as any[]).map(compileNode);
+    return (object) => {
+      for (const evaluator of evaluators) {
+        if (evaluator(object)) {
+          return true;
+        }
+      }
+      return false;
+    };
+  }
+  /* Process not before handling the keypath, because not does not use it. */
+  if (operator === 'not') {
+    const evaluator = compileNode(value);
+    return (object) => !evaluator(object);
+  }
+
+  const valueAtKeyPath = compileKeypath(keypath);
+
+  /* Process operators which are meaningful for missing values before handling
+    undefined values below */
+  if (operator === 'exists') {
+    const expected = value !== false;
+    return (object) => {
+      const result = valueAtKeyPath(object);
+      const exists = result !== undefined && result !== null;
+      return exists === expected;
+    };
+  }
+  if (operator === 'length') {
+    const [comparator, expected] = value as [string, number];
+    return (object) => {
+      /* A missing value is treated as empty */
+      const length = valueAtKeyPath(object)?.length || 0;
+      return CompareValues(length, comparator, expected);
+    };
+  }
+
+  const test = compileOperator(operator, value);
+  /* If the value at keyPath is undefined, either because the
+    property is nonexistent or the value is null. */
+  const resultForUndefined = operator === '!='
+    ? !FALSEY_VALUES.includes(value)
+    : FALSEY_VALUES.includes(value);
+  return (object) => {
+    const result = valueAtKeyPath(object);
+    if (result === undefined) {
+      return resultForUndefined;
+    }
+    return test(result);
+  };
+}
+
+function compileKeypath(keypath: string) {
+  const keys = keypath.split('.');
+  return (object: any) => {
+    let value = object;
+    for (const key of keys) {
+      value = value && value[key];
+    }
+    return value;
+  };
+}
+
+/**
+ * Returns a function that tests a value that has been found at the predicate's keypath.
+ */
+function compileOperator(operator: string, value: any): (valueAtKeyPath: any) => boolean {
+  const target = compileTargetValue(value);
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    return (valueAtKeyPath) => {
+      return CompareValues(valueAtKeyPath, operator, target(valueAtKeyPath));
+    };
+  }
+  if (operator === 'startsWith') {
+    return (valueAtKeyPath) => valueAtKeyPath.startsWith(target(valueAtKeyPath));
+  }
+  if (operator === 'endsWith') {
+    return (valueAtKeyPath) => valueAtKeyPath.endsWith(target(valueAtKeyPath));
+  }
+  if (operator === 'contains') {
+    /* Case insensitive. Arrays match if any of their string elements match. */
+    const needle = (value as string).toLowerCase();
+    return (valueAtKeyPath) => {
+      const haystack = Array.isArray(valueAtKeyPath) ? valueAtKeyPath : [valueAtKeyPath];
+      return haystack.some((element: any) => {
+        return isString(element) && element.toLowerCase().includes(needle);
+      });
+    };
+  }
+  if (operator === 'between') {
+    /* Inclusive of both bounds */
+    const [lower, upper] = (value as any[]).map(compileDateValue);
+    return (valueAtKeyPath) => {
+      return valueAtKeyPath >= lower(valueAtKeyPath) && valueAtKeyPath <= upper(valueAtKeyPath);
+    };
+  }
+  if (operator === 'in') {
+    return (valueAtKeyPath) => (value as any[]).indexOf(valueAtKeyPath) !== -1;
+  }
+  if (operator === 'includes') {
+    /* includes can be a string or a predicate */
+    if (isString(value)) {
+      return (valueAtKeyPath) => valueAtKeyPath.includes(value);
+    }
+    /* Compiled on first use, as the value is only required to be a predicate when
+      there is an array at the keypath to test it against */
+    let evaluator: PredicateEvaluator | undefined;
+    return (valueAtKeyPath) => {
+      evaluator = evaluator || compileNode(value);
+      for (const element of valueAtKeyPath) {
+        if (evaluator(element)) {
+          return true;
+        }
+      }
+      return false;
+    };
+  }
+  if (operator === 'matches') {
+    /* The value is either a pattern string, or a [pattern, flags] pair */
+    const [pattern, flags] = Array.isArray(value)
+      ? value as string[]
+      : [value as string, undefined];
+    /* Stateful flags would make repeated tests with the same regex inconsistent */
+    const regex = new RegExp(pattern, flags?.replace(/[gy]/g, ''));
+    return (valueAtKeyPath) => regex.test(valueAtKeyPath);
+  }
+  return () => false;
+}
+
+/**
+ * Returns a function that resolves the predicate's value for a given value at its keypath.
+ * Relative dates are always resolved to dates. Absolute date strings are only treated
+ * as dates when comparing against a date, so that comparisons against string values
+ * remain string comparisons.
+ */
+function compileTargetValue(value: any) {
+  if (IsRelativeDateString(value)) {
+    return () => DateFromString(value);
+  }
+  return compileDateValue(value);
+}
+
+/**
+ * Returns a function that resolves relative and absolute date strings to dates
+ * when comparing against a date, and otherwise returns the value as-is.
+ */
+function compileDateValue(value: any): (valueAtKeyPath: any) => any {
+  if (IsRelativeDateString(value)) {
+    return (valueAtKeyPath) => {
+      return valueAtKeyPath instanceof Date ? DateFromString(value) : value;
+    };
+  }
+  if (IsAbsoluteDateString(value)) {
+    const date = DateFromString(value);
+    return (valueAtKeyPath) => valueAtKeyPath instanceof Date ? date : value;
+  }
+  return () => value;
+}
+
+function CompareValues(left: any, operator: string, right: any): boolean {
+  if (operator === '=') {
+    /* Use array comparison */
+    if (Array.isArray(left)) {
+      return JSON.stringify(left) === JSON.stringify(right);
+    } else if (left instanceof Date && right instanceof Date) {
+      return left.getTime() === right.getTime();
+    } else {
+      return left === right;
+    }
+  }
+  else if (operator === '!=') {
+    return !CompareValues(left, '=', right);
+  }
+  else if (operator === '<') {
+    return left < right;
+  }
+  else if (operator === '>') {
+    return left > right;
+  }
+  else if (operator === '<=') {
+    return left <= right;
+  }
+  else if (operator === '>=') {
+    return left >= right;
+  }
+  return false;
+}
@@ -0,0 +1,39 @@
+const RELATIVE_DATE_PATTERN = /^\d+\.(minute|hour|day|week|month|year)s?\.ago$/;
+const ABSOLUTE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+export function IsRelativeDateString(value: any) {
+  return typeof (value) === 'string' && RELATIVE_DATE_PATTERN.test(value);
+}
+
+export function IsAbsoluteDateString(value: any) {
+  return typeof (value) === 'string' && ABSOLUTE_DATE_PATTERN.test(value);
+}
+
+/**
+ * Predicate date strings are either relative, of form "x.unit.ago", where unit
+ * is one of minutes, hours, days, weeks, months or years (or the singular form),
+ * or absolute ISO 8601 dates, such as "2020-06-30" or "2020-06-30T12:00:00.000Z".
+ */
+export function DateFromString(string: string) {
+  if (IsAbsoluteDateString(string)) {
+    return new Date(string);
+  }
+  const comps = string.split('.');
+  const unit = comps[1];
+  const date = new Date;
+  const offset = parseInt(comps[0]);
+  if (unit === 'minutes' || unit === 'minute') {
+    date.setMinutes(date.getMinutes() - offset);
+  } else if (unit === 'hours' || unit === 'hour') {
+    date.setHours(date.getHours() - offset);
+  } else if (unit === 'days' || unit === 'day') {
+    date.setDate(date.getDate() - offset);
+  } else if (unit === 'weeks' || unit === 'week') {
+    date.setDate(date.getDate() - offset * 7);
+  } else if (unit === 'months' || unit === 'month') {
+    date.setMonth(date.getMonth() - offset);
+  } else if (unit === 'years' || unit === 'year') {
+    date.setFullYear(date.getFullYear() - offset);
+  }
+  return date;
+}
@@ -0,0 +1,474 @@
+import { SNPredicate } from '@Models/core/predicate';
+import { isString } from '@Lib/utils';
+
+/**
+ * A human-readable syntax for building predicates, for example:
+ *
+ *   title:startsWith("Meeting") AND updated_at > 7.days.ago AND NOT pinned
+ *
+ * - Comparisons take the form `keypath <op> value`, where op is one of
+ *   =, !=, <, >, <=, >=.
+ * - Other operators take the form `keypath:operator(arguments)`, for example
+ *   `title:contains("meeting")`, `title:matches("^[a-z]+$", "i")`,
+ *   `tags:in(["a", "b"])`, `created_at:between("2020-01-01", 7.days.ago)`,
+ *   `references:length(>= 2)` or `content.conflict_of:exists()`. The argument of
+ *   `includes` may itself be a query, as in `content.tags:includes(title = "foo")`.
+ * - A keypath on its own is shorthand for `keypath = true`.
+ * - Conditions are combined with AND, OR and NOT, and grouped with parentheses.
+ *   AND binds more tightly than OR.
+ * - Values are double or single quoted strings, numbers, true, false,
+ *   relative dates such as 7.days.ago, or arrays of values.
+ */
+
+export type PredicateQueryError = {
+  message: string
+  /** The offset in the query string at which the error was encountered */
+  position: number
+}
+
+export type PredicateQueryResult = {
+  predicate?: SNPredicate
+  error?: PredicateQueryError
+}
+
+const COMPARISON_OPERATORS = ['=', '!=', '<', '>', '<=', '>='];
+const FUNCTION_OPERATORS = [
+  'startsWith',
+  'endsWith',
+  'contains',
+  'includes',
+  'matches',
+  'in',
+  'between',
+  'exists',
+  'length'
+];
+const COMPOUND_KEYPATH = 'ignored';
+/** Words shaped like relative dates, whose units SNPredicate may not support */
+const RELATIVE_DATE_SHAPE = /^\d+\.[A-Za-z]+\.ago$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const KEYPATH_PATTERN = /^[A-Za-z_$][A-Za-z0-9_$]*(\.[A-Za-z0-9_$]+)*$/;
+const WORD_CHARACTER = /[A-Za-z0-9_$.]/;
+
+enum TokenType {
+  Word = 1,
+  String = 2,
+  Symbol = 3,
+  End = 4
+}
+
+type Token = {
+  type: TokenType
+  value: string
+  position: number
+}
+
+/** Thrown internally by the parser, and converted to a PredicateQueryError */
+class QuerySyntaxError {
+  constructor(
+    public message: string,
+    public position: number
+  ) { }
+}
+
+function tokenizeQuery(query: string) {
+  const tokens: Token[] = [];
+  let index = 0;
+  while (index < query.length) {
+    const character = query[index];
+    if (/\s/.test(character)) {
+      index++;
+    } else if (character === '"' || character === '\'') {
+      const start = index;
+      let value = '';
+      index++;
+      while (index < query.length && query[index] !== character) {
+        if (query[index] === '\\' && index + 1 < query.length) {
+          index++;
+          const escaped = query[index];
+          if (escaped === 'n') {
+            value += '\n';
+          } else if (escaped === 't') {
+            value += '\t';
+          } else if (escaped === 'u' && /^[0-9a-fA-F]{4}$/.test(query.substr(index + 1, 4))) {
+            value += String.fromCharCode(parseInt(query.substr(index + 1, 4), 16));
+            index += 4;
+          } else {
+            value += escaped;
+          }
+        } else {
+          value += query[index];
+        }
+        index++;
+      }
+      if (index >= query.length) {
+        throw new QuerySyntaxError('Unterminated string', start);
+      }
+      index++;
+      tokens.push({ type: TokenType.String, value, position: start });
+    } else if (['<=', '>=', '!='].includes(query.substr(index, 2))) {
+      tokens.push({ type: TokenType.Symbol, value: query.substr(index, 2), position: index });
+      index += 2;
+    } else if ('()[],:=<>'.includes(character)) {
+      tokens.push({ type: TokenType.Symbol, value: character, position: index });
+      index++;
+    } else if (
+      WORD_CHARACTER.test(character) ||
+      (character === '-' && /\d/.test(query[index + 1] || ''))
+    ) {
+      const start = index;
+      index++;
+      while (index < query.length && WORD_CHARACTER.test(query[index])) {
+        index++;
+      }
+      tokens.push({ type: TokenType.Word, value: query.substring(start, index), position: start });
+    } else {
+      throw new QuerySyntaxError(`Unexpected character '${character}'`, index);
+    }
+  }
+  tokens.push({ type: TokenType.End, value: '', position: query.length });
+  return tokens;
+}
+
+function isKeyword(token: Token, keyword: string) {
+  return token.type === TokenType.Word && token.value.toUpperCase() === keyword;
+}
+
+function isSymbol(token: Token, symbol: string) {
+  return token.type === TokenType.Symbol && token.value === symbol;
+}
+
+function describeToken(token: Token) {
+  if (token.type === TokenType.End) {
+    return 'end of query';
+  } else if (token.type === TokenType.String) {
+    return `string "${token.value}"`;
+  } else {
+    return `'${token.value}'`;
+  }
+}
+
+class QueryParser {
+  private index = 0
+
+  constructor(private tokens: Token[]) { }
+
+  public parse() {
+    if (this.peek().type === TokenType.End) {
+      throw new QuerySyntaxError('Query is empty', 0);
+    }
+    const predicate = this.parseOr();
+    this.expectEnd();
+    return predicate;
+  }
+
+  private peek() {
+    return this.tokens[this.index];
+  }
+
+  private next() {
+    return this.tokens[this.index++];
+  }
+
+  private expectSymbol(symbol: string) {
+    const token = this.next();
+    if (!isSymbol(token, symbol)) {
+      throw new QuerySyntaxError(
+        `Expected '${symbol}' but found ${describeToken(token)}`,
+        token.position
+      );
+    }
+  }
+
+  private expectEnd() {
+    const token = this.peek();
+    if (token.type !== TokenType.End) {
+      throw new QuerySyntaxError(
+        `Expected AND, OR or end of query but found ${describeToken(token)}`,
+        token.position
+      );
+    }
+  }
+
+  private parseOr(): SNPredicate {
+    const predicates = [this.parseAnd()];
+    while (isKeyword(this.peek(), 'OR')) {
+      this.next();
+      predicates.push(this.parseAnd());
+    }
+    return predicates.length === 1
+      ? predicates[0]
+      : new SNPredicate(COMPOUND_KEYPATH, 'or', predicates);
+  }
+
+  private parseAnd(): SNPredicate {
+    const predicates = [this.parseNot()];
+    while (isKeyword(this.peek(), 'AND')) {
+      this.next();
+      predicates.push(this.parseNot());
+    }
+    return predicates.length === 1
+      ? predicates[0]
+      : new SNPredicate(COMPOUND_KEYPATH, 'and', predicates);
+  }
+
+  private parseNot(): SNPredicate {
+    if (isKeyword(this.peek(), 'NOT')) {
+      this.next();
+      return new SNPredicate(COMPOUND_KEYPATH, 'not', this.parseNot());
+    }
+    return this.parsePrimary();
+  }
+
+  private parsePrimary(): SNPredicate {
+    const token = this.peek();
+    if (isSymbol(token, '(')) {
+      this.next();
+      const predicate = this.parseOr();
+      this.expectSymbol(')');
+      return predicate;
+    }
+    return this.parseCondition();
+  }
+
+  private parseCondition(): SNPredicate {
+    const keypathToken = this.next();
+    if (
+      keypathToken.type !== TokenType.Word ||
+      ['AND', 'OR', 'NOT'].includes(keypathToken.value.toUpperCase()) ||
+      !KEYPATH_PATTERN.test(keypathToken.value)
+    ) {
+      throw new QuerySyntaxError(
+        `Expected a keypath but found ${describeToken(keypathToken)}`,
+        keypathToken.position
+      );
+    }
+    const keypath = keypathToken.value;
+    const token = this.peek();
+    if (isSymbol(token, ':')) {
+      this.next();
+      const operatorToken = this.next();
+      if (
+        operatorToken.type !== TokenType.Word ||
+        !FUNCTION_OPERATORS.includes(operatorToken.value)
+      ) {
+        throw new QuerySyntaxError(
+          `Unknown operator ${describeToken(operatorToken)}`,
+          operatorToken.position
+        );
+      }
+      const operator = operatorToken.value;
+      this.expectSymbol('(');
+      const value = this.parseArguments(operator);
+      this.expectSymbol(')');
+      return new SNPredicate(keypath, operator, value);
+    }
+    if (token.type === TokenType.Symbol && COMPARISON_OPERATORS.includes(token.value)) {
+      this.next();
+      return new SNPredicate(keypath, token.value, this.parseValue());
+    }
+    /** A keypath on its own checks that the value is true */
+    return new SNPredicate(keypath, '=', true);
+  }
+
+  private parseArguments(operator: string): any {
+    const start = this.peek();
+    if (operator === 'includes' && !this.startsValue(start)) {
+      return this.parseOr();
+    }
+    if (operator === 'exists' && isSymbol(start, ')')) {
+      return true;
+    }
+    if (operator === 'length') {
+      /** Accept both length(>= 2) and length(2), which is equivalent to length(= 2) */
+      if (start.type === TokenType.Symbol && COMPARISON_OPERATORS.includes(start.value)) {
+        this.next();
+        return [start.value, this.parseValue()];
+      }
+      return ['=', this.parseValue()];
+    }
+    const values = [this.parseValue()];
+    while (isSymbol(this.peek(), ',')) {
+      this.next();
+      values.push(this.parseValue());
+    }
+    if (operator === 'in') {
+      /** Accept both in(["a", "b"]) and in("a", "b") */
+      return (values.length === 1 && Array.isArray(values[0])) ? values[0] : values;
+    }
+    if (operator === 'between') {
+      /** Accept both between(1, 2) and between([1, 2]) */
+      const bounds = (values.length === 1 && Array.isArray(values[0])) ? values[0] : values;
+      if (bounds.length !== 2) {
+        throw new QuerySyntaxError(
+          'Operator \'between\' takes a lower and upper bound',
+          start.position
+        );
+      }
+      return bounds;
+    }
+    if (operator === 'matches' && values.length === 2) {
+      /** A pattern and its flags */
+      return values;
+    }
+    if (values.length > 1) {
+      throw new QuerySyntaxError(
+        `Operator '${operator}' takes a single argument`,
+        start.position
+      );
+    }
+    return values[0];
+  }
+
+  /** Whether the token begins a literal value, as opposed to a nested query */
+  private startsValue(token: Token) {
+    if (token.type === TokenType.String || isSymbol(token, '[')) {
+      return true;
+    }
+    if (token.type === TokenType.Word) {
+      const next = this.tokens[this.index + 1];
+      return this.literalValue(token) !== undefined && (isSymbol(next, ')') || isSymbol(next, ','));
+    }
+    return false;
+  }
+
+  private literalValue(token: Token): any {
+    const value = token.value;
+    if (NUMBER_PATTERN.test(value)) {
+      return parseFloat(value);
+    } else if (value === 'true' || value === 'false') {
+      return value === 'true';
+    } else if (SNPredicate.IsRelativeDateString(value)) {
+      return value;
+    } else if (RELATIVE_DATE_SHAPE.test(value)) {
+      throw new QuerySyntaxError(
+        `Unknown date unit '${value.split('.')[1]}'`,
+        token.position
+      );
+    }
+    return undefined;
+  }
+
+  private parseValue(): any {
+    const token = this.next();
+    if (token.type === TokenType.String) {
+      return token.value;
+    }
+    if (isSymbol(token, '[')) {
+      const values = [];
+      if (!isSymbol(this.peek(), ']')) {
+        values.push(this.parseValue());
+        while (isSymbol(this.peek(), ',')) {
+          this.next();
+          values.push(this.parseValue());
+        }
+      }
+      this.expectSymbol(']');
+      return values;
+    }
+    if (token.type === TokenType.Word) {
+      const value = this.literalValue(token);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+    throw new QuerySyntaxError(
+      `Expected a value but found ${describeToken(token)}`,
+      token.position
+    );
+  }
+}
+
+/**
+ * Compiles a query string into a predicate.
+ * @returns An object containing either the predicate, or an error describing
+ * why and where the query could not be parsed.
+ */
+export function ParsePredicateQuery(query: string): PredicateQueryResult {
+  try {
+    const tokens = tokenizeQuery(query);
+    const predicate = new QueryParser(tokens).parse();
+    return { predicate };
+  } catch (error) {
+    if (error instanceof QuerySyntaxError) {
+      return {
+        error: {
+          message: `${error.message} at position ${error.position}`,
+          position: error.position
+        }
+      };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Accepts either a predicate or a query string, and returns a predicate.
+ * Throws if the query string cannot be parsed.
+ */
+export function PredicateFromQueryOrPredicate(predicate: SNPredicate | string) {
+  if (!isString(predicate)) {
+    return predicate as SNPredicate;
+  }
+  const result = ParsePredicateQuery(predicate as string);
+  if (result.error) {
+    throw Error(`Invalid predicate query: ${result.error.message}`);
+  }
+  return result.predicate!;
+}
+
+function printValue(value: any): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(printValue).join(', ')}]`;
+  } else if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  } else if (SNPredicate.IsRelativeDateString(value)) {
+    return value;
+  } else if (isString(value) || typeof value === 'number' || typeof value === 'boolean') {
+    return JSON.stringify(value);
+  }
+  return JSON.stringify(String(value));
+}
+
+function printPredicateArray(array: any[], nested: boolean): string {
+  const [keypath, operator, value] = array;
+  if (operator === 'and' || operator === 'or') {
+    const joined = (value as any[])
+      .map((element) => printPredicateArray(element, true))
+      .join(` ${operator.toUpperCase()} `);
+    return nested ? `(${joined})` : joined;
+  }
+  if (operator === 'not') {
+    return `NOT ${printPredicateArray(value, true)}`;
+  }
+  if (operator === '=' && value === true) {
+    return keypath;
+  }
+  if (COMPARISON_OPERATORS.includes(operator)) {
+    return `${keypath} ${operator} ${printValue(value)}`;
+  }
+  if (operator === 'includes' && Array.isArray(value)) {
+    return `${keypath}:includes(${printPredicateArray(value, false)})`;
+  }
+  if (operator === 'exists') {
+    return `${keypath}:exists(${value === false ? 'false' : ''})`;
+  }
+  if (operator === 'length') {
+    return `${keypath}:length(${value[0]} ${printValue(value[1])})`;
+  }
+  if ((operator === 'between' || operator === 'matches') && Array.isArray(value)) {
+    return `${keypath}:${operator}(${value.map(printValue).join(', ')})`;
+  }
+  return `${keypath}:${operator}(${printValue(value)})`;
+}
+
+/**
+ * Converts a predicate into the query string syntax. Parsing the resulting string
+ * with `ParsePredicateQuery` yields an equivalent predicate.
+ */
+export function PrintPredicateQuery(predicate: SNPredicate | any[]) {
+  const array = Array.isArray(predicate)
+    ? SNPredicate.FromArray(predicate).arrayRepresentation()
+    : predicate.arrayRepresentation();
+  return printPredicateArray(array, false);
+}
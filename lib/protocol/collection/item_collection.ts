@@ -3,6 +3,12 @@ import { isNullOrUndefined, compareValues } from '@Lib/utils';
 import { SNItem } from './../../models/core/item';
 import { ContentType } from '@Models/content_types';
 import { UuidString } from './../../types';
+import { SNPredicate } from '@Models/core/predicate';
+import {
+  CompilePredicate,
+  PredicateEvaluator,
+  PredicateIsTimeDependent
+} from '@Models/core/predicate_compiler';
 
 export enum CollectionSort {
   CreatedAt = 'created_at',
@@ -11,6 +17,15 @@ export enum CollectionSort {
 }
 export type SortDirection = 'asc' | 'dsc'
 
+type PredicateSet = {
+  predicate: SNPredicate
+  evaluator: PredicateEvaluator
+  /** Whether the predicate contains relative dates, in which case membership can change
+   * without any element changing, and the set is rebuilt whenever it is read. */
+  timeDependent: boolean
+  uuids: Set<UuidString>
+}
+
 /** The item collection class builds on mutable collection by providing an option to keep
  * items sorted and filtered. */
 export class ItemCollection extends MutableCollection<SNItem> {
@@ -29,17 +44,99 @@ export class ItemCollection extends MutableCollection<SNItem> {
   /** A sorted representation of the filteredMap, where sortedMap[contentType] returns
    * an array of sorted elements, based on the current displaySortBy */
   private sortedMap: Partial<Record<ContentType, Array<SNItem | undefined>>> = {};
+  /** Live result sets of elements matching a predicate, keyed by an identifier chosen by
+   * the caller, such as the uuid of a smart tag. Membership is updated incrementally as
+   * elements are set or discarded, rather than by re-evaluating the predicate against all
+   * elements each time the results are needed. */
+  private predicateSets: Record<string, PredicateSet> = {};
 
   public set(elements: SNItem | SNItem[]) {
     elements = Array.isArray(elements) ? elements : [elements];
     super.set(elements);
     this.filterSortElements(elements);
+    this.updatePredicateSets(elements);
   }
 
   public discard(elements: SNItem | SNItem[]) {
     elements = Array.isArray(elements) ? elements : [elements];
     super.discard(elements);
     this.filterSortElements(elements);
+    this.updatePredicateSets(elements);
+  }
+
+  /**
+   * Begins maintaining a live set of the elements matching a predicate. If a set already
+   * exists for the key with an equivalent predicate, it is kept as is. Otherwise the set
+   * is built by evaluating the predicate against all current elements.
+   * Deleted elements are never members of a set.
+   */
+  public setPredicateSet(key: string, predicate: SNPredicate) {
+    const existing = this.predicateSets[key];
+    if (
+      existing &&
+      JSON.stringify(existing.predicate.arrayRepresentation()) ===
+      JSON.stringify(predicate.arrayRepresentation())
+    ) {
+      return;
+    }
+    this.predicateSets[key] = {
+      predicate,
+      evaluator: CompilePredicate(predicate),
+      timeDependent: PredicateIsTimeDependent(predicate),
+      uuids: new Set()
+    };
+    this.rebuildPredicateSet(this.predicateSets[key]);
+  }
+
+  public removePredicateSet(key: string) {
+    delete this.predicateSets[key];
+  }
+
+  /** Returns the elements matching the predicate set for the key, or undefined
+   * if no such set has been configured via `setPredicateSet` */
+  public predicateSetElements(key: string) {
+    const set = this.liveSet(key);
+    if (!set) {
+      return undefined;
+    }
+    return this.findAll(Array.from(set.uuids)) as SNItem[];
+  }
+
+  /** Returns the number of elements matching the predicate set for the key, or undefined
+   * if no such set has been configured via `setPredicateSet` */
+  public predicateSetCount(key: string) {
+    return this.liveSet(key)?.uuids.size;
+  }
+
+  private liveSet(key: string) {
+    const set = this.predicateSets[key];
+    if (set?.timeDependent) {
+      this.rebuildPredicateSet(set);
+    }
+    return set;
+  }
+
+  private rebuildPredicateSet(set: PredicateSet) {
+    set.uuids.clear();
+    for (const element of this.all()) {
+      if (!element.deleted && set.evaluator(element)) {
+        set.uuids.add(element.uuid);
+      }
+    }
+  }
+
+  private updatePredicateSets(elements: SNItem[]) {
+    for (const set of Object.values(this.predicateSets)) {
+      for (const element of elements) {
+        /** Elements that are deleted or no longer in the primary map are removed */
+        const passes = !element.deleted && !!this.map[element.uuid] && set.evaluator(element);
+        if (passes) {
+          set.uuids.add(element.uuid);
+        } else {
+          set.uuids.delete(element.uuid);
+        }
+      }
+    }
   }
 
   /**
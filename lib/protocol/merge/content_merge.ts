@@ -0,0 +1,130 @@
+import isEqual from 'lodash/isEqual';
+import { MergeText } from '@Protocol/merge/text_merge';
+import { DefaultAppDomain } from '@Models/content_types';
+import { PayloadContent, ContentReference } from '@Payloads/generator';
+import { isNullOrUndefined, isString } from '@Lib/utils';
+
+type AnyRecord = Record<string, any>
+
+/** Returns the resolved value of a key both sides changed, or undefined if they collide */
+type CollisionResolver = (key: string, ancestor: any, left: any, right: any) => { value: any } | undefined
+
+export type ContentMergeOptions = {
+  /** Keys whose string values are merged line by line when both sides change them */
+  textKeys: string[]
+  /** Keys for which the left value is kept when both sides change them, such as keys
+   * that are not considered when comparing item contents */
+  preferLeftKeys: string[]
+  /** Same as `preferLeftKeys`, but for keys inside appData[DefaultAppDomain] */
+  preferLeftAppDataKeys: string[]
+}
+
+/**
+ * Performs a three-way merge of item contents, key by key. A key changed on only one
+ * side takes that side's value. Keys changed on both sides are merged as text if they
+ * are text keys, as sets if they are references, and key by key for app data.
+ * @returns The merged content, or undefined if both sides changed a key in ways that
+ * cannot be combined.
+ */
+export function MergeContent(
+  ancestor: PayloadContent,
+  left: PayloadContent,
+  right: PayloadContent,
+  options: ContentMergeOptions
+) {
+  return MergeObjects(ancestor, left, right, (key, ancestorValue, leftValue, rightValue) => {
+    if (options.preferLeftKeys.includes(key)) {
+      return { value: leftValue };
+    }
+    if (
+      options.textKeys.includes(key) &&
+      [ancestorValue, leftValue, rightValue].every((value) => {
+        return isNullOrUndefined(value) || isString(value);
+      })
+    ) {
+      const merged = MergeText(ancestorValue || '', leftValue || '', rightValue || '');
+      return merged === undefined ? undefined : { value: merged };
+    }
+    if (key === 'references') {
+      return { value: MergeReferences(ancestorValue || [], leftValue || [], rightValue || []) };
+    }
+    if (key === 'appData') {
+      const merged = MergeObjects(
+        ancestorValue,
+        leftValue,
+        rightValue,
+        (domain, ancestorData, leftData, rightData) => {
+          const preferLeft = domain === DefaultAppDomain ? options.preferLeftAppDataKeys : [];
+          const mergedData = MergeObjects(
+            ancestorData,
+            leftData,
+            rightData,
+            (domainKey, _, leftDomainValue) => {
+              return preferLeft.includes(domainKey) ? { value: leftDomainValue } : undefined;
+            }
+          );
+          return mergedData && { value: mergedData };
+        }
+      );
+      return merged && { value: merged };
+    }
+    return undefined;
+  }) as PayloadContent | undefined;
+}
+
+function MergeObjects(
+  ancestor: AnyRecord = {},
+  left: AnyRecord = {},
+  right: AnyRecord = {},
+  resolveCollision: CollisionResolver
+) {
+  const result: AnyRecord = {};
+  const keys = new Set(Object.keys(left).concat(Object.keys(right)));
+  for (const key of keys) {
+    const ancestorValue = ancestor[key];
+    const leftValue = left[key];
+    const rightValue = right[key];
+    let value;
+    if (isEqual(leftValue, rightValue) || isEqual(rightValue, ancestorValue)) {
+      value = leftValue;
+    } else if (isEqual(leftValue, ancestorValue)) {
+      value = rightValue;
+    } else {
+      const resolution = resolveCollision(key, ancestorValue, leftValue, rightValue);
+      if (!resolution) {
+        return undefined;
+      }
+      value = resolution.value;
+    }
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Keeps references present on both sides, as well as references added by either side.
+ * References removed by either side are removed.
+ */
+function MergeReferences(
+  ancestor: ContentReference[],
+  left: ContentReference[],
+  right: ContentReference[]
+) {
+  const uuids = (references: ContentReference[]) => {
+    return new Set(references.map((reference) => reference.uuid));
+  };
+  const ancestorUuids = uuids(ancestor);
+  const leftUuids = uuids(left);
+  const rightUuids = uuids(right);
+  const result = left.filter((reference) => {
+    return rightUuids.has(reference.uuid) || !ancestorUuids.has(reference.uuid);
+  });
+  for (const reference of right) {
+    if (!leftUuids.has(reference.uuid) && !ancestorUuids.has(reference.uuid)) {
+      result.push(reference);
+    }
+  }
+  return result;
+}
@@ -0,0 +1,107 @@
+/**
+ * Beyond this many insertions and deletions, two sequences are considered to have
+ * nothing in common apart from any shared prefix and suffix. This bounds the time and
+ * memory spent comparing sequences that are largely unrelated.
+ */
+const MAX_EDIT_DISTANCE = 2000;
+
+/** A pair of indexes [indexInA, indexInB] of equal elements in two sequences */
+export type Match = [number, number]
+
+/**
+ * Returns the pairs of indexes of equal elements that make up a longest common
+ * subsequence of a and b, in ascending order. Uses Myers' O((N + M)D) algorithm, after
+ * trimming any common prefix and suffix.
+ */
+export function LongestCommonSubsequence<T>(a: T[], b: T[]): Match[] {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const matches: Match[] = [];
+  for (let index = 0; index < start; index++) {
+    matches.push([index, index]);
+  }
+  const middle = MyersMatches(a.slice(start, endA), b.slice(start, endB));
+  for (const [indexA, indexB] of middle) {
+    matches.push([indexA + start, indexB + start]);
+  }
+  for (let offset = 0; offset < a.length - endA; offset++) {
+    matches.push([endA + offset, endB + offset]);
+  }
+  return matches;
+}
+
+function MyersMatches<T>(a: T[], b: T[]): Match[] {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return [];
+  }
+  const max = n + m;
+  const limit = Math.min(max, MAX_EDIT_DISTANCE);
+  /** v[k + offset] is the furthest x reached on diagonal k = x - y */
+  const offset = max + 1;
+  const v = new Int32Array(2 * offset + 1);
+  /** The state of v around the diagonals reachable at each edit distance d,
+   * as trace[d][k + d + 1], used to recover the path once the end is reached */
+  const trace: Int32Array[] = [];
+  for (let d = 0; d <= limit; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x;
+      if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+        /** Move down, inserting from b */
+        x = v[offset + k + 1];
+      } else {
+        /** Move right, deleting from a */
+        x = v[offset + k - 1] + 1;
+      }
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        return Backtrack(trace, n, m, d);
+      }
+    }
+  }
+  return [];
+}
+
+function Backtrack(trace: Int32Array[], n: number, m: number, distance: number): Match[] {
+  const matches: Match[] = [];
+  let x = n;
+  let y = m;
+  for (let d = distance; d > 0; d--) {
+    const snapshot = trace[d];
+    const valueAt = (k: number) => snapshot[k + d + 1];
+    const k = x - y;
+    const previousK = (k === -d || (k !== d && valueAt(k - 1) < valueAt(k + 1)))
+      ? k + 1
+      : k - 1;
+    const previousX = valueAt(previousK);
+    const previousY = previousX - previousK;
+    while (x > previousX && y > previousY) {
+      x--;
+      y--;
+      matches.push([x, y]);
+    }
+    x = previousX;
+    y = previousY;
+  }
+  while (x > 0 && y > 0) {
+    x--;
+    y--;
+    matches.push([x, y]);
+  }
+  return matches.reverse();
+}
@@ -0,0 +1,87 @@
+import { LongestCommonSubsequence } from '@Protocol/merge/diff';
+
+/**
+ * Splits text into lines, keeping the line terminator at the end of each line,
+ * so that joining the lines reproduces the text exactly.
+ */
+export function SplitLines(text: string) {
+  return text.match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+function ArraysEqual(a: string[], b: string[]) {
+  if (a.length !== b.length) {
+    return false;
+  }
+  for (let index = 0; index < a.length; index++) {
+    if (a[index] !== b[index]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Performs a line-based three-way merge of two texts that were both edited from a
+ * common ancestor. Edits to separate regions of the ancestor are combined. When both
+ * sides change the same or adjacent lines differently, the edits collide and the texts
+ * cannot be merged automatically.
+ * @returns The merged text, or undefined if the edits collide.
+ */
+export function MergeText(ancestor: string, left: string, right: string) {
+  if (left === right || right === ancestor) {
+    return left;
+  }
+  if (left === ancestor) {
+    return right;
+  }
+  const ancestorLines = SplitLines(ancestor);
+  const leftLines = SplitLines(left);
+  const rightLines = SplitLines(right);
+  /** For each line of the ancestor, the index of the same line in each side, if kept */
+  const leftIndexes: Array<number | undefined> = [];
+  const rightIndexes: Array<number | undefined> = [];
+  for (const [ancestorIndex, leftIndex] of LongestCommonSubsequence(ancestorLines, leftLines)) {
+    leftIndexes[ancestorIndex] = leftIndex;
+  }
+  for (const [ancestorIndex, rightIndex] of LongestCommonSubsequence(ancestorLines, rightLines)) {
+    rightIndexes[ancestorIndex] = rightIndex;
+  }
+
+  const merged: string[] = [];
+  let ancestorPosition = 0;
+  let leftPosition = 0;
+  let rightPosition = 0;
+  let finished = false;
+  while (!finished) {
+    /** Find the next ancestor line that both sides have kept */
+    let stable = ancestorPosition;
+    while (
+      stable < ancestorLines.length &&
+      (leftIndexes[stable] === undefined || rightIndexes[stable] === undefined)
+    ) {
+      stable++;
+    }
+    const leftEnd = stable < ancestorLines.length ? leftIndexes[stable]! : leftLines.length;
+    const rightEnd = stable < ancestorLines.length ? rightIndexes[stable]! : rightLines.length;
+    /** Lines between the current positions and the next stable line were changed on
+     * one or both sides */
+    const ancestorChunk = ancestorLines.slice(ancestorPosition, stable);
+    const leftChunk = leftLines.slice(leftPosition, leftEnd);
+    const rightChunk = rightLines.slice(rightPosition, rightEnd);
+    if (ArraysEqual(leftChunk, ancestorChunk) || ArraysEqual(leftChunk, rightChunk)) {
+      merged.push(...rightChunk);
+    } else if (ArraysEqual(rightChunk, ancestorChunk)) {
+      merged.push(...leftChunk);
+    } else {
+      return undefined;
+    }
+    finished = stable >= ancestorLines.length;
+    if (!finished) {
+      merged.push(ancestorLines[stable]);
+      ancestorPosition = stable + 1;
+      leftPosition = leftEnd + 1;
+      rightPosition = rightEnd + 1;
+    }
+  }
+  return merged.join('');
+}
@@ -8,6 +8,8 @@ import { CopyPayload } from '@Payloads/generator';
 import { PayloadsByDuplicating, PayloadContentsEqual } from '@Payloads/functions';
 import { greaterOfTwoDates, uniqCombineObjArrays } from '@Lib/utils';
 import { PayloadField } from '../fields';
+import { MergeContent } from '@Protocol/merge/content_merge';
+import { ConflictResolverRegistry } from '@Payloads/deltas/resolvers';
 
 export class ConflictDelta {
 
@@ -15,21 +17,41 @@ export class ConflictDelta {
   protected readonly basePayload: PurePayload
   protected readonly applyPayload: PurePayload
   protected readonly source: PayloadSource
+  protected readonly ancestorPayload?: PurePayload
+  protected readonly conflictResolvers?: ConflictResolverRegistry
 
+  /**
+   * @param ancestorPayload The last version of the payload known to match the server,
+   * if available, which is used as the common ancestor of both sides when merging.
+   * @param conflictResolvers Registered resolvers to consult before the item's
+   * built-in conflict strategy.
+   */
   constructor(
     baseCollection: ImmutablePayloadCollection,
     basePayload: PurePayload,
     applyPayload: PurePayload,
-    source: PayloadSource
+    source: PayloadSource,
+    ancestorPayload?: PurePayload,
+    conflictResolvers?: ConflictResolverRegistry
   ) {
     this.baseCollection = baseCollection;
     this.basePayload = basePayload;
     this.applyPayload = applyPayload;
     this.source = source;
+    this.ancestorPayload = ancestorPayload;
+    this.conflictResolvers = conflictResolvers;
   }
 
 
   public async resultingCollection() {
+    const resolved = await this.conflictResolvers?.resolve(
+      this.basePayload,
+      this.applyPayload,
+      this.ancestorPayload
+    );
+    if (resolved) {
+      return ImmutablePayloadCollection.WithPayloads(resolved, this.source);
+    }
     const tmpBaseItem = CreateItemFromPayload(this.basePayload);
     const tmpApplyItem = CreateItemFromPayload(this.applyPayload);
     const strategy = tmpBaseItem.strategyWhenConflictingWithItem(tmpApplyItem);
@@ -37,7 +59,7 @@ export class ConflictDelta {
     return ImmutablePayloadCollection.WithPayloads(results, this.source);
   }
 
-  private async payloadsByHandlingStrategy(strategy: ConflictStrategy) {
+  private async payloadsByHandlingStrategy(strategy: ConflictStrategy): Promise<PurePayload[]> {
     /** Ensure no conflict has already been created with the incoming content.
      * This can occur in a multi-page sync request where in the middle of the request,
      * we make changes to many items, including duplicating, but since we are still not
@@ -137,6 +159,58 @@ export class ConflictDelta {
       return [payload];
     }
 
+    if (strategy === ConflictStrategy.MergeText) {
+      const content = this.mergedContent();
+      if (!content) {
+        return this.payloadsByHandlingStrategy(ConflictStrategy.KeepLeftDuplicateRight);
+      }
+      const updatedAt = greaterOfTwoDates(
+        this.basePayload.updated_at!,
+        this.applyPayload.updated_at!
+      );
+      const payload = CopyPayload(
+        this.basePayload,
+        {
+          updated_at: updatedAt,
+          dirty: true,
+          dirtiedDate: new Date(),
+          content: content
+        }
+      );
+      return [payload];
+    }
+
     throw 'Unhandled strategy';
   }
+
+  /**
+   * Returns the result of a three-way merge of both sides with the ancestor, or undefined
+   * if there is no ancestor or the changes collide.
+   */
+  private mergedContent() {
+    if (!this.ancestorPayload) {
+      return undefined;
+    }
+    const ancestorItem = CreateItemFromPayload(this.ancestorPayload);
+    const baseItem = CreateItemFromPayload(this.basePayload);
+    const applyItem = CreateItemFromPayload(this.applyPayload);
+    /** Only concurrent changes are merged. If either side is unchanged from the ancestor,
+     * the ancestor does not account for the conflict, so we do not rely on it. */
+    if (
+      baseItem.isItemContentEqualWith(ancestorItem) ||
+      applyItem.isItemContentEqualWith(ancestorItem)
+    ) {
+      return undefined;
+    }
+    return MergeContent(
+      this.ancestorPayload.safeContent,
+      this.basePayload.safeContent,
+      this.applyPayload.safeContent,
+      {
+        textKeys: baseItem.contentKeysToMergeAsText(),
+        preferLeftKeys: baseItem.contentKeysToIgnoreWhenCheckingEquality(),
+        preferLeftAppDataKeys: baseItem.appDataContentKeysToIgnoreWhenCheckingEquality()
+      }
+    );
+  }
 }
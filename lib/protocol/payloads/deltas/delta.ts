@@ -1,6 +1,7 @@
 import { PayloadSource } from '@Payloads/sources';
 import { ImmutablePayloadCollectionSet } from '@Protocol/collection/collection_set';
 import { ImmutablePayloadCollection } from "@Protocol/collection/payload_collection";
+import { ConflictResolverRegistry } from '@Payloads/deltas/resolvers';
 /**
  * A payload delta is a class that defines instructions that process an incoming collection
  * of payloads, applies some set of operations on those payloads wrt to the current base state, 
@@ -22,21 +23,26 @@ export class PayloadsDelta {
   protected readonly baseCollection: ImmutablePayloadCollection
   protected readonly applyCollection: ImmutablePayloadCollection
   protected readonly relatedCollectionSet?: ImmutablePayloadCollectionSet
+  protected readonly conflictResolvers?: ConflictResolverRegistry
 
   /**
    * @param baseCollection The authoratitive collection on top of which to compute changes.
    * @param applyCollection The collection of payloads to apply, from one given source only.
    * @param relatedCollectionSet A collection set (many collections) that contain payloads
    *                             that may be neccessary to carry out computation.
+   * @param conflictResolvers Registered resolvers to consult before built-in conflict
+   *                          strategies when payloads conflict.
    */
   constructor(
     baseCollection: ImmutablePayloadCollection,
     applyCollection: ImmutablePayloadCollection,
-    relatedCollectionSet?: ImmutablePayloadCollectionSet
+    relatedCollectionSet?: ImmutablePayloadCollectionSet,
+    conflictResolvers?: ConflictResolverRegistry
   ) {
     this.baseCollection = baseCollection;
     this.applyCollection = applyCollection;
     this.relatedCollectionSet = relatedCollectionSet;
+    this.conflictResolvers = conflictResolvers;
   }
 
   public async resultingCollection(): Promise<ImmutablePayloadCollection> {
@@ -3,15 +3,61 @@ import { PayloadsDelta } from '@Payloads/deltas/delta';
 import { ConflictDelta } from '@Payloads/deltas/conflict';
 import { PayloadSource } from '@Payloads/sources';
 import { ImmutablePayloadCollection } from "@Protocol/collection/payload_collection";
+import { PayloadContentsEqual } from '@Payloads/functions';
 import { extendArray } from '@Lib/utils';
 import { PurePayload } from '../pure_payload';
 
+/** What importing a payload would do */
+export enum ImportAction {
+  /** No item with the payload's uuid exists, or it is deleted, so one would be created */
+  Create = 1,
+  /** The local item's content would be replaced with the imported content */
+  Overwrite = 2,
+  /** A conflicted copy would be created of either the local or the imported version */
+  Conflict = 3,
+  /** The local and imported contents would be merged into the local item */
+  Merge = 4,
+  /** The local item would be kept as is, such as when its content is identical */
+  Unchanged = 5,
+  /** The payload could not be decrypted, and would not be imported */
+  FailedDecryption = 6
+}
+
+export type ImportPlanEntry = {
+  action: ImportAction
+  /** The payload being imported */
+  payload: PurePayload
+  /** The local version of the item, if one exists */
+  localPayload?: PurePayload
+  /** For overwrites, whether the local version was updated more recently than the
+   * imported version */
+  overwritesNewer?: boolean
+  /** The payloads that importing the payload would emit */
+  results: PurePayload[]
+}
+
 export class DeltaFileImport extends PayloadsDelta {
 
   public async resultingCollection() {
     const results: Array<PurePayload> = [];
+    for (const entry of await this.resultingPlan()) {
+      extendArray(results, entry.results);
+    }
+    return ImmutablePayloadCollection.WithPayloads(results, PayloadSource.FileImport);
+  }
+
+  /**
+   * Determines what importing each payload would do, without emitting anything.
+   * @returns An entry for each payload of the apply collection, in order.
+   */
+  public async resultingPlan() {
+    const results: Array<PurePayload> = [];
+    const entries: ImportPlanEntry[] = [];
     for (const payload of this.applyCollection!.all()) {
-      const handled = await this.payloadsByHandlingPayload(payload, results);
+      const current = this.currentPayload(payload, results);
+      const handled = current
+        ? await this.payloadsByHandlingConflict(current, payload)
+        : [payload];
       const payloads = handled.map((result) => {
         return CopyPayload(
           result,
@@ -23,11 +69,21 @@ export class DeltaFileImport extends PayloadsDelta {
         )
       })
       extendArray(results, payloads);
+      const action = ImportActionForResults(payload, payloads, current);
+      entries.push({
+        action,
+        payload,
+        localPayload: current,
+        overwritesNewer: action === ImportAction.Overwrite
+          ? current!.updated_at!.getTime() > payload.updated_at!.getTime()
+          : undefined,
+        results: payloads
+      });
     }
-    return ImmutablePayloadCollection.WithPayloads(results, PayloadSource.FileImport);
+    return entries;
   }
 
-  private async payloadsByHandlingPayload(
+  private currentPayload(
     payload: PurePayload,
     currentResults: Array<PurePayload>
   ) {
@@ -52,24 +108,54 @@ export class DeltaFileImport extends PayloadsDelta {
     }
     /**
      * If not found in current results, use the base value.
-     */
-    if (!current) {
-      current = this.findBasePayload(payload.uuid!);
-    }
-    /**
      * If the current doesn't exist, we're creating a new item from payload.
      */
     if (!current) {
-      return [payload];
+      current = this.findBasePayload(payload.uuid!);
     }
+    return current;
+  }
 
+  private async payloadsByHandlingConflict(
+    current: PurePayload,
+    payload: PurePayload
+  ) {
     const delta = new ConflictDelta(
       this.baseCollection,
       current,
       payload,
-      PayloadSource.FileImport
+      PayloadSource.FileImport,
+      undefined,
+      this.conflictResolvers
     );
     const deltaCollection = await delta.resultingCollection();
     return deltaCollection.all();
   }
 }
+
+function ImportActionForResults(
+  payload: PurePayload,
+  results: PurePayload[],
+  current?: PurePayload
+) {
+  if (!current || current.deleted) {
+    return ImportAction.Create;
+  }
+  const duplicated = results.some((result) => {
+    return result.uuid !== current.uuid &&
+      result.uuid !== payload.uuid &&
+      result.content_type === payload.content_type &&
+      !!result.safeContent.conflict_of;
+  });
+  if (duplicated) {
+    return ImportAction.Conflict;
+  }
+  const kept = results.find((result) => result.uuid === current.uuid);
+  if (!kept || PayloadContentsEqual(kept, current)) {
+    return ImportAction.Unchanged;
+  }
+  if (PayloadContentsEqual(kept, payload)) {
+    return ImportAction.Overwrite;
+  }
+  return ImportAction.Merge;
+}
@@ -39,7 +39,9 @@ export class DeltaRemoteConflicts extends PayloadsDelta {
         this.baseCollection,
         current,
         decrypted || payload,
-        PayloadSource.ConflictData
+        PayloadSource.ConflictData,
+        this.findRelatedPayload(payload.uuid!, PayloadSource.SyncedAncestor),
+        this.conflictResolvers
       );
       const deltaCollection = await delta.resultingCollection();
       const payloads = deltaCollection.all();
@@ -65,7 +65,9 @@ export class DeltaRemoteRetrieved extends PayloadsDelta {
         this.baseCollection,
         current,
         decrypted,
-        PayloadSource.ConflictData
+        PayloadSource.ConflictData,
+        this.findRelatedPayload(conflict.uuid!, PayloadSource.SyncedAncestor),
+        this.conflictResolvers
       );
       const deltaCollection = await delta.resultingCollection();
       const payloads = deltaCollection.all();
@@ -0,0 +1,62 @@
+import { ContentType } from '@Models/content_types';
+import { PurePayload } from '@Payloads/pure_payload';
+import { removeFromArray } from '@Lib/utils';
+
+/**
+ * A function that resolves a conflict between two versions of a payload.
+ * @param base The current local version of the payload.
+ * @param apply The incoming version of the payload, such as from the server or an import.
+ * @param ancestor The last version of the payload known to match the server, if available.
+ * @returns The resulting payloads, which may include the base payload with new values
+ * and any duplicates that should be created, or undefined to defer to the next
+ * registered resolver, and ultimately to the item's built-in conflict strategy.
+ */
+export type ConflictResolver = (
+  base: PurePayload,
+  apply: PurePayload,
+  ancestor?: PurePayload
+) => Promise<PurePayload[] | undefined> | PurePayload[] | undefined
+
+/**
+ * Holds conflict resolvers registered by content type. Registered resolvers are consulted
+ * before the built-in conflict strategies of items, with the most recently registered
+ * resolver for a content type consulted first.
+ */
+export class ConflictResolverRegistry {
+
+  private resolvers: Partial<Record<ContentType, ConflictResolver[]>> = {}
+
+  /**
+   * @returns A function that unregisters the resolver
+   */
+  public register(contentType: ContentType, resolver: ConflictResolver) {
+    let resolvers = this.resolvers[contentType];
+    if (!resolvers) {
+      resolvers = [];
+      this.resolvers[contentType] = resolvers;
+    }
+    resolvers.unshift(resolver);
+    return () => {
+      removeFromArray(resolvers!, resolver);
+    };
+  }
+
+  /**
+   * Returns the payloads resulting from the first registered resolver for the payloads'
+   * content type that resolves the conflict, or undefined if none does.
+   */
+  public async resolve(base: PurePayload, apply: PurePayload, ancestor?: PurePayload) {
+    const resolvers = this.resolvers[base.content_type];
+    if (!resolvers) {
+      return undefined;
+    }
+    /** Copy in case a resolver unregisters itself while resolving */
+    for (const resolver of resolvers.slice()) {
+      const results = await resolver(base, apply, ancestor);
+      if (results) {
+        return results;
+      }
+    }
+    return undefined;
+  }
+}
@@ -3,5 +3,8 @@ export enum ConflictStrategy {
   KeepRight = 2,
   KeepLeftDuplicateRight = 3,
   DuplicateLeftKeepRight = 4,
-  KeepLeftMergeRefs = 5
+  KeepLeftMergeRefs = 5,
+  /** Merges the contents of both sides with the last synced version as the common ancestor.
+   * Falls back to KeepLeftDuplicateRight if the changes cannot be merged. */
+  MergeText = 6
 };
\ No newline at end of file
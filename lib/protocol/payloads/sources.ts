@@ -37,7 +37,10 @@ export enum PayloadSource {
   /** When the payloads are about to sync, they are emitted by the sync service with updated
    * values of lastSyncBegan. Payloads emitted from this source indicate that these payloads
    * have been saved to disk, and are about to be synced */
-  PreSyncSave = 19
+  PreSyncSave = 19,
+  /** The most recent versions of payloads known to match the server, which serve as the
+   * common ancestor when merging conflicting changes */
+  SyncedAncestor = 20
 };
 
 export function isPayloadSourceRetrieved(source: PayloadSource) {
@@ -10,6 +10,7 @@ import * as messages from '@Services/api/messages';
 import { PureService } from '@Services/pure_service';
 import { isObject, isString, joinPaths } from '@Lib/utils';
 import { StorageKey } from '@Lib/storage_keys';
+import { UuidString } from '@Lib/types';
 
 const REQUEST_PATH_KEY_PARAMS = '/auth/params';
 const REQUEST_PATH_REGISTER = '/auth';
@@ -18,6 +19,8 @@ const REQUEST_PATH_CHANGE_PW = '/auth/change_pw';
 const REQUEST_PATH_SYNC = '/items/sync';
 const REQUEST_PATH_LOGOUT = '/auth/sign_out';
 const REQUEST_PATH_SESSION_REFRESH = '/session/refresh';
+const REQUEST_PATH_ITEM_REVISIONS = '/items/:item_id/revisions';
+const REQUEST_PATH_ITEM_REVISION = '/items/:item_id/revisions/:id';
 
 const API_VERSION = '20200115';
 
@@ -275,6 +278,56 @@ export class SNApiService extends PureService {
     return response;
   }
 
+  /**
+   * Lists the revisions the server keeps of an item. The server responds with an array,
+   * which is the response's `data` value, containing the uuid and dates of each
+   * revision, but not its content.
+   */
+  async getItemRevisions(itemId: UuidString) {
+    const url = await this.path(
+      REQUEST_PATH_ITEM_REVISIONS.replace(':item_id', itemId)
+    );
+    return this.getAuthenticated(url, messages.API_MESSAGE_GENERIC_REVISIONS_FAIL);
+  }
+
+  /**
+   * Fetches a revision of an item. The server responds with the revision itself, so the
+   * response's values are those of the revision, with its content encrypted as it was
+   * when the revision was made.
+   */
+  async getRevision(itemId: UuidString, revisionId: UuidString) {
+    const url = await this.path(
+      REQUEST_PATH_ITEM_REVISION
+        .replace(':item_id', itemId)
+        .replace(':id', revisionId)
+    );
+    return this.getAuthenticated(url, messages.API_MESSAGE_GENERIC_REVISIONS_FAIL);
+  }
+
+  private async getAuthenticated(url: string, fallbackErrorMessage: string) {
+    if (this.refreshingSession) {
+      return this.createErrorResponse(messages.API_MESSAGE_TOKEN_REFRESH_IN_PROGRESS);
+    }
+    const params = this.params({});
+    return this.httpService!.getAbsolute(
+      url,
+      params,
+      this.session!.accessToken
+    ).catch(async (errorResponse) => {
+      if (this.httpService!.isErrorResponseExpiredToken(errorResponse)) {
+        return this.refreshSessionThenRetryRequest({
+          verb: HttpVerb.Get,
+          url,
+          params
+        });
+      }
+      return this.errorResponseWithFallbackMessage(
+        errorResponse,
+        fallbackErrorMessage
+      );
+    });
+  }
+
   private async refreshSessionThenRetryRequest(httpRequest: HttpRequest) {
     return this.refreshSession().then((sessionResponse) => {
       if (sessionResponse?.error) {
@@ -1,5 +1,6 @@
 import { PureService } from '@Lib/services/pure_service';
-import { isString, isObject } from '@Lib/utils';
+import { removeFromArray } from '@Lib/utils';
+import { SNXMLHttpRequestTransport } from '@Services/api/http_transports';
 
 export enum HttpVerb {
   Get = 'get',
@@ -10,116 +11,274 @@ export enum HttpVerb {
 export type HttpResponse = {
   status: number
   error?: any
+  /** Response headers, by lowercase name, if the transport provides them */
+  headers?: Record<string, string>
+  /**
+   * The body of the response if it is JSON other than an object, such as an array.
+   * The values of object bodies are instead assigned to the response itself.
+   */
+  data?: any
   [key: string]: any
 }
 
-const REQUEST_READY_STATE_COMPLETED = 4;
+/** Why a request failed without receiving a response */
+export enum HttpErrorTag {
+  /** The server could not be reached */
+  NetworkError = 'network-error',
+  /** The request's timeout passed before a response was received */
+  Timeout = 'request-timeout',
+  /** The request was canceled with its abort signal */
+  Aborted = 'request-aborted'
+}
+
 const HTTP_STATUS_MIN_SUCCESS = 200;
 const HTTP_STATUS_MAX_SUCCESS = 299;
 const HTTP_STATUS_EXPIRED_ACCESS_TOKEN = 498;
+/** The status of responses to requests that did not reach the server */
+const HTTP_STATUS_NO_RESPONSE = 0;
 
 type HttpParams = Record<string, any>
 
+export type HttpRequestOptions = {
+  /**
+   * The number of milliseconds to wait for a response before failing. Overrides the
+   * service's default timeout.
+   */
+  timeout?: number
+  /** Cancels the request when aborted */
+  signal?: AbortSignal
+}
+
 export type HttpRequest = {
   url: string,
   params?: HttpParams,
   verb: HttpVerb,
   authentication?: string
+} & HttpRequestOptions
+
+/** A request as sent by a transport, with its params encoded into the url or body */
+export type HttpTransportRequest = {
+  url: string
+  verb: HttpVerb
+  headers: Record<string, string>
+  body?: string
+  /** Aborted when the request times out or is canceled */
+  signal?: AbortSignal
+}
+
+export type HttpTransportResponse = {
+  status: number
+  body: string
+  /** Response headers, by lowercase name */
+  headers?: Record<string, string>
+}
+
+/**
+ * Sends requests over a platform's networking API. Transports resolve with the response
+ * to a request whatever its status, and reject only if no response was received.
+ */
+export interface HttpTransport {
+  send(request: HttpTransportRequest): Promise<HttpTransportResponse>
 }
 
 /**
- * A non-SNJS specific wrapper for XMLHttpRequests
+ * Runs around each request a transport sends, in the order interceptors are added.
+ * An interceptor may change the request before passing it to `next`, observe or change
+ * the response `next` resolves with, or resolve with a response of its own without
+ * calling `next`, such as to mock a server.
+ */
+export type HttpInterceptor = (
+  request: HttpTransportRequest,
+  next: (request: HttpTransportRequest) => Promise<HttpTransportResponse>
+) => Promise<HttpTransportResponse>
+
+/**
+ * An http service that sends requests through a transport, which defaults to
+ * XMLHttpRequest. Responses with a success status resolve, and all other responses
+ * reject, with the values of a JSON object body merged into the response, and any
+ * other JSON body kept as the response's data. Requests that receive no response
+ * reject with a status of 0, and an error tagged with the reason.
  */
 export class SNHttpService extends PureService {
 
+  private transport: HttpTransport
+  private interceptors: HttpInterceptor[] = []
+  private defaultTimeout?: number
+
+  /**
+   * @param transport Sends requests. Defaults to `SNXMLHttpRequestTransport`.
+   * @param defaultTimeout The number of milliseconds to wait for each response before
+   * failing. Requests do not time out by default.
+   */
+  constructor(transport?: HttpTransport, defaultTimeout?: number) {
+    super();
+    this.transport = transport || new SNXMLHttpRequestTransport();
+    this.defaultTimeout = defaultTimeout;
+  }
+
+  /** @override */
+  deinit() {
+    this.interceptors.length = 0;
+    super.deinit();
+  }
+
+  public setTransport(transport: HttpTransport) {
+    this.transport = transport;
+  }
+
+  public setDefaultTimeout(timeout?: number) {
+    this.defaultTimeout = timeout;
+  }
+
+  /**
+   * Adds an interceptor that runs around each request.
+   * @returns A function that removes the interceptor
+   */
+  public addInterceptor(interceptor: HttpInterceptor) {
+    this.interceptors.push(interceptor);
+    return () => {
+      removeFromArray(this.interceptors, interceptor);
+    };
+  }
+
   public async getAbsolute(
     url: string,
     params?: HttpParams,
-    authentication?: string
+    authentication?: string,
+    options?: HttpRequestOptions
   ): Promise<HttpResponse> {
-    return this.runHttp({ url, params, verb: HttpVerb.Get, authentication });
+    return this.runHttp({ url, params, verb: HttpVerb.Get, authentication, ...options });
   }
 
   public async postAbsolute(
     url: string,
     params?: HttpParams,
-    authentication?: string
+    authentication?: string,
+    options?: HttpRequestOptions
   ): Promise<HttpResponse> {
-    return this.runHttp({ url, params, verb: HttpVerb.Post, authentication });
+    return this.runHttp({ url, params, verb: HttpVerb.Post, authentication, ...options });
   }
 
   public async patchAbsolute(
     url: string,
     params: HttpParams,
-    authentication?: string
+    authentication?: string,
+    options?: HttpRequestOptions
   ): Promise<HttpResponse> {
-    return this.runHttp({ url, params, verb: HttpVerb.Patch, authentication });
+    return this.runHttp({ url, params, verb: HttpVerb.Patch, authentication, ...options });
   }
 
   public async runHttp(httpRequest: HttpRequest): Promise<HttpResponse> {
-    const request = this.createXmlRequest(httpRequest);
-    return this.runRequest(request, httpRequest.verb, httpRequest.params);
+    const transportResponse = await this.send(httpRequest);
+    return this.responseFromTransportResponse(transportResponse);
   }
 
-  private createXmlRequest(httpRequest: HttpRequest) {
-    const request = new XMLHttpRequest();
-    if (
-      httpRequest.params &&
-      httpRequest.verb === HttpVerb.Get
-      && Object.keys(httpRequest.params).length > 0
-    ) {
-      httpRequest.url = this.urlForUrlAndParams(httpRequest.url, httpRequest.params);
+  private createTransportRequest(httpRequest: HttpRequest): HttpTransportRequest {
+    let url = httpRequest.url;
+    let body: string | undefined;
+    if (httpRequest.verb === HttpVerb.Get) {
+      if (httpRequest.params && Object.keys(httpRequest.params).length > 0) {
+        url = this.urlForUrlAndParams(url, httpRequest.params);
+      }
+    } else {
+      body = JSON.stringify(httpRequest.params);
     }
-    request.open(httpRequest.verb, httpRequest.url, true);
-    request.setRequestHeader('Content-type', 'application/json');
+    const headers: Record<string, string> = {
+      'Content-type': 'application/json'
+    };
     if (httpRequest.authentication) {
-      request.setRequestHeader('Authorization', 'Bearer ' + httpRequest.authentication);
+      headers.Authorization = 'Bearer ' + httpRequest.authentication;
     }
-    return request;
+    return { url, verb: httpRequest.verb, headers, body };
   }
 
-  private async runRequest(
-    request: XMLHttpRequest,
-    verb: HttpVerb,
-    params?: HttpParams
-  ): Promise<HttpResponse> {
-    return new Promise((resolve, reject) => {
-      request.onreadystatechange = () => {
-        this.stateChangeHandlerForRequest(request, resolve, reject);
+  /**
+   * Sends a request through the interceptors and transport, failing if it times out
+   * or is aborted before a response is received.
+   */
+  private async send(httpRequest: HttpRequest): Promise<HttpTransportResponse> {
+    const timeout = httpRequest.timeout ?? this.defaultTimeout;
+    const externalSignal = httpRequest.signal;
+    const controller = new AbortController();
+    let failureTag = HttpErrorTag.NetworkError;
+    let timer: any;
+    let cancel: (() => void) | undefined;
+    const canceled = new Promise<never>((resolve, reject) => {
+      cancel = () => {
+        controller.abort();
+        reject(Error(failureTag));
       };
-      if (verb === HttpVerb.Post || verb === HttpVerb.Patch) {
-        request.send(JSON.stringify(params));
+    });
+    const abort = () => {
+      failureTag = HttpErrorTag.Aborted;
+      cancel!();
+    };
+    if (externalSignal) {
+      if (externalSignal.aborted) {
+        abort();
       } else {
-        request.send();
+        externalSignal.addEventListener('abort', abort);
       }
-    });
+    }
+    if (timeout !== undefined && timeout > 0) {
+      timer = setTimeout(() => {
+        failureTag = HttpErrorTag.Timeout;
+        cancel!();
+      }, timeout);
+    }
+    const request = {
+      ...this.createTransportRequest(httpRequest),
+      signal: controller.signal
+    };
+    const interceptors = this.interceptors.slice();
+    const next = (index: number) => (nextRequest: HttpTransportRequest) => {
+      if (index < interceptors.length) {
+        return interceptors[index](nextRequest, next(index + 1));
+      }
+      return this.transport.send(nextRequest);
+    };
+    try {
+      /** Transports that do not support abort signals still fail on time */
+      return await Promise.race([next(0)(request), canceled]);
+    } catch (error) {
+      throw {
+        status: HTTP_STATUS_NO_RESPONSE,
+        error: {
+          status: HTTP_STATUS_NO_RESPONSE,
+          tag: failureTag,
+          message: error?.message
+        }
+      } as HttpResponse;
+    } finally {
+      clearTimeout(timer);
+      externalSignal?.removeEventListener('abort', abort);
+    }
   }
 
-  private stateChangeHandlerForRequest(
-    request: XMLHttpRequest,
-    resolve: any,
-    reject: any
-  ) {
-    if (request.readyState !== REQUEST_READY_STATE_COMPLETED) {
-      return;
-    }
-    const httpStatus = request.status;
-    let response: HttpResponse = {
+  private responseFromTransportResponse(transportResponse: HttpTransportResponse) {
+    const httpStatus = transportResponse.status;
+    const response: HttpResponse = {
       status: httpStatus
-    }
+    };
     try {
-      const body = JSON.parse(request.responseText)
-      Object.assign(response, body);
+      const body = JSON.parse(transportResponse.body);
+      if (body && typeof body === 'object' && !Array.isArray(body)) {
+        Object.assign(response, body);
+      } else {
+        response.data = body;
+      }
     } catch (error) { }
+    if (transportResponse.headers) {
+      response.headers = transportResponse.headers;
+    }
     if ((httpStatus >= HTTP_STATUS_MIN_SUCCESS
       && httpStatus <= HTTP_STATUS_MAX_SUCCESS)) {
-      resolve(response);
-    } else {
-      if (!response.error) {
-        response.error = { status: httpStatus };
-      }
-      reject(response);
+      return response;
+    }
+    if (!response.error) {
+      response.error = { status: httpStatus };
     }
+    throw response;
   }
 
   private urlForUrlAndParams(url: string, params: HttpParams) {
@@ -0,0 +1,171 @@
+import type {
+  HttpTransport,
+  HttpTransportRequest,
+  HttpTransportResponse
+} from '@Services/api/http_service';
+
+function AbortError() {
+  return Error('Network request was aborted');
+}
+
+/**
+ * The default transport, for web browsers and other platforms with XMLHttpRequest.
+ */
+export class SNXMLHttpRequestTransport implements HttpTransport {
+
+  send(request: HttpTransportRequest) {
+    return new Promise<HttpTransportResponse>((resolve, reject) => {
+      if (request.signal?.aborted) {
+        reject(AbortError());
+        return;
+      }
+      const xmlRequest = new XMLHttpRequest();
+      xmlRequest.open(request.verb, request.url, true);
+      for (const name of Object.keys(request.headers)) {
+        xmlRequest.setRequestHeader(name, request.headers[name]);
+      }
+      xmlRequest.onload = () => {
+        resolve({
+          status: xmlRequest.status,
+          body: xmlRequest.responseText,
+          headers: this.parseHeaders(xmlRequest.getAllResponseHeaders())
+        });
+      };
+      xmlRequest.onerror = () => reject(Error('Network request failed'));
+      xmlRequest.onabort = () => reject(AbortError());
+      request.signal?.addEventListener('abort', () => xmlRequest.abort());
+      xmlRequest.send(request.body);
+    });
+  }
+
+  private parseHeaders(rawHeaders: string) {
+    const headers: Record<string, string> = {};
+    for (const line of rawHeaders.split(/\r?\n/)) {
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex > 0) {
+        const name = line.slice(0, separatorIndex).trim().toLowerCase();
+        headers[name] = line.slice(separatorIndex + 1).trim();
+      }
+    }
+    return headers;
+  }
+}
+
+/**
+ * A transport for platforms with `fetch`, such as React Native and Node 18 and later.
+ */
+export class SNFetchHttpTransport implements HttpTransport {
+
+  private fetch: typeof fetch
+
+  /**
+   * @param fetchFunction The fetch implementation to use. Defaults to the global `fetch`.
+   */
+  constructor(fetchFunction?: typeof fetch) {
+    this.fetch = fetchFunction || ((input, init) => fetch(input, init));
+  }
+
+  async send(request: HttpTransportRequest): Promise<HttpTransportResponse> {
+    const response = await this.fetch(request.url, {
+      method: request.verb.toUpperCase(),
+      headers: request.headers,
+      body: request.body,
+      signal: request.signal
+    });
+    const headers: Record<string, string> = {};
+    response.headers.forEach((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+    return {
+      status: response.status,
+      body: await response.text(),
+      headers
+    };
+  }
+}
+
+/**
+ * The parts of Node's `http` and `https` modules the Node transport uses. The modules
+ * are passed in rather than imported so that bundles for other platforms do not
+ * include them.
+ */
+export type NodeHttpModule = {
+  request(url: string, options: {
+    method: string
+    headers: Record<string, string | number>
+  }, callback: (response: NodeHttpIncomingMessage) => void): NodeHttpClientRequest
+}
+
+type NodeHttpIncomingMessage = {
+  statusCode?: number
+  headers: Record<string, string | string[] | undefined>
+  setEncoding(encoding: string): void
+  on(event: 'data', listener: (chunk: string) => void): void
+  on(event: 'end', listener: () => void): void
+  on(event: 'error', listener: (error: Error) => void): void
+}
+
+type NodeHttpClientRequest = {
+  on(event: 'error', listener: (error: Error) => void): void
+  end(body?: string): void
+  destroy(error?: Error): void
+}
+
+/**
+ * A transport for Node that uses its `http` and `https` modules:
+ * `new SNNodeHttpTransport({ http: require('http'), https: require('https') })`
+ */
+export class SNNodeHttpTransport implements HttpTransport {
+
+  private modules: { http: NodeHttpModule, https: NodeHttpModule }
+
+  constructor(modules: { http: NodeHttpModule, https: NodeHttpModule }) {
+    this.modules = modules;
+  }
+
+  send(request: HttpTransportRequest) {
+    return new Promise<HttpTransportResponse>((resolve, reject) => {
+      if (request.signal?.aborted) {
+        reject(AbortError());
+        return;
+      }
+      const module = request.url.startsWith('https:')
+        ? this.modules.https
+        : this.modules.http;
+      const headers: Record<string, string | number> = { ...request.headers };
+      if (request.body !== undefined) {
+        headers['Content-Length'] = new TextEncoder().encode(request.body).length;
+      }
+      const clientRequest = module.request(request.url, {
+        method: request.verb.toUpperCase(),
+        headers
+      }, (response) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => {
+          const responseHeaders: Record<string, string> = {};
+          for (const name of Object.keys(response.headers)) {
+            const value = response.headers[name];
+            if (value !== undefined) {
+              responseHeaders[name] = Array.isArray(value) ? value.join(', ') : value;
+            }
+          }
+          resolve({
+            status: response.statusCode || 0,
+            body,
+            headers: responseHeaders
+          });
+        });
+        response.on('error', reject);
+      });
+      clientRequest.on('error', reject);
+      request.signal?.addEventListener('abort', () => {
+        clientRequest.destroy(AbortError());
+      });
+      clientRequest.end(request.body);
+    });
+  }
+}
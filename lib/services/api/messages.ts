@@ -4,6 +4,7 @@ export const API_MESSAGE_GENERIC_REGISTRATION_FAIL = 'A server error occurred wh
 export const API_MESSAGE_GENERIC_CHANGE_PW_FAIL    = `Something went wrong while changing your password.
                                                       Your password was not changed. Please try again.`;
 export const API_MESSAGE_GENERIC_SYNC_FAIL         = 'Could not connect to server.';
+export const API_MESSAGE_GENERIC_REVISIONS_FAIL    = 'A server error occurred while trying to retrieve revisions. Please try again.';
 
 export const API_MESSAGE_REGISTRATION_IN_PROGRESS  = 'An existing registration request is already in progress.';
 export const API_MESSAGE_LOGIN_IN_PROGRESS         = 'An existing sign in request is already in progress.';
@@ -43,6 +44,12 @@ export const INVALID_PASSWORD_COST                 = `Unable to login due to ins
                                                       more information.`;
 export const INVALID_PASSWORD                      = `Invalid password.`;
 
+export const UNSUPPORTED_BACKUP_FILE_VERSION       = `This backup file was created using a newer version of the application
+                                                      and cannot be imported here. Please update the application and try again.`;
+export const BACKUP_FILE_INTEGRITY_FAILED          = `This backup file appears to be damaged or modified, and was not imported.`;
+export const BACKUP_FILE_DECRYPTION_FAILED         = `Unable to decrypt this backup file. Please check your password and try again.`;
+export const INVALID_NOTE_APP_EXPORT               = `This file could not be read as an export of the selected app, and was not imported.`;
+
 export const OUTDATED_PROTOCOL_ALERT_TITLE         = 'Update Recommended';
 export const OUTDATED_PROTOCOL_ALERT_IGNORE        = 'Sign In';
 export const UPGRADING_ENCRYPTION                  = `Your account's encryption version is being upgraded. Do not close the application until this process completes.`;
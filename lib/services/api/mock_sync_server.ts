@@ -0,0 +1,712 @@
+import { SNPureCrypto } from 'sncrypto/lib/common/pure_crypto';
+import { ApiEndpointParam } from '@Services/api/keys';
+import { removeFromArray } from '@Lib/utils';
+import {
+  HttpRequest,
+  HttpResponse,
+  HttpTransport,
+  HttpTransportRequest,
+  HttpTransportResponse,
+  HttpVerb
+} from '@Services/api/http_service';
+import {
+  RealtimeChannel,
+  RealtimeConnectionHandlers,
+  RealtimeMessageType
+} from '@Services/realtime_service';
+
+const DEFAULT_SYNC_LIMIT = 150;
+const HTTP_STATUS_NO_CONTENT = 204;
+const HTTP_STATUS_BAD_REQUEST = 400;
+const HTTP_STATUS_UNAUTHORIZED = 401;
+const HTTP_STATUS_NOT_FOUND = 404;
+const HTTP_STATUS_EXPIRED_ACCESS_TOKEN = 498;
+
+/** Request params that are not part of an account's key params */
+const NON_KEY_PARAMS = ['email', 'password', ApiEndpointParam.ApiVersion];
+
+export type MockSyncServerOptions = {
+  /**
+   * The number of milliseconds access tokens are valid for, after which requests
+   * made with them fail as expired until the session is refreshed. Access tokens do
+   * not expire by default.
+   */
+  accessTokenLifetime?: number
+  /** The number of milliseconds refresh tokens are valid for. Defaults to a year. */
+  refreshTokenLifetime?: number
+  /** The number of milliseconds to wait before responding to each request */
+  latency?: number
+  /**
+   * Used to compute integrity hashes when clients request them. Without it, sync
+   * responses do not include an integrity hash, so clients skip the integrity check.
+   */
+  crypto?: SNPureCrypto
+}
+
+type MockUser = {
+  uuid: string
+  email: string
+  password: string
+  keyParams: Record<string, any>
+}
+
+type MockSession = {
+  userUuid: string
+  accessToken: string
+  refreshToken: string
+  /** Milliseconds since the epoch, or undefined if the access token does not expire */
+  expireAt?: number
+  validUntil: number
+}
+
+/** An item as the server stores and returns it. Dates are ISO strings, as in JSON. */
+type ServerItem = {
+  uuid: string
+  content_type: string
+  content?: string
+  enc_item_key?: string
+  items_key_id?: string
+  auth_hash?: string
+  deleted: boolean
+  created_at: string
+  updated_at: string
+}
+
+type MockItem = ServerItem & {
+  userUuid: string
+  /** Increases with each save, so that items can be retrieved in the order saved */
+  serial: number
+}
+
+type MockRevision = {
+  uuid: string
+  item_uuid: string
+  content_type: string
+  content?: string
+  enc_item_key?: string
+  items_key_id?: string
+  auth_hash?: string
+  created_at: string
+  updated_at: string
+}
+
+type MockRealtimeConnection = {
+  userUuid: string
+  accessToken: string
+  handlers: RealtimeConnectionHandlers
+}
+
+type Route = {
+  verb: HttpVerb
+  /** The path, with `:name` segments matching any value */
+  path: string
+  handler: (request: MockRequest) => HttpResponse | Promise<HttpResponse>
+}
+
+type MockRequest = {
+  params: Record<string, any>
+  /** The values of the path's `:name` segments */
+  pathParams: Record<string, string>
+  authentication?: string
+}
+
+function ErrorResponse(status: number, message: string, tag?: string): HttpResponse {
+  return { status, error: { message, tag } };
+}
+
+function Copy<T>(value: T): T {
+  return value === undefined ? value : JSON.parse(JSON.stringify(value));
+}
+
+function MatchPath(pattern: string, path: string) {
+  const patternSegments = pattern.split('/').filter((segment) => segment.length > 0);
+  const pathSegments = path.split('/').filter((segment) => segment.length > 0);
+  if (patternSegments.length !== pathSegments.length) {
+    return undefined;
+  }
+  const pathParams: Record<string, string> = {};
+  for (let index = 0; index < patternSegments.length; index++) {
+    const segment = patternSegments[index];
+    if (segment.startsWith(':')) {
+      pathParams[segment.slice(1)] = decodeURIComponent(pathSegments[index]);
+    } else if (segment !== pathSegments[index]) {
+      return undefined;
+    }
+  }
+  return pathParams;
+}
+
+/**
+ * An in-memory stand-in for a Standard Notes sync server, which answers the requests
+ * `SNApiService` makes without a network. It supports registering, signing in,
+ * changing passwords, refreshing and ending sessions, syncing with sync and
+ * pagination tokens, conflicts, and item revisions. Realtime connections, opened with
+ * `SNMockRealtimeChannel`, are notified when other sessions of their account save items.
+ * Like a real server, it stores items as clients send them, without decrypting them.
+ * Requests for any host are answered, so applications may use any host.
+ * Use `SNMockServerTransport` to have an application send its requests to the server.
+ */
+export class SNMockSyncServer {
+
+  private options: MockSyncServerOptions
+  private users: MockUser[] = []
+  private sessions: MockSession[] = []
+  private items: Record<string, MockItem> = {}
+  private revisions: Record<string, MockRevision[]> = {}
+  private realtimeConnections: MockRealtimeConnection[] = []
+  private serial = 0
+  private idCounter = 0
+  private routes: Route[]
+
+  constructor(options: MockSyncServerOptions = {}) {
+    this.options = options;
+    this.routes = [
+      { verb: HttpVerb.Get, path: '/auth/params', handler: this.keyParams },
+      { verb: HttpVerb.Post, path: '/auth', handler: this.register },
+      { verb: HttpVerb.Post, path: '/auth/sign_in', handler: this.signIn },
+      { verb: HttpVerb.Post, path: '/auth/change_pw', handler: this.changePassword },
+      { verb: HttpVerb.Post, path: '/auth/sign_out', handler: this.signOut },
+      { verb: HttpVerb.Post, path: '/session/refresh', handler: this.refreshSession },
+      { verb: HttpVerb.Post, path: '/items/sync', handler: this.sync },
+      { verb: HttpVerb.Get, path: '/items/:item_id/revisions', handler: this.listRevisions },
+      { verb: HttpVerb.Get, path: '/items/:item_id/revisions/:id', handler: this.getRevision }
+    ];
+  }
+
+  /**
+   * Opens a realtime connection for the session of an access token. The connection
+   * receives an items changed message whenever another session of the account saves
+   * items. Connections with invalid tokens are closed with an error.
+   * @returns A function that closes the connection
+   */
+  public openRealtimeConnection(accessToken: string, handlers: RealtimeConnectionHandlers) {
+    const session = this.sessions.find((candidate) => {
+      return candidate.accessToken === accessToken;
+    });
+    if (!session) {
+      this.deliver(() => handlers.onClose(Error('Invalid login credentials.')));
+      return () => undefined;
+    }
+    const connection = { userUuid: session.userUuid, accessToken, handlers };
+    this.realtimeConnections.push(connection);
+    this.deliver(() => handlers.onOpen());
+    return () => {
+      removeFromArray(this.realtimeConnections, connection);
+    };
+  }
+
+  /** Closes all realtime connections with an error, as if the server had restarted */
+  public dropRealtimeConnections() {
+    const connections = this.realtimeConnections;
+    this.realtimeConnections = [];
+    for (const connection of connections) {
+      this.deliver(() => connection.handlers.onClose(Error('The connection was lost')));
+    }
+  }
+
+  /** The number of open realtime connections */
+  public get realtimeConnectionCount() {
+    return this.realtimeConnections.length;
+  }
+
+  /** Calls back asynchronously, as a connection over a network would */
+  private deliver(callback: () => void) {
+    setTimeout(callback, this.options.latency || 0);
+  }
+
+  private notifyItemsChanged(userUuid: string, exceptAccessToken?: string) {
+    const message = JSON.stringify({ type: RealtimeMessageType.ItemsChanged });
+    for (const connection of this.realtimeConnections) {
+      if (connection.userUuid === userUuid && connection.accessToken !== exceptAccessToken) {
+        this.deliver(() => {
+          if (this.realtimeConnections.includes(connection)) {
+            connection.handlers.onMessage(message);
+          }
+        });
+      }
+    }
+  }
+
+  /** Removes all accounts, sessions, and items */
+  public reset() {
+    this.users = [];
+    this.sessions = [];
+    this.items = {};
+    this.revisions = {};
+    this.dropRealtimeConnections();
+  }
+
+  /** @returns Copies of the items stored for an account, including deleted items */
+  public itemsForEmail(email: string): ServerItem[] {
+    const user = this.userForEmail(email);
+    if (!user) {
+      return [];
+    }
+    return Object.values(this.items)
+      .filter((item) => item.userUuid === user.uuid)
+      .sort((a, b) => a.serial - b.serial)
+      .map((item) => this.itemResponse(item));
+  }
+
+  /**
+   * Answers a request as a sync server would. Never rejects: errors are returned as
+   * responses with an error status.
+   */
+  public async handleRequest(httpRequest: HttpRequest): Promise<HttpResponse> {
+    if (this.options.latency) {
+      await new Promise((resolve) => setTimeout(resolve, this.options.latency));
+    } else {
+      await Promise.resolve();
+    }
+    const url = new URL(httpRequest.url);
+    /** As over a network, neither side keeps references to the other's objects */
+    const params: Record<string, any> = Copy(httpRequest.params) || {};
+    url.searchParams.forEach((value, key) => {
+      params[key] = value;
+    });
+    for (const route of this.routes) {
+      if (route.verb !== httpRequest.verb) {
+        continue;
+      }
+      const pathParams = MatchPath(route.path, url.pathname);
+      if (pathParams) {
+        const response = await route.handler({
+          params,
+          pathParams,
+          authentication: httpRequest.authentication
+        });
+        return Copy(response);
+      }
+    }
+    return ErrorResponse(HTTP_STATUS_NOT_FOUND, `No route for ${url.pathname}`);
+  }
+
+  private generateId() {
+    this.idCounter++;
+    return `${Date.now().toString(36)}-${this.idCounter}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  private userForEmail(email?: string) {
+    if (!email) {
+      return undefined;
+    }
+    const normalized = email.trim().toLowerCase();
+    return this.users.find((user) => user.email === normalized);
+  }
+
+  private userResponse(user: MockUser) {
+    return { uuid: user.uuid, email: user.email };
+  }
+
+  private createSession(user: MockUser) {
+    const now = Date.now();
+    const session: MockSession = {
+      userUuid: user.uuid,
+      accessToken: this.generateId(),
+      refreshToken: this.generateId(),
+      expireAt: this.options.accessTokenLifetime
+        ? now + this.options.accessTokenLifetime
+        : undefined,
+      validUntil: now + (this.options.refreshTokenLifetime || 365 * 24 * 60 * 60 * 1000)
+    };
+    this.sessions.push(session);
+    return session;
+  }
+
+  private sessionResponse(session: MockSession) {
+    return {
+      token: session.accessToken,
+      session: {
+        expire_at: session.expireAt,
+        refresh_token: session.refreshToken,
+        valid_until: session.validUntil
+      }
+    };
+  }
+
+  /**
+   * @returns The user of the request's access token, or an error response if the
+   * token is not valid.
+   */
+  private authenticate(request: MockRequest): { user?: MockUser, error?: HttpResponse } {
+    const session = this.sessions.find((candidate) => {
+      return candidate.accessToken === request.authentication;
+    });
+    const user = session && this.users.find((candidate) => {
+      return candidate.uuid === session.userUuid;
+    });
+    if (!session || !user) {
+      return {
+        error: ErrorResponse(
+          HTTP_STATUS_UNAUTHORIZED,
+          'Invalid login credentials.',
+          'invalid-auth'
+        )
+      };
+    }
+    if (session.expireAt !== undefined && session.expireAt < Date.now()) {
+      return {
+        error: ErrorResponse(
+          HTTP_STATUS_EXPIRED_ACCESS_TOKEN,
+          'The provided access token has expired.',
+          'expired-access-token'
+        )
+      };
+    }
+    return { user };
+  }
+
+  private keyParamsForRequest(params: Record<string, any>, excluded: string[]) {
+    const keyParams: Record<string, any> = {};
+    for (const key of Object.keys(params)) {
+      if (!excluded.includes(key)) {
+        keyParams[key] = params[key];
+      }
+    }
+    return keyParams;
+  }
+
+  private keyParams = (request: MockRequest) => {
+    const user = this.userForEmail(request.params.email);
+    if (!user) {
+      return ErrorResponse(
+        HTTP_STATUS_NOT_FOUND,
+        'No account was found with that email address.'
+      );
+    }
+    return { status: 200, ...user.keyParams };
+  }
+
+  private register = (request: MockRequest) => {
+    const { email, password } = request.params;
+    if (!email || !password) {
+      return ErrorResponse(HTTP_STATUS_BAD_REQUEST, 'Please provide an email and password.');
+    }
+    if (this.userForEmail(email)) {
+      return ErrorResponse(HTTP_STATUS_UNAUTHORIZED, 'This email is already registered.');
+    }
+    const user: MockUser = {
+      uuid: this.generateId(),
+      email: email.trim().toLowerCase(),
+      password,
+      keyParams: this.keyParamsForRequest(request.params, NON_KEY_PARAMS)
+    };
+    this.users.push(user);
+    return {
+      status: 200,
+      user: this.userResponse(user),
+      ...this.sessionResponse(this.createSession(user))
+    };
+  }
+
+  private signIn = (request: MockRequest) => {
+    const user = this.userForEmail(request.params.email);
+    if (!user || user.password !== request.params.password) {
+      return ErrorResponse(HTTP_STATUS_UNAUTHORIZED, 'Invalid email or password.');
+    }
+    return {
+      status: 200,
+      user: this.userResponse(user),
+      ...this.sessionResponse(this.createSession(user))
+    };
+  }
+
+  private changePassword = (request: MockRequest) => {
+    const { user, error } = this.authenticate(request);
+    if (error) {
+      return error;
+    }
+    const { current_password, new_password } = request.params;
+    if (user!.password !== current_password) {
+      return ErrorResponse(
+        HTTP_STATUS_UNAUTHORIZED,
+        'The current password you entered is incorrect. Please try again.'
+      );
+    }
+    if (!new_password) {
+      return ErrorResponse(HTTP_STATUS_BAD_REQUEST, 'Please provide a new password.');
+    }
+    user!.password = new_password;
+    user!.keyParams = this.keyParamsForRequest(
+      request.params,
+      NON_KEY_PARAMS.concat(['current_password', 'new_password'])
+    );
+    return {
+      status: 200,
+      user: this.userResponse(user!),
+      ...this.sessionResponse(this.createSession(user!))
+    };
+  }
+
+  private signOut = (request: MockRequest) => {
+    this.sessions = this.sessions.filter((session) => {
+      return session.accessToken !== request.authentication;
+    });
+    this.realtimeConnections = this.realtimeConnections.filter((connection) => {
+      return connection.accessToken !== request.authentication;
+    });
+    return { status: HTTP_STATUS_NO_CONTENT };
+  }
+
+  private refreshSession = (request: MockRequest) => {
+    const { access_token, refresh_token } = request.params;
+    const session = this.sessions.find((candidate) => {
+      return candidate.accessToken === access_token &&
+        candidate.refreshToken === refresh_token;
+    });
+    if (!session || session.validUntil < Date.now()) {
+      return ErrorResponse(
+        HTTP_STATUS_BAD_REQUEST,
+        'The session could not be refreshed. Please sign in again.',
+        'invalid-refresh-token'
+      );
+    }
+    const user = this.users.find((candidate) => candidate.uuid === session.userUuid)!;
+    this.sessions = this.sessions.filter((candidate) => candidate !== session);
+    return {
+      status: 200,
+      user: this.userResponse(user),
+      ...this.sessionResponse(this.createSession(user))
+    };
+  }
+
+  /** An item as the server returns it, without its server-only fields */
+  private itemResponse(item: MockItem): ServerItem {
+    const { userUuid, serial, ...response } = item;
+    return response;
+  }
+
+  /**
+   * Saves an item sent by a client, unless it conflicts with the server's copy. An
+   * item conflicts if the client's copy was not last updated when the server's was,
+   * which means the client has not yet retrieved the latest changes.
+   * @returns The conflict, if the item was not saved
+   */
+  private saveItem(user: MockUser, incoming: Record<string, any>) {
+    const existing = this.items[incoming.uuid];
+    if (existing && existing.userUuid !== user.uuid) {
+      return { type: 'uuid_conflict', unsaved_item: incoming };
+    }
+    if (existing) {
+      const incomingUpdatedAt = incoming.updated_at
+        ? new Date(incoming.updated_at).getTime()
+        : 0;
+      const existingUpdatedAt = new Date(existing.updated_at).getTime();
+      if (incomingUpdatedAt !== existingUpdatedAt) {
+        return { type: 'sync_conflict', server_item: this.itemResponse(existing) };
+      }
+    }
+    /** Each save of an item must change its date, so that outdated copies conflict */
+    const now = new Date(Math.max(
+      Date.now(),
+      existing ? new Date(existing.updated_at).getTime() + 1 : 0
+    )).toISOString();
+    const deleted = !!incoming.deleted;
+    const item: MockItem = {
+      uuid: incoming.uuid,
+      content_type: incoming.content_type,
+      content: deleted ? undefined : incoming.content,
+      enc_item_key: deleted ? undefined : incoming.enc_item_key,
+      items_key_id: deleted ? undefined : incoming.items_key_id,
+      auth_hash: deleted ? undefined : incoming.auth_hash,
+      deleted,
+      created_at: existing ? existing.created_at : (incoming.created_at || now),
+      updated_at: now,
+      userUuid: user.uuid,
+      serial: ++this.serial
+    };
+    this.items[item.uuid] = item;
+    if (!deleted && item.content) {
+      this.addRevision(item);
+    }
+    return undefined;
+  }
+
+  private addRevision(item: MockItem) {
+    const revisions = this.revisions[item.uuid] || (this.revisions[item.uuid] = []);
+    revisions.push({
+      uuid: this.generateId(),
+      item_uuid: item.uuid,
+      content_type: item.content_type,
+      content: item.content,
+      enc_item_key: item.enc_item_key,
+      items_key_id: item.items_key_id,
+      auth_hash: item.auth_hash,
+      created_at: item.updated_at,
+      updated_at: item.updated_at
+    });
+  }
+
+  /**
+   * Saves the items a client sends, and returns the items saved by other clients since
+   * the client's sync token. When there are more such items than the client's limit,
+   * the response includes a pagination token, which the client sends to retrieve the
+   * next page.
+   * Tokens are the serial number of the latest save they include.
+   */
+  private sync = async (request: MockRequest) => {
+    const { user, error } = this.authenticate(request);
+    if (error) {
+      return error;
+    }
+    const params = request.params;
+    const savedItems: Partial<ServerItem>[] = [];
+    const savedUuids: string[] = [];
+    const conflicts: any[] = [];
+    for (const incoming of params[ApiEndpointParam.SyncPayloads] || []) {
+      const conflict = this.saveItem(user!, incoming);
+      if (conflict) {
+        conflicts.push(conflict);
+      } else {
+        const saved = this.items[incoming.uuid];
+        savedUuids.push(saved.uuid);
+        savedItems.push({
+          uuid: saved.uuid,
+          content_type: saved.content_type,
+          created_at: saved.created_at,
+          updated_at: saved.updated_at,
+          deleted: saved.deleted
+        });
+      }
+    }
+
+    if (savedUuids.length > 0) {
+      this.notifyItemsChanged(user!.uuid, request.authentication);
+    }
+
+    const paginationToken = params[ApiEndpointParam.PaginationToken];
+    const syncToken = params[ApiEndpointParam.LastSyncToken];
+    const since = parseInt(paginationToken || syncToken || '0', 10) || 0;
+    const limit = parseInt(params[ApiEndpointParam.SyncDlLimit], 10) || DEFAULT_SYNC_LIMIT;
+    const contentType = params.content_type;
+    const candidates = Object.values(this.items)
+      .filter((item) => {
+        return item.userUuid === user!.uuid &&
+          item.serial > since &&
+          !savedUuids.includes(item.uuid) &&
+          (!contentType || item.content_type === contentType);
+      })
+      .sort((a, b) => a.serial - b.serial);
+    const page = candidates.slice(0, limit);
+    const hasMore = candidates.length > limit;
+
+    const response: HttpResponse = {
+      status: 200,
+      retrieved_items: page.map((item) => this.itemResponse(item)),
+      saved_items: savedItems,
+      conflicts,
+      [ApiEndpointParam.LastSyncToken]: `${this.serial}`
+    };
+    if (hasMore) {
+      response[ApiEndpointParam.PaginationToken] = `${page[page.length - 1].serial}`;
+    }
+    if (params[ApiEndpointParam.IntegrityCheck] && this.options.crypto) {
+      response[ApiEndpointParam.IntegrityResult] = await this.integrityHash(user!);
+    }
+    return response;
+  }
+
+  /** Computed as clients compute it, from the dates their items were last updated */
+  private async integrityHash(user: MockUser) {
+    const dates = Object.values(this.items)
+      .filter((item) => item.userUuid === user.uuid && !item.deleted)
+      .map((item) => new Date(item.updated_at).getTime())
+      .sort((a, b) => b - a);
+    return this.options.crypto!.sha256(dates.join(','));
+  }
+
+  private listRevisions = (request: MockRequest) => {
+    const { user, error } = this.authenticate(request);
+    if (error) {
+      return error;
+    }
+    const itemUuid = request.pathParams.item_id;
+    const item = this.items[itemUuid];
+    if (!item || item.userUuid !== user!.uuid) {
+      return ErrorResponse(HTTP_STATUS_NOT_FOUND, 'Item not found.');
+    }
+    return {
+      status: 200,
+      data: (this.revisions[itemUuid] || []).map((revision) => {
+        return {
+          uuid: revision.uuid,
+          content_type: revision.content_type,
+          created_at: revision.created_at,
+          updated_at: revision.updated_at
+        };
+      })
+    };
+  }
+
+  private getRevision = (request: MockRequest) => {
+    const { user, error } = this.authenticate(request);
+    if (error) {
+      return error;
+    }
+    const itemUuid = request.pathParams.item_id;
+    const item = this.items[itemUuid];
+    const revision = item && item.userUuid === user!.uuid
+      ? (this.revisions[itemUuid] || []).find((candidate) => {
+        return candidate.uuid === request.pathParams.id;
+      })
+      : undefined;
+    if (!revision) {
+      return ErrorResponse(HTTP_STATUS_NOT_FOUND, 'Revision not found.');
+    }
+    return { status: 200, ...revision };
+  }
+}
+
+/**
+ * A transport that sends requests to a mock sync server rather than over the network,
+ * for use as the `httpTransport` of an `SNApplication` or `SNHttpService`.
+ */
+export class SNMockServerTransport implements HttpTransport {
+
+  private server: SNMockSyncServer
+
+  constructor(server: SNMockSyncServer) {
+    this.server = server;
+  }
+
+  async send(request: HttpTransportRequest): Promise<HttpTransportResponse> {
+    if (request.signal?.aborted) {
+      throw Error('Network request was aborted');
+    }
+    const authorization = request.headers.Authorization;
+    /** Responses with `data` have a body other than an object, as in `HttpResponse` */
+    const { status, data, ...body } = await this.server.handleRequest({
+      url: request.url,
+      verb: request.verb,
+      params: request.body ? JSON.parse(request.body) : undefined,
+      authentication: authorization
+        ? authorization.replace(/^Bearer /, '')
+        : undefined
+    });
+    return {
+      status,
+      body: JSON.stringify(data !== undefined ? data : body),
+      headers: { 'content-type': 'application/json' }
+    };
+  }
+}
+
+/**
+ * A realtime channel that connects to a mock sync server rather than over the network,
+ * for use with `SNRealtimeService`. The url's `access_token` parameter identifies the
+ * session; the rest of the url is ignored.
+ */
+export class SNMockRealtimeChannel implements RealtimeChannel {
+
+  private server: SNMockSyncServer
+
+  constructor(server: SNMockSyncServer) {
+    this.server = server;
+  }
+
+  connect(url: string, handlers: RealtimeConnectionHandlers) {
+    const accessToken = new URL(url).searchParams.get('access_token') || '';
+    const close = this.server.openRealtimeConnection(accessToken, handlers);
+    return { close };
+  }
+}
@@ -0,0 +1,250 @@
+import { PureService } from '@Lib/services/pure_service';
+import { SNProtocolService } from '@Services/protocol_service';
+import { SNStorageService } from '@Services/storage_service';
+import { DeviceInterface } from '@Lib/device_interface';
+import { ApplicationStage } from '@Lib/stages';
+import { StorageKey } from '@Lib/storage_keys';
+import { EncryptionIntent } from '@Protocol/intents';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/** How often to check whether a scheduled backup is due */
+const SCHEDULE_CHECK_INTERVAL = MINUTE;
+/** Automatic backups are named with this prefix, so that only they are rotated */
+const BACKUP_FILE_PREFIX = 'backup-';
+const BACKUP_FILE_EXTENSION = '.json';
+
+export enum BackupEvent {
+  BackupSucceeded = 'backup-succeeded',
+  BackupFailed = 'backup-failed'
+}
+
+export type BackupSchedule = {
+  /** The minimum time, in milliseconds, between automatic backups */
+  interval: number
+  /** The number of automatic backups to keep. Older backups are removed. */
+  retentionCount: number
+  /**
+   * Whether backups are encrypted with the account's keys when they are available.
+   * Defaults to true.
+   */
+  encrypted?: boolean
+}
+
+/** Backs up once a day, and keeps the latest week of backups */
+export const DefaultBackupSchedule: BackupSchedule = {
+  interval: DAY,
+  retentionCount: 7
+};
+
+export type BackupStatus = {
+  lastSuccessDate?: Date
+  /** The name of the latest successful backup's file */
+  lastSuccessName?: string
+  lastFailureDate?: Date
+  /** The reason the latest failed backup failed */
+  lastFailureError?: string
+}
+
+export type BackupResult = {
+  /** The name of the saved backup file, if the backup succeeded */
+  name?: string
+  error?: string
+}
+
+function BackupFileName(date: Date) {
+  /** ISO dates sort chronologically. Colons are not allowed in file names on all
+   * platforms. */
+  return BACKUP_FILE_PREFIX + date.toISOString().replace(/:/g, '-') + BACKUP_FILE_EXTENSION;
+}
+
+function StatusFromStorage(value?: Record<string, any>): BackupStatus {
+  const status: BackupStatus = { ...value };
+  if (value?.lastSuccessDate) {
+    status.lastSuccessDate = new Date(value.lastSuccessDate);
+  }
+  if (value?.lastFailureDate) {
+    status.lastFailureDate = new Date(value.lastFailureDate);
+  }
+  return status;
+}
+
+/**
+ * The backup service makes automatic backups of all items on a schedule. Backups are
+ * created with `createBackupFile`, and saved by the device interface's
+ * `saveBackupFile`. Once a backup is saved, the oldest automatic backups beyond the
+ * schedule's retention count are removed.
+ * There is no schedule by default, so no automatic backups are made until one is set.
+ */
+export class SNBackupService extends PureService {
+
+  private protocolService?: SNProtocolService
+  private storageService?: SNStorageService
+  private schedule?: BackupSchedule
+  private status: BackupStatus = {}
+  private scheduleCheckInterval: any
+  private backupInProgress?: Promise<BackupResult>
+
+  constructor(
+    protocolService: SNProtocolService,
+    storageService: SNStorageService,
+    deviceInterface: DeviceInterface
+  ) {
+    super();
+    this.protocolService = protocolService;
+    this.storageService = storageService;
+    this.deviceInterface = deviceInterface;
+  }
+
+  public deinit() {
+    clearInterval(this.scheduleCheckInterval);
+    this.protocolService = undefined;
+    this.storageService = undefined;
+    super.deinit();
+  }
+
+  async handleApplicationStage(stage: ApplicationStage) {
+    await super.handleApplicationStage(stage);
+    if (stage === ApplicationStage.LoadedDatabase_12) {
+      await this.initializeFromDisk();
+      this.beginScheduleChecks();
+    }
+  }
+
+  async initializeFromDisk() {
+    this.schedule = await this.storageService!.getValue(StorageKey.BackupSchedule);
+    this.status = StatusFromStorage(
+      await this.storageService!.getValue(StorageKey.BackupStatus)
+    );
+  }
+
+  private beginScheduleChecks() {
+    clearInterval(this.scheduleCheckInterval);
+    this.scheduleCheckInterval = this.deviceInterface!.interval(() => {
+      this.backUpIfDue();
+    }, SCHEDULE_CHECK_INTERVAL);
+  }
+
+  public getSchedule() {
+    return this.schedule;
+  }
+
+  /**
+   * Sets the schedule of automatic backups. Pass undefined to stop making automatic
+   * backups. Existing backups are kept.
+   * Changing the schedule is protected by `ProtectedAction.ManageBackups`, which
+   * callers should verify beforehand.
+   */
+  public async setSchedule(schedule?: BackupSchedule) {
+    this.schedule = schedule;
+    if (schedule) {
+      await this.storageService!.setValue(StorageKey.BackupSchedule, schedule);
+    } else {
+      await this.storageService!.removeValue(StorageKey.BackupSchedule);
+    }
+  }
+
+  public getStatus(): BackupStatus {
+    return { ...this.status };
+  }
+
+  /**
+   * Whether an automatic backup is due, which is when the schedule's interval has
+   * passed since the latest backup, whether it succeeded or failed.
+   */
+  public isBackupDue(now = new Date()) {
+    if (!this.schedule || this.schedule.interval <= 0) {
+      return false;
+    }
+    const attemptDates = [this.status.lastSuccessDate, this.status.lastFailureDate]
+      .filter((date) => !!date) as Date[];
+    if (attemptDates.length === 0) {
+      return true;
+    }
+    const lastAttempt = Math.max(...attemptDates.map((date) => date.getTime()));
+    return now.getTime() - lastAttempt >= this.schedule.interval;
+  }
+
+  /**
+   * Makes a backup if one is due according to the schedule.
+   * @returns The backup's result, or undefined if no backup was due.
+   */
+  public async backUpIfDue(now = new Date()) {
+    if (!this.isBackupDue(now)) {
+      return undefined;
+    }
+    return this.performBackup();
+  }
+
+  /**
+   * Makes a backup now, regardless of the schedule, and removes the oldest backups
+   * beyond the schedule's retention count. If a backup is already in progress, its
+   * result is returned instead.
+   */
+  public async performBackup(): Promise<BackupResult> {
+    if (!this.backupInProgress) {
+      this.backupInProgress = this.backUp().finally(() => {
+        this.backupInProgress = undefined;
+      });
+    }
+    return this.backupInProgress;
+  }
+
+  private async backUp(): Promise<BackupResult> {
+    const date = new Date();
+    const name = BackupFileName(date);
+    const intent = this.schedule?.encrypted === false
+      ? EncryptionIntent.FileDecrypted
+      : EncryptionIntent.FilePreferEncrypted;
+    try {
+      const data = await this.protocolService!.createBackupFile(undefined, intent);
+      await this.deviceInterface!.saveBackupFile(name, data!);
+    } catch (error) {
+      const message = error?.message || String(error);
+      this.status = {
+        ...this.status,
+        lastFailureDate: date,
+        lastFailureError: message
+      };
+      await this.saveStatus();
+      await this.notifyEvent(BackupEvent.BackupFailed, this.getStatus());
+      return { error: message };
+    }
+    this.status = {
+      ...this.status,
+      lastSuccessDate: date,
+      lastSuccessName: name
+    };
+    await this.saveStatus();
+    if (this.schedule) {
+      await this.rotateBackups(this.schedule.retentionCount, name);
+    }
+    await this.notifyEvent(BackupEvent.BackupSucceeded, this.getStatus());
+    return { name };
+  }
+
+  private async saveStatus() {
+    await this.storageService!.setValue(StorageKey.BackupStatus, this.status);
+  }
+
+  /**
+   * Removes the oldest automatic backups, keeping `retentionCount` backups. The backup
+   * just made is always kept. Failing to remove a backup does not fail the backup.
+   */
+  private async rotateBackups(retentionCount: number, latestName: string) {
+    try {
+      const names = (await this.deviceInterface!.getBackupFileNames())
+        .filter((name) => name.startsWith(BACKUP_FILE_PREFIX) && name !== latestName)
+        .sort()
+        .reverse();
+      const expired = names.slice(Math.max(0, retentionCount - 1));
+      for (const name of expired) {
+        await this.deviceInterface!.removeBackupFile(name);
+      }
+    } catch (error) {
+      this.log('Unable to remove expired backups', error);
+    }
+  }
+}
@@ -27,6 +27,7 @@ import {
 } from '@Lib/utils';
 import { Platform, Environment, platformToString, environmentToString } from '@Lib/platforms';
 import { UuidString } from '../types';
+import { ContentDifference, ContentDifferences } from '@Models/core/conflicts';
 
 const DESKTOP_URL_PREFIX = 'sn://';
 const LOCAL_HOST = 'localhost';
@@ -81,6 +82,7 @@ type MessageReplyData = {
   item?: any
   items?: any[]
   themes?: string[]
+  conflicts?: { uuid: UuidString, differences: ContentDifference[] }[]
 }
 
 type MessageReply = {
@@ -651,6 +653,8 @@ export class SNComponentManager extends PureService {
       this.handleInstallLocalComponentMessage(component, message);
     } else if (message.action === ComponentAction.DuplicateItem) {
       this.handleDuplicateItemMessage(component, message);
+    } else if (message.action === ComponentAction.PresentConflictResolution) {
+      this.handlePresentConflictResolutionMessage(component, message);
     }
     for (const handler of this.handlers) {
       if (handler.actionHandler && (
@@ -891,6 +895,68 @@ export class SNComponentManager extends PureService {
     });
   }
 
+  /**
+   * Replies with the conflicted copies of the item and how they differ from it.
+   * If the message includes the uuid of the version to keep as `choice`, or merged
+   * `content`, the conflict is resolved instead, and the reply includes the resolved item.
+   */
+  handlePresentConflictResolutionMessage(component: SNComponent, message: ComponentMessage) {
+    const itemParams = message.data.item;
+    const item = this.itemManager!.findItem(itemParams.uuid);
+    if (!item) {
+      this.alertService!.alert('The item you are trying to resolve cannot be found.');
+      return;
+    }
+    /** The message may reference a conflicted copy rather than the original */
+    const original = (item.conflictOf && this.itemManager!.findItem(item.conflictOf)) || item;
+    const requiredPermissions = [
+      {
+        name: ComponentAction.StreamItems,
+        content_types: [original.content_type!]
+      }
+    ];
+    this.runWithPermissions(component.uuid, requiredPermissions, async () => {
+      const resolution = message.data.choice || message.data.content;
+      if (!resolution) {
+        const conflicts = this.itemManager!.conflictsOf(original.uuid);
+        this.replyToMessage(component, message, {
+          item: this.jsonForItem(original, component),
+          items: conflicts.map((conflict) => this.jsonForItem(conflict, component)),
+          conflicts: conflicts.map((conflict) => {
+            return {
+              uuid: conflict.uuid,
+              differences: ContentDifferences(original, conflict)
+            };
+          })
+        });
+        return;
+      }
+      if (this.getReadonlyStateForComponent(component).readonly) {
+        this.alertService!.alert(
+          `The extension ${component.name} is trying to save, but it is in a locked state and cannot accept changes.`
+        );
+        return;
+      }
+      if (message.data.content) {
+        this.removePrivatePropertiesFromResponseItems(
+          [{ content: message.data.content }],
+          component
+        );
+      }
+      try {
+        const resolved = await this.itemManager!.resolveConflict(original.uuid, resolution);
+        this.syncService!.sync();
+        this.replyToMessage(
+          component,
+          message,
+          { item: this.jsonForItem(resolved, component) }
+        );
+      } catch (error) {
+        this.replyToMessage(component, message, { error: error.message });
+      }
+    });
+  }
+
   handleCreateItemsMessage(component: SNComponent, message: ComponentMessage) {
     const responseItems = message.data.item ? [message.data.item] : message.data.items;
     const uniqueContentTypes = uniq(
@@ -0,0 +1,68 @@
+import { ConvertedNote } from '@Services/converters/notes';
+import { DecodeHtmlEntities, HtmlToMarkdown } from '@Services/converters/html';
+
+const CDATA_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+/** Stands in for a CDATA section while the document is parsed, as `\u0000index\u0000` */
+const CDATA_PLACEHOLDER_PATTERN = /\u0000(\d+)\u0000/g;
+const NOTE_PATTERN = /<note(?:\s[^>]*)?>([\s\S]*?)<\/note>/g;
+/** Evernote dates are in the compact ISO 8601 form `20200131T235959Z` */
+const ENEX_DATE_PATTERN = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/;
+
+function ElementTexts(xml: string, name: string, cdata: string[]) {
+  const pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'g');
+  const texts: string[] = [];
+  let match;
+  while ((match = pattern.exec(xml))) {
+    /** Text outside CDATA is entity encoded, while CDATA contents are not */
+    const text = match[1]
+      .split(CDATA_PLACEHOLDER_PATTERN)
+      .map((part, index) => {
+        return index % 2 === 1 ? cdata[Number(part)] : DecodeHtmlEntities(part);
+      })
+      .join('');
+    texts.push(text);
+  }
+  return texts;
+}
+
+function ParseEnexDate(value?: string) {
+  const match = value && value.trim().match(ENEX_DATE_PATTERN);
+  if (!match) {
+    return undefined;
+  }
+  const [year, month, day, hours, minutes, seconds] = match.slice(1).map(Number);
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * Reads the notes of an Evernote export (`.enex`) file. Each note's ENML content is
+ * converted to markdown, or to plain text if `plainText` is true. Attachments are not
+ * imported.
+ * Throws if the file is not an Evernote export.
+ */
+export function ConvertedNotesFromEnex(xml: string, plainText = false) {
+  const cdata: string[] = [];
+  const document = xml.replace(CDATA_PATTERN, (_, contents: string) => {
+    cdata.push(contents);
+    return `\u0000${cdata.length - 1}\u0000`;
+  });
+  if (!/<en-export[\s>]/.test(document)) {
+    throw Error('Not an Evernote export');
+  }
+  const notes: ConvertedNote[] = [];
+  NOTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = NOTE_PATTERN.exec(document))) {
+    /** Attachments hold their own elements, such as titles, which are not the note's */
+    const noteXml = match[1].replace(/<resource[\s>][\s\S]*?<\/resource>/g, '');
+    const text = (tag: string) => ElementTexts(noteXml, tag, cdata)[0];
+    notes.push({
+      title: (text('title') || '').trim(),
+      text: HtmlToMarkdown(text('content') || '', { plainText }),
+      tags: ElementTexts(noteXml, 'tag', cdata),
+      createdAt: ParseEnexDate(text('created')),
+      updatedAt: ParseEnexDate(text('updated'))
+    });
+  }
+  return notes;
+}
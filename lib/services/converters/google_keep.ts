@@ -0,0 +1,61 @@
+import { ConvertedNote } from '@Services/converters/notes';
+
+/** A note as exported by Google Takeout, one per JSON file */
+type KeepNote = {
+  title?: string
+  textContent?: string
+  listContent?: { text?: string, isChecked?: boolean }[]
+  labels?: { name?: string }[]
+  isPinned?: boolean
+  isArchived?: boolean
+  isTrashed?: boolean
+  createdTimestampUsec?: number
+  userEditedTimestampUsec?: number
+}
+
+function DateFromMicroseconds(value?: number) {
+  return typeof value === 'number' && value > 0
+    ? new Date(Math.floor(value / 1000))
+    : undefined;
+}
+
+/**
+ * Reads a note from the JSON file Google Takeout exports for each Google Keep note.
+ * Checklists are converted to markdown task lists.
+ * Throws if the file is not a Google Keep note.
+ */
+export function ConvertedNoteFromGoogleKeep(json: string): ConvertedNote {
+  const keepNote: KeepNote = JSON.parse(json);
+  if (
+    !keepNote ||
+    typeof keepNote !== 'object' ||
+    (keepNote.textContent === undefined && !Array.isArray(keepNote.listContent))
+  ) {
+    throw Error('Not a Google Keep note');
+  }
+  let text = keepNote.textContent || '';
+  if (Array.isArray(keepNote.listContent)) {
+    const items = keepNote.listContent.map((item) => {
+      return `- [${item.isChecked ? 'x' : ' '}] ${item.text || ''}`;
+    });
+    text = text.length > 0 ? `${text}\n\n${items.join('\n')}` : items.join('\n');
+  }
+  return {
+    title: keepNote.title || '',
+    text,
+    tags: (keepNote.labels || []).map((label) => label.name || ''),
+    createdAt: DateFromMicroseconds(keepNote.createdTimestampUsec),
+    updatedAt: DateFromMicroseconds(keepNote.userEditedTimestampUsec),
+    pinned: keepNote.isPinned === true,
+    archived: keepNote.isArchived === true,
+    trashed: keepNote.isTrashed === true
+  };
+}
+
+/**
+ * Reads the notes of a Google Takeout export of Google Keep, given the contents of its
+ * JSON files. See `ConvertedNoteFromGoogleKeep`.
+ */
+export function ConvertedNotesFromGoogleKeep(jsonFiles: string[]) {
+  return jsonFiles.map(ConvertedNoteFromGoogleKeep);
+}
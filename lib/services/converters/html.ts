@@ -0,0 +1,292 @@
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+  bull: '•',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+/** Matches comments, declarations, tags with their attributes, and runs of text */
+const HTML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<![^>]*>|<\?[\s\S]*?\?>|<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*?)(\/?)>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*(?:=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+/** Elements whose contents are not text of the document */
+const IGNORED_ELEMENTS = ['script', 'style', 'head', 'title', 'object', 'en-crypt'];
+const BLOCK_ELEMENTS = [
+  'p', 'div', 'section', 'article', 'header', 'footer', 'table', 'ul', 'ol',
+  'blockquote', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'en-note'
+];
+const HEADING_ELEMENTS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+/**
+ * Decodes the named and numeric character references of HTML and XML text.
+ * Unknown references are left as is.
+ */
+export function DecodeHtmlEntities(text: string) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      try {
+        return String.fromCodePoint(code);
+      } catch (e) {
+        return match;
+      }
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded === undefined ? match : decoded;
+  });
+}
+
+function ParseAttributes(source: string) {
+  const attributes: Record<string, string> = {};
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = ATTRIBUTE_PATTERN.exec(source))) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes[match[1].toLowerCase()] = DecodeHtmlEntities(value);
+  }
+  return attributes;
+}
+
+type ListState = {
+  ordered: boolean
+  index: number
+}
+
+export type HtmlConversionOptions = {
+  /**
+   * Whether to write plain text rather than markdown. Plain text keeps list bullets,
+   * checkboxes and line structure, but drops emphasis, heading markers, and link syntax.
+   */
+  plainText?: boolean
+}
+
+/**
+ * Converts HTML, such as the content of notes exported from other apps, into markdown or
+ * plain text. This is not a complete HTML renderer: it handles the elements note apps
+ * commonly use, including Evernote's `en-todo` checkboxes, and keeps the text of any
+ * other element. It does not rely on a DOM, so it can run in any environment.
+ */
+export function HtmlToMarkdown(html: string, options: HtmlConversionOptions = {}) {
+  const markdown = !options.plainText;
+  let output = '';
+  let ignoredDepth = 0;
+  let preDepth = 0;
+  let quoteDepth = 0;
+  const lists: ListState[] = [];
+  const links: string[] = [];
+  /** Whether the output needs a blank line before further text */
+  let pendingBlock = false;
+  /** Whether the output needs a line break before further text */
+  let pendingLine = false;
+  /** Whether the last output was a list item's bullet, which its text should follow */
+  let afterBullet = false;
+
+  const atLineStart = () => output.length === 0 || output.endsWith('\n');
+  const linePrefix = () => '> '.repeat(quoteDepth);
+  const write = (text: string) => {
+    if (output.length > 0) {
+      if (pendingBlock) {
+        output = output.replace(/[ \t]+$/, '');
+        output += output.endsWith('\n\n') ? '' : output.endsWith('\n') ? '\n' : '\n\n';
+      } else if (pendingLine && !atLineStart()) {
+        output = output.replace(/[ \t]+$/, '');
+        output += '\n';
+      }
+    }
+    pendingBlock = false;
+    pendingLine = false;
+    afterBullet = false;
+    if (atLineStart()) {
+      output += linePrefix();
+    }
+    output += text;
+  };
+  /** Separates blocks with a blank line, except within lists, where items are kept
+   * together */
+  const breakBlock = () => {
+    if (afterBullet) {
+      return;
+    } else if (lists.length > 0) {
+      pendingLine = true;
+    } else {
+      pendingBlock = output.length > 0;
+    }
+  };
+  const writeText = (text: string) => {
+    if (preDepth > 0) {
+      const lines = text.split('\n');
+      lines.forEach((line, index) => {
+        if (index > 0) {
+          output += '\n';
+        }
+        if (line.length > 0) {
+          write(line);
+        }
+      });
+      return;
+    }
+    let collapsed = text.replace(/\s+/g, ' ');
+    if (atLineStart() || pendingBlock || pendingLine || output.endsWith(' ')) {
+      collapsed = collapsed.replace(/^ /, '');
+    }
+    if (collapsed.length > 0) {
+      write(collapsed);
+    }
+  };
+
+  HTML_TOKEN_PATTERN.lastIndex = 0;
+  let match;
+  while ((match = HTML_TOKEN_PATTERN.exec(html))) {
+    const [token, closing, rawName, rawAttributes, selfClosing] = match;
+    if (!rawName) {
+      if (ignoredDepth === 0 && !token.startsWith('<!') && !token.startsWith('<?')) {
+        writeText(DecodeHtmlEntities(token));
+      }
+      continue;
+    }
+    const name = rawName.toLowerCase();
+    const isClosing = closing === '/';
+    if (IGNORED_ELEMENTS.includes(name)) {
+      if (!selfClosing) {
+        ignoredDepth = Math.max(0, ignoredDepth + (isClosing ? -1 : 1));
+      }
+      continue;
+    }
+    if (ignoredDepth > 0) {
+      continue;
+    }
+    const attributes = isClosing ? {} : ParseAttributes(rawAttributes);
+    const isBlock = BLOCK_ELEMENTS.includes(name);
+    if (isBlock) {
+      breakBlock();
+    }
+    switch (name) {
+      case 'br':
+        output += '\n';
+        pendingLine = false;
+        break;
+      case 'hr':
+        pendingBlock = true;
+        write(markdown ? '---' : '');
+        pendingBlock = true;
+        break;
+      case 'blockquote':
+        quoteDepth = Math.max(0, quoteDepth + (isClosing ? -1 : 1));
+        break;
+      case 'pre':
+        preDepth = Math.max(0, preDepth + (isClosing ? -1 : 1));
+        if (markdown) {
+          if (isClosing) {
+            pendingBlock = false;
+            pendingLine = true;
+          }
+          write('```');
+          pendingLine = true;
+        }
+        break;
+      case 'ul':
+      case 'ol':
+        if (isClosing) {
+          lists.pop();
+        } else {
+          lists.push({ ordered: name === 'ol', index: 0 });
+        }
+        break;
+      case 'li':
+        if (!isClosing) {
+          const list = lists[lists.length - 1];
+          const indent = '  '.repeat(Math.max(0, lists.length - 1));
+          pendingLine = true;
+          if (list && list.ordered) {
+            list.index++;
+            write(`${indent}${list.index}. `);
+          } else {
+            write(`${indent}- `);
+          }
+          afterBullet = true;
+        } else {
+          pendingLine = true;
+        }
+        break;
+      case 'tr':
+        pendingLine = true;
+        break;
+      case 'td':
+      case 'th':
+        if (!isClosing && !atLineStart() && !pendingLine) {
+          write(' | ');
+        }
+        break;
+      case 'en-todo':
+        write(attributes.checked === 'true' ? '[x] ' : '[ ] ');
+        break;
+      case 'strong':
+      case 'b':
+        if (markdown) {
+          write('**');
+        }
+        break;
+      case 'em':
+      case 'i':
+        if (markdown) {
+          write('_');
+        }
+        break;
+      case 'code':
+        if (markdown && preDepth === 0) {
+          write('`');
+        }
+        break;
+      case 'a':
+        if (isClosing) {
+          const href = links.pop();
+          if (href) {
+            write(markdown ? `](${href})` : ` (${href})`);
+          }
+        } else {
+          const href = attributes.href && !attributes.href.startsWith('#')
+            ? attributes.href
+            : '';
+          links.push(href);
+          if (href && markdown) {
+            write('[');
+          }
+        }
+        break;
+      case 'img':
+        if (attributes.alt) {
+          writeText(attributes.alt);
+        }
+        break;
+      default:
+        if (HEADING_ELEMENTS.includes(name) && !isClosing && markdown) {
+          write('#'.repeat(Number(name[1])) + ' ');
+        }
+        break;
+    }
+    if (isBlock && isClosing) {
+      breakBlock();
+    }
+  }
+  return output
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
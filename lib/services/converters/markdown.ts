@@ -0,0 +1,340 @@
+import { ItemManager } from '@Services/item_manager';
+import { SNNote } from '@Models/app/note';
+import { SNTag } from '@Models/app/tag';
+import { ContentType } from '@Models/content_types';
+import {
+  ConvertedNote,
+  DedupeTagTitles,
+  PayloadsForConvertedNotes
+} from '@Services/converters/notes';
+
+/** A text file in a folder-like structure, such as the entries of a zip archive */
+export type PlainFile = {
+  /** The file's path relative to the root of the structure, separated by `/` */
+  path: string
+  contents: string
+}
+
+export type FrontMatterValue = string | boolean | string[]
+
+export type FrontMatter = Record<string, FrontMatterValue>
+
+/** The extensions of files that are imported. Other files are skipped. */
+const PLAIN_FILE_EXTENSIONS = ['.md', '.markdown', '.txt'];
+const EXPORT_EXTENSION = '.md';
+const FRONT_MATTER_DELIMITER = '---';
+/** The longest an exported file name may be, excluding its extension and suffix */
+const MAX_FILE_NAME_LENGTH = 100;
+const UNTITLED_FILE_NAME = 'Untitled';
+
+function FileExtension(path: string) {
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(index).toLowerCase() : '';
+}
+
+function FileBaseName(path: string) {
+  const name = path.slice(path.lastIndexOf('/') + 1);
+  const index = name.lastIndexOf('.');
+  return index > 0 ? name.slice(0, index) : name;
+}
+
+function FolderPath(path: string) {
+  const segments = path.split('/').filter((segment) => segment.length > 0);
+  return segments.slice(0, -1).join('/');
+}
+
+function ParseScalar(value: string) {
+  if (value === 'true') {
+    return true;
+  } else if (value === 'false') {
+    return false;
+  }
+  if (value.length >= 2) {
+    if (value.startsWith('"') && value.endsWith('"')) {
+      try {
+        return JSON.parse(value) as string;
+      } catch (e) {
+        return value.slice(1, -1);
+      }
+    } else if (value.startsWith("'") && value.endsWith("'")) {
+      return value.slice(1, -1).replace(/''/g, "'");
+    }
+  }
+  return value;
+}
+
+/** Splits the inside of an inline list, such as `a, "b, c"`, on commas outside quotes */
+function SplitInlineList(value: string) {
+  const items: string[] = [];
+  let current = '';
+  let quote: string | undefined;
+  for (let index = 0; index < value.length; index++) {
+    const character = value[index];
+    if (quote) {
+      if (character === '\\' && quote === '"') {
+        current += character + (value[index + 1] || '');
+        index++;
+        continue;
+      }
+      if (character === quote) {
+        quote = undefined;
+      }
+    } else if (character === '"' || character === "'") {
+      quote = character;
+    } else if (character === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += character;
+  }
+  if (current.trim().length > 0) {
+    items.push(current.trim());
+  }
+  return items;
+}
+
+function ParseListItem(value: string) {
+  const parsed = ParseScalar(value);
+  return typeof parsed === 'string' ? parsed : String(parsed);
+}
+
+/**
+ * Separates the front-matter of a file from its body. Front-matter is a block at the
+ * start of the file, between two `---` lines, of `key: value` lines. Values may be
+ * strings, which may be quoted, `true` or `false`, or lists, either inline as
+ * `[a, b]` or as following `- a` lines. This is the subset of YAML that note front-matter
+ * commonly uses; other lines are ignored.
+ * @returns The parsed front-matter, which is empty if the file has none, and the body.
+ */
+export function ParseFrontMatter(contents: string) {
+  const attributes: FrontMatter = {};
+  const lines = contents.split(/\r?\n/);
+  if (lines[0].trim() !== FRONT_MATTER_DELIMITER) {
+    return { attributes, body: contents };
+  }
+  const end = lines.findIndex((line, index) => {
+    return index > 0 && line.trim() === FRONT_MATTER_DELIMITER;
+  });
+  if (end === -1) {
+    return { attributes, body: contents };
+  }
+  let listKey: string | undefined;
+  for (const line of lines.slice(1, end)) {
+    const trimmed = line.trim();
+    if (trimmed.length === 0 || trimmed.startsWith('#')) {
+      continue;
+    }
+    if (trimmed.startsWith('-') && listKey) {
+      (attributes[listKey] as string[]).push(ParseListItem(trimmed.slice(1).trim()));
+      continue;
+    }
+    listKey = undefined;
+    const separator = trimmed.indexOf(':');
+    if (separator <= 0) {
+      continue;
+    }
+    const key = trimmed.slice(0, separator).trim();
+    const value = trimmed.slice(separator + 1).trim();
+    if (value.length === 0) {
+      /** The value is a list of the following `- item` lines, if any */
+      attributes[key] = [];
+      listKey = key;
+    } else if (value.startsWith('[') && value.endsWith(']')) {
+      attributes[key] = SplitInlineList(value.slice(1, -1)).map(ParseListItem);
+    } else {
+      attributes[key] = ParseScalar(value);
+    }
+  }
+  return { attributes, body: lines.slice(end + 1).join('\n') };
+}
+
+function SerializeScalar(value: string) {
+  const needsQuotes = value.length === 0 ||
+    value === 'true' ||
+    value === 'false' ||
+    /^[\s\-\[\]{}#&*!|>'"%@`,?]/.test(value) ||
+    /:\s|\s#|:$|\s$|[\n\r]/.test(value);
+  return needsQuotes ? JSON.stringify(value) : value;
+}
+
+/**
+ * Serializes attributes as a front-matter block readable by `ParseFrontMatter`, including
+ * the delimiters and a trailing newline. Attributes are written in the order of their keys,
+ * and lists are written one item per line.
+ */
+export function SerializeFrontMatter(attributes: FrontMatter) {
+  const lines = [FRONT_MATTER_DELIMITER];
+  for (const key of Object.keys(attributes)) {
+    const value = attributes[key];
+    if (Array.isArray(value)) {
+      lines.push(`${key}:`);
+      for (const item of value) {
+        lines.push(`  - ${SerializeScalar(item)}`);
+      }
+    } else if (typeof value === 'boolean') {
+      lines.push(`${key}: ${value}`);
+    } else {
+      lines.push(`${key}: ${SerializeScalar(value)}`);
+    }
+  }
+  lines.push(FRONT_MATTER_DELIMITER);
+  return lines.join('\n') + '\n';
+}
+
+function DateAttribute(value: FrontMatterValue | undefined) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/** Reads an attribute whose value is an object serialized as JSON */
+function ObjectAttribute(value: FrontMatterValue | undefined) {
+  if (typeof value !== 'string') {
+    return undefined;
+  }
+  try {
+    const object = JSON.parse(value);
+    return object && typeof object === 'object' && !Array.isArray(object)
+      ? object as Record<string, any>
+      : undefined;
+  } catch (e) {
+    return undefined;
+  }
+}
+
+function ListAttribute(value: FrontMatterValue | undefined) {
+  if (Array.isArray(value)) {
+    return value.slice();
+  } else if (typeof value === 'string') {
+    return value.split(',');
+  }
+  return [];
+}
+
+/**
+ * Reads a note from a plain file. The note's title is the `title` attribute of the
+ * file's front-matter, or the file's name without its extension. Its tags are those of
+ * the `tags` attribute, along with the file's folder path, so that `Work/Ideas/a.md`
+ * belongs to the `Work/Ideas` tag. `created` and `updated` dates, `pinned`, `archived`,
+ * `locked`, and `trashed` flags, and the JSON `appData` of notes exported by
+ * `ExportPlainFiles`, are read from front-matter if present.
+ */
+export function NoteFromPlainFile(file: PlainFile): ConvertedNote {
+  const { attributes, body } = ParseFrontMatter(file.contents);
+  const tags = ListAttribute(attributes.tags);
+  const folder = FolderPath(file.path);
+  if (folder.length > 0) {
+    tags.push(folder);
+  }
+  return {
+    title: typeof attributes.title === 'string'
+      ? attributes.title
+      : FileBaseName(file.path),
+    text: body,
+    tags: DedupeTagTitles(tags),
+    createdAt: DateAttribute(attributes.created),
+    updatedAt: DateAttribute(attributes.updated),
+    pinned: attributes.pinned === true,
+    archived: attributes.archived === true,
+    locked: attributes.locked === true,
+    trashed: attributes.trashed === true,
+    appData: ObjectAttribute(attributes.appData)
+  };
+}
+
+/**
+ * Converts a folder-like structure of `.md` and `.txt` files into note payloads, one
+ * per file. Files are read in path order, so that converting the same files always
+ * results in the same notes and tags. See `PayloadsForConvertedNotes`.
+ */
+export async function ImportPlainFiles(files: PlainFile[], itemManager: ItemManager) {
+  const convertedNotes = files
+    .filter((file) => PLAIN_FILE_EXTENSIONS.includes(FileExtension(file.path)))
+    .sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0)
+    .map(NoteFromPlainFile);
+  return PayloadsForConvertedNotes(convertedNotes, itemManager);
+}
+
+function FileNameForTitle(title: string) {
+  const name = title
+    .replace(/[\/\\:*?"<>|\u0000-\u001F]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_FILE_NAME_LENGTH)
+    .trim();
+  /** Names starting with a dot would be hidden files */
+  return name.replace(/^\.+/, '') || UNTITLED_FILE_NAME;
+}
+
+/**
+ * Returns the front-matter attributes describing a note, including the titles of the
+ * tags that reference it. The note's dates and flags are written as readable attributes,
+ * and its appData of every domain, such as editor settings, is written whole as JSON,
+ * so that no appData is lost when the note is imported again.
+ */
+export function FrontMatterForNote(note: SNNote, tags: SNTag[]) {
+  const attributes: FrontMatter = {
+    title: note.title || ''
+  };
+  const titles = DedupeTagTitles(tags.map((tag) => tag.title || ''));
+  if (titles.length > 0) {
+    attributes.tags = titles;
+  }
+  attributes.created = note.created_at.toISOString();
+  attributes.updated = note.userModifiedDate.toISOString();
+  if (note.pinned) {
+    attributes.pinned = true;
+  }
+  if (note.archived) {
+    attributes.archived = true;
+  }
+  if (note.locked) {
+    attributes.locked = true;
+  }
+  if (note.trashed) {
+    attributes.trashed = true;
+  }
+  const appData = note.payload.safeContent.appData;
+  if (appData && Object.keys(appData).length > 0) {
+    attributes.appData = JSON.stringify(appData);
+  }
+  return attributes;
+}
+
+/**
+ * Converts notes into markdown files with front-matter, which `ImportPlainFiles` can read
+ * back. Files are named after their note's title, with a numbered suffix for titles that
+ * would otherwise share a name. Notes are named in creation order, so that the same notes
+ * always result in the same file names.
+ */
+export function ExportPlainFiles(notes: SNNote[], itemManager: ItemManager) {
+  const sorted = notes.filter((note) => !note.deleted).sort((a, b) => {
+    const difference = a.created_at.getTime() - b.created_at.getTime();
+    if (difference !== 0) {
+      return difference;
+    }
+    return a.uuid < b.uuid ? -1 : 1;
+  });
+  const usedNames = new Set<string>();
+  const files: PlainFile[] = [];
+  for (const note of sorted) {
+    const baseName = FileNameForTitle(note.title || '');
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${baseName} (${suffix})`;
+    }
+    usedNames.add(name.toLowerCase());
+    const tags = itemManager.itemsReferencingItem(note.uuid).filter((item) => {
+      return !!item && item.content_type === ContentType.Tag && !item.deleted;
+    }) as SNTag[];
+    files.push({
+      path: name + EXPORT_EXTENSION,
+      contents: SerializeFrontMatter(FrontMatterForNote(note, tags)) + (note.text || '')
+    });
+  }
+  return files;
+}
@@ -0,0 +1,42 @@
+import { extendArray } from '@Lib/utils';
+import { ConvertedNote } from '@Services/converters/notes';
+import { ConvertedNotesFromEnex } from '@Services/converters/evernote';
+import { ConvertedNotesFromGoogleKeep } from '@Services/converters/google_keep';
+import { ConvertedNotesFromSimplenote } from '@Services/converters/simplenote';
+
+/** Note apps whose exports can be imported */
+export enum NoteAppFormat {
+  /** An Evernote `.enex` file */
+  Evernote = 1,
+  /** The JSON files of a Google Takeout export of Google Keep */
+  GoogleKeep = 2,
+  /** Simplenote's `notes.json` file */
+  Simplenote = 3
+}
+
+/**
+ * Reads the notes of another note app's export, without network access.
+ * @param data The contents of the export's file, or for formats exported as multiple
+ * files, the contents of each file.
+ * Throws if the data is not an export of the given format.
+ */
+export function ConvertNoteAppExport(
+  format: NoteAppFormat,
+  data: string | string[]
+): ConvertedNote[] {
+  const files = Array.isArray(data) ? data : [data];
+  if (format === NoteAppFormat.GoogleKeep) {
+    return ConvertedNotesFromGoogleKeep(files);
+  }
+  const notes: ConvertedNote[] = [];
+  for (const file of files) {
+    if (format === NoteAppFormat.Evernote) {
+      extendArray(notes, ConvertedNotesFromEnex(file));
+    } else if (format === NoteAppFormat.Simplenote) {
+      extendArray(notes, ConvertedNotesFromSimplenote(file));
+    } else {
+      throw Error(`Unsupported note app format ${format}`);
+    }
+  }
+  return notes;
+}
@@ -0,0 +1,221 @@
+import { ItemManager } from '@Services/item_manager';
+import { SNTag } from '@Models/app/tag';
+import { ContentType, DefaultAppDomain } from '@Models/content_types';
+import { AppDataField } from '@Models/core/item';
+import { FillItemContent } from '@Models/functions';
+import { PurePayload } from '@Payloads/pure_payload';
+import { BackupFile } from '@Services/protocol_service';
+import {
+  CreateMaxPayloadFromAnyObject,
+  CopyPayload,
+  ContentReference
+} from '@Payloads/generator';
+import { Uuid } from '@Lib/uuid';
+
+/** A note read from another app or file format, before it becomes a payload */
+export type ConvertedNote = {
+  title: string
+  text: string
+  /** Titles of the tags the note belongs to, which need not be unique */
+  tags: string[]
+  createdAt?: Date
+  /** The date the note's content was last modified by its author */
+  updatedAt?: Date
+  pinned?: boolean
+  archived?: boolean
+  locked?: boolean
+  trashed?: boolean
+  /**
+   * The note's appData, by domain, as exported by Standard Notes. The values above take
+   * precedence over those of the default domain.
+   */
+  appData?: Record<string, any>
+}
+
+export type ConversionResult = {
+  /** New, dirty note payloads */
+  notes: PurePayload[]
+  /** Dirty payloads of the tags the notes belong to, which reference the notes */
+  tags: PurePayload[]
+}
+
+/**
+ * Trims a tag title and collapses runs of whitespace, so that titles differing
+ * only in spacing are considered the same tag.
+ */
+export function NormalizeTagTitle(title: string) {
+  return title.trim().replace(/\s+/g, ' ');
+}
+
+function TagTitleKey(title: string) {
+  return NormalizeTagTitle(title).toLowerCase();
+}
+
+/**
+ * Reduces tag titles to one title per tag, where titles that differ only in case or
+ * spacing are the same tag. Which spelling is kept does not depend on the order of
+ * the titles: the first in code point order is kept, so that `Work` is preferred over
+ * `work`. Empty titles are dropped.
+ * @returns The kept titles, sorted by their lowercase form.
+ */
+export function DedupeTagTitles(titles: string[]) {
+  const titlesByKey: Partial<Record<string, string>> = {};
+  for (const title of titles.map(NormalizeTagTitle)) {
+    const key = title.toLowerCase();
+    if (key.length === 0) {
+      continue;
+    }
+    const existing = titlesByKey[key];
+    if (existing === undefined || title < existing) {
+      titlesByKey[key] = title;
+    }
+  }
+  return Object.keys(titlesByKey).sort().map((key) => titlesByKey[key]!);
+}
+
+/**
+ * Returns the earliest created tag whose title matches `title` regardless of case
+ * and spacing, so that imported tags join existing tags with a different spelling.
+ */
+function ExistingTagForTitle(tags: SNTag[], title: string) {
+  const key = TagTitleKey(title);
+  const matches = tags.filter((tag) => !tag.deleted && TagTitleKey(tag.title) === key);
+  matches.sort((a, b) => {
+    const difference = a.created_at.getTime() - b.created_at.getTime();
+    if (difference !== 0) {
+      return difference;
+    }
+    return a.uuid < b.uuid ? -1 : 1;
+  });
+  return matches[0];
+}
+
+async function PayloadForConvertedNote(note: ConvertedNote) {
+  const appData: Record<string, any> = {
+    ...note.appData?.[DefaultAppDomain]
+  };
+  for (const [field, value] of [
+    [AppDataField.Pinned, note.pinned],
+    [AppDataField.Archived, note.archived],
+    [AppDataField.Locked, note.locked]
+  ] as [AppDataField, boolean | undefined][]) {
+    if (value) {
+      appData[field] = true;
+    } else {
+      delete appData[field];
+    }
+  }
+  if (note.updatedAt) {
+    appData[AppDataField.UserModifiedDate] = note.updatedAt;
+  }
+  const content: Record<string, any> = {
+    title: note.title,
+    text: note.text,
+    appData: { ...note.appData, [DefaultAppDomain]: appData }
+  };
+  if (note.trashed) {
+    content.trashed = true;
+  }
+  return CreateMaxPayloadFromAnyObject({
+    uuid: await Uuid.GenerateUuid(),
+    content_type: ContentType.Note,
+    content: FillItemContent(content),
+    created_at: note.createdAt || new Date(),
+    dirty: true,
+    dirtiedDate: new Date()
+  });
+}
+
+type NotePayloads = {
+  notes: PurePayload[]
+  /** The deduped titles of all the notes' tags */
+  tagTitles: string[]
+  /** References to the notes of each tag, by the lowercase form of its title */
+  referencesByTagKey: Partial<Record<string, ContentReference[]>>
+}
+
+async function PayloadsAndTagReferences(convertedNotes: ConvertedNote[]): Promise<NotePayloads> {
+  const notes: PurePayload[] = [];
+  const allTitles: string[] = [];
+  const referencesByTagKey: Partial<Record<string, ContentReference[]>> = {};
+  for (const convertedNote of convertedNotes) {
+    const payload = await PayloadForConvertedNote(convertedNote);
+    notes.push(payload);
+    allTitles.push(...convertedNote.tags);
+    for (const title of DedupeTagTitles(convertedNote.tags)) {
+      const key = TagTitleKey(title);
+      const references = referencesByTagKey[key] || [];
+      references.push({ uuid: payload.uuid!, content_type: ContentType.Note });
+      referencesByTagKey[key] = references;
+    }
+  }
+  return { notes, tagTitles: DedupeTagTitles(allTitles), referencesByTagKey };
+}
+
+function PayloadByAddingReferences(tag: SNTag, references: ContentReference[]) {
+  return CopyPayload(tag.payload, {
+    content: {
+      ...tag.payload.safeContent,
+      references: tag.payload.safeReferences.concat(references)
+    },
+    dirty: true,
+    dirtiedDate: new Date()
+  });
+}
+
+/**
+ * Creates note payloads for converted notes. Tags the notes belong to are found by title,
+ * or created and inserted if they do not exist, and are returned with the notes added to
+ * their references. Neither the notes nor the tag changes are emitted, which is left to
+ * the caller.
+ */
+export async function PayloadsForConvertedNotes(
+  convertedNotes: ConvertedNote[],
+  itemManager: ItemManager
+): Promise<ConversionResult> {
+  const { notes, tagTitles, referencesByTagKey } = await PayloadsAndTagReferences(
+    convertedNotes
+  );
+  const tags: PurePayload[] = [];
+  for (const title of tagTitles) {
+    const existing = ExistingTagForTitle(itemManager.tags, title);
+    const tag = existing || await itemManager.findOrCreateTagByTitle(title);
+    tags.push(PayloadByAddingReferences(tag, referencesByTagKey[TagTitleKey(title)]!));
+  }
+  return { notes, tags };
+}
+
+/**
+ * Creates a decrypted backup file of converted notes and their tags, which can be
+ * imported with `importData` like any other backup. A tag whose title matches an
+ * existing tag is included as the existing tag with the notes added to its references.
+ * Importing merges its references into the existing tag's, rather than duplicating it.
+ */
+export async function BackupFileForConvertedNotes(
+  convertedNotes: ConvertedNote[],
+  existingTags: SNTag[]
+): Promise<BackupFile> {
+  const { notes, tagTitles, referencesByTagKey } = await PayloadsAndTagReferences(
+    convertedNotes
+  );
+  const tags: PurePayload[] = [];
+  for (const title of tagTitles) {
+    const references = referencesByTagKey[TagTitleKey(title)]!;
+    const existing = ExistingTagForTitle(existingTags, title);
+    if (existing) {
+      tags.push(PayloadByAddingReferences(existing, references));
+    } else {
+      tags.push(CreateMaxPayloadFromAnyObject({
+        uuid: await Uuid.GenerateUuid(),
+        content_type: ContentType.Tag,
+        content: FillItemContent({ title, references }),
+        created_at: new Date(),
+        dirty: true,
+        dirtiedDate: new Date()
+      }));
+    }
+  }
+  return {
+    items: notes.concat(tags).map((payload) => payload.ejected())
+  };
+}
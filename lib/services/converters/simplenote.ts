@@ -0,0 +1,65 @@
+import { ConvertedNote } from '@Services/converters/notes';
+
+/** A note in Simplenote's `notes.json` export */
+type SimplenoteNote = {
+  content?: string
+  creationDate?: string
+  lastModified?: string
+  tags?: string[]
+  pinned?: boolean
+}
+
+type SimplenoteExport = {
+  activeNotes?: SimplenoteNote[]
+  trashedNotes?: SimplenoteNote[]
+}
+
+function ParseDate(value?: string) {
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Simplenote notes have no separate title. As in Simplenote, the first line of a note's
+ * content is its title, and the remaining lines are its text.
+ */
+function ConvertedNoteFromSimplenote(note: SimplenoteNote, trashed: boolean): ConvertedNote {
+  const lines = (note.content || '').split(/\r?\n/);
+  const title = lines[0].trim();
+  const textLines = lines.slice(1);
+  while (textLines.length > 0 && textLines[0].trim().length === 0) {
+    textLines.shift();
+  }
+  return {
+    title,
+    text: textLines.join('\n'),
+    tags: note.tags || [],
+    createdAt: ParseDate(note.creationDate),
+    updatedAt: ParseDate(note.lastModified),
+    pinned: note.pinned === true,
+    trashed
+  };
+}
+
+/**
+ * Reads the notes of Simplenote's `notes.json` export, including notes in its trash.
+ * Throws if the file is not a Simplenote export.
+ */
+export function ConvertedNotesFromSimplenote(json: string) {
+  const data: SimplenoteExport = JSON.parse(json);
+  if (
+    !data ||
+    typeof data !== 'object' ||
+    (!Array.isArray(data.activeNotes) && !Array.isArray(data.trashedNotes))
+  ) {
+    throw Error('Not a Simplenote export');
+  }
+  return (data.activeNotes || []).map((note) => {
+    return ConvertedNoteFromSimplenote(note, false);
+  }).concat((data.trashedNotes || []).map((note) => {
+    return ConvertedNoteFromSimplenote(note, true);
+  }));
+}
@@ -0,0 +1,125 @@
+import isEqual from 'lodash/isEqual';
+import { PurePayload } from '@Payloads/pure_payload';
+import { PayloadSource } from '@Payloads/sources';
+import { PayloadContent, RawPayload, CreateSourcedPayloadFromObject } from '@Payloads/generator';
+import { CreateTextPatch, ApplyTextPatch, TextPatch } from '@Protocol/merge/text_diff';
+import { isString } from '@Lib/utils';
+
+/**
+ * Every this many entries, counting from the earliest, an entry is stored in full
+ * rather than as a delta. This bounds the number of deltas that must be applied to
+ * restore an entry, and the number of entries lost should a delta be unreadable.
+ */
+const KEYFRAME_INTERVAL = 20;
+
+/** The changes to an entry's payload relative to the entry that follows it */
+type EntryDelta = {
+  updated_at?: Date
+  /** Content keys whose values differ from the following entry, with this entry's values */
+  set?: Record<string, any>
+  /** Content keys that the following entry has and this entry does not */
+  unset?: string[]
+  /** Text content keys, with patches from the following entry's value to this entry's value */
+  patch?: Record<string, TextPatch>
+}
+
+export type CompressedHistoryEntry = {
+  /** The entry's full payload, for keyframes */
+  payload?: RawPayload
+  /** Otherwise, the entry's changes relative to the entry that follows it */
+  delta?: EntryDelta
+  /** The entry's change counts relative to the entry that precedes it, as
+   * [title insertions, title deletions, text insertions, text deletions] */
+  changes?: number[]
+}
+
+function RawEntryPayload(payload: PurePayload) {
+  const raw = {} as RawPayload;
+  for (const field of payload.fields) {
+    raw[field] = payload[field];
+  }
+  return raw;
+}
+
+/**
+ * Returns the delta that turns the payload of the following entry back into `payload`.
+ */
+function CreateEntryDelta(payload: PurePayload, following: PurePayload) {
+  const delta: EntryDelta = {};
+  if (!isEqual(payload.updated_at, following.updated_at)) {
+    delta.updated_at = payload.updated_at;
+  }
+  const content = payload.safeContent as Record<string, any>;
+  const followingContent = following.safeContent as Record<string, any>;
+  for (const key of Object.keys(content)) {
+    const value = content[key];
+    const followingValue = followingContent[key];
+    if (isEqual(value, followingValue)) {
+      continue;
+    }
+    if (isString(value) && isString(followingValue)) {
+      delta.patch = delta.patch || {};
+      delta.patch[key] = CreateTextPatch(followingValue, value);
+    } else {
+      delta.set = delta.set || {};
+      delta.set[key] = value;
+    }
+  }
+  for (const key of Object.keys(followingContent)) {
+    if (!(key in content)) {
+      delta.unset = delta.unset || [];
+      delta.unset.push(key);
+    }
+  }
+  return delta;
+}
+
+function ApplyEntryDelta(following: RawPayload, delta: EntryDelta): RawPayload {
+  const content = { ...following.content as PayloadContent } as Record<string, any>;
+  for (const key of delta.unset || []) {
+    delete content[key];
+  }
+  Object.assign(content, delta.set);
+  for (const key of Object.keys(delta.patch || {})) {
+    content[key] = ApplyTextPatch(content[key], delta.patch![key]);
+  }
+  return {
+    ...following,
+    updated_at: delta.updated_at || following.updated_at,
+    content: content as PayloadContent
+  };
+}
+
+/**
+ * Compresses the entry at the given index of a history. The latest entry is stored in
+ * full, and each earlier entry as a reverse delta from the entry that follows it, except
+ * for periodic keyframes, which are stored in full. Keyframes are counted from the
+ * earliest entry, so that adding an entry only changes how the previous latest entry
+ * is stored.
+ * @param changes The entry's change counts, which are saved so that they need not be
+ * recomputed when the entry is restored.
+ */
+export function CompressHistoryEntry(payloads: PurePayload[], index: number, changes: number[]) {
+  const entry: CompressedHistoryEntry = { changes };
+  const isLatest = index === payloads.length - 1;
+  if (isLatest || index % KEYFRAME_INTERVAL === 0) {
+    entry.payload = RawEntryPayload(payloads[index]);
+  } else {
+    entry.delta = CreateEntryDelta(payloads[index], payloads[index + 1]);
+  }
+  return entry;
+}
+
+/**
+ * Restores the payloads of entries compressed by `CompressHistoryEntry`.
+ */
+export function DecompressHistoryEntries(entries: CompressedHistoryEntry[]) {
+  const raws: RawPayload[] = [];
+  for (let index = entries.length - 1; index >= 0; index--) {
+    const entry = entries[index];
+    raws[index] = entry.payload || ApplyEntryDelta(raws[index + 1], entry.delta!);
+  }
+  return raws.map((raw) => {
+    return CreateSourcedPayloadFromObject(raw, PayloadSource.SessionHistory);
+  });
+}
@@ -2,6 +2,29 @@ import { PayloadField } from './../../protocol/payloads/fields';
 import { PurePayload } from '@Payloads/pure_payload';
 import { NoteHistoryEntry } from './note_history_entry';
 import { ContentType } from '@Models/content_types';
+import { ItemHistoryEntry } from './item_history_entry';
+import {
+  DiffLines,
+  DiffWords,
+  CountTextChanges,
+  DiffSegment,
+  DiffCounts
+} from '@Protocol/merge/text_diff';
+
+/** The changes between two versions of a text */
+export type TextDiff = DiffCounts & {
+  /** Changes by line, such as for showing revisions side by side */
+  lines: DiffSegment[]
+  /** Changes by word, such as for highlighting changes within lines */
+  words: DiffSegment[]
+}
+
+/** The changes between two history entries of an item */
+export type HistoryEntryDiff = {
+  title: TextDiff
+  text: TextDiff
+}
+
 export function CreateHistoryEntryForPayload(payload: PurePayload) {
   const mapping = {
     [ContentType.Note]: NoteHistoryEntry
@@ -14,4 +37,23 @@ export function CreateHistoryEntryForPayload(payload: PurePayload) {
   // eslint-disable-next-line new-cap
   const entry = new historyItemClass(payload);
   return entry;
-}
\ No newline at end of file
+}
+
+export function DiffText(from: string, to: string): TextDiff {
+  return {
+    ...CountTextChanges(from, to),
+    lines: DiffLines(from, to),
+    words: DiffWords(from, to)
+  };
+}
+
+/**
+ * Returns the changes to the title and text from one history entry to another.
+ * The entries need not be consecutive.
+ */
+export function DiffHistoryEntries(from: ItemHistoryEntry, to: ItemHistoryEntry): HistoryEntryDiff {
+  return {
+    title: DiffText(from.titleValue(), to.titleValue()),
+    text: DiffText(from.textValue(), to.textValue())
+  };
+}
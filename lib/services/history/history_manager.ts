@@ -1,44 +1,74 @@
 import { SNStorageService } from '@Services/storage_service';
+import { SNApiService } from '@Services/api/api_service';
+import { SNProtocolService } from '@Services/protocol_service';
 import { ItemManager } from '@Services/item_manager';
-import { CreateSourcedPayloadFromObject } from '@Payloads/generator';
-import { SNItem } from '@Models/core/item';
+import {
+  CreateSourcedPayloadFromObject,
+  CreateMaxPayloadFromAnyObject,
+  CopyPayload,
+  ContentReference,
+  PayloadContent
+} from '@Payloads/generator';
+import { SNItem, MutationType } from '@Models/core/item';
 import { ContentType } from '@Models/content_types';
 import { PureService } from '@Lib/services/pure_service';
 import { HistorySession } from '@Services/history/history_session';
+import { ItemHistoryEntry } from '@Services/history/item_history_entry';
+import { DiffHistoryEntries, CreateHistoryEntryForPayload } from '@Services/history/functions';
+import {
+  HistoryRetentionPolicy,
+  PreviewRetentionPolicy,
+  EntriesOutsideTiers,
+  DefaultHistoryRetentionPolicy
+} from '@Services/history/retention';
+import {
+  RevisionListEntry,
+  MergeHistoryTimeline
+} from '@Services/history/remote';
 import { PayloadSource } from '@Payloads/sources';
+import { PurePayload } from '@Payloads/pure_payload';
+import { UuidString } from '@Lib/types';
 import { StorageKey } from '@Lib/storage_keys';
 import { isNullOrUndefined, concatArrays } from '@Lib/utils';
 
 const PERSIST_TIMEOUT = 2000;
 
 /**
- * The history manager is presently responsible for transient 'session history',
+ * The history manager is responsible for transient 'session history',
  * which include keeping track of changes made in the current application session.
  * These change logs (unless otherwise configured) are ephemeral and do not persist
  * past application restart.
- * In the future the history manager will also be responsible for remote server history.
+ * It is also responsible for retrieving the revisions the sync server keeps of items,
+ * which are merged with session history into an item's history timeline.
  */
 export class SNHistoryManager extends PureService {
 
   private itemManager?: ItemManager
   private storageService?: SNStorageService
+  private apiService?: SNApiService
+  private protocolService?: SNProtocolService
   private contentTypes: ContentType[] = []
   private timeout: any
   private historySession?: HistorySession
   private removeChangeObserver: any
   private persistable = false
   public autoOptimize = false
+  private retentionPolicy?: HistoryRetentionPolicy
   private saveTimeout: any
 
   constructor(
     itemManager: ItemManager,
     storageService: SNStorageService,
     contentTypes: ContentType[],
-    timeout: any
+    timeout: any,
+    apiService: SNApiService,
+    protocolService: SNProtocolService
   ) {
     super();
     this.itemManager = itemManager;
     this.storageService = storageService;
+    this.apiService = apiService;
+    this.protocolService = protocolService;
     this.contentTypes = contentTypes;
     this.timeout = timeout;
   }
@@ -46,6 +76,8 @@ export class SNHistoryManager extends PureService {
   public deinit() {
     this.itemManager = undefined;
     this.storageService = undefined;
+    this.apiService = undefined;
+    this.protocolService = undefined;
     this.contentTypes.length = 0;
     this.historySession = undefined;
     this.timeout = null;
@@ -60,11 +92,17 @@ export class SNHistoryManager extends PureService {
     this.persistable = await this.storageService!.getValue(
       StorageKey.SessionHistoryPersistable
     );
-    this.historySession = await this.storageService!.getValue(
+    const historyValue = await this.storageService!.getValue(
       StorageKey.SessionHistoryRevisions
-    ).then((historyValue) => {
-      return HistorySession.FromJson(historyValue);
-    });
+    );
+    this.historySession = HistorySession.FromJson(historyValue);
+    if (historyValue && !HistorySession.IsCurrentFormat(historyValue)) {
+      /** Save sessions stored in the previous format again to compress them */
+      await this.saveToDisk();
+    }
+    this.retentionPolicy = await this.storageService!.getValue(
+      StorageKey.SessionHistoryRetentionPolicy
+    );
     const autoOptimize = await this.storageService!.getValue(
       StorageKey.SessionHistoryOptimize
     );
@@ -110,6 +148,11 @@ export class SNHistoryManager extends PureService {
     if (!this.persistable) {
       return;
     }
+    if (this.retentionPolicy?.byteBudget !== undefined) {
+      /** The byte budget spans all items, so it is enforced when saving rather
+       * than each time an entry is added */
+      this.pruneHistory(this.retentionPolicy);
+    }
     this.storageService!.setValue(
       StorageKey.SessionHistoryRevisions,
       this.historySession
@@ -126,6 +169,12 @@ export class SNHistoryManager extends PureService {
     if (this.autoOptimize) {
       this.historySession!.optimizeHistoryForItem(item.uuid);
     }
+    if (entry && this.retentionPolicy) {
+      const itemHistory = this.historySession!.historyForItem(item.uuid);
+      itemHistory.removeEntries(
+        EntriesOutsideTiers(itemHistory, this.retentionPolicy.tiers, new Date())
+      );
+    }
     if (entry && this.persistable) {
       /** Debounce, clear existing timeout */
       if (this.saveTimeout) {
@@ -145,6 +194,226 @@ export class SNHistoryManager extends PureService {
     return this.historySession!.historyForItem(item.uuid);
   }
 
+  /**
+   * Returns the line and word changes, and the number of characters inserted and
+   * deleted, in the title and text from one history entry to another, such as
+   * for highlighting changes between revisions.
+   */
+  diffEntries(from: ItemHistoryEntry, to: ItemHistoryEntry) {
+    return DiffHistoryEntries(from, to);
+  }
+
+  /**
+   * Returns the changes from the entry preceding the given entry in the item's history,
+   * or from an empty revision if it is the first entry.
+   */
+  diffWithPreviousEntry(item: SNItem, entry: ItemHistoryEntry) {
+    const entries = this.historyForItem(item).entries;
+    const index = entries.indexOf(entry);
+    if (index === -1) {
+      throw Error('Entry is not in the history of the item');
+    }
+    const previous = index > 0
+      ? entries[index - 1]
+      : CreateHistoryEntryForPayload(CopyPayload(entry.payload, { content: {} }));
+    return DiffHistoryEntries(previous, entry);
+  }
+
+  /**
+   * Lists the revisions the server keeps of an item, from earliest to latest.
+   * @returns The revisions, or undefined if they could not be retrieved, such as
+   * when offline or signed out.
+   */
+  async listRemoteRevisions(item: SNItem): Promise<RevisionListEntry[] | undefined> {
+    if (!this.apiService!.getSession()) {
+      return undefined;
+    }
+    const response = await this.apiService!.getItemRevisions(item.uuid);
+    if (response.error || !Array.isArray(response.data)) {
+      return undefined;
+    }
+    return (response.data as RevisionListEntry[]).slice().sort((a, b) => {
+      return new Date(a.updated_at).getTime() - new Date(b.updated_at).getTime();
+    });
+  }
+
+  /**
+   * Fetches a revision the server keeps of an item, and decrypts it.
+   * @returns The decrypted payload of the revision, which has the uuid of the item,
+   * or undefined if the revision could not be retrieved. If the revision could not be
+   * decrypted, the payload's `errorDecrypting` value is true.
+   */
+  async fetchRemoteRevision(
+    item: SNItem,
+    revisionUuid: UuidString
+  ): Promise<PurePayload | undefined> {
+    if (!this.apiService!.getSession()) {
+      return undefined;
+    }
+    const response = await this.apiService!.getRevision(item.uuid, revisionUuid);
+    if (response.error || !response.uuid) {
+      return undefined;
+    }
+    /** The response's values are those of the revision */
+    const payload = CreateSourcedPayloadFromObject(
+      response as any,
+      PayloadSource.RemoteRetrieved,
+      /** Revisions are encrypted with the uuid of their item */
+      { uuid: item.uuid }
+    );
+    return this.protocolService!.payloadByDecryptingPayload(payload);
+  }
+
+  /**
+   * Returns the item's session history entries and server revisions as one timeline,
+   * from earliest to latest. If the server's revisions could not be retrieved, only
+   * session history entries are included.
+   */
+  async historyTimelineForItem(item: SNItem) {
+    const revisions = await this.listRemoteRevisions(item);
+    return MergeHistoryTimeline(
+      this.historyForItem(item).entries,
+      revisions || []
+    );
+  }
+
+  /**
+   * Replaces the content of an item with that of a revision fetched with
+   * `fetchRemoteRevision`. The resulting payload is dirty, and will be saved to the
+   * server as the item's latest version on the next sync. If the item no longer exists,
+   * it is recreated from the revision.
+   */
+  async restoreRemoteRevision(revision: PurePayload) {
+    if (revision.errorDecrypting) {
+      throw Error('Attempting to restore a revision that could not be decrypted');
+    }
+    const current = this.itemManager!.findItem(revision.uuid);
+    const payload = CopyPayload(current ? current.payload : revision, {
+      content: revision.contentObject,
+      deleted: false,
+      dirty: true,
+      dirtiedDate: new Date()
+    });
+    return this.itemManager!.emitItemFromPayload(
+      payload,
+      PayloadSource.RemoteActionRetrieved
+    );
+  }
+
+  /**
+   * Restores an item to the content of a session history entry. References to items
+   * that no longer exist are dropped, and the item's current app data, such as whether
+   * it is pinned, is kept. The resulting item is dirty, and is emitted with a source of
+   * `PayloadSource.SessionHistory`.
+   * @param asCopy Whether to restore the entry as a new item, leaving the item unchanged.
+   * Items that reference the item will also reference the copy. Entries of items that
+   * no longer exist are always restored as a copy, since the server may already have
+   * deleted their uuid.
+   */
+  async restoreEntry(
+    entry: ItemHistoryEntry,
+    { asCopy = false }: { asCopy?: boolean } = {}
+  ) {
+    const uuid = entry.payload.uuid;
+    const current = this.itemManager!.findItem(uuid);
+    const exists = current && !current.deleted;
+    const entryContent = entry.payload.safeContent;
+    const content = {
+      ...entryContent,
+      references: this.existingReferences(entryContent.references)
+    } as PayloadContent;
+    if (exists && current!.safeContent.appData) {
+      content.appData = current!.safeContent.appData;
+    }
+    if (exists && !asCopy) {
+      return this.itemManager!.changeItem(
+        uuid,
+        (mutator) => {
+          mutator.setContent(content);
+        },
+        MutationType.UserInteraction,
+        PayloadSource.SessionHistory
+      );
+    }
+    const payload = exists
+      ? CreateMaxPayloadFromAnyObject(current!, { content })
+      : CreateMaxPayloadFromAnyObject(entry.payload, { content });
+    return this.itemManager!.duplicatePayload(
+      payload,
+      false,
+      PayloadSource.SessionHistory
+    );
+  }
+
+  private existingReferences(references: ContentReference[] = []) {
+    return references.filter((reference) => {
+      const item = this.itemManager!.findItem(reference.uuid);
+      return item && !item.deleted;
+    });
+  }
+
+  getRetentionPolicy() {
+    return this.retentionPolicy;
+  }
+
+  /**
+   * Sets the policy that determines which revisions are kept as entries are added,
+   * and applies it to existing entries. Pass undefined to keep revisions according to
+   * only the auto-optimize setting.
+   * @returns What was pruned by applying the policy
+   */
+  async setRetentionPolicy(policy?: HistoryRetentionPolicy) {
+    this.retentionPolicy = policy;
+    if (policy) {
+      await this.storageService!.setValue(
+        StorageKey.SessionHistoryRetentionPolicy,
+        policy
+      );
+      return this.applyRetentionPolicy(policy);
+    } else {
+      await this.storageService!.removeValue(
+        StorageKey.SessionHistoryRetentionPolicy
+      );
+    }
+  }
+
+  /**
+   * Returns which entries a policy would remove, and how much space would be freed,
+   * without removing them.
+   * @param policy Defaults to the current policy, or the default policy if none is set
+   */
+  previewRetentionPolicy(policy?: HistoryRetentionPolicy, now = new Date()) {
+    return PreviewRetentionPolicy(
+      this.historySession!.allItemHistories(),
+      policy || this.retentionPolicy || DefaultHistoryRetentionPolicy,
+      now
+    );
+  }
+
+  /**
+   * Removes the entries a policy does not keep.
+   * @param policy Defaults to the current policy, or the default policy if none is set
+   * @returns What was pruned
+   */
+  async applyRetentionPolicy(policy?: HistoryRetentionPolicy) {
+    const preview = this.pruneHistory(
+      policy || this.retentionPolicy || DefaultHistoryRetentionPolicy
+    );
+    if (preview.prunedCount > 0) {
+      await this.saveToDisk();
+    }
+    return preview;
+  }
+
+  private pruneHistory(policy: HistoryRetentionPolicy) {
+    const preview = PreviewRetentionPolicy(
+      this.historySession!.allItemHistories(),
+      policy
+    );
+    this.historySession!.removeEntries(preview.prunedEntries);
+    return preview;
+  }
+
   async clearHistoryForItem(item: SNItem) {
     this.historySession!.clearItemHistory(item);
     return this.saveToDisk();
@@ -2,9 +2,15 @@ import { AnyRecord } from '@Lib/types';
 import { SNItem } from '@Models/core/item';
 import { PurePayload } from '@Payloads/pure_payload';
 import { ItemHistory } from '@Services/history/item_history';
+import { ItemHistoryEntry } from '@Services/history/item_history_entry';
 
 /** The amount of revisions which above, call for an optimization. */
 const DEFAULT_ITEM_REVISIONS_THRESHOLD = 60;
+/**
+ * The version of the format history sessions are saved in. Sessions without a version
+ * were saved before revisions were compressed, and store each revision in full.
+ */
+const HISTORY_SESSION_VERSION = 2;
 
 /**
  * HistorySession is the only object in the session history domain that is
@@ -35,13 +41,18 @@ export class HistorySession {
   }
 
   static FromJson(historySessionJson?: AnyRecord) {
-    if(historySessionJson) {
+    if (historySessionJson instanceof HistorySession) {
+      /** Storage holds on to the saved session object until it is reloaded from disk */
+      return historySessionJson;
+    } else if(historySessionJson) {
       const content = historySessionJson.content;
+      const compressed = HistorySession.IsCurrentFormat(historySessionJson);
       const uuids = Object.keys(content.itemUUIDToItemHistoryMapping);
       uuids.forEach((itemUUID) => {
         const rawItemHistory = content.itemUUIDToItemHistoryMapping[itemUUID];
-        content.itemUUIDToItemHistoryMapping[itemUUID] =
-          ItemHistory.FromJson(rawItemHistory);
+        content.itemUUIDToItemHistoryMapping[itemUUID] = compressed
+          ? ItemHistory.FromCompressedJson(rawItemHistory)
+          : ItemHistory.FromJson(rawItemHistory);
       });
       return new HistorySession(content);
     } else {
@@ -49,6 +60,26 @@ export class HistorySession {
     }
   }
 
+  /**
+   * Returns whether saved session json is in the current format. Sessions in the
+   * previous format can still be read, and should be saved again to be converted.
+   */
+  static IsCurrentFormat(historySessionJson: AnyRecord) {
+    return historySessionJson instanceof HistorySession ||
+      historySessionJson.version === HISTORY_SESSION_VERSION;
+  }
+
+  /**
+   * Called when the session is serialized. Item histories serialize themselves
+   * in compressed form.
+   */
+  toJSON() {
+    return {
+      version: HISTORY_SESSION_VERSION,
+      content: this.content
+    };
+  }
+
   addEntryForPayload(payload: PurePayload) {
     const itemHistory = this.historyForItem(payload.uuid!);
     return itemHistory.addHistoryEntryForItem(payload);
@@ -63,6 +94,22 @@ export class HistorySession {
     return history;
   }
 
+  /**
+   * Returns the history of every item in the session, by item uuid.
+   */
+  allItemHistories() {
+    return this.content!.itemUUIDToItemHistoryMapping;
+  }
+
+  /**
+   * Removes entries from the histories of the items they belong to.
+   */
+  removeEntries(entries: Partial<Record<string, ItemHistoryEntry[]>>) {
+    for (const uuid of Object.keys(entries)) {
+      this.historyForItem(uuid).removeEntries(entries[uuid]!);
+    }
+  }
+
   clearItemHistory(item: SNItem) {
     this.historyForItem(item.uuid).clear();
   }
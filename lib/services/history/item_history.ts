@@ -2,6 +2,11 @@ import { PurePayload } from '@Payloads/pure_payload';
 import { SNItem } from '@Models/core/item';
 import { ItemHistoryEntry } from '@Services/history/item_history_entry';
 import { CreateHistoryEntryForPayload } from './functions';
+import {
+  CompressHistoryEntry,
+  DecompressHistoryEntries,
+  CompressedHistoryEntry
+} from './compression';
 /**
  * The amount of characters added or removed that
  * constitute a keepable entry after optimization.
@@ -12,9 +17,16 @@ type ItemHistoryJson = {
   entries: any[]
 }
 
+type CompressedItemHistoryJson = {
+  entries: CompressedHistoryEntry[]
+}
+
 export class ItemHistory {
 
   public entries: ItemHistoryEntry[] = []
+  /** The compressed form of each entry, kept so that only changed entries are
+   * compressed again when the history is saved */
+  private compressedEntries?: CompressedHistoryEntry[]
 
   constructor(entries?: ItemHistoryEntry[]) {
     /** Deserialize the entries into entry objects. */
@@ -26,6 +38,10 @@ export class ItemHistory {
     }
   }
 
+  /**
+   * Creates an item history from the format used before histories were compressed,
+   * in which each entry contains its full payload.
+   */
   static FromJson(entryJson: ItemHistoryJson) {
     const entries = entryJson.entries.map((rawHistoryEntry: any) => {
       return CreateHistoryEntryForPayload(rawHistoryEntry.payload);
@@ -33,6 +49,52 @@ export class ItemHistory {
     return new ItemHistory(entries);
   }
 
+  /**
+   * Creates an item history from the result of `toJSON`.
+   */
+  static FromCompressedJson(json: CompressedItemHistoryJson) {
+    const history = new ItemHistory();
+    const payloads = DecompressHistoryEntries(json.entries);
+    payloads.forEach((payload, index) => {
+      const entry = CreateHistoryEntryForPayload(payload);
+      const changes = json.entries[index].changes;
+      if (changes) {
+        entry.restoreChangeCounts(index > 0, changes);
+      } else {
+        entry.setPreviousEntry(history.getLastEntry());
+      }
+      history.entries.push(entry);
+    });
+    history.compressedEntries = json.entries;
+    return history;
+  }
+
+  /**
+   * Returns the compressed form of the history, in which entries are stored as
+   * deltas of one another. Called when the history is serialized.
+   */
+  toJSON(): CompressedItemHistoryJson {
+    const payloads = this.entries.map((entry) => entry.payload);
+    const compress = (index: number) => {
+      return CompressHistoryEntry(
+        payloads,
+        index,
+        this.entries[index].serializedChangeCounts()
+      );
+    };
+    if (!this.compressedEntries || this.compressedEntries.length > this.entries.length) {
+      this.compressedEntries = this.entries.map((_, index) => compress(index));
+    } else if (this.compressedEntries.length < this.entries.length) {
+      /** Compress entries added since the last compression, and the entry that was
+       * previously latest, which is no longer stored in full */
+      const start = Math.max(0, this.compressedEntries.length - 1);
+      for (let index = start; index < this.entries.length; index++) {
+        this.compressedEntries[index] = compress(index);
+      }
+    }
+    return { entries: this.compressedEntries };
+  }
+
   getLastEntry() {
     return this.entries[this.entries.length - 1];
   }
@@ -50,6 +112,7 @@ export class ItemHistory {
 
   clear() {
     this.entries.length = 0;
+    this.compressedEntries = undefined;
   }
 
   optimize() {
@@ -88,8 +151,43 @@ export class ItemHistory {
         processEntry(entry, index, significant);
       }
     });
-    this.entries = this.entries.filter((entry, index) => {
+    this.retainEntries(this.entries.filter((entry, index) => {
       return keepEntries.indexOf(entry) !== -1;
+    }));
+  }
+
+  /**
+   * Removes the given entries from the history.
+   */
+  removeEntries(entries: ItemHistoryEntry[]) {
+    const removed = new Set(entries);
+    this.retainEntries(this.entries.filter((entry) => !removed.has(entry)));
+  }
+
+  /**
+   * Returns the approximate size, in bytes, of each entry as saved.
+   */
+  entrySizes() {
+    return this.toJSON().entries.map((entry) => JSON.stringify(entry).length);
+  }
+
+  private retainEntries(entries: ItemHistoryEntry[]) {
+    const previousEntries = this.entries;
+    this.entries = entries;
+    /**
+     * Entries are stored as deltas of their neighbors, so recompute the changes of any
+     * entry whose preceding entry was removed. This also carries the changes of removed
+     * entries over to the next kept entry, so that a series of small changes eventually
+     * adds up to a significant one.
+     */
+    this.entries.forEach((entry, index) => {
+      const previous = this.entries[index - 1];
+      if (previous !== previousEntries[previousEntries.indexOf(entry) - 1]) {
+        entry.setPreviousEntry(previous);
+      }
     });
+    if (this.entries.length !== previousEntries.length) {
+      this.compressedEntries = undefined;
+    }
   }
 }
@@ -1,6 +1,7 @@
 import { PurePayload } from '@Payloads/pure_payload';
 import { SNItem } from '@Models/core/item';
 import { deepMerge, isString } from '@Lib/utils';
+import { CountTextChanges, DiffCounts } from '@Protocol/merge/text_diff';
 import { CopyPayload } from '@Payloads/generator';
 import { CreateItemFromPayload } from '@Lib/models';
 
@@ -12,8 +13,10 @@ export class ItemHistoryEntry {
    * If it doesn't exist, no problem.
    */
   protected defaultContentKeyToDiffOn = 'text'
-  protected textCharDiffLength = 0
   protected hasPreviousEntry = false
+  /** The entry the change counts are computed against, until they are computed */
+  private previousEntry?: ItemHistoryEntry
+  private changeCounts?: { title: DiffCounts, text: DiffCounts }
 
   constructor(payload: PurePayload) {
     /**
@@ -33,63 +36,112 @@ export class ItemHistoryEntry {
     );
   }
 
+  /**
+   * The change counts against the previous entry are computed when first needed, since
+   * comparing long texts is costly and most entries are never displayed.
+   */
   setPreviousEntry(previousEntry: ItemHistoryEntry) {
     this.hasPreviousEntry = previousEntry != null;
+    this.previousEntry = previousEntry;
+    this.changeCounts = undefined;
+  }
 
-    /** We'll try to compute the delta based on an assumed
-     * content property of `text`, if it exists.
-     */
-    if (this.payload.contentObject[this.defaultContentKeyToDiffOn]) {
-      if (previousEntry) {
-        this.textCharDiffLength =
-          this.payload.contentObject[this.defaultContentKeyToDiffOn].length
-        - previousEntry.payload.contentObject[this.defaultContentKeyToDiffOn].length;
-      } else {
-        this.textCharDiffLength =
-          this.payload.contentObject[this.defaultContentKeyToDiffOn].length;
-      }
+  private computedChangeCounts() {
+    if (!this.changeCounts) {
+      /** Without a previous entry, all of the text counts as inserted */
+      const previousEntry = this.previousEntry;
+      this.changeCounts = {
+        title: CountTextChanges(
+          previousEntry ? previousEntry.titleValue() : '',
+          this.titleValue()
+        ),
+        text: CountTextChanges(
+          previousEntry ? previousEntry.textValue() : '',
+          this.textValue()
+        )
+      };
+      this.previousEntry = undefined;
     }
+    return this.changeCounts;
+  }
+
+  /**
+   * Returns the change counts as [title insertions, title deletions, text insertions,
+   * text deletions], as saved with compressed history.
+   */
+  serializedChangeCounts() {
+    const { title, text } = this.computedChangeCounts();
+    return [
+      title.insertions,
+      title.deletions,
+      text.insertions,
+      text.deletions
+    ];
+  }
+
+  /**
+   * Restores change counts saved by `serializedChangeCounts`, rather than recomputing
+   * them from the previous entry.
+   */
+  restoreChangeCounts(hasPreviousEntry: boolean, counts: number[]) {
+    this.hasPreviousEntry = hasPreviousEntry;
+    this.previousEntry = undefined;
+    this.changeCounts = {
+      title: { insertions: counts[0], deletions: counts[1] },
+      text: { insertions: counts[2], deletions: counts[3] }
+    };
+  }
+
+  /** The title of this revision, or an empty string if it has none */
+  titleValue() {
+    return this.stringContentValue('title');
+  }
+
+  /** The value of the content key we diff on, or an empty string if it has none */
+  textValue() {
+    return this.stringContentValue(this.defaultContentKeyToDiffOn);
+  }
+
+  private stringContentValue(key: string) {
+    const value = this.payload.safeContent[key];
+    return isString(value) ? value as string : '';
   }
 
+  /** The number of characters inserted and deleted in the title since the previous entry */
+  titleChangeCounts() {
+    return this.computedChangeCounts().title;
+  }
+
+  /** The number of characters inserted and deleted in the text since the previous entry */
+  textChangeCounts() {
+    return this.computedChangeCounts().text;
+  }
+
+  /**
+   * Returns the direction of the change since the previous entry: 1 if it added
+   * more characters than it removed, -1 if it removed more, and 0 if there is
+   * no previous entry or nothing changed.
+   */
   operationVector() {
-    /**
-     * We'll try to use the value of `textCharDiffLength`
-     * to help determine this, if it's set
-     */
-    if (this.textCharDiffLength !== undefined) {
-      if (!this.hasPreviousEntry || this.textCharDiffLength === 0) {
-        return 0;
-      } else if (this.textCharDiffLength < 0) {
-        return -1;
-      } else {
-        return 1;
-      }
+    const { title, text } = this.computedChangeCounts();
+    const insertions = title.insertions + text.insertions;
+    const deletions = title.deletions + text.deletions;
+    if (!this.hasPreviousEntry || insertions + deletions === 0) {
+      return 0;
+    } else if (deletions > insertions) {
+      return -1;
+    } else {
+      return 1;
     }
-
-    /** Otherwise use a default value of 1 */
-    return 1;
   }
 
+  /**
+   * Returns the number of characters inserted and deleted since the previous entry.
+   * The value is always positive. `operationVector` returns the direction of the delta.
+   */
   deltaSize() {
-    /**
-     * Up to the subclass to determine how large the delta was,
-     * i.e number of characters changed.
-     * But this general class won't be able to determine which property it
-     * should diff on, or even its format.
-     */
-    /**
-     * We can return the `textCharDiffLength` if it's set,
-     * otherwise, just return 1;
-     */
-    if (this.textCharDiffLength !== undefined) {
-      return Math.abs(this.textCharDiffLength);
-    }
-    /**
-     * Otherwise return 1 here to constitute a basic positive delta.
-     * The value returned should always be positive. Override `operationVector`
-     * to return the direction of the delta.
-     */
-    return 1;
+    const { title, text } = this.computedChangeCounts();
+    return title.insertions + title.deletions + text.insertions + text.deletions;
   }
 
   isSameAsEntry(entry: ItemHistoryEntry) {
@@ -7,12 +7,15 @@ export class NoteHistoryEntry extends ItemHistoryEntry {
   }
 
   previewSubTitle() {
+    const { insertions, deletions } = this.textChangeCounts();
     if (!this.hasPreviousEntry) {
-      return `${this.textCharDiffLength} characters loaded`;
-    } else if (this.textCharDiffLength < 0) {
-      return `${this.textCharDiffLength * -1} characters removed`;
-    } else if (this.textCharDiffLength > 0) {
-      return `${this.textCharDiffLength} characters added`;
+      return `${insertions} characters loaded`;
+    } else if (insertions > 0 && deletions > 0) {
+      return `${insertions} characters added, ${deletions} removed`;
+    } else if (deletions > 0) {
+      return `${deletions} characters removed`;
+    } else if (insertions > 0) {
+      return `${insertions} characters added`;
     } else {
       return 'Title or metadata changed';
     }
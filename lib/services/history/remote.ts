@@ -0,0 +1,60 @@
+import { UuidString } from '@Lib/types';
+import { ContentType } from '@Models/content_types';
+import { ItemHistoryEntry } from '@Services/history/item_history_entry';
+
+/** A revision of an item kept by the sync server, as listed by the server */
+export type RevisionListEntry = {
+  uuid: UuidString
+  content_type: ContentType
+  created_at: string
+  updated_at: string
+}
+
+/** A revision of an item kept by the sync server, as fetched from the server */
+export type RemoteRevision = RevisionListEntry & {
+  item_uuid: UuidString
+  content: string
+  enc_item_key?: string
+  items_key_id?: string
+  auth_hash?: string
+}
+
+/**
+ * A version of an item in its history timeline. A version may be known from session
+ * history, from the server's revisions, or both.
+ */
+export type HistoryTimelineEntry = {
+  date: Date
+  /** The session history entry of this version, if it was seen in this session */
+  sessionEntry?: ItemHistoryEntry
+  /** The server revision of this version, whose content must be fetched to be viewed */
+  remoteRevision?: RevisionListEntry
+}
+
+/**
+ * Merges an item's session history entries and server revisions into one timeline,
+ * ordered from earliest to latest. An entry and a revision with the same date are the
+ * same version of the item, and are merged into one timeline entry.
+ */
+export function MergeHistoryTimeline(
+  sessionEntries: ItemHistoryEntry[],
+  remoteRevisions: RevisionListEntry[]
+) {
+  const timeline: HistoryTimelineEntry[] = sessionEntries.map((entry) => {
+    return { date: entry.payload.updated_at!, sessionEntry: entry };
+  });
+  const entriesByTime: Record<number, HistoryTimelineEntry> = {};
+  for (const entry of timeline) {
+    entriesByTime[entry.date.getTime()] = entry;
+  }
+  for (const revision of remoteRevisions) {
+    const date = new Date(revision.updated_at);
+    const existing = entriesByTime[date.getTime()];
+    if (existing && !existing.remoteRevision) {
+      existing.remoteRevision = revision;
+    } else {
+      timeline.push({ date, remoteRevision: revision });
+    }
+  }
+  return timeline.sort((a, b) => a.date.getTime() - b.date.getTime());
+}
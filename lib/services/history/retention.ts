@@ -0,0 +1,133 @@
+import { UuidString } from '@Lib/types';
+import { ItemHistory } from '@Services/history/item_history';
+import { ItemHistoryEntry } from '@Services/history/item_history_entry';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * Entries younger than `maxAge` milliseconds, and older than the `maxAge` of the previous
+ * tier, are thinned to the latest entry in each `interval` milliseconds. An interval of 0
+ * keeps every entry.
+ */
+export type RetentionTier = {
+  maxAge: number
+  interval: number
+}
+
+export type HistoryRetentionPolicy = {
+  /** Ordered from youngest to oldest. Entries older than the last tier are removed. */
+  tiers: RetentionTier[]
+  /**
+   * The approximate maximum size, in bytes, of saved history across all items.
+   * When exceeded, the oldest entries across all items are removed first.
+   */
+  byteBudget?: number
+}
+
+/** Keeps every revision for an hour, hourly revisions for a day, and daily revisions for a month */
+export const DefaultHistoryRetentionPolicy: HistoryRetentionPolicy = {
+  tiers: [
+    { maxAge: HOUR, interval: 0 },
+    { maxAge: DAY, interval: HOUR },
+    { maxAge: 30 * DAY, interval: DAY }
+  ]
+};
+
+export type RetentionPreview = {
+  /** The entries that would be removed, by item uuid */
+  prunedEntries: Partial<Record<UuidString, ItemHistoryEntry[]>>
+  prunedCount: number
+  /** The approximate size of saved history before and after pruning */
+  bytesBefore: number
+  bytesAfter: number
+}
+
+/**
+ * Returns the entries of an item history that fall outside the policy's tiers.
+ * The latest entry is always kept.
+ */
+export function EntriesOutsideTiers(history: ItemHistory, tiers: RetentionTier[], now: Date) {
+  const pruned: ItemHistoryEntry[] = [];
+  /** The buckets already holding a kept entry, per tier */
+  const keptBuckets = tiers.map(() => new Set<number>());
+  const entries = history.entries;
+  /** Visit from latest to earliest so the latest entry in each bucket is kept */
+  for (let index = entries.length - 2; index >= 0; index--) {
+    const entry = entries[index];
+    const time = entry.payload.updated_at!.getTime();
+    const age = now.getTime() - time;
+    const tierIndex = tiers.findIndex((tier) => age < tier.maxAge);
+    if (tierIndex === -1) {
+      pruned.push(entry);
+      continue;
+    }
+    const interval = tiers[tierIndex].interval;
+    if (interval <= 0) {
+      continue;
+    }
+    const bucket = Math.floor(time / interval);
+    if (keptBuckets[tierIndex].has(bucket)) {
+      pruned.push(entry);
+    } else {
+      keptBuckets[tierIndex].add(bucket);
+    }
+  }
+  return pruned;
+}
+
+/**
+ * Determines which entries a retention policy would remove from the given item histories,
+ * without modifying them.
+ */
+export function PreviewRetentionPolicy(
+  histories: Partial<Record<UuidString, ItemHistory>>,
+  policy: HistoryRetentionPolicy,
+  now = new Date()
+): RetentionPreview {
+  const prunedEntries: Partial<Record<UuidString, ItemHistoryEntry[]>> = {};
+  /** Entries that remain after applying tiers, which the byte budget may still remove */
+  const candidates: { uuid: UuidString, entry: ItemHistoryEntry, size: number }[] = [];
+  let bytesBefore = 0;
+  let bytesAfter = 0;
+  for (const uuid of Object.keys(histories)) {
+    const history = histories[uuid]!;
+    const sizes = history.entrySizes();
+    const pruned = EntriesOutsideTiers(history, policy.tiers, now);
+    const prunedSet = new Set(pruned);
+    history.entries.forEach((entry, index) => {
+      bytesBefore += sizes[index];
+      if (prunedSet.has(entry)) {
+        return;
+      }
+      bytesAfter += sizes[index];
+      /** The latest entry of each item is always kept */
+      if (index < history.entries.length - 1) {
+        candidates.push({ uuid, entry, size: sizes[index] });
+      }
+    });
+    if (pruned.length > 0) {
+      prunedEntries[uuid] = pruned;
+    }
+  }
+  if (policy.byteBudget !== undefined && bytesAfter > policy.byteBudget) {
+    candidates.sort((a, b) => {
+      return a.entry.payload.updated_at!.getTime() - b.entry.payload.updated_at!.getTime();
+    });
+    for (const candidate of candidates) {
+      if (bytesAfter <= policy.byteBudget) {
+        break;
+      }
+      const pruned = prunedEntries[candidate.uuid] || [];
+      pruned.push(candidate.entry);
+      prunedEntries[candidate.uuid] = pruned;
+      bytesAfter -= candidate.size;
+    }
+  }
+  let prunedCount = 0;
+  for (const uuid of Object.keys(prunedEntries)) {
+    prunedCount += prunedEntries[uuid]!.length;
+  }
+  return { prunedEntries, prunedCount, bytesBefore, bytesAfter };
+}
@@ -4,12 +4,15 @@ export { SNSessionManager } from '@Services/api/session_manager';
 export { SNApiService } from '@Services/api/api_service';
 export { SNComponentManager } from '@Services/component_manager';
 export { SNHttpService } from '@Services/api/http_service';
+export { SNMockSyncServer, SNMockServerTransport } from '@Services/api/mock_sync_server';
 export { PayloadManager } from '@Services/model_manager';
 export { SNSingletonManager } from '@Services/singleton_manager';
 export { SNActionsService } from '@Services/actions_service';
 export { SNMigrationService } from '@Lib/services/migration_service';
 export { SNProtocolService, KeyMode } from '@Services/protocol_service';
 export { SNHistoryManager } from '@Services/history/history_manager';
+export { SNBackupService } from '@Services/backup_service';
+export { SNRealtimeService } from '@Services/realtime_service';
 export { SNPrivilegesService } from '@Services/privileges_service';
 export { SyncEvent as SyncEvent } from '@Services/sync/events';
 export { ItemManager } from '@Services/item_manager';
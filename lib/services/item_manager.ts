@@ -9,6 +9,8 @@ import { SNNote, NoteMutator } from './../models/app/note';
 import { ActionsExtensionMutator } from './../models/app/extension';
 import { SNSmartTag } from './../models/app/smartTag';
 import { SNPredicate } from './../models/core/predicate';
+import { PredicateFromQueryOrPredicate } from '@Models/core/predicate_query';
+import { CompilePredicate } from '@Models/core/predicate_compiler';
 import { Uuid } from './../uuid';
 import { PayloadsByDuplicating } from '@Payloads/functions';
 import { UuidString } from './../types';
@@ -20,11 +22,18 @@ import { SNComponent } from '@Models/app/component';
 import { isString, removeFromArray, searchArray } from '@Lib/utils';
 import { CreateMaxPayloadFromAnyObject } from '@Payloads/generator';
 import { PayloadOverride, PayloadContent } from './../protocol/payloads/generator';
-import { SNItem, ItemMutator, MutationType } from './../models/core/item';
+import { SNItem, ItemMutator, MutationType, AppDataField } from './../models/core/item';
+import {
+  ContentDifferences,
+  ItemConflict,
+  ConflictResolution,
+  ConflictResolutionRecord
+} from '@Models/core/conflicts';
 import { PayloadSource } from './../protocol/payloads/sources';
 import { PurePayload } from './../protocol/payloads/pure_payload';
 import { PayloadManager } from './model_manager';
 import { ContentType } from '../models/content_types';
+import { NoteSearchIndex, SearchOptions } from '@Services/search/search_index';
 
 type ObserverCallback = (
   /** The items are pre-existing but have been changed */
@@ -58,15 +67,16 @@ export class ItemManager extends PureService {
   private unsubChangeObserver: any
   private observers: Observer[] = []
   private collection!: ItemCollection
+  private searchIndex!: NoteSearchIndex
   private systemSmartTags: SNSmartTag[]
 
   constructor(modelManager: PayloadManager) {
     super();
     this.modelManager = modelManager;
+    this.systemSmartTags = BuildSmartTags();
     this.createCollection();
     this.unsubChangeObserver = this.modelManager
       .addObserver(ContentType.Any, this.onPayloadChange.bind(this));
-    this.systemSmartTags = BuildSmartTags();
   }
 
   public setDisplayOptions(
@@ -87,6 +97,7 @@ export class ItemManager extends PureService {
     this.unsubChangeObserver = undefined;
     this.modelManager = undefined;
     (this.collection as any) = undefined;
+    (this.searchIndex as any) = undefined;
   }
 
   resetState() {
@@ -95,11 +106,13 @@ export class ItemManager extends PureService {
 
   private createCollection() {
     this.collection = new ItemCollection();
+    this.searchIndex = new NoteSearchIndex();
     this.collection.setDisplayOptions(ContentType.Note, CollectionSort.CreatedAt, 'dsc');
     this.collection.setDisplayOptions(ContentType.Tag, CollectionSort.Title, 'asc');
     this.collection.setDisplayOptions(ContentType.ItemsKey, CollectionSort.CreatedAt, 'asc');
     this.collection.setDisplayOptions(ContentType.Component, CollectionSort.CreatedAt, 'asc');
     this.collection.setDisplayOptions(ContentType.SmartTag, CollectionSort.Title, 'asc');
+    this.updateSmartTagSets(this.systemSmartTags, []);
   }
 
   /**
@@ -240,6 +253,8 @@ export class ItemManager extends PureService {
     for (const item of discardedItems) {
       this.collection.discard(item);
     }
+    this.updateSearchIndex(changedOrInserted, discardedItems);
+    this.updateSmartTagSets(changedOrInserted, discardedItems);
     await this.notifyObservers(
       changedItems,
       insertedItems,
@@ -249,6 +264,37 @@ export class ItemManager extends PureService {
     );
   }
 
+  private updateSearchIndex(changedOrInserted: SNItem[], discarded: SNItem[]) {
+    const isNote = (item: SNItem) => item.content_type === ContentType.Note;
+    const notes = changedOrInserted.filter(isNote) as SNNote[];
+    if (notes.length > 0) {
+      this.searchIndex.set(notes);
+    }
+    const discardedNotes = discarded.filter(isNote);
+    if (discardedNotes.length > 0) {
+      this.searchIndex.remove(Uuids(discardedNotes));
+    }
+  }
+
+  /**
+   * Keeps a live set of matching notes in the collection for each smart tag, so that
+   * retrieving the notes of a smart tag does not require evaluating its predicate
+   * against every item.
+   */
+  private updateSmartTagSets(changedOrInserted: SNItem[], discarded: SNItem[]) {
+    const isSmartTag = (item: SNItem) => item.content_type === ContentType.SmartTag;
+    for (const tag of changedOrInserted.filter(isSmartTag) as SNSmartTag[]) {
+      if (tag.deleted || !tag.predicate) {
+        this.collection.removePredicateSet(tag.uuid);
+      } else {
+        this.collection.setPredicateSet(tag.uuid, this.smartTagNotesPredicate(tag));
+      }
+    }
+    for (const tag of discarded.filter(isSmartTag)) {
+      this.collection.removePredicateSet(tag.uuid);
+    }
+  }
+
   private async notifyObservers(
     changed: SNItem[],
     inserted: SNItem[],
@@ -529,6 +575,19 @@ export class ItemManager extends PureService {
   public async duplicateItem(uuid: UuidString, isConflict = false) {
     const item = this.findItem(uuid)!;
     const payload = CreateMaxPayloadFromAnyObject(item);
+    return this.duplicatePayload(payload, isConflict);
+  }
+
+  /**
+   * Maps a copy of the payload with a new uuid. Items that reference the payload's
+   * uuid are changed to also reference the copy.
+   * @param isConflict - Whether to mark the duplicate as a conflict of the original.
+   */
+  public async duplicatePayload(
+    payload: PurePayload,
+    isConflict = false,
+    source = PayloadSource.LocalChanged
+  ) {
     const resultingPayloads = await PayloadsByDuplicating(
       payload,
       this.modelManager!.getMasterCollection(),
@@ -536,7 +595,7 @@ export class ItemManager extends PureService {
     );
     await this.modelManager!.emitPayloads(
       resultingPayloads,
-      PayloadSource.LocalChanged
+      source
     );
     const duplicate = this.findItem(resultingPayloads[0].uuid!);
     return duplicate!;
@@ -673,12 +732,13 @@ export class ItemManager extends PureService {
    * Does not return deleted items.
    */
   public subItemsMatchingPredicates(items: SNItem[], predicates: SNPredicate[]) {
+    const evaluators = predicates.map((predicate) => CompilePredicate(predicate));
     const results = items.filter((item) => {
       if (item.deleted) {
         return false;
       }
-      for (const predicate of predicates) {
-        if (!item.satisfiesPredicate(predicate)) {
+      for (const evaluator of evaluators) {
+        if (!evaluator(item)) {
           return false;
         }
       }
@@ -687,6 +747,29 @@ export class ItemManager extends PureService {
     return results;
   }
 
+  /**
+   * Returns notes whose title or text match the query, ordered by relevance.
+   * Results are served from an index that is kept up to date as notes change,
+   * rather than by scanning all notes.
+   * @param query Words to search for. Text in double quotes is matched as a phrase.
+   */
+  public searchNotes(query: string, options: SearchOptions = {}) {
+    const prefixMatch = options.prefixMatch !== false;
+    const results = this.searchIndex.search(query, prefixMatch);
+    const notes: SNNote[] = [];
+    for (const result of results) {
+      const note = this.findItem(result.uuid) as SNNote | undefined;
+      if (!note || (note.trashed && !options.includeTrashed)) {
+        continue;
+      }
+      notes.push(note);
+      if (options.limit && notes.length >= options.limit) {
+        break;
+      }
+    }
+    return notes;
+  }
+
   /**
    * Finds the first tag matching a given title
    */
@@ -707,16 +790,56 @@ export class ItemManager extends PureService {
   }
 
   /**
-   * Returns all notes matching the smart tag
+   * Creates a smart tag and marks it as needing sync.
+   * @param predicate Either a predicate, or a query string such as
+   * `title:startsWith("Meeting") AND NOT pinned`. Throws if the query string is invalid.
    */
-  public notesMatchingSmartTag(smartTag: SNSmartTag) {
+  public async createSmartTag(title: string, predicate: SNPredicate | string) {
+    return this.createItem(
+      ContentType.SmartTag,
+      FillItemContent({
+        title,
+        predicate: PredicateFromQueryOrPredicate(predicate)
+      }),
+      true
+    ) as Promise<SNSmartTag>;
+  }
+
+  /**
+   * Returns the predicate that notes must satisfy to be displayed under the smart tag
+   */
+  private smartTagNotesPredicate(smartTag: SNSmartTag) {
     const contentTypePredicate = new SNPredicate('content_type', '=', ContentType.Note);
     const predicates = [contentTypePredicate, smartTag.predicate];
     if (!smartTag.isTrashTag) {
       const notTrashedPredicate = new SNPredicate('content.trashed', '=', false);
       predicates.push(notTrashedPredicate);
     }
-    return this.itemsMatchingPredicates(predicates) as SNNote[];
+    return SNPredicate.CompoundPredicate(predicates);
+  }
+
+  /**
+   * Returns all notes matching the smart tag. Results for smart tags managed by this
+   * class are kept up to date as items change, so this does not scan all items.
+   */
+  public notesMatchingSmartTag(smartTag: SNSmartTag) {
+    const notes = this.collection.predicateSetElements(smartTag.uuid);
+    if (notes) {
+      return notes as SNNote[];
+    }
+    return this.itemsMatchingPredicate(this.smartTagNotesPredicate(smartTag)) as SNNote[];
+  }
+
+  /**
+   * Returns the number of notes matching the smart tag, such as for display
+   * alongside the tag in a list of tags.
+   */
+  public countNotesMatchingSmartTag(smartTag: SNSmartTag) {
+    const count = this.collection.predicateSetCount(smartTag.uuid);
+    if (count !== undefined) {
+      return count;
+    }
+    return this.notesMatchingSmartTag(smartTag).length;
   }
 
   /**
@@ -741,6 +864,90 @@ export class ItemManager extends PureService {
     return this.setItemsToBeDeleted(Uuids(notes));
   }
 
+  /**
+   * Returns the non-deleted conflicted copies of an item.
+   */
+  public conflictsOf(uuid: UuidString) {
+    /** The conflict index is not cleared when a copy's conflict_of changes,
+     * so verify each candidate */
+    return this.collection.conflictsOf(uuid).filter((item) => {
+      return !item.deleted && item.conflictOf === uuid;
+    });
+  }
+
+  /**
+   * Returns all items that have conflicted copies, along with how each copy differs
+   * from the original item.
+   */
+  public getConflicts(): ItemConflict[] {
+    const originalUuids: UuidString[] = [];
+    for (const item of this.nonDeletedItems) {
+      if (item.conflictOf && !originalUuids.includes(item.conflictOf)) {
+        originalUuids.push(item.conflictOf);
+      }
+    }
+    const results: ItemConflict[] = [];
+    for (const uuid of originalUuids) {
+      const original = this.findItem(uuid);
+      if (!original || original.deleted) {
+        continue;
+      }
+      results.push({
+        original: original,
+        conflicts: this.conflictsOf(uuid).map((conflict) => {
+          return {
+            item: conflict,
+            differences: ContentDifferences(original, conflict)
+          };
+        })
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Resolves a conflict by keeping either the content of the chosen version or merged
+   * content on the original item, and deleting all conflicted copies of the item.
+   * The outcome is recorded in the original item's app data.
+   * Consumer must manually call sync.
+   * @param resolution The uuid of the version to keep, or merged content
+   */
+  public async resolveConflict(originalUuid: UuidString, resolution: ConflictResolution) {
+    const original = this.findItem(originalUuid);
+    if (!original || original.deleted) {
+      throw Error('Attempting to resolve conflict of an item that does not exist');
+    }
+    const conflicts = this.conflictsOf(originalUuid);
+    const keptUuid = isString(resolution) ? resolution as UuidString : undefined;
+    let content: PayloadContent | undefined;
+    if (!keptUuid) {
+      content = {
+        ...original.safeContent,
+        ...resolution as PayloadContent
+      };
+    } else if (keptUuid !== originalUuid) {
+      const chosen = conflicts.find((conflict) => conflict.uuid === keptUuid);
+      if (!chosen) {
+        throw Error('Attempting to keep an item that is not a conflict of the original');
+      }
+      content = chosen.safeContent;
+    }
+    const record: ConflictResolutionRecord = {
+      resolvedAt: new Date(),
+      keptUuid: keptUuid,
+      discardedUuids: Uuids(conflicts)
+    };
+    const resolved = await this.changeItem(originalUuid, (mutator) => {
+      if (content) {
+        mutator.setContent(content);
+      }
+      mutator.conflictOf = original.conflictOf;
+      mutator.setAppDataItem(AppDataField.ConflictResolution, record);
+    }, MutationType.UserInteraction);
+    await this.setItemsToBeDeleted(record.discardedUuids);
+    return resolved!;
+  }
+
   /**
    * Returns all smart tags, sorted by title.
    */
@@ -773,6 +980,8 @@ export class ItemManager extends PureService {
 
   public removeItemLocally(item: SNItem) {
     this.collection.discard(item);
+    this.searchIndex.remove([item.uuid]);
+    this.updateSmartTagSets([], [item]);
     this.modelManager!.removePayloadLocally(item.payload);
   }
 }
@@ -9,6 +9,7 @@ import { PurePayload } from '@Payloads/pure_payload';
 import { PureService } from '@Lib/services/pure_service';
 import { MutableCollection } from '@Lib/protocol/collection/collection';
 import { ImmutablePayloadCollection } from '@Lib/protocol/collection/payload_collection';
+import { ConflictResolver, ConflictResolverRegistry } from '@Payloads/deltas/resolvers';
 
 type ChangeCallback = (
   changed: PurePayload[],
@@ -46,6 +47,8 @@ export class PayloadManager extends PureService {
   private changeObservers: ChangeObserver[] = []
   public collection: MutableCollection<PurePayload>
   private emitQueue: QueueElement[] = []
+  /** Resolvers consulted before built-in strategies when payloads conflict */
+  public readonly conflictResolvers = new ConflictResolverRegistry()
 
   constructor() {
     super();
@@ -240,13 +243,42 @@ export class PayloadManager extends PureService {
       ImmutablePayloadCollection.WithPayloads(
         payloads,
         PayloadSource.FileImport
-      )
+      ),
+      undefined,
+      this.conflictResolvers
     );
     const collection = await delta.resultingCollection();
     await this.emitCollection(collection);
     return Uuids(collection.payloads);
   }
 
+  /**
+   * Determines what importing the payloads would do, without emitting anything.
+   * @returns An entry for each payload, in order.
+   */
+  public async planImport(payloads: PurePayload[]) {
+    const delta = new DeltaFileImport(
+      this.getMasterCollection(),
+      ImmutablePayloadCollection.WithPayloads(
+        payloads,
+        PayloadSource.FileImport
+      ),
+      undefined,
+      this.conflictResolvers
+    );
+    return delta.resultingPlan();
+  }
+
+  /**
+   * Registers a function to resolve conflicts between payloads of the given content type,
+   * consulted before the built-in conflict strategies of items. The most recently
+   * registered resolver is consulted first.
+   * @returns A function that unregisters the resolver
+   */
+  public registerConflictResolver(contentType: ContentType, resolver: ConflictResolver) {
+    return this.conflictResolvers.register(contentType, resolver);
+  }
+
   public removePayloadLocally(payload: PurePayload) {
     this.collection.discard(payload);
   }
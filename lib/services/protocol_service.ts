@@ -37,7 +37,8 @@ import {
   isFunction,
   removeFromArray,
   isWebCryptoAvailable,
-  extendArray
+  extendArray,
+  sortedCopy
 } from '@Lib/utils';
 
 import { V001Algorithm, V002Algorithm } from '../protocol/operator/algorithms';
@@ -46,14 +47,72 @@ import { StorageKey } from '@Lib/storage_keys';
 import { StorageValueModes } from '@Lib/services/storage_service';
 import { DeviceInterface } from '../device_interface';
 import { isDecryptedIntent, intentRequiresEncryption } from '@Lib/protocol';
-import { INVALID_PASSWORD } from './api/messages';
+import {
+  INVALID_PASSWORD,
+  UNSUPPORTED_BACKUP_FILE_VERSION,
+  BACKUP_FILE_INTEGRITY_FAILED
+} from './api/messages';
+
+export enum BackupFileVersion {
+  /** Encrypted with the account's keys, or decrypted. Files of this version have no
+   * version value. */
+  Account = 1,
+  /** Encrypted with a key derived from a password chosen for the backup */
+  PasswordProtected = 2
+}
+
+export type BackupFileManifest = {
+  createdAt: string
+  itemCount: number
+  /** The number of items of each content type */
+  contentTypes: Partial<Record<ContentType, number>>
+  /** The SHA-256 hash of each item, with all of its fields as written to the file, by uuid */
+  hashes: Record<string, string>
+}
 
 export type BackupFile = {
+  version?: BackupFileVersion
+  manifest?: BackupFileManifest
   keyParams?: any
   auth_params?: any
   items: any[]
 }
 
+export type ImportProgress = {
+  /** The number of the file's items imported so far, including by interrupted imports */
+  importedCount: number
+  totalCount: number
+}
+
+export type ChunkedImportOptions = {
+  /** The number of items to decrypt and import at a time */
+  batchSize?: number
+  /** Called before the first batch, and after each batch is imported */
+  onProgress?: (progress: ImportProgress) => void
+  awaitSync?: boolean
+}
+
+/** Saved after each imported batch, so that an interrupted import can be resumed */
+export type ImportCheckpoint = {
+  /** Identifies the file being imported */
+  id: string
+  importedCount: number
+}
+
+/**
+ * Returns the raw items of a backup file with items keys first, so that they are
+ * imported before the items they encrypt.
+ */
+export function BackupFileItemsInImportOrder(data: BackupFile) {
+  const itemsKeys = data.items.filter((rawItem) => {
+    return rawItem.content_type === ContentType.ItemsKey;
+  });
+  const others = data.items.filter((rawItem) => {
+    return rawItem.content_type !== ContentType.ItemsKey;
+  });
+  return itemsKeys.concat(others);
+}
+
 type KeyChangeObserver = () => Promise<void>
 
 export enum KeyMode {
@@ -621,35 +680,66 @@ export class SNProtocolService extends PureService implements EncryptionDelegate
     data: BackupFile,
     password?: string
   ) {
+    const decrypt = await this.createBackupFileDecryptor(data, password);
+    return decrypt(BackupFileItemsInImportOrder(data));
+  }
+
+  /**
+   * Prepares to decrypt the items of a backup file in batches, so that a large file
+   * need not be decrypted at once. The file's key is computed, and its items keys
+   * decrypted, only once.
+   * @returns A function that decrypts the given raw items of the file.
+   */
+  public async createBackupFileDecryptor(
+    data: BackupFile,
+    password?: string
+  ): Promise<(rawItems: any[]) => Promise<PurePayload[]>> {
     const keyParamsData = data.keyParams || data.auth_params;
-    const rawItems = data.items;
-    const encryptedPayloads = rawItems.map((rawItem) => {
-      return CreateSourcedPayloadFromObject(
-        rawItem,
-        PayloadSource.FileImport,
-      );
-    });
-    let decryptedPayloads: PurePayload[] = [];
-    if (keyParamsData) {
+    const createPayloads = (rawItems: any[]) => {
+      return rawItems.map((rawItem) => {
+        return CreateSourcedPayloadFromObject(
+          rawItem,
+          PayloadSource.FileImport,
+        );
+      });
+    };
+    if (data.version === BackupFileVersion.PasswordProtected) {
+      /** All items, including items keys, are encrypted directly with the backup key */
       const keyParams = this.createKeyParams(keyParamsData);
       const key = await this.computeRootKey(
         password!,
         keyParams
       );
-      const itemsKeysPayloads = encryptedPayloads.filter((payload) => {
-        return payload.content_type === ContentType.ItemsKey
-      });
-      /**
-       * First decrypt items keys, in case we need to reference these keys for the
-       * decryption of other items below
-       */
-      const decryptedItemsKeysPayloads = await this.payloadsByDecryptingPayloads(
-        itemsKeysPayloads,
-        key
-      );
-      extendArray(decryptedPayloads, decryptedItemsKeysPayloads);
-      for (const encryptedPayload of encryptedPayloads) {
+      return (rawItems) => {
+        return this.payloadsByDecryptingPayloads(createPayloads(rawItems), key);
+      };
+    } else if (!keyParamsData) {
+      return async (rawItems) => createPayloads(rawItems);
+    }
+    const keyParams = this.createKeyParams(keyParamsData);
+    const key = await this.computeRootKey(
+      password!,
+      keyParams
+    );
+    const itemsKeysPayloads = createPayloads(data.items).filter((payload) => {
+      return payload.content_type === ContentType.ItemsKey
+    });
+    /**
+     * First decrypt items keys, in case we need to reference these keys for the
+     * decryption of other items below
+     */
+    const decryptedItemsKeysPayloads = await this.payloadsByDecryptingPayloads(
+      itemsKeysPayloads,
+      key
+    );
+    return async (rawItems) => {
+      const decryptedPayloads: PurePayload[] = [];
+      for (const encryptedPayload of createPayloads(rawItems)) {
         if (encryptedPayload.content_type === ContentType.ItemsKey) {
+          const decryptedItemsKey = decryptedItemsKeysPayloads.find((itemsKeyPayload) => {
+            return itemsKeyPayload.uuid === encryptedPayload.uuid;
+          });
+          decryptedPayloads.push(decryptedItemsKey!);
           continue;
         }
         try {
@@ -685,10 +775,8 @@ export class SNProtocolService extends PureService implements EncryptionDelegate
           console.error('Error decrypting payload', encryptedPayload, e);
         }
       }
-    } else {
-      decryptedPayloads = encryptedPayloads;
-    }
-    return decryptedPayloads;
+      return decryptedPayloads;
+    };
   }
 
   /**
@@ -722,20 +810,7 @@ export class SNProtocolService extends PureService implements EncryptionDelegate
     }
     const encryptedPayloads: PurePayload[] = [];
     for (const item of items) {
-      if (item.errorDecrypting) {
-        /** Keep payload as-is */
-        encryptedPayloads.push(item.payload);
-      } else {
-        const payload = CreateSourcedPayloadFromObject(
-          item.payload,
-          PayloadSource.FileImport
-        );
-        const encrypted = await this.payloadByEncryptingPayload(
-          payload,
-          intent
-        );
-        encryptedPayloads.push(encrypted);
-      }
+      encryptedPayloads.push(await this.payloadForBackupFile(item, intent));
     }
     const data: BackupFile = {
       items: encryptedPayloads.map((p) => p.ejected())
@@ -748,6 +823,152 @@ export class SNProtocolService extends PureService implements EncryptionDelegate
     return JSON.stringify(data, null, prettyPrint);
   }
 
+  /**
+   * Like `createBackupFile`, but yields the JSON string in chunks, one item at a time,
+   * so that the entire backup need not be held in memory. Joining the chunks produces
+   * a valid backup file.
+   */
+  public async *createBackupFileChunks(
+    subItems?: SNItem[],
+    intent = EncryptionIntent.FilePreferEncrypted
+  ) {
+    const items = subItems || this.itemManager!.items;
+    yield '{\n  "items": [';
+    for (let index = 0; index < items.length; index++) {
+      const payload = await this.payloadForBackupFile(items[index], intent);
+      const separator = index === 0 ? '\n    ' : ',\n    ';
+      yield separator + JSON.stringify(payload.ejected());
+    }
+    yield '\n  ]';
+    const keyParams = await this.getRootKeyParams();
+    if (keyParams && intent !== EncryptionIntent.FileDecrypted) {
+      yield ',\n  "keyParams": ' + JSON.stringify(keyParams.getPortableValue());
+    }
+    yield '\n}';
+  }
+
+  private async payloadForBackupFile(item: SNItem, intent: EncryptionIntent) {
+    if (item.errorDecrypting) {
+      /** Keep payload as-is */
+      return item.payload;
+    }
+    const payload = CreateSourcedPayloadFromObject(
+      item.payload,
+      PayloadSource.FileImport
+    );
+    return this.payloadByEncryptingPayload(
+      payload,
+      intent
+    );
+  }
+
+  /**
+   * Creates a JSON string representing a password protected backup of all items, or
+   * just subItems if supplied. Items are encrypted with a key derived from the password,
+   * rather than with the account's keys, so that the backup can be imported by any
+   * account that knows the password. The file includes a manifest with the hash of each
+   * item, which is verified before the file is imported.
+   * Items that could not be decrypted, and deleted items, are not included, as they
+   * cannot be encrypted with the backup's key.
+   * @param returnIfEmpty Returns undefined if there are no items to make backup of.
+   */
+  public async createPasswordProtectedBackupFile(
+    password: string,
+    subItems?: SNItem[],
+    returnIfEmpty = false
+  ) {
+    const items = (subItems || this.itemManager!.items).filter((item) => {
+      return !item.errorDecrypting && !item.deleted;
+    });
+    if (returnIfEmpty && items.length === 0) {
+      return undefined;
+    }
+    const identifier = await Uuid.GenerateUuid();
+    const { key, keyParams } = await this.createRootKey(identifier, password);
+    const manifest: BackupFileManifest = {
+      createdAt: new Date().toISOString(),
+      itemCount: items.length,
+      contentTypes: {},
+      hashes: {}
+    };
+    const rawItems = [];
+    for (const item of items) {
+      const payload = CreateSourcedPayloadFromObject(
+        item.payload,
+        PayloadSource.FileImport
+      );
+      const encrypted = await this.payloadByEncryptingPayload(
+        payload,
+        EncryptionIntent.FileEncrypted,
+        key
+      );
+      const rawItem = encrypted.ejected();
+      manifest.hashes[rawItem.uuid!] = await this.hashBackupItem(rawItem);
+      manifest.contentTypes[item.content_type] =
+        (manifest.contentTypes[item.content_type] || 0) + 1;
+      rawItems.push(rawItem);
+    }
+    const data: BackupFile = {
+      version: BackupFileVersion.PasswordProtected,
+      manifest: manifest,
+      keyParams: keyParams.getPortableValue(),
+      items: rawItems
+    };
+    const prettyPrint = 2;
+    return JSON.stringify(data, null, prettyPrint);
+  }
+
+  /**
+   * Verifies that a backup file is of a supported version, and, for password protected
+   * backups, that its items are those listed in its manifest, unmodified. Account
+   * backups have no manifest, and are always considered valid.
+   */
+  public async validateBackupFile(data: BackupFile) {
+    const version = data.version || BackupFileVersion.Account;
+    if (version > BackupFileVersion.PasswordProtected) {
+      return { valid: false, error: UNSUPPORTED_BACKUP_FILE_VERSION };
+    }
+    if (version === BackupFileVersion.Account) {
+      return { valid: true };
+    }
+    const manifest = data.manifest;
+    if (
+      !manifest ||
+      !manifest.hashes ||
+      !data.keyParams ||
+      !Array.isArray(data.items) ||
+      data.items.length !== manifest.itemCount ||
+      Object.keys(manifest.hashes).length !== manifest.itemCount
+    ) {
+      return { valid: false, error: BACKUP_FILE_INTEGRITY_FAILED };
+    }
+    /** Each item listed in the manifest must appear exactly once */
+    const uuids = new Set<string>();
+    for (const rawItem of data.items) {
+      if (!rawItem || uuids.has(rawItem.uuid)) {
+        return { valid: false, error: BACKUP_FILE_INTEGRITY_FAILED };
+      }
+      uuids.add(rawItem.uuid);
+      const hash = await this.hashBackupItem(rawItem);
+      if (manifest.hashes[rawItem.uuid] !== hash) {
+        return { valid: false, error: BACKUP_FILE_INTEGRITY_FAILED };
+      }
+    }
+    const listedUuids = Object.keys(manifest.hashes);
+    if (
+      listedUuids.length !== uuids.size ||
+      !listedUuids.every((uuid) => uuids.has(uuid))
+    ) {
+      return { valid: false, error: BACKUP_FILE_INTEGRITY_FAILED };
+    }
+    return { valid: true };
+  }
+
+  /** Hashes every field of an item as written to a backup file, in key order */
+  private async hashBackupItem(rawItem: any) {
+    return this.crypto!.sha256(JSON.stringify(sortedCopy(rawItem)));
+  }
+
   /**
    * Register a callback to be notified when root key status changes.
    * @param callback  A function that takes in a content type to call back when root
@@ -0,0 +1,318 @@
+import { PureService } from '@Lib/services/pure_service';
+import { DeviceInterface } from '@Lib/device_interface';
+import { SNApiService } from '@Services/api/api_service';
+import { SNSyncService, SyncQueueStrategy, SyncSources } from '@Services/sync/sync_service';
+import { SyncRetryDelay, SyncRetryOptions } from '@Services/sync/retry';
+
+export enum RealtimeEvent {
+  Connected = 'realtime-connected',
+  /** The connection closed or could not be opened, and may be reconnected */
+  Disconnected = 'realtime-disconnected',
+  /** Data includes the reconnection attempt number, delay, and date */
+  ReconnectScheduled = 'realtime-reconnect-scheduled'
+}
+
+/** The `type` of the JSON messages a realtime server sends */
+export enum RealtimeMessageType {
+  /** Items of the account were changed by another session, so should be synced */
+  ItemsChanged = 'items_changed'
+}
+
+export type RealtimeConnectionHandlers = {
+  onOpen: () => void
+  onMessage: (data: string) => void
+  /** Called when the connection closes, or could not be opened */
+  onClose: (error?: Error) => void
+}
+
+export interface RealtimeConnection {
+  close(): void
+}
+
+/**
+ * Opens connections to a realtime server over a protocol such as WebSocket or
+ * Server-Sent Events.
+ */
+export interface RealtimeChannel {
+  connect(url: string, handlers: RealtimeConnectionHandlers): RealtimeConnection
+}
+
+export type RealtimeOptions = {
+  /**
+   * The url of the realtime endpoint. The session's access token is added to it as the
+   * `access_token` query parameter, since browsers cannot set headers on WebSocket or
+   * EventSource requests.
+   */
+  url: string
+  channel: RealtimeChannel
+  /** Defaults to retrying forever, waiting from 1 second up to 1 minute in between */
+  reconnect?: Partial<SyncRetryOptions>
+}
+
+const DEFAULT_RECONNECT_OPTIONS: SyncRetryOptions = {
+  maxAttempts: Infinity,
+  initialDelay: 1000,
+  maxDelay: 60 * 1000,
+  jitter: 0.5
+};
+
+/**
+ * A realtime channel over WebSocket. Messages are expected to be text.
+ */
+export class SNWebSocketChannel implements RealtimeChannel {
+
+  private WebSocketClass?: typeof WebSocket
+
+  /**
+   * @param WebSocketClass The WebSocket implementation to use, for platforms without
+   * a global WebSocket. Defaults to the global WebSocket.
+   */
+  constructor(WebSocketClass?: typeof WebSocket) {
+    this.WebSocketClass = WebSocketClass;
+  }
+
+  connect(url: string, handlers: RealtimeConnectionHandlers) {
+    const Socket = this.WebSocketClass || WebSocket;
+    const socket = new Socket(url);
+    socket.onopen = () => handlers.onOpen();
+    socket.onmessage = (event) => {
+      if (typeof event.data === 'string') {
+        handlers.onMessage(event.data);
+      }
+    };
+    /** A close event follows each error event */
+    socket.onclose = (event) => {
+      handlers.onClose(event.wasClean ? undefined : Error('The connection was lost'));
+    };
+    return {
+      close: () => {
+        socket.onclose = null;
+        socket.close();
+      }
+    };
+  }
+}
+
+/**
+ * A realtime channel over Server-Sent Events. EventSource reconnects by itself, without
+ * backing off, so the source is instead closed on errors for the realtime service to
+ * reconnect.
+ */
+export class SNEventSourceChannel implements RealtimeChannel {
+
+  private EventSourceClass?: typeof EventSource
+
+  /**
+   * @param EventSourceClass The EventSource implementation to use, for platforms
+   * without a global EventSource. Defaults to the global EventSource.
+   */
+  constructor(EventSourceClass?: typeof EventSource) {
+    this.EventSourceClass = EventSourceClass;
+  }
+
+  connect(url: string, handlers: RealtimeConnectionHandlers) {
+    const Source = this.EventSourceClass || EventSource;
+    const source = new Source(url);
+    source.onopen = () => handlers.onOpen();
+    source.onmessage = (event) => handlers.onMessage(event.data);
+    source.onerror = () => {
+      source.close();
+      handlers.onClose(Error('The connection was lost'));
+    };
+    return {
+      close: () => source.close()
+    };
+  }
+}
+
+/**
+ * The realtime service keeps a connection open to a realtime server while signed in,
+ * and syncs whenever the server sends an items changed message, so that changes made
+ * on other devices appear without waiting for the auto-sync timer. Lost connections
+ * are reopened after an exponentially increasing delay, then synced in case messages
+ * were missed.
+ * The service does nothing until started, since not all servers support realtime
+ * connections.
+ */
+export class SNRealtimeService extends PureService {
+
+  private apiService?: SNApiService
+  private syncService?: SNSyncService
+  private options?: RealtimeOptions
+  private connection?: RealtimeConnection
+  /** Identifies the current connection, so that callbacks of closed ones are ignored */
+  private connectionId = 0
+  private connected = false
+  /** Whether a connection has opened since starting, so that later ones are reconnections */
+  private hasConnected = false
+  private reconnectAttempt = 0
+  private reconnectTimer?: any
+
+  constructor(
+    apiService: SNApiService,
+    syncService: SNSyncService,
+    deviceInterface: DeviceInterface
+  ) {
+    super();
+    this.apiService = apiService;
+    this.syncService = syncService;
+    this.deviceInterface = deviceInterface;
+  }
+
+  public deinit() {
+    this.stop();
+    this.apiService = undefined;
+    this.syncService = undefined;
+    super.deinit();
+  }
+
+  /**
+   * Begins keeping a realtime connection open. If not signed in, the connection opens
+   * once signed in.
+   */
+  public start(options: RealtimeOptions) {
+    this.stop();
+    this.options = options;
+    this.connect();
+  }
+
+  /** Closes the realtime connection, and stops reconnecting */
+  public stop() {
+    this.options = undefined;
+    this.hasConnected = false;
+    this.reconnectAttempt = 0;
+    this.cancelReconnect();
+    this.closeConnection();
+  }
+
+  public isStarted() {
+    return !!this.options;
+  }
+
+  public isConnected() {
+    return this.connected;
+  }
+
+  /**
+   * Opens a connection with the current session, replacing any open connection.
+   * Called by the application when signing in.
+   */
+  public connect() {
+    this.cancelReconnect();
+    this.closeConnection();
+    const session = this.apiService?.getSession();
+    if (!this.options || !session) {
+      return;
+    }
+    const separator = this.options.url.includes('?') ? '&' : '?';
+    const url = this.options.url + separator +
+      'access_token=' + encodeURIComponent(session.accessToken);
+    const connectionId = this.connectionId;
+    const isCurrent = () => connectionId === this.connectionId;
+    this.connection = this.options.channel.connect(url, {
+      onOpen: () => {
+        if (isCurrent()) {
+          this.handleOpen();
+        }
+      },
+      onMessage: (data) => {
+        if (isCurrent()) {
+          this.handleMessage(data);
+        }
+      },
+      onClose: (error) => {
+        if (isCurrent()) {
+          this.handleClose(error);
+        }
+      }
+    });
+  }
+
+  private cancelReconnect() {
+    if (!this.reconnectTimer) {
+      return;
+    }
+    const timeout = this.deviceInterface!.timeout;
+    if (Object.prototype.hasOwnProperty.call(timeout, 'cancel')) {
+      timeout.cancel(this.reconnectTimer);
+    } else {
+      clearTimeout(this.reconnectTimer);
+    }
+    this.reconnectTimer = undefined;
+  }
+
+  private closeConnection() {
+    this.connectionId++;
+    const connection = this.connection;
+    this.connection = undefined;
+    if (connection) {
+      connection.close();
+    }
+    if (this.connected) {
+      this.connected = false;
+      this.notifyEvent(RealtimeEvent.Disconnected);
+    }
+  }
+
+  private async handleOpen() {
+    const isReconnection = this.hasConnected;
+    this.connected = true;
+    this.hasConnected = true;
+    this.reconnectAttempt = 0;
+    this.log('Realtime connection opened');
+    await this.notifyEvent(RealtimeEvent.Connected);
+    if (isReconnection) {
+      this.sync();
+    }
+  }
+
+  private handleMessage(data: string) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      this.log('Ignoring realtime message that is not JSON', data);
+      return;
+    }
+    if (message?.type === RealtimeMessageType.ItemsChanged) {
+      this.sync();
+    }
+  }
+
+  private sync() {
+    this.syncService!.sync({
+      queueStrategy: SyncQueueStrategy.ResolveOnNext,
+      source: SyncSources.Realtime
+    }).catch(console.error);
+  }
+
+  private async handleClose(error?: Error) {
+    this.log('Realtime connection closed', error);
+    this.connectionId++;
+    this.connection = undefined;
+    if (this.connected) {
+      this.connected = false;
+      await this.notifyEvent(RealtimeEvent.Disconnected, { error });
+    }
+    this.scheduleReconnect();
+  }
+
+  private scheduleReconnect() {
+    const options = { ...DEFAULT_RECONNECT_OPTIONS, ...this.options?.reconnect };
+    if (!this.options || this.reconnectAttempt >= options.maxAttempts) {
+      return;
+    }
+    this.reconnectAttempt++;
+    const attempt = this.reconnectAttempt;
+    const delay = SyncRetryDelay(attempt, options);
+    this.reconnectTimer = this.deviceInterface!.timeout(() => {
+      this.reconnectTimer = undefined;
+      this.connect();
+    }, delay);
+    this.notifyEvent(RealtimeEvent.ReconnectScheduled, {
+      attempt,
+      delay,
+      date: new Date(Date.now() + delay)
+    });
+  }
+}
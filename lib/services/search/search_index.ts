@@ -0,0 +1,261 @@
+import { tokenize, parseSearchQuery } from './tokenizer';
+import { SNNote } from '@Models/app/note';
+import { UuidString } from '@Lib/types';
+
+/** How much more a term occurring in the title counts relative to one in the text */
+const TITLE_WEIGHT = 3;
+/** How much a prefix match counts relative to an exact term match */
+const PREFIX_WEIGHT = 0.5;
+/** How much a matched phrase counts relative to its terms matched individually */
+const PHRASE_WEIGHT = 2;
+
+type Posting = {
+  /** Positions of the term in the tokenized title */
+  title: number[]
+  /** Positions of the term in the tokenized text */
+  text: number[]
+}
+
+export type SearchOptions = {
+  /** The maximum number of results to return. Returns all matches if not supplied. */
+  limit?: number
+  /**
+   * Whether query terms should also match longer words that begin with the term,
+   * so that `meet` matches `meeting`. Quoted phrases always match exactly.
+   * Defaults to true.
+   */
+  prefixMatch?: boolean
+  /** Whether to include notes that are in the trash. Defaults to false. */
+  includeTrashed?: boolean
+}
+
+export type SearchResult = {
+  uuid: UuidString
+  score: number
+}
+
+/**
+ * An inverted index over the title and text of notes. Rather than scanning every note
+ * on each query, the index maps each term to the notes that contain it, along with the
+ * positions it occurs at, so that a query only touches the notes containing its terms.
+ * The index is updated incrementally as notes change via `set` and `remove`.
+ */
+export class NoteSearchIndex {
+
+  /** term -> note uuid -> where the term occurs in that note */
+  private postings: Map<string, Map<UuidString, Posting>> = new Map()
+  /** note uuid -> unique terms indexed for that note, used to unindex a note */
+  private documentTerms: Map<UuidString, string[]> = new Map()
+  /** All indexed terms in sorted order, for prefix lookups. Rebuilt lazily
+   * after the set of terms changes. */
+  private sortedTerms?: string[]
+
+  /** The number of notes currently indexed */
+  public get size() {
+    return this.documentTerms.size;
+  }
+
+  /**
+   * Indexes the given notes, replacing any previously indexed values for them.
+   * Notes that are deleted or cannot be read are removed from the index.
+   */
+  public set(notes: SNNote[]) {
+    for (const note of notes) {
+      this.removeDocument(note.uuid);
+      if (note.deleted || note.errorDecrypting || note.waitingForKey) {
+        continue;
+      }
+      this.addDocument(note.uuid, note.title, note.text);
+    }
+  }
+
+  public remove(uuids: UuidString[]) {
+    for (const uuid of uuids) {
+      this.removeDocument(uuid);
+    }
+  }
+
+  public clear() {
+    this.postings.clear();
+    this.documentTerms.clear();
+    this.sortedTerms = undefined;
+  }
+
+  /**
+   * Returns the uuids of notes matching every term and phrase in the query,
+   * ordered from most to least relevant.
+   */
+  public search(query: string, prefixMatch = true): SearchResult[] {
+    const { terms, phrases } = parseSearchQuery(query);
+    if (terms.length === 0 && phrases.length === 0) {
+      return [];
+    }
+    let scores: Map<UuidString, number> | undefined;
+    const intersect = (matches: Map<UuidString, number>) => {
+      if (!scores) {
+        scores = matches;
+        return;
+      }
+      const intersection: Map<UuidString, number> = new Map();
+      for (const [uuid, score] of matches) {
+        const existing = scores.get(uuid);
+        if (existing !== undefined) {
+          intersection.set(uuid, existing + score);
+        }
+      }
+      scores = intersection;
+    };
+    for (const term of terms) {
+      intersect(this.scoreTerm(term, prefixMatch));
+      if (scores!.size === 0) {
+        return [];
+      }
+    }
+    for (const phrase of phrases) {
+      intersect(this.scorePhrase(phrase));
+      if (scores!.size === 0) {
+        return [];
+      }
+    }
+    const results: SearchResult[] = [];
+    for (const [uuid, score] of scores!) {
+      results.push({ uuid, score });
+    }
+    return results.sort((a, b) => b.score - a.score);
+  }
+
+  private addDocument(uuid: UuidString, title?: string, text?: string) {
+    const terms: Set<string> = new Set();
+    const addTokens = (tokens: string[], field: keyof Posting) => {
+      tokens.forEach((token, position) => {
+        let notes = this.postings.get(token);
+        if (!notes) {
+          notes = new Map();
+          this.postings.set(token, notes);
+          this.sortedTerms = undefined;
+        }
+        let posting = notes.get(uuid);
+        if (!posting) {
+          posting = { title: [], text: [] };
+          notes.set(uuid, posting);
+        }
+        posting[field].push(position);
+        terms.add(token);
+      });
+    };
+    addTokens(tokenize(title), 'title');
+    addTokens(tokenize(text), 'text');
+    this.documentTerms.set(uuid, Array.from(terms));
+  }
+
+  private removeDocument(uuid: UuidString) {
+    const terms = this.documentTerms.get(uuid);
+    if (!terms) {
+      return;
+    }
+    for (const term of terms) {
+      const notes = this.postings.get(term);
+      if (!notes) {
+        continue;
+      }
+      notes.delete(uuid);
+      if (notes.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = undefined;
+      }
+    }
+    this.documentTerms.delete(uuid);
+  }
+
+  /**
+   * Inverse document frequency. Terms that occur in fewer notes are more
+   * significant when they match.
+   */
+  private idf(term: string) {
+    const documentFrequency = this.postings.get(term)?.size || 0;
+    return Math.log(1 + this.documentTerms.size / (1 + documentFrequency));
+  }
+
+  /** Returns all indexed terms that begin with the given prefix */
+  private termsWithPrefix(prefix: string) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+    const sorted = this.sortedTerms;
+    /** Binary search for the first term >= prefix */
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (sorted[middle] < prefix) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    const results = [];
+    for (let index = low; index < sorted.length; index++) {
+      if (!sorted[index].startsWith(prefix)) {
+        break;
+      }
+      results.push(sorted[index]);
+    }
+    return results;
+  }
+
+  /**
+   * Returns a map of note uuid to score for all notes containing the term. When prefix
+   * matching, a note is scored by its best matching indexed term.
+   */
+  private scoreTerm(term: string, prefixMatch: boolean) {
+    const scores: Map<UuidString, number> = new Map();
+    const candidates = prefixMatch ? this.termsWithPrefix(term) : [term];
+    for (const candidate of candidates) {
+      const notes = this.postings.get(candidate);
+      if (!notes) {
+        continue;
+      }
+      const weight = this.idf(candidate) * (candidate === term ? 1 : PREFIX_WEIGHT);
+      for (const [uuid, posting] of notes) {
+        const frequency = TITLE_WEIGHT * posting.title.length + posting.text.length;
+        const score = weight * frequency;
+        if (score > (scores.get(uuid) || 0)) {
+          scores.set(uuid, score);
+        }
+      }
+    }
+    return scores;
+  }
+
+  /**
+   * Returns a map of note uuid to score for all notes where the terms of the phrase
+   * appear consecutively in either the title or the text.
+   */
+  private scorePhrase(phrase: string[]) {
+    const scores: Map<UuidString, number> = new Map();
+    const postings = phrase.map((term) => this.postings.get(term));
+    if (postings.some((notes) => !notes)) {
+      return scores;
+    }
+    /** Iterate over the rarest term's notes, as those are the only possible matches */
+    const rarest = postings.reduce((a, b) => (a!.size <= b!.size ? a : b))!;
+    const weight = PHRASE_WEIGHT * phrase.reduce((sum, term) => sum + this.idf(term), 0);
+    for (const uuid of rarest.keys()) {
+      const notePostings = postings.map((notes) => notes!.get(uuid));
+      if (notePostings.some((posting) => !posting)) {
+        continue;
+      }
+      const countOccurrences = (field: keyof Posting) => {
+        const following = notePostings.slice(1).map((posting) => new Set(posting![field]));
+        return notePostings[0]![field].filter((start) => {
+          return following.every((positions, index) => positions.has(start + index + 1));
+        }).length;
+      };
+      const frequency = TITLE_WEIGHT * countOccurrences('title') + countOccurrences('text');
+      if (frequency > 0) {
+        scores.set(uuid, weight * frequency);
+      }
+    }
+    return scores;
+  }
+}
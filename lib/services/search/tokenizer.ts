@@ -0,0 +1,49 @@
+/** Matches runs of characters that are not letters or digits */
+const TOKEN_SEPARATOR = /[^0-9a-z\u00C0-\u024F\u0370-\u04FF\u0590-\u06FF\u3040-\u30FF\u3400-\u9FFF\uAC00-\uD7AF]+/;
+
+/**
+ * Splits text into lowercased terms. The position of a term in the returned array
+ * is its position in the source text, which is what phrase matching relies on.
+ */
+export function tokenize(text?: string) {
+  if (!text) {
+    return [];
+  }
+  return text
+    .toLowerCase()
+    .split(TOKEN_SEPARATOR)
+    .filter((token) => token.length > 0);
+}
+
+export type ParsedQuery = {
+  /** Single words, which all must be present in a note for it to match */
+  terms: string[]
+  /** Quoted sequences of words, which must appear in order in the same field */
+  phrases: string[][]
+}
+
+/**
+ * Parses a user-entered query string. Text surrounded by double quotes is treated
+ * as a phrase, and everything else is split into individual terms.
+ * For example `meeting "action items" 2020` yields
+ * { terms: ['meeting', '2020'], phrases: [['action', 'items']] }
+ */
+export function parseSearchQuery(query: string): ParsedQuery {
+  const terms: string[] = [];
+  const phrases: string[][] = [];
+  const segments = query.split('"');
+  for (let index = 0; index < segments.length; index++) {
+    const tokens = tokenize(segments[index]);
+    /** Odd segments are enclosed by quotes. An unterminated quote is treated as a phrase
+     * too, as that is usually what the user is in the middle of typing. */
+    const isQuoted = index % 2 === 1;
+    if (isQuoted && tokens.length > 1) {
+      phrases.push(tokens);
+    } else {
+      for (const token of tokens) {
+        terms.push(token);
+      }
+    }
+  }
+  return { terms, phrases };
+}
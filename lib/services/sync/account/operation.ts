@@ -3,9 +3,21 @@ import { arrayByDifference, subtractFromArray } from '@Lib/utils';
 import { SyncResponse } from '@Services/sync/response';
 import { SyncSignal, ResponseSignalReceiver } from '@Services/sync/signals';
 import { SNApiService } from '../../api/api_service';
+import { ContentType } from '@Models/content_types';
 
 const DEFAULT_UP_DOWN_LIMIT = 150;
 
+/**
+ * The position of a sequence of items retrieved from the server. Syncing all items uses
+ * a single stream, and selective sync uses one stream for each selected content type.
+ */
+export type SyncStream = {
+  /** The content type of the items the stream retrieves, or undefined for all items */
+  contentType?: ContentType
+  lastSyncToken?: string
+  paginationToken?: string
+}
+
 /**
  * A long running operation that handles multiple roundtrips from a server,
  * emitting a stream of values that should be acted upon in real time.
@@ -14,8 +26,10 @@ export class AccountSyncOperation {
 
   private payloads: PurePayload[]
   private receiver: ResponseSignalReceiver
-  private lastSyncToken: string
-  private paginationToken: string
+  private streams: SyncStream[]
+  private streamIndex = 0
+  /** Whether each stream has retrieved all of its items */
+  private streamsCompleted = false
   public checkIntegrity: boolean
   private apiService: SNApiService
 
@@ -25,18 +39,21 @@ export class AccountSyncOperation {
   /**
    * @param payloads   An array of payloads to send to the server
    * @param receiver   A function that receives callback multiple times during the operation
+   * @param streams    The streams to retrieve items with, in turn. Payloads are sent with
+   *                   the first requests, whichever streams they are made for.
    */
   constructor(
     payloads: PurePayload[],
     receiver: ResponseSignalReceiver,
-    lastSyncToken: string,
-    paginationToken: string,
+    streams: SyncStream[],
     checkIntegrity: boolean,
     apiService: SNApiService
   ) {
+    if (streams.length === 0) {
+      throw Error('Attempting to sync without any streams.');
+    }
     this.payloads = payloads;
-    this.lastSyncToken = lastSyncToken;
-    this.paginationToken = paginationToken;
+    this.streams = streams.map((stream) => ({ ...stream }));
     this.checkIntegrity = checkIntegrity;
     this.apiService = apiService;
     this.receiver = receiver;
@@ -56,25 +73,44 @@ export class AccountSyncOperation {
     return payloads;
   }
 
+  /** The stream the latest request was made for */
+  get currentStream() {
+    return this.streams[this.streamIndex];
+  }
+
   async run() : Promise<void> {
     const payloads = this.popPayloads(this.upLimit);
+    const stream = this.currentStream;
     const rawResponse = await this.apiService.sync(
       payloads,
-      this.lastSyncToken,
-      this.paginationToken,
+      stream.lastSyncToken!,
+      stream.paginationToken!,
       this.downLimit,
       this.checkIntegrity,
-      undefined,
+      stream.contentType,
       undefined
     );
     const response = new SyncResponse(rawResponse);
 
     this.responses.push(response);
-    this.lastSyncToken = response.lastSyncToken!;
-    this.paginationToken = response.paginationToken!;
+    if (!response.hasError) {
+      stream.lastSyncToken = response.lastSyncToken!;
+      stream.paginationToken = response.paginationToken!;
+    }
 
     await this.receiver(SyncSignal.Response, response);
 
+    if (response.hasError) {
+      /** The sync service retries failed syncs as a whole */
+      return;
+    }
+    if (!stream.paginationToken) {
+      if (this.streamIndex < this.streams.length - 1) {
+        this.streamIndex++;
+      } else {
+        this.streamsCompleted = true;
+      }
+    }
     if (!this.done) {
       return this.run();
     }
@@ -89,7 +125,9 @@ export class AccountSyncOperation {
   }
 
   get done() {
-    return this.pendingPayloads.length === 0 && !this.paginationToken;
+    return this.pendingPayloads.length === 0 &&
+      this.streamsCompleted &&
+      !this.currentStream.paginationToken;
   }
 
   get upLimit() {
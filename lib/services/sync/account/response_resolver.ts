@@ -5,6 +5,7 @@ import { PayloadSource } from '@Payloads/sources';
 import { ImmutablePayloadCollection } from "@Protocol/collection/payload_collection";
 import { ImmutablePayloadCollectionSet } from '@Protocol/collection/collection_set';
 import { CopyPayload } from '@Payloads/generator';
+import { ConflictResolverRegistry } from '@Payloads/deltas/resolvers';
 
 /**
  * Given a remote sync response, the resolver applies the incoming changes on top
@@ -17,14 +18,23 @@ export class SyncResponseResolver {
   private response: SyncResponse
   private baseCollection: ImmutablePayloadCollection;
   private relatedCollectionSet: ImmutablePayloadCollectionSet
+  private conflictResolvers?: ConflictResolverRegistry
 
+  /**
+   * @param ancestorPayloads The last versions known to match the server of any payloads
+   * in the response, which allow conflicting changes to be merged.
+   * @param conflictResolvers Registered resolvers to consult when payloads conflict.
+   */
   constructor(
     response: SyncResponse,
     decryptedResponsePayloads: PurePayload[],
     baseCollection: ImmutablePayloadCollection,
-    payloadsSavedOrSaving: PurePayload[]
+    payloadsSavedOrSaving: PurePayload[],
+    ancestorPayloads: PurePayload[] = [],
+    conflictResolvers?: ConflictResolverRegistry
   ) {
     this.response = response;
+    this.conflictResolvers = conflictResolvers;
     this.baseCollection = baseCollection;
     this.relatedCollectionSet = new ImmutablePayloadCollectionSet([
       ImmutablePayloadCollection.WithPayloads(
@@ -34,6 +44,10 @@ export class SyncResponseResolver {
       ImmutablePayloadCollection.WithPayloads(
         payloadsSavedOrSaving,
         PayloadSource.SavedOrSaving
+      ),
+      ImmutablePayloadCollection.WithPayloads(
+        ancestorPayloads,
+        PayloadSource.SyncedAncestor
       )
     ]);
   }
@@ -93,7 +107,8 @@ export class SyncResponseResolver {
     const delta = new deltaClass(
       this.baseCollection,
       collection,
-      this.relatedCollectionSet
+      this.relatedCollectionSet,
+      this.conflictResolvers
     );
     const resultCollection = await delta.resultingCollection();
     const updatedDirtyPayloads = resultCollection.all().map((payload) => {
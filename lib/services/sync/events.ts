@@ -7,6 +7,12 @@ export enum SyncEvent {
   DownloadFirstSyncCompleted = 'sync =download-first-completed',
   SyncTakingTooLong = 'sync =taking-too-long',
   SyncError = 'sync =error',
+  /** A failed sync will be retried. Data includes the attempt number, delay, and date. */
+  SyncRetryScheduled = 'sync =retry-scheduled',
+  /** A sync failed because the server could not be reached */
+  EnteredOffline = 'entered-offline',
+  /** The server could be reached again after having entered offline */
+  ExitedOffline = 'exited-offline',
   InvalidSession = 'sync =invalid-session',
   MajorDataChange = 'major-data-change',
   LocalDataIncrementalLoad = 'local-data-incremental-load',
@@ -27,6 +27,7 @@ type RawSyncResponse = {
   conflicts?: ConflictParams[]
   unsaved?: ConflictParams[]
   status?: number
+  headers?: Record<string, string>
 }
 
 export class SyncResponse {
@@ -106,6 +107,13 @@ export class SyncResponse {
     return this.rawResponse.status!;
   }
 
+  /**
+   * The value of the Retry-After header of failed responses, if the server sent one
+   */
+  public get retryAfter(): string | undefined {
+    return this.rawResponse.headers?.['retry-after'];
+  }
+
   public get lastSyncToken() {
     return this.rawResponse[ApiEndpointParam.LastSyncToken];
   }
@@ -0,0 +1,97 @@
+const HTTP_STATUS_NO_RESPONSE = 0;
+const HTTP_STATUS_REQUEST_TIMEOUT = 408;
+const HTTP_STATUS_TOO_MANY_REQUESTS = 429;
+const HTTP_STATUS_MIN_SERVER_ERROR = 500;
+
+export enum SyncFailureKind {
+  /** The server could not be reached, such as when the device is offline */
+  Network = 1,
+  /** The server could not handle the request at the moment, and may if it is retried */
+  Server = 2,
+  /** The server refused the request, and will refuse it again if it is retried */
+  Rejected = 3
+}
+
+export type SyncRetryOptions = {
+  /**
+   * The number of times in a row a failed sync is retried. Once reached, syncing
+   * resumes with the next sync request.
+   */
+  maxAttempts: number
+  /** The number of milliseconds to wait before the first retry, doubled for each retry after */
+  initialDelay: number
+  /**
+   * The longest number of milliseconds to wait before a retry, including when a server
+   * asks for a longer wait with Retry-After
+   */
+  maxDelay: number
+  /**
+   * The fraction of each delay, between 0 and 1, that is random, so that clients that
+   * failed together do not all retry together.
+   */
+  jitter: number
+}
+
+export const DEFAULT_SYNC_RETRY_OPTIONS: SyncRetryOptions = Object.freeze({
+  maxAttempts: 8,
+  initialDelay: 1000,
+  maxDelay: 60 * 1000,
+  jitter: 0.5
+});
+
+/**
+ * @param status The status of a failed sync response. Responses that were never sent,
+ * such as while a session is being refreshed, have no status.
+ */
+export function SyncFailureKindForStatus(status?: number) {
+  if (status === HTTP_STATUS_NO_RESPONSE) {
+    return SyncFailureKind.Network;
+  }
+  if (
+    status === undefined ||
+    status === HTTP_STATUS_REQUEST_TIMEOUT ||
+    status === HTTP_STATUS_TOO_MANY_REQUESTS ||
+    status >= HTTP_STATUS_MIN_SERVER_ERROR
+  ) {
+    return SyncFailureKind.Server;
+  }
+  return SyncFailureKind.Rejected;
+}
+
+/**
+ * @param attempt The number of the retry, starting at 1
+ * @param random Returns a number from 0 up to 1. Defaults to Math.random.
+ * @returns The number of milliseconds to wait before the retry
+ */
+export function SyncRetryDelay(
+  attempt: number,
+  options: SyncRetryOptions,
+  random = Math.random
+) {
+  const delay = Math.min(
+    options.maxDelay,
+    options.initialDelay * Math.pow(2, Math.max(0, attempt - 1))
+  );
+  const jitter = Math.min(1, Math.max(0, options.jitter));
+  return Math.round(delay * (1 - jitter) + delay * jitter * random());
+}
+
+/**
+ * Parses the value of a Retry-After header, which is either a number of seconds or a date.
+ * @returns The number of milliseconds to wait before retrying, or undefined if the value
+ * is missing or invalid.
+ */
+export function RetryAfterDelay(value?: string, now = Date.now()) {
+  if (!value) {
+    return undefined;
+  }
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10) * 1000;
+  }
+  const date = Date.parse(trimmed);
+  if (isNaN(date)) {
+    return undefined;
+  }
+  return Math.max(0, date - now);
+}
@@ -8,18 +8,19 @@ import { PurePayload } from '@Payloads/pure_payload';
 import { PayloadManager } from './../model_manager';
 import { SNStorageService } from './../storage_service';
 import { SNProtocolService } from './../protocol_service';
-import { removeFromIndex, sleep, subtractFromArray, isNullOrUndefined } from '@Lib/utils';
+import { removeFromIndex, sleep, subtractFromArray, isNullOrUndefined, uniqueArray } from '@Lib/utils';
 import { PureService } from '@Services/pure_service';
 import { SortPayloadsByRecentAndContentPriority } from '@Services/sync/utils';
 import { SyncOpStatus } from '@Services/sync/sync_op_status';
 import { SyncState } from '@Services/sync/sync_state';
 import { AccountDownloader } from '@Services/sync/account/downloader';
 import { SyncResponseResolver } from '@Services/sync/account/response_resolver';
-import { AccountSyncOperation } from '@Services/sync/account/operation';
+import { AccountSyncOperation, SyncStream } from '@Services/sync/account/operation';
 import { OfflineSyncOperation } from '@Services/sync/offline/operation';
 import { DeltaOutOfSync } from '@Payloads/deltas';
 import { PayloadField } from '@Payloads/fields';
 import { PayloadSource } from '@Payloads/sources';
+import { PayloadFormat } from '@Payloads/formats';
 import { ImmutablePayloadCollection } from "@Protocol/collection/payload_collection";
 import { PayloadsByAlternatingUuid } from '@Payloads/functions';
 import { CreateMaxPayloadFromAnyObject, payloadFieldsForSource } from '@Payloads/generator';
@@ -30,6 +31,14 @@ import { Uuids } from '@Models/functions';
 import { SyncSignal } from '@Services/sync/signals';
 import { SNSessionManager } from '../api/session_manager';
 import { SNApiService } from '../api/api_service';
+import {
+  DEFAULT_SYNC_RETRY_OPTIONS,
+  RetryAfterDelay,
+  SyncFailureKind,
+  SyncFailureKindForStatus,
+  SyncRetryDelay,
+  SyncRetryOptions
+} from '@Services/sync/retry';
 
 const DEFAULT_DATABASE_LOAD_BATCH_SIZE = 100;
 const DEFAULT_MAX_DISCORDANCE = 5;
@@ -69,7 +78,9 @@ export enum SyncSources {
   MoreDirtyItems = 4,
   AfterDownloadFirst = 5,
   IntegrityCheck = 6,
-  ResolveOutOfSync = 7
+  ResolveOutOfSync = 7,
+  Retry = 8,
+  Realtime = 9
 };
 
 export type SyncOptions = {
@@ -107,6 +118,7 @@ export class SNSyncService extends PureService {
   private itemManager?: ItemManager
   private apiService?: SNApiService
   private interval: any
+  private timeout: any
   private state?: SyncState
   private opStatus?: SyncOpStatus
 
@@ -123,10 +135,27 @@ export class SNSyncService extends PureService {
 
   private syncToken?: string
   private cursorToken?: string
+  /** The content types selectively synced, or undefined if all items are synced */
+  private syncSelection?: ContentType[]
+  /** The sync position of each selected content type */
+  private selectiveSyncTokens?: Partial<Record<ContentType, SyncStream>>
+
+  /** The most recent version of each payload known to match the server, used as the
+   * common ancestor when merging conflicting changes. Since payloads are immutable, these
+   * are shared with the master collection for items that have not since been changed. */
+  private syncedAncestors: Partial<Record<UuidString, PurePayload>> = {}
 
   private syncLock?: any
   private _simulate_latency?: any
 
+  private retryOptions: SyncRetryOptions = DEFAULT_SYNC_RETRY_OPTIONS
+  /** The number of retries in a row since a sync last succeeded, or since retrying stopped */
+  private retryAttempt = 0
+  private retryTimer?: any
+  private nextRetryDate?: Date
+  /** Whether the last sync failed because the server could not be reached */
+  private offline = false
+
   /** Content types appearing first are always mapped first */
   private readonly localLoadPriorty = [
     ContentType.ItemsKey,
@@ -135,6 +164,16 @@ export class SNSyncService extends PureService {
     ContentType.Component,
     ContentType.Theme
   ];
+  /**
+   * Content types synced whatever the sync selection: items keys, without which other
+   * items cannot be decrypted, and singletons, without which protections would not apply
+   * and replacement singletons would be created.
+   */
+  private readonly alwaysSyncedTypes = [
+    ContentType.ItemsKey,
+    ContentType.UserPrefs,
+    ContentType.Privileges
+  ];
   /**
    * Non-encrypted types are items whose values a server must be able to read.
    * These include server extensions (such as a note history endpoint), and
@@ -153,7 +192,8 @@ export class SNSyncService extends PureService {
     storageService: SNStorageService,
     modelManager: PayloadManager,
     apiService: SNApiService,
-    interval: any
+    interval: any,
+    timeout: any
   ) {
     super();
     this.itemManager = itemManager;
@@ -163,6 +203,7 @@ export class SNSyncService extends PureService {
     this.storageService = storageService;
     this.apiService = apiService;
     this.interval = interval;
+    this.timeout = timeout;
 
     this.initializeStatus();
     this.initializeState();
@@ -173,12 +214,14 @@ export class SNSyncService extends PureService {
    * we want to reset any sync tokens we have.
    */
   public async onNewDatabaseCreated() {
-    if (await this.getLastSyncToken()) {
+    const selectiveSyncTokens = await this.getSelectiveSyncTokens();
+    if (await this.getLastSyncToken() || Object.keys(selectiveSyncTokens).length > 0) {
       await this.clearSyncPositionTokens();
     }
   }
 
   public deinit() {
+    this.cancelScheduledRetry();
     this.sessionManager = undefined;
     this.itemManager = undefined;
     this.protocolService = undefined;
@@ -186,11 +229,13 @@ export class SNSyncService extends PureService {
     this.storageService = undefined;
     this.apiService = undefined;
     this.interval = undefined;
+    this.timeout = undefined;
     this.state!.reset();
     this.opStatus!.reset();
     this.state = undefined;
     this.opStatus = undefined;
     this.resolveQueue.length = 0;
+    this.syncedAncestors = {};
     this.spawnQueue.length = 0;
     super.deinit();
   }
@@ -237,6 +282,23 @@ export class SNSyncService extends PureService {
     return this.opStatus;
   }
 
+  /**
+   * Changes how failed syncs are retried. Options not given keep their current values.
+   */
+  public setRetryOptions(options: Partial<SyncRetryOptions>) {
+    this.retryOptions = { ...this.retryOptions, ...options };
+  }
+
+  /** Whether the last sync failed because the server could not be reached */
+  public isOffline() {
+    return this.offline;
+  }
+
+  /** The date a failed sync will next be retried, if a retry is scheduled */
+  public getNextRetryDate() {
+    return this.nextRetryDate;
+  }
+
   /**
    * Called by application when sign in or registration occurs.
    */
@@ -305,6 +367,7 @@ export class SNSyncService extends PureService {
         decrypted,
         PayloadSource.LocalRetrieved
       );
+      this.updateSyncedAncestors(decrypted);
       this.notifyEvent(
         SyncEvent.LocalDataIncrementalLoad
       );
@@ -346,11 +409,148 @@ export class SNSyncService extends PureService {
     return this.cursorToken!;
   }
 
+  private async getSelectiveSyncTokens() {
+    if (!this.selectiveSyncTokens) {
+      this.selectiveSyncTokens = await this.storageService!.getValue(
+        StorageKey.SelectiveSyncTokens
+      ) || {};
+    }
+    return this.selectiveSyncTokens!;
+  }
+
+  private async setSelectiveSyncTokens(tokens: Partial<Record<ContentType, SyncStream>>) {
+    this.selectiveSyncTokens = tokens;
+    return this.storageService!.setValue(StorageKey.SelectiveSyncTokens, tokens);
+  }
+
   private async clearSyncPositionTokens() {
     this.syncToken = undefined;
     this.cursorToken = undefined;
+    this.selectiveSyncTokens = {};
     await this.storageService!.removeValue(StorageKey.LastSyncToken);
     await this.storageService!.removeValue(StorageKey.PaginationToken);
+    await this.storageService!.removeValue(StorageKey.SelectiveSyncTokens);
+  }
+
+  /**
+   * Saves the position of a stream once a response for it has been handled, so that the
+   * next sync continues from there.
+   */
+  private async saveStreamPosition(stream: SyncStream) {
+    const selection = await this.getSyncSelection();
+    /** The selection may have changed while the stream was being synced */
+    if (stream.contentType ? !selection?.includes(stream.contentType) : !!selection) {
+      return;
+    }
+    if (!stream.contentType) {
+      await this.setLastSyncToken(stream.lastSyncToken!);
+      await this.setPaginationToken(stream.paginationToken!);
+      return;
+    }
+    const tokens = await this.getSelectiveSyncTokens();
+    await this.setSelectiveSyncTokens({
+      ...tokens,
+      [stream.contentType]: {
+        lastSyncToken: stream.lastSyncToken,
+        paginationToken: stream.paginationToken
+      }
+    });
+  }
+
+  /**
+   * @returns The content types selectively synced, or undefined if all items are synced
+   */
+  public async getSyncSelection() {
+    if (!this.syncSelection) {
+      this.syncSelection = await this.storageService!.getValue(StorageKey.SyncSelection);
+    }
+    return this.syncSelection;
+  }
+
+  /**
+   * Limits the items downloaded from the server to those of the given content types, or
+   * downloads all items again if none are given. Items keys, user preferences and
+   * privileges are always downloaded, whether selected or not.
+   * Each selected content type keeps its own sync position, so content types that were
+   * already downloaded are not downloaded again, while newly selected ones are downloaded
+   * in full with the next sync. Local items of content types that are no longer selected
+   * are removed, unless they have changes that are yet to be synced.
+   */
+  public async setSyncSelection(contentTypes?: ContentType[]) {
+    const previousSelection = await this.getSyncSelection();
+    const previousTokens = await this.getSelectiveSyncTokens();
+    /** Items of every content type up to this position are already downloaded */
+    const completedSyncToken = !previousSelection && !(await this.getPaginationToken())
+      ? await this.getLastSyncToken()
+      : undefined;
+    /** The position of all items no longer matches the items kept locally */
+    this.syncToken = undefined;
+    this.cursorToken = undefined;
+    await this.storageService!.removeValue(StorageKey.LastSyncToken);
+    await this.storageService!.removeValue(StorageKey.PaginationToken);
+    if (!contentTypes) {
+      this.syncSelection = undefined;
+      await this.storageService!.removeValue(StorageKey.SyncSelection);
+      await this.setSelectiveSyncTokens({});
+      return;
+    }
+    const selection: ContentType[] = uniqueArray([...this.alwaysSyncedTypes, ...contentTypes]);
+    const tokens: Partial<Record<ContentType, SyncStream>> = {};
+    for (const contentType of selection) {
+      if (previousTokens[contentType]) {
+        tokens[contentType] = previousTokens[contentType];
+      } else if (completedSyncToken) {
+        tokens[contentType] = { lastSyncToken: completedSyncToken };
+      }
+    }
+    this.syncSelection = selection;
+    await this.storageService!.setValue(StorageKey.SyncSelection, selection);
+    await this.setSelectiveSyncTokens(tokens);
+    const unselectedItems = this.itemManager!.items.filter((item) => {
+      return !selection.includes(item.content_type) && !item.dirty;
+    });
+    if (unselectedItems.length > 0) {
+      this.log('Removing unselected items', unselectedItems.length);
+      await this.removeItemsLocally(unselectedItems);
+    }
+  }
+
+  /**
+   * Removes items from the device without deleting them from the server
+   */
+  private async removeItemsLocally(items: SNItem[]) {
+    const payloads = items.map((item) => {
+      return item.payloadRepresentation({
+        deleted: true,
+        dirty: false
+      });
+    });
+    await this.modelManager!.emitPayloads(
+      payloads,
+      PayloadSource.LocalChanged
+    );
+    for (const payload of payloads) {
+      delete this.syncedAncestors[payload.uuid];
+    }
+    await this.persistPayloads(payloads);
+  }
+
+  /**
+   * The streams to retrieve items with: one for each selected content type, or a single
+   * one for all items.
+   */
+  private async syncStreams(): Promise<SyncStream[]> {
+    const selection = await this.getSyncSelection();
+    if (!selection) {
+      return [{
+        lastSyncToken: await this.getLastSyncToken(),
+        paginationToken: await this.getPaginationToken()
+      }];
+    }
+    const tokens = await this.getSelectiveSyncTokens();
+    return selection.map((contentType) => {
+      return { ...tokens[contentType], contentType };
+    });
   }
 
   private async itemsNeedingSync() {
@@ -579,6 +779,8 @@ export class SNSyncService extends PureService {
     }
     /** Lock syncing immediately after checking in progress above */
     this.opStatus!.setDidBegin();
+    /** This sync takes the place of any scheduled retry */
+    this.cancelScheduledRetry();
     this.notifyEvent(SyncEvent.SyncWillBegin);
     /* Subtract from array as soon as we're sure they'll be called.
     resolves are triggered at the end of this function call */
@@ -727,6 +929,10 @@ export class SNSyncService extends PureService {
     source: SyncSources,
     mode: SyncModes
   ) {
+    /** The server's integrity hash covers all items, including those not selected */
+    if (await this.getSyncSelection()) {
+      checkIntegrity = false;
+    }
     this.log(
       'Syncing online user', 'source:', source, "integrity check",
       checkIntegrity, 'mode:', mode, 'payloads:', payloads
@@ -744,8 +950,7 @@ export class SNSyncService extends PureService {
           await this.handleStatusChange(operation);
         }
       },
-      await this.getLastSyncToken(),
-      await this.getPaginationToken(),
+      await this.syncStreams(),
       checkIntegrity,
       this.apiService!,
     );
@@ -811,8 +1016,66 @@ export class SNSyncService extends PureService {
       this.notifyEvent(SyncEvent.InvalidSession);
     }
 
+    const failureKind = SyncFailureKindForStatus(response.status);
+    await this.setOffline(failureKind === SyncFailureKind.Network);
     this.opStatus!.setError(response.error);
     this.notifyEvent(SyncEvent.SyncError, response.error);
+    if (failureKind !== SyncFailureKind.Rejected) {
+      await this.scheduleRetry(RetryAfterDelay(response.retryAfter));
+    }
+  }
+
+  private async setOffline(offline: boolean) {
+    if (offline === this.offline) {
+      return;
+    }
+    this.offline = offline;
+    await this.notifyEvent(offline ? SyncEvent.EnteredOffline : SyncEvent.ExitedOffline);
+  }
+
+  /**
+   * Schedules a sync to retry a failed one, after an exponentially increasing delay,
+   * or after the delay the server asked for, up to the max delay.
+   * @param retryAfter The number of milliseconds the server asked clients to wait
+   */
+  private async scheduleRetry(retryAfter?: number) {
+    this.cancelScheduledRetry();
+    if (this.retryAttempt >= this.retryOptions.maxAttempts) {
+      this.log('Not retrying sync after', this.retryAttempt, 'attempts');
+      /** The next failed sync, once another sync is requested, is retried again */
+      this.retryAttempt = 0;
+      return;
+    }
+    this.retryAttempt++;
+    const delay = !isNullOrUndefined(retryAfter)
+      ? Math.min(retryAfter!, this.retryOptions.maxDelay)
+      : SyncRetryDelay(this.retryAttempt, this.retryOptions);
+    const date = new Date(Date.now() + delay);
+    this.nextRetryDate = date;
+    this.retryTimer = this.timeout(() => {
+      this.retryTimer = undefined;
+      this.nextRetryDate = undefined;
+      this.log('Retrying sync, attempt', this.retryAttempt);
+      this.sync({ source: SyncSources.Retry }).catch(console.error);
+    }, delay);
+    await this.notifyEvent(SyncEvent.SyncRetryScheduled, {
+      attempt: this.retryAttempt,
+      delay,
+      date
+    });
+  }
+
+  private cancelScheduledRetry() {
+    if (!this.retryTimer) {
+      return;
+    }
+    if (Object.prototype.hasOwnProperty.call(this.timeout, 'cancel')) {
+      this.timeout.cancel(this.retryTimer);
+    } else {
+      clearTimeout(this.retryTimer);
+    }
+    this.retryTimer = undefined;
+    this.nextRetryDate = undefined;
   }
 
   private async handleSuccessServerResponse(
@@ -821,8 +1084,9 @@ export class SNSyncService extends PureService {
   ) {
     if (this._simulate_latency) { await sleep(this._simulate_latency.latency); }
     this.log('Online Sync Response', response.rawResponse);
-    this.setLastSyncToken(response.lastSyncToken!);
-    this.setPaginationToken(response.paginationToken!);
+    this.retryAttempt = 0;
+    await this.setOffline(false);
+    await this.saveStreamPosition(operation.currentStream);
     this.opStatus!.clearError();
     this.opStatus!.setDownloadStatus(
       response.retrievedPayloads.length
@@ -839,17 +1103,23 @@ export class SNSyncService extends PureService {
       decryptedPayloads.push(decrypted);
     }
     const masterCollection = this.modelManager!.getMasterCollection();
+    const ancestorPayloads = response.allProcessedPayloads
+      .map((payload) => this.syncedAncestors[payload.uuid])
+      .filter((payload) => !!payload) as PurePayload[];
     const resolver = new SyncResponseResolver(
       response,
       decryptedPayloads,
       masterCollection,
       operation.payloadsSavedOrSaving,
+      ancestorPayloads,
+      this.modelManager!.conflictResolvers
     );
 
     const collections = await resolver.collectionsByProcessingResponse();
     for (const collection of collections) {
       await this.modelManager!.emitCollection(collection);
       const payloadsToPersist = this.modelManager!.find(collection.uuids()) as PurePayload[];
+      this.updateSyncedAncestors(payloadsToPersist);
       await this.persistPayloads(payloadsToPersist);
     }
     const deletedPayloads = response.deletedPayloads;
@@ -869,6 +1139,20 @@ export class SNSyncService extends PureService {
     }
   }
 
+  /**
+   * Records payloads that are not dirty as matching the server. Payloads that are dirty
+   * keep their previously recorded ancestor, if any.
+   */
+  private updateSyncedAncestors(payloads: PurePayload[]) {
+    for (const payload of payloads) {
+      if (payload.deleted) {
+        delete this.syncedAncestors[payload.uuid];
+      } else if (!payload.dirty && payload.format === PayloadFormat.DecryptedBareObject) {
+        this.syncedAncestors[payload.uuid] = payload;
+      }
+    }
+  }
+
   /**
    * Items that have never been synced and marked as deleted should be cleared
    * as dirty, mapped, then removed from storage.
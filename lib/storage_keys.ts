@@ -21,6 +21,8 @@ export enum StorageKey {
   LegacyUuid = 'uuid',
   LastSyncToken = 'syncToken',
   PaginationToken = 'cursorToken',
+  SyncSelection = 'sync_selection',
+  SelectiveSyncTokens = 'selective_sync_tokens',
   BiometricsState = 'biometrics_state',
   MobilePasscodeTiming = 'passcode_timing',
   MobileBiometricsTiming = 'biometrics_timing',
@@ -28,7 +30,11 @@ export enum StorageKey {
   PrivilegesSessionLength = 'SessionLengthKey',
   SessionHistoryPersistable = 'sessionHistory_persist',
   SessionHistoryRevisions = 'sessionHistory_revisions',
-  SessionHistoryOptimize = 'sessionHistory_autoOptimize'
+  SessionHistoryOptimize = 'sessionHistory_autoOptimize',
+  SessionHistoryRetentionPolicy = 'sessionHistory_retentionPolicy',
+  ImportCheckpoint = 'import_checkpoint',
+  BackupSchedule = 'backup_schedule',
+  BackupStatus = 'backup_status'
 };
 
 export function namespacedKey(namespace: string, key: string) {
@@ -0,0 +1,159 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('backup service', () => {
+
+  const HOUR = 60 * 60 * 1000;
+
+  beforeEach(async function () {
+    this.storage = {};
+    this.savedFiles = {};
+    this.saveError = undefined;
+    const storageService = {
+      getValue: async (key) => this.storage[key],
+      setValue: async (key, value) => {
+        this.storage[key] = JSON.parse(JSON.stringify(value));
+      },
+      removeValue: async (key) => {
+        delete this.storage[key];
+      }
+    };
+    this.intents = [];
+    const protocolService = {
+      createBackupFile: async (subItems, intent) => {
+        this.intents.push(intent);
+        return '{"items":[]}';
+      }
+    };
+    const deviceInterface = {
+      interval: () => undefined,
+      saveBackupFile: async (name, data) => {
+        if (this.saveError) {
+          throw Error(this.saveError);
+        }
+        this.savedFiles[name] = data;
+      },
+      getBackupFileNames: async () => Object.keys(this.savedFiles),
+      removeBackupFile: async (name) => {
+        delete this.savedFiles[name];
+      }
+    };
+    this.backupService = new SNBackupService(
+      protocolService,
+      storageService,
+      deviceInterface
+    );
+    await this.backupService.initializeFromDisk();
+  });
+
+  afterEach(function () {
+    this.backupService.deinit();
+  });
+
+  it('no backups are due without a schedule', async function () {
+    expect(this.backupService.isBackupDue()).to.equal(false);
+    expect(await this.backupService.backUpIfDue()).to.not.be.ok;
+    expect(Object.keys(this.savedFiles).length).to.equal(0);
+  });
+
+  it('saves a backup through the device interface', async function () {
+    const result = await this.backupService.performBackup();
+    expect(result.error).to.not.be.ok;
+    expect(this.savedFiles[result.name]).to.equal('{"items":[]}');
+    const status = this.backupService.getStatus();
+    expect(status.lastSuccessName).to.equal(result.name);
+    expect(status.lastSuccessDate).to.be.an.instanceOf(Date);
+  });
+
+  it('backs up when the schedule interval has passed', async function () {
+    await this.backupService.setSchedule({ interval: HOUR, retentionCount: 5 });
+    expect(this.backupService.isBackupDue()).to.equal(true);
+    expect(await this.backupService.backUpIfDue()).to.be.ok;
+    expect(this.backupService.isBackupDue()).to.equal(false);
+    const later = new Date(Date.now() + HOUR);
+    expect(this.backupService.isBackupDue(later)).to.equal(true);
+  });
+
+  it('unencrypted schedules back up decrypted items', async function () {
+    await this.backupService.setSchedule({
+      interval: HOUR,
+      retentionCount: 5,
+      encrypted: false
+    });
+    await this.backupService.performBackup();
+    await this.backupService.setSchedule(DefaultBackupSchedule);
+    await this.backupService.performBackup();
+    expect(this.intents).to.eql([
+      EncryptionIntent.FileDecrypted,
+      EncryptionIntent.FilePreferEncrypted
+    ]);
+  });
+
+  it('rotates old backups', async function () {
+    await this.backupService.setSchedule({ interval: HOUR, retentionCount: 2 });
+    this.savedFiles = {
+      'backup-2020-01-01T00-00-00.000Z.json': '',
+      'backup-2020-01-02T00-00-00.000Z.json': '',
+      'backup-2020-01-03T00-00-00.000Z.json': '',
+      'other.json': ''
+    };
+    const { name } = await this.backupService.performBackup();
+    expect(Object.keys(this.savedFiles).sort()).to.eql([
+      'backup-2020-01-03T00-00-00.000Z.json',
+      name,
+      'other.json'
+    ].sort());
+  });
+
+  it('records failures and notifies observers', async function () {
+    const events = [];
+    this.backupService.addEventObserver(async (event, status) => {
+      events.push({ event, status });
+    });
+    this.saveError = 'Disk full';
+    const result = await this.backupService.performBackup();
+    expect(result.error).to.equal('Disk full');
+    this.saveError = undefined;
+    await this.backupService.performBackup();
+    expect(events.map((event) => event.event)).to.eql([
+      BackupEvent.BackupFailed,
+      BackupEvent.BackupSucceeded
+    ]);
+    expect(events[0].status.lastFailureError).to.equal('Disk full');
+    const status = this.backupService.getStatus();
+    expect(status.lastFailureDate).to.be.ok;
+    expect(status.lastSuccessDate).to.be.ok;
+  });
+
+  it('failed backups count as attempts', async function () {
+    await this.backupService.setSchedule({ interval: HOUR, retentionCount: 2 });
+    this.saveError = 'Disk full';
+    await this.backupService.backUpIfDue();
+    expect(this.backupService.isBackupDue()).to.equal(false);
+  });
+
+  it('schedule and status persist', async function () {
+    await this.backupService.setSchedule({ interval: HOUR, retentionCount: 3 });
+    const { name } = await this.backupService.performBackup();
+    this.backupService.status = {};
+    this.backupService.schedule = undefined;
+    await this.backupService.initializeFromDisk();
+    expect(this.backupService.getSchedule().retentionCount).to.equal(3);
+    const status = this.backupService.getStatus();
+    expect(status.lastSuccessName).to.equal(name);
+    expect(status.lastSuccessDate).to.be.an.instanceOf(Date);
+    await this.backupService.setSchedule(undefined);
+    expect(this.storage[StorageKey.BackupSchedule]).to.not.be.ok;
+  });
+
+  it('concurrent backups share one backup', async function () {
+    const [first, second] = await Promise.all([
+      this.backupService.performBackup(),
+      this.backupService.performBackup()
+    ]);
+    expect(first.name).to.equal(second.name);
+    expect(Object.keys(this.savedFiles).length).to.equal(1);
+  });
+});
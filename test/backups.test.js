@@ -72,4 +72,247 @@ describe('backups', () => {
 
     expect(backupData.items.length).to.equal(3);
   });
+
+  describe('password protected', () => {
+    const backupPassword = 'backup password';
+
+    it('backup file should have version, manifest, and encrypted items', async function () {
+      const note = await Factory.createSyncedNote(this.application);
+      const backupString = await this.application.createPasswordProtectedBackupFile(
+        backupPassword
+      );
+      const backupData = JSON.parse(backupString);
+
+      expect(backupData.version).to.equal(BackupFileVersion.PasswordProtected);
+      expect(backupData.keyParams).to.be.ok;
+      expect(backupData.items.length).to.equal(2);
+      expect(backupData.manifest.itemCount).to.equal(2);
+      expect(backupData.manifest.contentTypes[ContentType.Note]).to.equal(1);
+      expect(backupData.manifest.contentTypes[ContentType.ItemsKey]).to.equal(1);
+      expect(Object.keys(backupData.manifest.hashes)).to.have.members(
+        backupData.items.map((item) => item.uuid)
+      );
+      const noteItem = backupData.items.find((item) => item.uuid === note.uuid);
+      expect(noteItem.content.startsWith('004')).to.equal(true);
+      expect(noteItem.items_key_id).to.not.be.ok;
+    });
+
+    it('backup is independent of account keys', async function () {
+      const note = await Factory.createSyncedNote(this.application);
+      const backupString = await this.application.createPasswordProtectedBackupFile(
+        backupPassword
+      );
+      const otherApplication = await Factory.createInitAppWithRandNamespace();
+      await Factory.registerUserToApplication({
+        application: otherApplication,
+        password: this.password
+      });
+      const result = await otherApplication.importData(
+        JSON.parse(backupString),
+        backupPassword,
+        true
+      );
+      expect(result.error).to.not.be.ok;
+      expect(result.errorCount).to.equal(0);
+      const imported = otherApplication.findItem(note.uuid);
+      expect(imported.title).to.equal(note.title);
+      expect(imported.text).to.equal(note.text);
+      otherApplication.deinit();
+    });
+
+    it('importing with the wrong password should import nothing', async function () {
+      const note = await Factory.createSyncedNote(this.application);
+      const backupString = await this.application.createPasswordProtectedBackupFile(
+        backupPassword
+      );
+      await this.application.itemManager.setItemToBeDeleted(note.uuid);
+      await this.application.syncService.sync();
+      const result = await this.application.importData(
+        JSON.parse(backupString),
+        'wrong password',
+        true
+      );
+      expect(result.error).to.be.ok;
+      expect(this.application.findItem(note.uuid)).to.not.be.ok;
+    });
+
+    it('modified items should fail integrity check', async function () {
+      const note = await Factory.createSyncedNote(this.application);
+      const backupString = await this.application.createPasswordProtectedBackupFile(
+        backupPassword
+      );
+      await this.application.itemManager.setItemToBeDeleted(note.uuid);
+      await this.application.syncService.sync();
+      const backupData = JSON.parse(backupString);
+      const noteItem = backupData.items.find((item) => item.uuid === note.uuid);
+      noteItem.content = noteItem.content.slice(0, -2) + 'ab';
+      const result = await this.application.importData(backupData, backupPassword, true);
+      expect(result.error).to.be.ok;
+      expect(this.application.findItem(note.uuid)).to.not.be.ok;
+    });
+
+    it('removed items should fail integrity check', async function () {
+      await Factory.createSyncedNote(this.application);
+      await Factory.createSyncedNote(this.application);
+      const backupData = JSON.parse(
+        await this.application.createPasswordProtectedBackupFile(backupPassword)
+      );
+      backupData.items.pop();
+      const validation = await this.application.protocolService.validateBackupFile(backupData);
+      expect(validation.valid).to.equal(false);
+    });
+
+    it('an item replaced by a duplicate of another should fail integrity check', async function () {
+      await Factory.createSyncedNote(this.application);
+      await Factory.createSyncedNote(this.application);
+      const backupData = JSON.parse(
+        await this.application.createPasswordProtectedBackupFile(backupPassword)
+      );
+      backupData.items[1] = backupData.items[0];
+      const validation = await this.application.protocolService.validateBackupFile(backupData);
+      expect(validation.valid).to.equal(false);
+    });
+
+    it('modified item dates should fail integrity check', async function () {
+      const note = await Factory.createSyncedNote(this.application);
+      const backupData = JSON.parse(
+        await this.application.createPasswordProtectedBackupFile(backupPassword)
+      );
+      const noteItem = backupData.items.find((item) => item.uuid === note.uuid);
+      noteItem.updated_at = '2000-01-01T00:00:00.000Z';
+      const validation = await this.application.protocolService.validateBackupFile(backupData);
+      expect(validation.valid).to.equal(false);
+    });
+
+    it('newer backup versions should not be imported', async function () {
+      const backupData = JSON.parse(
+        await this.application.createPasswordProtectedBackupFile(backupPassword)
+      );
+      backupData.version = BackupFileVersion.PasswordProtected + 1;
+      const result = await this.application.importData(backupData, backupPassword);
+      expect(result.error).to.be.ok;
+    });
+  });
+
+  describe('chunked', () => {
+    const joinChunks = async (chunks) => {
+      let result = '';
+      for await (const chunk of chunks) {
+        result += chunk;
+      }
+      return result;
+    };
+
+    it('joined chunks should be equivalent to backup file', async function () {
+      await Factory.createSyncedNote(this.application);
+      await Factory.createSyncedNote(this.application);
+      const backupData = JSON.parse(await this.application.createBackupFile(
+        undefined,
+        EncryptionIntent.FileDecrypted
+      ));
+      const chunkedData = JSON.parse(await joinChunks(
+        this.application.createBackupFileChunks(undefined, EncryptionIntent.FileDecrypted)
+      ));
+      expect(chunkedData).to.eql(backupData);
+    });
+
+    it('chunked backup of no items should be valid', async function () {
+      const data = JSON.parse(await joinChunks(this.application.createBackupFileChunks([])));
+      expect(data.items).to.eql([]);
+    });
+
+    it('imports in batches and reports progress', async function () {
+      const notes = [];
+      for (let i = 0; i < 5; i++) {
+        notes.push(await Factory.createMappedNote(this.application));
+      }
+      const backupData = JSON.parse(await this.application.createBackupFile(
+        notes,
+        EncryptionIntent.FileDecrypted
+      ));
+      const otherApplication = await Factory.createInitAppWithRandNamespace();
+      const progress = [];
+      const result = await otherApplication.importDataInChunks(backupData, undefined, {
+        batchSize: 2,
+        onProgress: (value) => progress.push(value)
+      });
+      expect(result.errorCount).to.equal(0);
+      expect(result.affectedItems.length).to.equal(5);
+      expect(progress.map((value) => value.importedCount)).to.eql([0, 2, 4, 5]);
+      expect(progress[0].totalCount).to.equal(5);
+      for (const note of notes) {
+        expect(otherApplication.findItem(note.uuid)).to.be.ok;
+      }
+      otherApplication.deinit();
+    });
+
+    it('password protected import that fails to decrypt a later batch imports nothing', async function () {
+      const notes = [];
+      for (let i = 0; i < 5; i++) {
+        notes.push(await Factory.createMappedNote(this.application));
+      }
+      const backupPassword = 'backup password';
+      const backupData = JSON.parse(
+        await this.application.createPasswordProtectedBackupFile(backupPassword)
+      );
+      const lastItem = backupData.items[backupData.items.length - 1];
+      lastItem.content = lastItem.content.slice(0, -2) + 'ab';
+      /** Passes verification, so that only decryption fails */
+      backupData.manifest.hashes[lastItem.uuid] =
+        await this.application.protocolService.hashBackupItem(lastItem);
+      const otherApplication = await Factory.createInitAppWithRandNamespace();
+      const result = await otherApplication.importDataInChunks(backupData, backupPassword, {
+        batchSize: 2
+      });
+      expect(result.error).to.be.ok;
+      for (const note of notes) {
+        expect(otherApplication.findItem(note.uuid)).to.not.be.ok;
+      }
+      expect(await otherApplication.storageService.getValue(StorageKey.ImportCheckpoint))
+        .to.not.be.ok;
+      otherApplication.deinit();
+    });
+
+    it('interrupted import resumes after last imported batch', async function () {
+      const notes = [];
+      for (let i = 0; i < 5; i++) {
+        notes.push(await Factory.createMappedNote(this.application));
+      }
+      const backupData = JSON.parse(await this.application.createBackupFile(
+        notes,
+        EncryptionIntent.FileDecrypted
+      ));
+      const otherApplication = await Factory.createInitAppWithRandNamespace();
+      await expect(otherApplication.importDataInChunks(backupData, undefined, {
+        batchSize: 2,
+        onProgress: (value) => {
+          if (value.importedCount === 2) {
+            throw Error('Interrupted');
+          }
+        }
+      })).to.be.rejected;
+      const imported = notes.filter((note) => !!otherApplication.findItem(note.uuid));
+      expect(imported.length).to.equal(2);
+
+      const progress = [];
+      const result = await otherApplication.importDataInChunks(backupData, undefined, {
+        batchSize: 2,
+        onProgress: (value) => progress.push(value.importedCount)
+      });
+      expect(progress).to.eql([2, 4, 5]);
+      expect(result.affectedItems.length).to.equal(3);
+      for (const note of notes) {
+        expect(otherApplication.findItem(note.uuid)).to.be.ok;
+      }
+
+      /** Completed imports are not resumed */
+      const repeatedProgress = [];
+      await otherApplication.importDataInChunks(backupData, undefined, {
+        batchSize: 2,
+        onProgress: (value) => repeatedProgress.push(value.importedCount)
+      });
+      expect(repeatedProgress[0]).to.equal(0);
+      otherApplication.deinit();
+    });
+  });
 });
@@ -0,0 +1,61 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const { expect } = require('chai');
+const { ParseArguments, FlagValue, HasFlag } = require('../../lib/cli/commands');
+
+describe('command line arguments', function () {
+
+  it('takes the first positional as the command', function () {
+    const args = ParseArguments(['notes', 'list', 'extra']);
+    expect(args.command).to.equal('notes');
+    expect(args.positionals).to.eql(['list', 'extra']);
+    expect(args.flags).to.eql({});
+  });
+
+  it('no arguments parse to no command', function () {
+    const args = ParseArguments([]);
+    expect(args.command).to.not.be.ok;
+    expect(args.positionals).to.eql([]);
+  });
+
+  it('flags take the following argument as their value', function () {
+    const args = ParseArguments(['login', '--email', 'a@b.c', '--server', 'https://x']);
+    expect(args.command).to.equal('login');
+    expect(FlagValue(args, 'email')).to.equal('a@b.c');
+    expect(FlagValue(args, 'server')).to.equal('https://x');
+  });
+
+  it('flags take values after an equals sign', function () {
+    const args = ParseArguments(['search', '--query=title = "a=b"', '--limit=']);
+    expect(FlagValue(args, 'query')).to.equal('title = "a=b"');
+    expect(FlagValue(args, 'limit')).to.equal('');
+    expect(args.positionals).to.eql([]);
+  });
+
+  it('boolean flags take no value', function () {
+    const args = ParseArguments(['--json', 'notes', '--trashed']);
+    expect(args.command).to.equal('notes');
+    expect(HasFlag(args, 'json')).to.equal(true);
+    expect(HasFlag(args, 'trashed')).to.equal(true);
+    expect(HasFlag(args, 'decrypted')).to.equal(false);
+    expect(FlagValue(args, 'json')).to.not.be.ok;
+  });
+
+  it('repeated flags keep every value', function () {
+    const args = ParseArguments(['add', '--tag', 'a', '--tag=b', '--tag', 'c']);
+    expect(args.flags.tag).to.eql(['a', 'b', 'c']);
+    expect(FlagValue(args, 'tag')).to.equal('c');
+  });
+
+  it('arguments after -- are positionals', function () {
+    const args = ParseArguments(['add', '--title', 'x', '--', '--json', '-', '--tag']);
+    expect(args.command).to.equal('add');
+    expect(args.positionals).to.eql(['--json', '-', '--tag']);
+    expect(HasFlag(args, 'json')).to.equal(false);
+    expect(FlagValue(args, 'title')).to.equal('x');
+  });
+
+  it('a flag missing its value throws', function () {
+    expect(() => ParseArguments(['login', '--email'])).to.throw('Missing value for --email');
+  });
+});
@@ -0,0 +1,53 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const { promises: fs } = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { SNFileDeviceInterface } = require('../../lib/cli/file_device_interface');
+const { describeDeviceInterfaceConformance } = require('../lib/device_interface_conformance');
+
+/** Each store is a temporary directory */
+describeDeviceInterfaceConformance('file device interface', {
+  isAvailable: async () => true,
+  createStore: async () => {
+    return fs.mkdtemp(path.join(os.tmpdir(), 'snjs-'));
+  },
+  createInterface: async (directory, namespace) => {
+    return new SNFileDeviceInterface(directory, namespace);
+  },
+  destroyStore: async (directory) => {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+});
+
+describe('file device interface files', function () {
+
+  beforeEach(async function () {
+    this.directory = await fs.mkdtemp(path.join(os.tmpdir(), 'snjs-'));
+    this.deviceInterface = new SNFileDeviceInterface(this.directory, 'files');
+    await this.deviceInterface.openDatabase();
+  });
+
+  afterEach(async function () {
+    this.deviceInterface.deinit();
+    await fs.rm(this.directory, { recursive: true, force: true });
+  });
+
+  it('files are readable only by their owner', async function () {
+    await this.deviceInterface.setRawStorageValue('a', '1');
+    await this.deviceInterface.setKeychainValue({ files: {} });
+    for (const name of await fs.readdir(this.directory)) {
+      const { mode } = await fs.stat(path.join(this.directory, name));
+      expect(mode & 0o077).to.equal(0);
+    }
+  });
+
+  it('saves, lists and removes backup files', async function () {
+    expect(await this.deviceInterface.getBackupFileNames()).to.eql([]);
+    await this.deviceInterface.saveBackupFile('backup.txt', 'contents');
+    expect(await this.deviceInterface.getBackupFileNames()).to.eql(['backup.txt']);
+    await this.deviceInterface.removeBackupFile('backup.txt');
+    expect(await this.deviceInterface.getBackupFileNames()).to.eql([]);
+  });
+});
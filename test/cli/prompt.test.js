@@ -0,0 +1,59 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const { PassThrough } = require('stream');
+const { expect } = require('chai');
+const { CreatePrompter } = require('../../lib/cli/prompt');
+
+describe('command line prompts', function () {
+
+  beforeEach(function () {
+    this.input = new PassThrough();
+    this.output = new PassThrough();
+    this.written = '';
+    this.output.on('data', (chunk) => {
+      this.written += chunk;
+    });
+    this.prompter = CreatePrompter(this.input, this.output);
+  });
+
+  afterEach(function () {
+    this.prompter.close();
+  });
+
+  it('answers are read one line at a time', async function () {
+    const email = this.prompter.ask('Email: ');
+    this.input.write('a@b.c\nsecret\n');
+    expect(await email).to.equal('a@b.c');
+    expect(await this.prompter.ask('Password: ', true)).to.equal('secret');
+    expect(this.written).to.equal('Email: Password: ');
+  });
+
+  it('answers piped before the questions are kept', async function () {
+    this.input.end('one\ntwo\n');
+    expect(await this.prompter.ask('First: ')).to.equal('one');
+    expect(await this.prompter.ask('Second: ')).to.equal('two');
+  });
+
+  it('hidden answers are not echoed', async function () {
+    const input = Object.assign(new PassThrough(), { isTTY: true, setRawMode: () => undefined });
+    const prompter = CreatePrompter(input, this.output);
+    const password = prompter.ask('Password: ', true);
+    input.write('secret\r');
+    expect(await password).to.equal('secret');
+    prompter.close();
+    expect(this.written).to.not.contain('secret');
+    expect(this.written).to.contain('Password: ');
+  });
+
+  it('asking after input ends rejects', async function () {
+    const first = this.prompter.ask('First: ');
+    this.input.end();
+    let error;
+    try {
+      await first;
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('Input ended before a value was entered.');
+  });
+});
@@ -0,0 +1,57 @@
+/* eslint-disable no-undef */
+/**
+ * Lets mocha run the command line interface tests in Node directly from the sources.
+ * TypeScript files, and the shared test modules written for the browser, are
+ * transpiled to CommonJS as they are required, and the library's path aliases are
+ * resolved using lib/tsconfig.json.
+ */
+const fs = require('fs');
+const path = require('path');
+const Module = require('module');
+const ts = require('typescript');
+
+const root = path.resolve(__dirname, '../..');
+const libDirectory = path.join(root, 'lib');
+const testDirectory = path.join(root, 'test');
+const { paths } = require(path.join(libDirectory, 'tsconfig.json')).compilerOptions;
+
+const aliases = Object.keys(paths).map((alias) => {
+  return {
+    prefix: alias.replace('*', ''),
+    directory: path.join(libDirectory, paths[alias][0].replace('*', ''))
+  };
+});
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function (request, ...rest) {
+  const alias = aliases.find((candidate) => request.startsWith(candidate.prefix));
+  if (alias) {
+    request = path.join(alias.directory, request.slice(alias.prefix.length));
+  }
+  return resolveFilename.call(this, request, ...rest);
+};
+
+const compilerOptions = {
+  module: ts.ModuleKind.CommonJS,
+  target: ts.ScriptTarget.ES2019,
+  esModuleInterop: true
+};
+
+const compile = (module, fileName) => {
+  const source = fs.readFileSync(fileName, 'utf8');
+  const { outputText } = ts.transpileModule(source, { compilerOptions, fileName });
+  module._compile(outputText, fileName);
+};
+
+const loadJavaScript = Module._extensions['.js'];
+Module._extensions['.ts'] = compile;
+Module._extensions['.js'] = (module, fileName) => {
+  if (fileName.startsWith(path.join(testDirectory, 'lib'))) {
+    compile(module, fileName);
+  } else {
+    loadJavaScript(module, fileName);
+  }
+};
+
+/** The shared test modules expect the globals the browser test page provides */
+global.chai = require('chai');
@@ -265,4 +265,49 @@ describe('payload collections', () => {
     expect(displayed[2].text).to.equal('noteText2');
   });
 
+  it('predicate set is updated as elements change', async () => {
+    const collection = new ItemCollection();
+    const passes = Factory.createNotePayload('foo');
+    const fails = Factory.createNotePayload('bar');
+    collection.set([passes, fails]);
+
+    collection.setPredicateSet('key', new SNPredicate('content.title', 'startsWith', 'fo'));
+    expect(collection.predicateSetCount('key')).to.equal(1);
+    expect(collection.predicateSetElements('key')[0].uuid).to.equal(passes.uuid);
+
+    collection.set([CopyPayload(fails, { content: { ...fails.content, title: 'food' } })]);
+    expect(collection.predicateSetCount('key')).to.equal(2);
+
+    collection.set([CopyPayload(passes, { deleted: true })]);
+    expect(collection.predicateSetCount('key')).to.equal(1);
+
+    collection.discard([collection.find(fails.uuid)]);
+    expect(collection.predicateSetCount('key')).to.equal(0);
+  });
+
+  it('removed predicate set returns undefined', async () => {
+    const collection = new ItemCollection();
+    collection.set([Factory.createNotePayload('foo')]);
+    collection.setPredicateSet('key', new SNPredicate('content.title', '=', 'foo'));
+    expect(collection.predicateSetCount('key')).to.equal(1);
+
+    collection.removePredicateSet('key');
+    expect(collection.predicateSetCount('key')).to.not.be.ok;
+    expect(collection.predicateSetElements('key')).to.not.be.ok;
+  });
+
+  it('time dependent predicate set is evaluated on read', async () => {
+    const collection = new ItemCollection();
+    const payload = CopyPayload(
+      Factory.createNotePayload(),
+      { updated_at: new Date(Date.now() + 60 * 1000) }
+    );
+    collection.set([payload]);
+    collection.setPredicateSet('key', new SNPredicate('updated_at', '<', '0.minutes.ago'));
+    expect(collection.predicateSetCount('key')).to.equal(0);
+
+    /** Simulate the passage of time by moving the element into the past */
+    collection.map[payload.uuid] = CopyPayload(payload, { updated_at: new Date(0) });
+    expect(collection.predicateSetCount('key')).to.equal(1);
+  });
 });
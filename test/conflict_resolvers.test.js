@@ -0,0 +1,133 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from './lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('conflict resolvers', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(function () {
+    this.registry = new ConflictResolverRegistry();
+    this.ancestor = CreateMaxPayloadFromAnyObject(
+      {
+        ...Factory.createNoteParams({ dirty: false }),
+        content: { title: 'ancestor', text: 'ancestor', references: [] }
+      }
+    );
+    this.base = CopyPayload(this.ancestor, {
+      content: { ...this.ancestor.content, title: 'base' },
+      dirty: true,
+      dirtiedDate: new Date()
+    });
+    this.apply = CopyPayload(this.ancestor, {
+      content: { ...this.ancestor.content, title: 'apply' }
+    });
+    this.resolve = async (base = this.base, apply = this.apply) => {
+      const delta = new ConflictDelta(
+        ImmutablePayloadCollection.WithPayloads([base]),
+        base,
+        apply,
+        PayloadSource.ConflictData,
+        this.ancestor,
+        this.registry
+      );
+      const collection = await delta.resultingCollection();
+      return collection.all();
+    };
+  });
+
+  it('registered resolver is used before built-in strategy', async function () {
+    let received;
+    this.registry.register(ContentType.Note, (base, apply, ancestor) => {
+      received = { base, apply, ancestor };
+      return [CopyPayload(base, {
+        content: { ...base.content, title: `${base.content.title} ${apply.content.title}` }
+      })];
+    });
+    const results = await this.resolve();
+    expect(received.base).to.equal(this.base);
+    expect(received.apply).to.equal(this.apply);
+    expect(received.ancestor).to.equal(this.ancestor);
+    expect(results.length).to.equal(1);
+    expect(results[0].content.title).to.equal('base apply');
+  });
+
+  it('async resolvers are awaited', async function () {
+    this.registry.register(ContentType.Note, async (base) => {
+      await Factory.sleep(0);
+      return [base];
+    });
+    const results = await this.resolve();
+    expect(results.length).to.equal(1);
+    expect(results[0]).to.equal(this.base);
+  });
+
+  it('resolvers for other content types are not consulted', async function () {
+    let called = false;
+    this.registry.register(ContentType.Tag, () => {
+      called = true;
+      return [];
+    });
+    const results = await this.resolve();
+    expect(called).to.equal(false);
+    /** Built-in strategy duplicates the conflicting note */
+    expect(results.length).to.equal(2);
+  });
+
+  it('returning undefined defers to the previous resolver', async function () {
+    const calls = [];
+    this.registry.register(ContentType.Note, (base) => {
+      calls.push('first');
+      return [base];
+    });
+    this.registry.register(ContentType.Note, () => {
+      calls.push('second');
+      return undefined;
+    });
+    const results = await this.resolve();
+    expect(calls).to.eql(['second', 'first']);
+    expect(results.length).to.equal(1);
+  });
+
+  it('returning undefined from all resolvers uses built-in strategy', async function () {
+    this.registry.register(ContentType.Note, () => undefined);
+    const results = await this.resolve();
+    expect(results.length).to.equal(2);
+  });
+
+  it('unregistered resolver is no longer consulted', async function () {
+    let called = false;
+    const unregister = this.registry.register(ContentType.Note, (base) => {
+      called = true;
+      return [base];
+    });
+    unregister();
+    const results = await this.resolve();
+    expect(called).to.equal(false);
+    expect(results.length).to.equal(2);
+  });
+
+  it('payload manager consults resolvers when importing', async function () {
+    const manager = new PayloadManager();
+    await manager.emitPayload(this.base);
+    manager.registerConflictResolver(ContentType.Note, (base, apply) => {
+      return [CopyPayload(base, {
+        content: { ...base.content, text: apply.content.title }
+      })];
+    });
+    const uuids = await manager.importPayloads([this.apply]);
+    expect(uuids).to.eql([this.base.uuid]);
+    const result = manager.collection.find(this.base.uuid);
+    expect(result.content.title).to.equal('base');
+    expect(result.content.text).to.equal('apply');
+    expect(result.dirty).to.equal(true);
+  });
+});
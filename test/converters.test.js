@@ -0,0 +1,412 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('plain file conversion', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(function () {
+    this.modelManager = new PayloadManager();
+    this.itemManager = new ItemManager(this.modelManager);
+    this.importFiles = async (files) => {
+      const { notes, tags } = await ImportPlainFiles(files, this.itemManager);
+      await this.itemManager.emitItemsFromPayloads(
+        notes.concat(tags),
+        PayloadSource.LocalChanged
+      );
+      return { notes, tags };
+    };
+    this.tagTitlesForNote = (uuid) => {
+      return this.itemManager.itemsReferencingItem(uuid)
+        .filter((item) => item.content_type === ContentType.Tag)
+        .map((tag) => tag.title)
+        .sort();
+    };
+  });
+
+  it('parses front-matter', function () {
+    const { attributes, body } = ParseFrontMatter([
+      '---',
+      'title: "Hello: world"',
+      'tags: [work, "a, b"]',
+      'aliases:',
+      '  - one',
+      "  - 'two'",
+      'pinned: true',
+      '# a comment',
+      '---',
+      'Body'
+    ].join('\n'));
+    expect(attributes).to.eql({
+      title: 'Hello: world',
+      tags: ['work', 'a, b'],
+      aliases: ['one', 'two'],
+      pinned: true
+    });
+    expect(body).to.equal('Body');
+  });
+
+  it('files without front-matter are all body', function () {
+    const contents = '---\nnot closed\nbody';
+    const { attributes, body } = ParseFrontMatter(contents);
+    expect(attributes).to.eql({});
+    expect(body).to.equal(contents);
+    expect(ParseFrontMatter('plain').body).to.equal('plain');
+  });
+
+  it('serialized front-matter parses back', function () {
+    const attributes = {
+      title: '- tricky: title #1 ',
+      tags: ['true', 'a, b', ''],
+      created: '2020-01-01T00:00:00.000Z',
+      archived: true
+    };
+    const { attributes: parsed, body } = ParseFrontMatter(
+      SerializeFrontMatter(attributes) + 'text'
+    );
+    expect(parsed).to.eql(attributes);
+    expect(body).to.equal('text');
+  });
+
+  it('reads a note from a file', function () {
+    const note = NoteFromPlainFile({
+      path: 'Work/Ideas/Plan.md',
+      contents: [
+        '---',
+        'tags: [urgent]',
+        'created: 2020-01-01T00:00:00.000Z',
+        'updated: not a date',
+        'pinned: true',
+        '---',
+        'Text'
+      ].join('\n')
+    });
+    expect(note.title).to.equal('Plan');
+    expect(note.text).to.equal('Text');
+    expect(note.tags).to.eql(['urgent', 'Work/Ideas']);
+    expect(note.createdAt.toISOString()).to.equal('2020-01-01T00:00:00.000Z');
+    expect(note.updatedAt).to.not.be.ok;
+    expect(note.pinned).to.equal(true);
+    expect(note.archived).to.equal(false);
+  });
+
+  it('dedupes tag titles deterministically', function () {
+    const titles = ['work', ' Work ', 'Home  office', 'home office', ''];
+    expect(DedupeTagTitles(titles)).to.eql(['Home office', 'Work']);
+    expect(DedupeTagTitles(titles.slice().reverse())).to.eql(['Home office', 'Work']);
+  });
+
+  it('imports files as notes', async function () {
+    const { notes } = await this.importFiles([
+      {
+        path: 'b.txt',
+        contents: '---\narchived: true\nupdated: 2020-02-01T00:00:00.000Z\n---\nB'
+      },
+      { path: 'a.md', contents: 'A' },
+      { path: 'image.png', contents: '' }
+    ]);
+    expect(notes.length).to.equal(2);
+    const [a, b] = notes.map((payload) => this.itemManager.findItem(payload.uuid));
+    expect(a.title).to.equal('a');
+    expect(a.text).to.equal('A');
+    expect(a.dirty).to.equal(true);
+    expect(b.archived).to.equal(true);
+    expect(b.userModifiedDate.toISOString()).to.equal('2020-02-01T00:00:00.000Z');
+  });
+
+  it('imported notes share deduped tags', async function () {
+    const { notes, tags } = await this.importFiles([
+      { path: 'one.md', contents: '---\ntags: [Work, work]\n---\n' },
+      { path: 'two.md', contents: '---\ntags: [ work ]\n---\n' }
+    ]);
+    expect(tags.length).to.equal(1);
+    expect(this.itemManager.tags.length).to.equal(1);
+    const tag = this.itemManager.tags[0];
+    expect(tag.title).to.equal('Work');
+    expect(tag.content.references.map((reference) => reference.uuid))
+      .to.have.members(notes.map((note) => note.uuid));
+  });
+
+  it('imported notes join existing tags', async function () {
+    const existing = await this.itemManager.findOrCreateTagByTitle('Recipes');
+    const { notes } = await this.importFiles([
+      { path: 'recipes/soup.md', contents: 'Soup' }
+    ]);
+    expect(this.itemManager.tags.length).to.equal(1);
+    const tag = this.itemManager.findItem(existing.uuid);
+    expect(tag.title).to.equal('Recipes');
+    expect(tag.content.references[0].uuid).to.equal(notes[0].uuid);
+  });
+
+  it('exports notes with front-matter', async function () {
+    const { notes } = await this.importFiles([
+      {
+        path: 'Work/plan.md',
+        contents: '---\ntitle: Plan\ntags: [urgent]\npinned: true\n---\nText'
+      }
+    ]);
+    const note = this.itemManager.findItem(notes[0].uuid);
+    const [file] = ExportPlainFiles([note], this.itemManager);
+    expect(file.path).to.equal('Plan.md');
+    const { attributes, body } = ParseFrontMatter(file.contents);
+    expect(attributes.title).to.equal('Plan');
+    expect(attributes.tags).to.eql(['urgent', 'Work']);
+    expect(attributes.pinned).to.equal(true);
+    expect(attributes.archived).to.not.be.ok;
+    expect(attributes.created).to.equal(note.created_at.toISOString());
+    expect(body).to.equal('Text');
+  });
+
+  it('exported file names are unique and safe', async function () {
+    const { notes } = await this.importFiles([
+      { path: '1.md', contents: '---\ntitle: a/b\ncreated: 2020-01-01\n---\n' },
+      { path: '2.md', contents: '---\ntitle: A/B\ncreated: 2020-01-02\n---\n' },
+      { path: '3.md', contents: '---\ntitle: ""\n---\n' }
+    ]);
+    const items = notes.map((payload) => this.itemManager.findItem(payload.uuid));
+    const paths = ExportPlainFiles(items, this.itemManager).map((file) => file.path);
+    expect(paths).to.have.members(['a-b.md', 'A-B (2).md', 'Untitled.md']);
+  });
+
+  it('exported files import back', async function () {
+    const { notes } = await this.importFiles([
+      {
+        path: 'Home/list.md',
+        contents: '---\ntags: [errands]\narchived: true\n---\nMilk\nEggs'
+      }
+    ]);
+    const note = this.itemManager.findItem(notes[0].uuid);
+    const files = ExportPlainFiles([note], this.itemManager);
+    const { notes: reimported } = await this.importFiles(files);
+    const copy = this.itemManager.findItem(reimported[0].uuid);
+    expect(copy.title).to.equal(note.title);
+    expect(copy.text).to.equal(note.text);
+    expect(copy.archived).to.equal(true);
+    expect(copy.created_at.getTime()).to.equal(note.created_at.getTime());
+    expect(this.tagTitlesForNote(copy.uuid)).to.eql(['Home', 'errands']);
+    expect(this.itemManager.tags.length).to.equal(2);
+  });
+
+  it('exported appData of every domain imports back', async function () {
+    const { notes } = await this.importFiles([
+      { path: 'note.md', contents: '---\npinned: true\nlocked: true\n---\nText' }
+    ]);
+    const imported = this.itemManager.findItem(notes[0].uuid);
+    const appData = imported.payload.safeContent.appData;
+    const note = await this.itemManager.emitItemFromPayload(CopyPayload(imported.payload, {
+      content: {
+        ...imported.payload.safeContent,
+        appData: {
+          ...appData,
+          'org.standardnotes.sn': {
+            ...appData['org.standardnotes.sn'],
+            prefersPlainEditor: true
+          },
+          'org.standardnotes.sn.components': { 'editor-uuid': { spellcheck: false } }
+        }
+      }
+    }), PayloadSource.LocalChanged);
+    const [file] = ExportPlainFiles([note], this.itemManager);
+    /** Attributes edited by hand take precedence over the appData */
+    const { notes: reimported } = await this.importFiles([{
+      path: file.path,
+      contents: file.contents.replace('locked: true\n', '')
+    }]);
+    const copy = this.itemManager.findItem(reimported[0].uuid);
+    expect(copy.pinned).to.equal(true);
+    expect(copy.locked).to.not.be.ok;
+    expect(copy.getDomainData('org.standardnotes.sn').prefersPlainEditor).to.equal(true);
+    expect(copy.getDomainData('org.standardnotes.sn.components'))
+      .to.eql({ 'editor-uuid': { spellcheck: false } });
+    expect(copy.userModifiedDate.getTime()).to.equal(note.userModifiedDate.getTime());
+  });
+});
+
+describe('note app conversion', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(function () {
+    this.modelManager = new PayloadManager();
+    this.itemManager = new ItemManager(this.modelManager);
+    this.importConvertedNotes = async (convertedNotes) => {
+      const backupFile = await BackupFileForConvertedNotes(
+        convertedNotes,
+        this.itemManager.tags
+      );
+      const payloads = backupFile.items.map((item) => {
+        return CreateSourcedPayloadFromObject(item, PayloadSource.FileImport);
+      });
+      await this.modelManager.importPayloads(payloads);
+      return backupFile;
+    };
+  });
+
+  it('converts html to markdown', function () {
+    const html = [
+      '<h1>Title</h1>',
+      '<p>Some <b>bold</b> and <i>italic</i> text with a <a href="https://a.com">link</a>.</p>',
+      '<ul><li>One</li><li>Two<ul><li>Nested</li></ul></li></ul>',
+      '<ol><li>First</li><li>Second</li></ol>',
+      '<div>Line one<br/>Line two &amp; more&nbsp;text</div>',
+      '<blockquote>Quoted</blockquote>',
+      '<pre>let x = 1;\n  indented</pre>',
+      '<script>ignored()</script>'
+    ].join('');
+    expect(HtmlToMarkdown(html)).to.equal([
+      '# Title',
+      '',
+      'Some **bold** and _italic_ text with a [link](https://a.com).',
+      '',
+      '- One',
+      '- Two',
+      '  - Nested',
+      '',
+      '1. First',
+      '2. Second',
+      '',
+      'Line one',
+      'Line two & more text',
+      '',
+      '> Quoted',
+      '',
+      '```',
+      'let x = 1;',
+      '  indented',
+      '```'
+    ].join('\n'));
+  });
+
+  it('converts html to plain text', function () {
+    const html = '<h2>Title</h2><p><b>Bold</b> <a href="https://a.com">link</a></p>';
+    expect(HtmlToMarkdown(html, { plainText: true })).to.equal(
+      'Title\n\nBold link (https://a.com)'
+    );
+  });
+
+  it('reads evernote exports', function () {
+    const enex = `<?xml version="1.0" encoding="UTF-8"?>
+      <!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">
+      <en-export export-date="20200301T000000Z" application="Evernote">
+        <note>
+          <title>Groceries &amp; more</title>
+          <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?>
+            <!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
+            <en-note><div><en-todo checked="true"/>Milk</div><div><en-todo/>Eggs</div></en-note>
+          ]]></content>
+          <created>20200101T120000Z</created>
+          <updated>20200102T130000Z</updated>
+          <tag>home</tag>
+          <tag>errands</tag>
+          <resource><data>AAAA</data><resource-attributes><file-name>a.png</file-name></resource-attributes></resource>
+        </note>
+        <note>
+          <title>Empty</title>
+          <content><![CDATA[<en-note></en-note>]]></content>
+        </note>
+      </en-export>`;
+    const [groceries, empty] = ConvertedNotesFromEnex(enex);
+    expect(groceries.title).to.equal('Groceries & more');
+    expect(groceries.text).to.equal('[x] Milk\n\n[ ] Eggs');
+    expect(groceries.tags).to.eql(['home', 'errands']);
+    expect(groceries.createdAt.toISOString()).to.equal('2020-01-01T12:00:00.000Z');
+    expect(groceries.updatedAt.toISOString()).to.equal('2020-01-02T13:00:00.000Z');
+    expect(empty.text).to.equal('');
+    expect(empty.createdAt).to.not.be.ok;
+    expect(() => ConvertedNotesFromEnex('<html></html>')).to.throw();
+  });
+
+  it('reads google keep exports', function () {
+    const note = ConvertedNoteFromGoogleKeep(JSON.stringify({
+      title: 'List',
+      textContent: '',
+      listContent: [{ text: 'Milk', isChecked: true }, { text: 'Eggs', isChecked: false }],
+      labels: [{ name: 'home' }],
+      isPinned: true,
+      isArchived: false,
+      isTrashed: false,
+      createdTimestampUsec: 1577880000000000,
+      userEditedTimestampUsec: 1577966400000000
+    }));
+    expect(note.title).to.equal('List');
+    expect(note.text).to.equal('- [x] Milk\n- [ ] Eggs');
+    expect(note.tags).to.eql(['home']);
+    expect(note.pinned).to.equal(true);
+    expect(note.createdAt.toISOString()).to.equal('2020-01-01T12:00:00.000Z');
+    expect(note.updatedAt.toISOString()).to.equal('2020-01-02T12:00:00.000Z');
+    expect(() => ConvertedNoteFromGoogleKeep('{}')).to.throw();
+  });
+
+  it('reads simplenote exports', function () {
+    const notes = ConvertedNotesFromSimplenote(JSON.stringify({
+      activeNotes: [{
+        content: 'Title\r\n\r\nFirst line\r\nSecond line',
+        creationDate: '2020-01-01T12:00:00.000Z',
+        lastModified: '2020-01-02T12:00:00.000Z',
+        tags: ['work'],
+        pinned: true
+      }],
+      trashedNotes: [{ content: 'Old' }]
+    }));
+    expect(notes.length).to.equal(2);
+    expect(notes[0].title).to.equal('Title');
+    expect(notes[0].text).to.equal('First line\nSecond line');
+    expect(notes[0].tags).to.eql(['work']);
+    expect(notes[0].pinned).to.equal(true);
+    expect(notes[1].title).to.equal('Old');
+    expect(notes[1].trashed).to.equal(true);
+    expect(() => ConvertedNotesFromSimplenote('[]')).to.throw();
+  });
+
+  it('converts exports by format', function () {
+    const simplenote = JSON.stringify({ activeNotes: [{ content: 'A' }] });
+    const notes = ConvertNoteAppExport(NoteAppFormat.Simplenote, [simplenote, simplenote]);
+    expect(notes.length).to.equal(2);
+  });
+
+  it('imports converted notes through the file import delta', async function () {
+    await this.importConvertedNotes([
+      { title: 'A', text: 'a', tags: ['Work', 'work'], pinned: true },
+      { title: 'B', text: 'b', tags: ['work'] }
+    ]);
+    expect(this.itemManager.notes.length).to.equal(2);
+    expect(this.itemManager.tags.length).to.equal(1);
+    const tag = this.itemManager.tags[0];
+    expect(tag.title).to.equal('Work');
+    expect(tag.content.references.length).to.equal(2);
+    const pinned = this.itemManager.notes.find((note) => note.title === 'A');
+    expect(pinned.pinned).to.equal(true);
+    expect(pinned.dirty).to.equal(true);
+  });
+
+  it('imported tags merge into existing tags', async function () {
+    const note = await this.itemManager.createItem(ContentType.Note, { title: 'Old' });
+    const existing = await this.itemManager.findOrCreateTagByTitle('Work');
+    await this.itemManager.changeItem(existing.uuid, (mutator) => {
+      mutator.addItemAsRelationship(note);
+    });
+    const backupFile = await this.importConvertedNotes([
+      { title: 'New', text: '', tags: ['work'] }
+    ]);
+    expect(backupFile.items.length).to.equal(2);
+    expect(this.itemManager.tags.length).to.equal(1);
+    const tag = this.itemManager.findItem(existing.uuid);
+    expect(tag.content.references.length).to.equal(2);
+    expect(tag.content.references.map((reference) => reference.uuid))
+      .to.include(note.uuid);
+  });
+});
@@ -0,0 +1,90 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import { describeDeviceInterfaceConformance } from './lib/device_interface_conformance.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+/** Each store is a unique prefix of the namespaces of its interfaces' databases */
+describeDeviceInterfaceConformance('indexeddb device interface', {
+  isAvailable: async () => typeof indexedDB !== 'undefined',
+  createStore: async () => {
+    return { prefix: `${Math.random()}`, namespaces: new Set() };
+  },
+  createInterface: async (store, namespace) => {
+    const deviceInterface = new SNIndexedDBDeviceInterface(`${store.prefix}-${namespace}`);
+    store.namespaces.add(deviceInterface.databaseName);
+    return deviceInterface;
+  },
+  destroyStore: async (store) => {
+    for (const name of store.namespaces) {
+      await new Promise((resolve) => {
+        const request = indexedDB.deleteDatabase(name);
+        request.onsuccess = resolve;
+        request.onerror = resolve;
+        request.onblocked = resolve;
+      });
+    }
+  }
+});
+
+/**
+ * Adapts sql.js, which test.html loads as plain JavaScript, to the interface's driver
+ * interface. Each store is an in-memory database.
+ */
+let SQL;
+async function openSqlJsDatabase() {
+  SQL = SQL || await initSqlJs();
+  const database = new SQL.Database();
+  return {
+    execute: async (sql, params = []) => {
+      database.run(sql, params);
+    },
+    query: async (sql, params = []) => {
+      const statement = database.prepare(sql, params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      statement.free();
+      return rows;
+    },
+    close: () => database.close()
+  };
+}
+
+describeDeviceInterfaceConformance('sqlite device interface', {
+  isAvailable: async () => typeof initSqlJs !== 'undefined',
+  createStore: openSqlJsDatabase,
+  createInterface: async (database, namespace) => {
+    return new SNSQLiteDeviceInterface(database, namespace);
+  },
+  destroyStore: async (database) => {
+    database.close();
+  }
+});
+
+describe('indexeddb device interface errors', function () {
+
+  before(function () {
+    if (typeof indexedDB === 'undefined') {
+      this.skip();
+    }
+  });
+
+  it('notifies observers of failed transactions', async function () {
+    const deviceInterface = new SNIndexedDBDeviceInterface(`${Math.random()}`);
+    const errors = [];
+    deviceInterface.addErrorObserver((error) => errors.push(error));
+    /** Payloads without a uuid have no key, which fails the transaction */
+    await expect(
+      deviceInterface.saveRawDatabasePayloads([{ uuid: '1' }, { content: {} }])
+    ).to.be.rejected;
+    expect(errors.length).to.equal(1);
+    expect(errors[0].type).to.equal(DatabaseErrorType.Transaction);
+    /** The transaction's other writes are not kept */
+    expect(await deviceInterface.getAllRawDatabasePayloads()).to.eql([]);
+    const name = deviceInterface.databaseName;
+    deviceInterface.deinit();
+    indexedDB.deleteDatabase(name);
+  });
+});
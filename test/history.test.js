@@ -227,3 +227,640 @@ describe('session history', () => {
       expect(itemHistory.entries.length).to.equal(4);
     });
 });
+
+describe('history entry diffs', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  const createHistory = (contents) => {
+    const params = Factory.createNoteParams();
+    const history = new ItemHistory();
+    for (const content of contents) {
+      history.addHistoryEntryForItem(CreateMaxPayloadFromAnyObject({
+        ...params,
+        content: { references: [], ...content }
+      }));
+    }
+    return history;
+  };
+
+  it('counts inserted and deleted characters since previous entry', function () {
+    const history = createHistory([
+      { title: 'Title', text: 'The quick brown fox' },
+      { title: 'Title', text: 'The quick red fox jumps' },
+      { title: 'New Title', text: 'The red fox' }
+    ]);
+    const [first, second, third] = history.entries;
+    expect(first.textChangeCounts()).to.eql({ insertions: 19, deletions: 0 });
+    expect(first.operationVector()).to.equal(0);
+
+    /** 'brown' becomes 'red' by keeping its 'r' */
+    expect(second.textChangeCounts()).to.eql({ insertions: 8, deletions: 4 });
+    expect(second.titleChangeCounts()).to.eql({ insertions: 0, deletions: 0 });
+    expect(second.deltaSize()).to.equal(12);
+    expect(second.operationVector()).to.equal(1);
+    expect(second.previewSubTitle()).to.equal('8 characters added, 4 removed');
+
+    expect(third.textChangeCounts()).to.eql({ insertions: 0, deletions: 12 });
+    expect(third.titleChangeCounts()).to.eql({ insertions: 4, deletions: 0 });
+    expect(third.operationVector()).to.equal(-1);
+    expect(third.previewSubTitle()).to.equal('12 characters removed');
+  });
+
+  it('title only changes', function () {
+    const history = createHistory([
+      { title: 'Title', text: 'Text' },
+      { title: 'Other', text: 'Text' }
+    ]);
+    expect(history.entries[1].previewSubTitle()).to.equal('Title or metadata changed');
+  });
+
+  it('diffs any two entries by line and word', function () {
+    const history = createHistory([
+      { title: 'Title', text: 'First line\nSecond line\n' },
+      { title: 'Title', text: 'First line\nSecond line\nThird line\n' },
+      { title: 'Title 2', text: 'First line\nSecond edited line\nThird line\n' }
+    ]);
+    const [first, , third] = history.entries;
+    const diff = DiffHistoryEntries(first, third);
+    expect(diff.title.insertions).to.equal(2);
+    expect(diff.title.words).to.eql([
+      { operation: DiffOperation.Equal, value: 'Title' },
+      { operation: DiffOperation.Insert, value: ' 2' }
+    ]);
+    expect(diff.text.lines).to.eql([
+      { operation: DiffOperation.Equal, value: 'First line\n' },
+      { operation: DiffOperation.Delete, value: 'Second line\n' },
+      { operation: DiffOperation.Insert, value: 'Second edited line\nThird line\n' }
+    ]);
+    expect(diff.text.words).to.eql([
+      { operation: DiffOperation.Equal, value: 'First line\nSecond ' },
+      { operation: DiffOperation.Insert, value: 'edited line\nThird ' },
+      { operation: DiffOperation.Equal, value: 'line\n' }
+    ]);
+    expect(diff.text.insertions).to.equal(18);
+    expect(diff.text.deletions).to.equal(0);
+  });
+
+  it('computes counts only when needed', function () {
+    const history = createHistory([
+      { title: 'Title', text: 'abc' },
+      { title: 'Title', text: 'abcdef' }
+    ]);
+    const entry = history.entries[1];
+    const titleValue = sinon.spy(history.entries[0], 'titleValue');
+    expect(titleValue.callCount).to.equal(0);
+    expect(entry.textChangeCounts()).to.eql({ insertions: 3, deletions: 0 });
+    entry.deltaSize();
+    expect(titleValue.callCount).to.equal(1);
+  });
+
+  it('entries restored from json keep counts', function () {
+    const history = createHistory([
+      { title: 'Title', text: 'abc' },
+      { title: 'Title', text: 'abcdef' }
+    ]);
+    const restored = ItemHistory.FromCompressedJson(JSON.parse(JSON.stringify(history)));
+    expect(restored.entries[1].textChangeCounts()).to.eql({ insertions: 3, deletions: 0 });
+  });
+});
+
+describe('session history storage', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  const paragraph = 'Lorem ipsum dolor sit amet, consectetur adipiscing elit. ';
+
+  const createSession = (params, revisions) => {
+    const session = new HistorySession();
+    for (let index = 0; index < revisions; index++) {
+      session.addEntryForPayload(CreateMaxPayloadFromAnyObject({
+        ...params,
+        updated_at: new Date(index * 1000),
+        content: {
+          references: [],
+          title: index % 10 === 0 ? `Title ${index}` : 'Title',
+          text: paragraph.repeat(20) + `Revision ${index}\n` + paragraph.repeat(index % 3)
+        }
+      }));
+    }
+    return session;
+  };
+
+  const roundTrip = (session) => {
+    return HistorySession.FromJson(JSON.parse(JSON.stringify(session)));
+  };
+
+  it('restores compressed revisions', function () {
+    const params = Factory.createNoteParams();
+    const session = createSession(params, 45);
+    const json = JSON.parse(JSON.stringify(session));
+    expect(HistorySession.IsCurrentFormat(json)).to.equal(true);
+    const stored = json.content.itemUUIDToItemHistoryMapping[params.uuid].entries;
+    /** Keyframes every 20 revisions, and the latest revision */
+    expect(stored.filter((entry) => entry.payload).length).to.equal(4);
+
+    const original = session.historyForItem(params.uuid).entries;
+    const restored = HistorySession.FromJson(json).historyForItem(params.uuid).entries;
+    expect(restored.length).to.equal(45);
+    restored.forEach((entry, index) => {
+      expect(entry.payload.content).to.eql(original[index].payload.content);
+      expect(entry.payload.updated_at.getTime()).to.equal(index * 1000);
+      expect(entry.deltaSize()).to.equal(original[index].deltaSize());
+    });
+  });
+
+  it('compressed revisions are smaller than full revisions', function () {
+    const params = Factory.createNoteParams();
+    const session = createSession(params, 30);
+    const full = JSON.stringify(session.historyForItem(params.uuid).entries);
+    const compressed = JSON.stringify(session);
+    expect(compressed.length).to.be.below(full.length / 5);
+  });
+
+  it('adding entries after saving only changes the latest entries', function () {
+    const params = Factory.createNoteParams();
+    const session = createSession(params, 5);
+    JSON.stringify(session);
+    session.addEntryForPayload(CreateMaxPayloadFromAnyObject({
+      ...params,
+      content: { references: [], title: 'Title', text: 'New text' }
+    }));
+    const incremental = JSON.parse(JSON.stringify(session));
+    const fresh = JSON.parse(JSON.stringify(
+      new ItemHistory(session.historyForItem(params.uuid).entries)
+    ));
+    expect(incremental.content.itemUUIDToItemHistoryMapping[params.uuid]).to.eql(fresh);
+    const restored = roundTrip(session).historyForItem(params.uuid).entries;
+    expect(restored.length).to.equal(6);
+    expect(restored[5].payload.content.text).to.equal('New text');
+    expect(restored[4].payload.content.text).to.contain('Revision 4');
+  });
+
+  it('reads sessions saved before compression', function () {
+    const params = Factory.createNoteParams();
+    const legacy = createSession(params, 3);
+    const legacyJson = {
+      content: {
+        itemUUIDToItemHistoryMapping: {
+          [params.uuid]: {
+            entries: legacy.historyForItem(params.uuid).entries.map((entry) => {
+              return JSON.parse(JSON.stringify({ payload: entry.payload }));
+            })
+          }
+        }
+      }
+    };
+    expect(HistorySession.IsCurrentFormat(legacyJson)).to.equal(false);
+    const session = HistorySession.FromJson(legacyJson);
+    const entries = session.historyForItem(params.uuid).entries;
+    expect(entries.length).to.equal(3);
+    expect(entries[2].payload.content.text).to.contain('Revision 2');
+    const restored = roundTrip(session).historyForItem(params.uuid).entries;
+    expect(restored.map((entry) => entry.payload.content))
+      .to.eql(entries.map((entry) => entry.payload.content));
+  });
+
+  it('optimizing recomputes changes relative to kept entries', function () {
+    const history = new ItemHistory();
+    const params = Factory.createNoteParams();
+    let text = 'Start';
+    for (let index = 0; index < 5; index++) {
+      text += 'x';
+      history.addHistoryEntryForItem(CreateMaxPayloadFromAnyObject({
+        ...params,
+        content: { references: [], title: 'Title', text }
+      }));
+    }
+    history.optimize();
+    expect(history.entries.length).to.equal(2);
+    /** The removed entries' changes are carried over to the latest entry */
+    expect(history.entries[1].textChangeCounts()).to.eql({ insertions: 4, deletions: 0 });
+    const restored = ItemHistory.FromCompressedJson(JSON.parse(JSON.stringify(history)));
+    expect(restored.entries.map((entry) => entry.payload.content.text))
+      .to.eql(['Startx', 'Startxxxxx']);
+  });
+});
+
+describe('session history retention', () => {
+
+  const MINUTE = 60 * 1000;
+  const HOUR = 60 * MINUTE;
+  const DAY = 24 * HOUR;
+  const now = new Date(2020, 5, 15, 12, 30);
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  /** Adds a revision for each age, oldest first */
+  const createHistory = (session, ages, text = 'text') => {
+    const params = Factory.createNoteParams();
+    ages.slice().sort((a, b) => b - a).forEach((age, index) => {
+      session.addEntryForPayload(CreateMaxPayloadFromAnyObject({
+        ...params,
+        updated_at: new Date(now.getTime() - age),
+        content: { references: [], title: 'Title', text: `${text} ${index}` }
+      }));
+    });
+    return session.historyForItem(params.uuid);
+  };
+
+  const ages = (entries) => {
+    return entries.map((entry) => now.getTime() - entry.payload.updated_at.getTime());
+  };
+
+  it('default policy thins revisions by age', function () {
+    const session = new HistorySession();
+    const history = createHistory(session, [
+      40 * DAY,
+      3 * DAY + HOUR, 3 * DAY + 2 * HOUR,
+      5 * HOUR + 10 * MINUTE, 5 * HOUR + 20 * MINUTE,
+      20 * MINUTE, 10 * MINUTE,
+      0
+    ]);
+    const preview = PreviewRetentionPolicy(
+      session.allItemHistories(),
+      DefaultHistoryRetentionPolicy,
+      now
+    );
+    expect(preview.prunedCount).to.equal(3);
+    expect(ages(preview.prunedEntries[history.entries[0].payload.uuid]).sort((a, b) => a - b))
+      .to.eql([5 * HOUR + 20 * MINUTE, 3 * DAY + 2 * HOUR, 40 * DAY]);
+    expect(preview.bytesAfter).to.be.below(preview.bytesBefore);
+    /** Previewing does not remove entries */
+    expect(history.entries.length).to.equal(8);
+
+    session.removeEntries(preview.prunedEntries);
+    expect(ages(history.entries)).to.eql([
+      3 * DAY + HOUR,
+      5 * HOUR + 10 * MINUTE,
+      20 * MINUTE, 10 * MINUTE,
+      0
+    ]);
+  });
+
+  it('latest entry is always kept', function () {
+    const session = new HistorySession();
+    const history = createHistory(session, [60 * DAY, 50 * DAY]);
+    const preview = PreviewRetentionPolicy(
+      session.allItemHistories(),
+      DefaultHistoryRetentionPolicy,
+      now
+    );
+    expect(preview.prunedCount).to.equal(1);
+    session.removeEntries(preview.prunedEntries);
+    expect(ages(history.entries)).to.eql([50 * DAY]);
+  });
+
+  it('byte budget removes oldest entries across items', function () {
+    const session = new HistorySession();
+    const long = 'long text '.repeat(200);
+    const first = createHistory(session, [5 * MINUTE, 3 * MINUTE, 1 * MINUTE], long);
+    const second = createHistory(session, [4 * MINUTE, 2 * MINUTE, 0], long);
+    const keepAll = { tiers: [{ maxAge: Infinity, interval: 0 }] };
+    const sizes = first.entrySizes().concat(second.entrySizes());
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+
+    const unlimited = PreviewRetentionPolicy(session.allItemHistories(), keepAll, now);
+    expect(unlimited.prunedCount).to.equal(0);
+    expect(unlimited.bytesBefore).to.equal(total);
+
+    const preview = PreviewRetentionPolicy(
+      session.allItemHistories(),
+      { ...keepAll, byteBudget: total - 1 },
+      now
+    );
+    expect(preview.prunedCount).to.equal(1);
+    expect(ages(preview.prunedEntries[first.entries[0].payload.uuid]))
+      .to.eql([5 * MINUTE]);
+
+    const strict = PreviewRetentionPolicy(
+      session.allItemHistories(),
+      { ...keepAll, byteBudget: 0 },
+      now
+    );
+    /** All but the latest entry of each item */
+    expect(strict.prunedCount).to.equal(4);
+    session.removeEntries(strict.prunedEntries);
+    expect(ages(first.entries)).to.eql([MINUTE]);
+    expect(ages(second.entries)).to.eql([0]);
+  });
+});
+
+describe('remote history', () => {
+
+  const host = 'http://localhost:3123';
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  /**
+   * Serves the revisions endpoints from revisions kept in memory, by item uuid, with
+   * bodies of the shape the sync server sends
+   */
+  class MockRevisionServer {
+    constructor() {
+      this.revisions = {};
+      this.requests = [];
+    }
+
+    addRevision(payload, content, encrypted = true) {
+      const revision = {
+        uuid: Factory.generateUuid(),
+        item_uuid: payload.uuid,
+        content_type: payload.content_type,
+        content: encrypted ? `000${JSON.stringify(content)}` : 'garbage',
+        created_at: payload.created_at.toISOString(),
+        updated_at: payload.updated_at.toISOString()
+      };
+      const revisions = this.revisions[payload.uuid] || [];
+      revisions.push(revision);
+      this.revisions[payload.uuid] = revisions;
+      return revision;
+    }
+
+    async send(request) {
+      this.requests.push(request);
+      const path = request.url.replace(host, '').split('?')[0];
+      const [, itemUuid, revisionUuid] = path.match(
+        /^\/items\/([^/]+)\/revisions(?:\/([^/]+))?$/
+      ) || [];
+      const revisions = this.revisions[itemUuid] || [];
+      if (itemUuid && !revisionUuid) {
+        /** Listed newest first, and without content */
+        return {
+          status: 200,
+          body: JSON.stringify(revisions.slice().reverse().map((revision) => {
+            const { uuid, content_type, created_at, updated_at } = revision;
+            return { uuid, content_type, created_at, updated_at };
+          }))
+        };
+      }
+      const revision = revisions.find((revision) => revision.uuid === revisionUuid);
+      if (revision) {
+        return { status: 200, body: JSON.stringify(revision) };
+      }
+      return {
+        status: 404,
+        body: JSON.stringify({ error: { message: 'Revision not found' } })
+      };
+    }
+  }
+
+  /** Decrypts content consisting of the 000 prefix and JSON */
+  const protocolService = {
+    payloadByDecryptingPayload: async (payload) => {
+      if (!payload.content.startsWith('000')) {
+        return CopyPayload(payload, { errorDecrypting: true });
+      }
+      return CopyPayload(payload, {
+        content: JSON.parse(payload.content.substring(3)),
+        errorDecrypting: false
+      });
+    }
+  };
+
+  beforeEach(async function () {
+    this.server = new MockRevisionServer();
+    this.apiService = new SNApiService(new SNHttpService(this.server), undefined, host);
+    await this.apiService.setSession({ accessToken: 'token' }, false);
+    this.itemManager = new ItemManager(new PayloadManager());
+    this.historyManager = new SNHistoryManager(
+      this.itemManager,
+      undefined,
+      [ContentType.Note],
+      setTimeout,
+      this.apiService,
+      protocolService
+    );
+    this.note = await this.itemManager.emitItemFromPayload(
+      CreateMaxPayloadFromAnyObject({
+        ...Factory.createNoteParams({ dirty: false }),
+        content: { references: [], title: 'Title', text: 'current' },
+        updated_at: new Date(2020, 5, 15, 12, 0)
+      })
+    );
+    this.addRevision = (text, minutesAgo, encrypted) => {
+      const payload = CopyPayload(this.note.payload, {
+        updated_at: new Date(this.note.updated_at.getTime() - minutesAgo * 60 * 1000)
+      });
+      return this.server.addRevision(
+        payload,
+        { ...this.note.payload.content, text },
+        encrypted
+      );
+    };
+  });
+
+  it('lists revisions from earliest to latest', async function () {
+    const first = this.addRevision('first', 20);
+    const second = this.addRevision('second', 10);
+    const revisions = await this.historyManager.listRemoteRevisions(this.note);
+    expect(revisions.map((revision) => revision.uuid)).to.eql([first.uuid, second.uuid]);
+    expect(revisions[0].content).to.not.be.ok;
+    const request = this.server.requests[0];
+    expect(request.headers.Authorization).to.equal('Bearer token');
+    expect(request.verb).to.equal('get');
+  });
+
+  it('listing revisions without a session returns undefined', async function () {
+    this.addRevision('first', 20);
+    await this.apiService.setSession(undefined, false);
+    const revisions = await this.historyManager.listRemoteRevisions(this.note);
+    expect(revisions).to.not.be.ok;
+    expect(this.server.requests.length).to.equal(0);
+  });
+
+  it('fetches and decrypts a revision', async function () {
+    const revision = this.addRevision('older text', 10);
+    const payload = await this.historyManager.fetchRemoteRevision(this.note, revision.uuid);
+    expect(payload.uuid).to.equal(this.note.uuid);
+    expect(payload.errorDecrypting).to.equal(false);
+    expect(payload.content.text).to.equal('older text');
+    expect(payload.updated_at.getTime()).to.equal(new Date(revision.updated_at).getTime());
+  });
+
+  it('fetching a missing revision returns undefined', async function () {
+    const payload = await this.historyManager.fetchRemoteRevision(
+      this.note,
+      Factory.generateUuid()
+    );
+    expect(payload).to.not.be.ok;
+  });
+
+  it('revisions that cannot be decrypted are marked as errored', async function () {
+    const revision = this.addRevision('older text', 10, false);
+    const payload = await this.historyManager.fetchRemoteRevision(this.note, revision.uuid);
+    expect(payload.errorDecrypting).to.equal(true);
+    await expect(this.historyManager.restoreRemoteRevision(payload)).to.be.rejected;
+  });
+
+  it('restoring a revision dirties the item with its content', async function () {
+    const revision = this.addRevision('older text', 10);
+    const payload = await this.historyManager.fetchRemoteRevision(this.note, revision.uuid);
+    const restored = await this.historyManager.restoreRemoteRevision(payload);
+    expect(restored.uuid).to.equal(this.note.uuid);
+    expect(restored.text).to.equal('older text');
+    expect(restored.dirty).to.equal(true);
+    /** The item's current metadata is kept */
+    expect(restored.updated_at.getTime()).to.equal(this.note.updated_at.getTime());
+    expect(this.itemManager.findItem(this.note.uuid).text).to.equal('older text');
+  });
+
+  it('restoring a revision of a removed item recreates it', async function () {
+    const revision = this.addRevision('older text', 10);
+    const payload = await this.historyManager.fetchRemoteRevision(this.note, revision.uuid);
+    await this.itemManager.setItemToBeDeleted(this.note.uuid);
+    const restored = await this.historyManager.restoreRemoteRevision(payload);
+    expect(restored.deleted).to.not.be.ok;
+    expect(restored.dirty).to.equal(true);
+    expect(restored.text).to.equal('older text');
+  });
+
+  it('timeline merges session entries and revisions', function () {
+    const session = new HistorySession();
+    const time = this.note.updated_at.getTime();
+    const payloadAt = (minutesAgo, text) => {
+      return CopyPayload(this.note.payload, {
+        updated_at: new Date(time - minutesAgo * 60 * 1000),
+        content: { ...this.note.payload.content, text }
+      });
+    };
+    session.addEntryForPayload(payloadAt(15, 'session only'));
+    session.addEntryForPayload(payloadAt(10, 'both'));
+    const entries = session.historyForItem(this.note.uuid).entries;
+    const remoteOnly = this.addRevision('remote only', 20);
+    const shared = this.addRevision('both', 10);
+
+    const timeline = MergeHistoryTimeline(entries, [shared, remoteOnly]);
+    expect(timeline.length).to.equal(3);
+    expect(timeline[0].remoteRevision).to.equal(remoteOnly);
+    expect(timeline[0].sessionEntry).to.not.be.ok;
+    expect(timeline[1].sessionEntry).to.equal(entries[0]);
+    expect(timeline[1].remoteRevision).to.not.be.ok;
+    expect(timeline[2].sessionEntry).to.equal(entries[1]);
+    expect(timeline[2].remoteRevision).to.equal(shared);
+    expect(timeline.map((entry) => entry.date.getTime())).to.eql([
+      time - 20 * 60 * 1000,
+      time - 15 * 60 * 1000,
+      time - 10 * 60 * 1000
+    ]);
+  });
+});
+
+describe('restoring history entries', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(async function () {
+    this.itemManager = new ItemManager(new PayloadManager());
+    this.historyManager = new SNHistoryManager(
+      this.itemManager,
+      undefined,
+      [ContentType.Note],
+      setTimeout
+    );
+    this.keptTag = await this.itemManager.createItem(ContentType.Tag, { title: 'kept' });
+    this.deletedTag = await this.itemManager.createItem(ContentType.Tag, { title: 'deleted' });
+    const params = Factory.createNoteParams({ dirty: false });
+    const references = [
+      { uuid: this.keptTag.uuid, content_type: ContentType.Tag },
+      { uuid: this.deletedTag.uuid, content_type: ContentType.Tag },
+      { uuid: Factory.generateUuid(), content_type: ContentType.Tag }
+    ];
+    this.entry = new ItemHistoryEntry(CreateSourcedPayloadFromObject(
+      {
+        ...params,
+        content: { title: 'Old title', text: 'old text', references }
+      },
+      PayloadSource.SessionHistory
+    ));
+    this.note = await this.itemManager.emitItemFromPayload(
+      CreateMaxPayloadFromAnyObject({
+        ...params,
+        content: { title: 'New title', text: 'new text', references: [] }
+      })
+    );
+    this.note = await this.itemManager.changeItem(this.note.uuid, (mutator) => {
+      mutator.pinned = true;
+    });
+    await this.itemManager.setItemToBeDeleted(this.deletedTag.uuid);
+    /** A tag that references the note */
+    this.parentTag = await this.itemManager.createItem(ContentType.Tag, {
+      title: 'parent',
+      references: [{ uuid: this.note.uuid, content_type: ContentType.Note }]
+    });
+  });
+
+  it('restores entry in place with existing references', async function () {
+    let source;
+    this.itemManager.addObserver(ContentType.Note, (changed, inserted, discarded, observedSource) => {
+      source = observedSource;
+    });
+    const restored = await this.historyManager.restoreEntry(this.entry);
+    expect(restored.uuid).to.equal(this.note.uuid);
+    expect(restored.title).to.equal('Old title');
+    expect(restored.text).to.equal('old text');
+    expect(restored.references).to.eql([
+      { uuid: this.keptTag.uuid, content_type: ContentType.Tag }
+    ]);
+    expect(restored.pinned).to.equal(true);
+    expect(restored.dirty).to.equal(true);
+    expect(source).to.equal(PayloadSource.SessionHistory);
+  });
+
+  it('restores entry as copy', async function () {
+    const copy = await this.historyManager.restoreEntry(this.entry, { asCopy: true });
+    expect(copy.uuid).to.not.equal(this.note.uuid);
+    expect(copy.text).to.equal('old text');
+    expect(copy.references.length).to.equal(1);
+    expect(copy.dirty).to.equal(true);
+    const original = this.itemManager.findItem(this.note.uuid);
+    expect(original.text).to.equal('new text');
+    const parentTag = this.itemManager.findItem(this.parentTag.uuid);
+    expect(parentTag.references.map((ref) => ref.uuid)).to.have.members([
+      this.note.uuid,
+      copy.uuid
+    ]);
+  });
+
+  it('restores entry of deleted item as copy', async function () {
+    await this.itemManager.setItemToBeDeleted(this.note.uuid);
+    const restored = await this.historyManager.restoreEntry(this.entry);
+    expect(restored.uuid).to.not.equal(this.note.uuid);
+    expect(restored.deleted).to.not.be.ok;
+    expect(restored.dirty).to.equal(true);
+    expect(restored.text).to.equal('old text');
+    expect(restored.references).to.eql([
+      { uuid: this.keptTag.uuid, content_type: ContentType.Tag }
+    ]);
+  });
+});
@@ -0,0 +1,197 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('http service', () => {
+
+  const url = 'http://localhost:3123/endpoint';
+
+  /** Records the requests it is sent, and answers them with `respond` */
+  class FakeTransport {
+    constructor(respond) {
+      this.requests = [];
+      this.respond = respond || (async () => {
+        return { status: 200, body: JSON.stringify({ ok: true }) };
+      });
+    }
+
+    send(request) {
+      this.requests.push(request);
+      return this.respond(request);
+    }
+  }
+
+  /** Answers only when aborted, as transports that support abort signals do */
+  const hangingTransport = () => new FakeTransport((request) => {
+    return new Promise((resolve, reject) => {
+      request.signal.addEventListener('abort', () => reject(Error('aborted')));
+    });
+  });
+
+  it('encodes get params into the url', async function () {
+    const transport = new FakeTransport();
+    const http = new SNHttpService(transport);
+    await http.getAbsolute(url, { email: 'a@b.com', api: '20200115' });
+    const [request] = transport.requests;
+    expect(request.verb).to.equal(HttpVerb.Get);
+    expect(request.url).to.equal(`${url}?email=a%40b.com&api=20200115`);
+    expect(request.body).to.not.be.ok;
+  });
+
+  it('sends post params as a json body with authentication', async function () {
+    const transport = new FakeTransport();
+    const http = new SNHttpService(transport);
+    await http.postAbsolute(url, { items: [] }, 'token');
+    const [request] = transport.requests;
+    expect(request.verb).to.equal(HttpVerb.Post);
+    expect(JSON.parse(request.body)).to.eql({ items: [] });
+    expect(request.headers['Content-type']).to.equal('application/json');
+    expect(request.headers.Authorization).to.equal('Bearer token');
+  });
+
+  it('resolves successful responses with their body', async function () {
+    const http = new SNHttpService(new FakeTransport());
+    const response = await http.getAbsolute(url);
+    expect(response).to.eql({ status: 200, ok: true });
+  });
+
+  it('keeps bodies other than objects as data', async function () {
+    const http = new SNHttpService(new FakeTransport(async () => {
+      return { status: 200, body: JSON.stringify([{ uuid: '1' }]) };
+    }));
+    const response = await http.getAbsolute(url);
+    expect(response).to.eql({ status: 200, data: [{ uuid: '1' }] });
+  });
+
+  it('rejects error responses with their status', async function () {
+    const http = new SNHttpService(new FakeTransport(async () => {
+      return { status: 500, body: 'Internal Server Error' };
+    }));
+    const error = await http.getAbsolute(url).catch((response) => response);
+    expect(error.status).to.equal(500);
+    expect(error.error).to.eql({ status: 500 });
+  });
+
+  it('keeps the error of error responses', async function () {
+    const http = new SNHttpService(new FakeTransport(async () => {
+      return { status: 401, body: JSON.stringify({ error: { message: 'Invalid' } }) };
+    }));
+    const error = await http.getAbsolute(url).catch((response) => response);
+    expect(error.status).to.equal(401);
+    expect(error.error.message).to.equal('Invalid');
+  });
+
+  it('rejects with status 0 when no response is received', async function () {
+    const http = new SNHttpService(new FakeTransport(async () => {
+      throw Error('offline');
+    }));
+    const error = await http.getAbsolute(url).catch((response) => response);
+    expect(error.status).to.equal(0);
+    expect(error.error.status).to.equal(0);
+    expect(error.error.tag).to.equal(HttpErrorTag.NetworkError);
+  });
+
+  it('times out requests', async function () {
+    const transport = hangingTransport();
+    const http = new SNHttpService(transport);
+    const error = await http.getAbsolute(url, undefined, undefined, { timeout: 10 })
+      .catch((response) => response);
+    expect(error.status).to.equal(0);
+    expect(error.error.tag).to.equal(HttpErrorTag.Timeout);
+    expect(transport.requests[0].signal.aborted).to.equal(true);
+  });
+
+  it('uses the default timeout unless a request has its own', async function () {
+    const http = new SNHttpService(hangingTransport(), 10);
+    const error = await http.getAbsolute(url).catch((response) => response);
+    expect(error.error.tag).to.equal(HttpErrorTag.Timeout);
+  });
+
+  it('times out transports that ignore abort signals', async function () {
+    const http = new SNHttpService(new FakeTransport(() => new Promise(() => {})));
+    const error = await http.getAbsolute(url, undefined, undefined, { timeout: 10 })
+      .catch((response) => response);
+    expect(error.error.tag).to.equal(HttpErrorTag.Timeout);
+  });
+
+  it('cancels requests with an abort signal', async function () {
+    const transport = hangingTransport();
+    const http = new SNHttpService(transport);
+    const controller = new AbortController();
+    const promise = http.postAbsolute(url, {}, undefined, { signal: controller.signal });
+    controller.abort();
+    const error = await promise.catch((response) => response);
+    expect(error.status).to.equal(0);
+    expect(error.error.tag).to.equal(HttpErrorTag.Aborted);
+    expect(transport.requests[0].signal.aborted).to.equal(true);
+  });
+
+  it('does not send requests whose signal is already aborted', async function () {
+    const controller = new AbortController();
+    controller.abort();
+    const http = new SNHttpService(new SNFetchHttpTransport(async (input, init) => {
+      if (init.signal.aborted) {
+        throw Error('aborted');
+      }
+      return new Response('{}');
+    }));
+    const error = await http.getAbsolute(url, undefined, undefined, {
+      signal: controller.signal
+    }).catch((response) => response);
+    expect(error.error.tag).to.equal(HttpErrorTag.Aborted);
+  });
+
+  it('runs interceptors in the order they are added', async function () {
+    const transport = new FakeTransport();
+    const http = new SNHttpService(transport);
+    const calls = [];
+    http.addInterceptor(async (request, next) => {
+      calls.push('first');
+      return next({ ...request, headers: { ...request.headers, 'X-First': '1' } });
+    });
+    http.addInterceptor(async (request, next) => {
+      calls.push('second');
+      expect(request.headers['X-First']).to.equal('1');
+      const response = await next(request);
+      calls.push(`second received ${response.status}`);
+      return response;
+    });
+    await http.getAbsolute(url);
+    expect(calls).to.eql(['first', 'second', 'second received 200']);
+    expect(transport.requests[0].headers['X-First']).to.equal('1');
+  });
+
+  it('lets interceptors answer requests without the transport', async function () {
+    const transport = new FakeTransport();
+    const http = new SNHttpService(transport);
+    const remove = http.addInterceptor(async () => {
+      return { status: 200, body: JSON.stringify({ mocked: true }) };
+    });
+    const response = await http.getAbsolute(url);
+    expect(response.mocked).to.equal(true);
+    expect(transport.requests.length).to.equal(0);
+    remove();
+    await http.getAbsolute(url);
+    expect(transport.requests.length).to.equal(1);
+  });
+
+  it('sends requests with a fetch transport', async function () {
+    const calls = [];
+    const http = new SNHttpService(new SNFetchHttpTransport(async (input, init) => {
+      calls.push({ input, init });
+      return new Response(JSON.stringify({ saved: true }), {
+        status: 201,
+        headers: { 'Retry-After': '5' }
+      });
+    }));
+    const response = await http.patchAbsolute(url, { value: 1 }, 'token');
+    expect(response.status).to.equal(201);
+    expect(response.saved).to.equal(true);
+    expect(response.headers['retry-after']).to.equal('5');
+    expect(calls[0].input).to.equal(url);
+    expect(calls[0].init.method).to.equal('PATCH');
+    expect(calls[0].init.body).to.equal(JSON.stringify({ value: 1 }));
+    expect(calls[0].init.headers.Authorization).to.equal('Bearer token');
+  });
+});
@@ -403,4 +403,94 @@ describe('item manager', () => {
     await this.itemManager.emitItemFromPayload(payload);
     expect(latestVersion.title).to.equal(changedTitle);
   });
-});
\ No newline at end of file
+
+  it('get conflicts groups conflicted copies by original', async function () {
+    const note = await this.createNote();
+    const tag = await this.createTag([note]);
+    const first = await this.itemManager.duplicateItem(note.uuid, true);
+    const second = await this.itemManager.duplicateItem(note.uuid, true);
+    await this.itemManager.changeItem(first.uuid, (mutator) => {
+      mutator.text = 'world\nagain';
+    });
+    await this.itemManager.duplicateItem(tag.uuid);
+
+    const conflicts = this.itemManager.getConflicts();
+    expect(conflicts.length).to.equal(1);
+    expect(conflicts[0].original.uuid).to.equal(note.uuid);
+    expect(conflicts[0].conflicts.map((conflict) => conflict.item.uuid).sort())
+      .to.eql([first.uuid, second.uuid].sort());
+    const firstConflict = conflicts[0].conflicts.find((conflict) => {
+      return conflict.item.uuid === first.uuid;
+    });
+    expect(firstConflict.differences.length).to.equal(1);
+    const difference = firstConflict.differences[0];
+    expect(difference.key).to.equal('text');
+    expect(difference.from).to.equal('world');
+    expect(difference.to).to.equal('world\nagain');
+    expect(difference.lines).to.eql([
+      { operation: DiffOperation.Delete, value: 'world' },
+      { operation: DiffOperation.Insert, value: 'world\nagain' }
+    ]);
+  });
+
+  it('resolve conflict keeping conflicted copy', async function () {
+    const note = await this.createNote();
+    const tag = await this.createTag([note]);
+    const first = await this.itemManager.duplicateItem(note.uuid, true);
+    const second = await this.itemManager.duplicateItem(note.uuid, true);
+    await this.itemManager.changeItem(first.uuid, (mutator) => {
+      mutator.title = 'kept';
+    });
+
+    const resolved = await this.itemManager.resolveConflict(note.uuid, first.uuid);
+    expect(resolved.uuid).to.equal(note.uuid);
+    expect(resolved.title).to.equal('kept');
+    expect(resolved.conflictOf).to.not.be.ok;
+    expect(resolved.dirty).to.equal(true);
+    const record = resolved.getAppDomainValue(AppDataField.ConflictResolution);
+    expect(record.keptUuid).to.equal(first.uuid);
+    expect(record.discardedUuids.slice().sort()).to.eql([first.uuid, second.uuid].sort());
+
+    expect(this.itemManager.findItem(first.uuid).deleted).to.equal(true);
+    expect(this.itemManager.findItem(second.uuid).deleted).to.equal(true);
+    expect(this.itemManager.getConflicts().length).to.equal(0);
+    expect(this.itemManager.findItem(tag.uuid).content.references.map((ref) => ref.uuid))
+      .to.eql([note.uuid]);
+  });
+
+  it('resolve conflict keeping original', async function () {
+    const note = await this.createNote();
+    const conflict = await this.itemManager.duplicateItem(note.uuid, true);
+    await this.itemManager.changeItem(conflict.uuid, (mutator) => {
+      mutator.title = 'discarded';
+    });
+    const resolved = await this.itemManager.resolveConflict(note.uuid, note.uuid);
+    expect(resolved.title).to.equal('hello');
+    expect(this.itemManager.findItem(conflict.uuid).deleted).to.equal(true);
+  });
+
+  it('resolve conflict with merged content', async function () {
+    const note = await this.createNote();
+    const conflict = await this.itemManager.duplicateItem(note.uuid, true);
+    const resolved = await this.itemManager.resolveConflict(
+      note.uuid,
+      { title: 'merged', text: 'merged text' }
+    );
+    expect(resolved.title).to.equal('merged');
+    expect(resolved.text).to.equal('merged text');
+    const record = resolved.getAppDomainValue(AppDataField.ConflictResolution);
+    expect(record.keptUuid).to.not.be.ok;
+    expect(record.discardedUuids).to.eql([conflict.uuid]);
+    expect(this.itemManager.findItem(conflict.uuid).deleted).to.equal(true);
+  });
+
+  it('resolve conflict with unrelated choice should throw', async function () {
+    const note = await this.createNote();
+    const other = await this.createNote();
+    await this.itemManager.duplicateItem(note.uuid, true);
+    await expectThrowsAsync(
+      () => this.itemManager.resolveConflict(note.uuid, other.uuid),
+      'Attempting to keep an item that is not a conflict of the original'
+    );
+  });
+});
@@ -0,0 +1,143 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+const expect = chai.expect;
+
+/**
+ * Defines the tests every device interface must pass.
+ * @param name The name of the suite
+ * @param backend
+ * .isAvailable: Whether the interface can run in this environment. The suite is skipped
+ * if not.
+ * .createStore: Creates empty storage for interfaces to share, such as a database.
+ * .createInterface: Creates an interface with the given namespace on a store.
+ * .destroyStore: Removes a store's data once its test completes.
+ */
+export function describeDeviceInterfaceConformance(name, backend) {
+  describe(name, function () {
+
+    before(async function () {
+      if (!(await backend.isAvailable())) {
+        this.skip();
+      }
+    });
+
+    beforeEach(async function () {
+      this.store = await backend.createStore();
+      this.interfaces = [];
+      this.createInterface = async (namespace = 'conformance') => {
+        const deviceInterface = await backend.createInterface(this.store, namespace);
+        this.interfaces.push(deviceInterface);
+        return deviceInterface;
+      };
+      this.deviceInterface = await this.createInterface();
+      await this.deviceInterface.openDatabase();
+    });
+
+    afterEach(async function () {
+      for (const deviceInterface of this.interfaces) {
+        deviceInterface.deinit();
+      }
+      await backend.destroyStore(this.store);
+    });
+
+    it('reports a new database only when first opened', async function () {
+      const store = await backend.createStore();
+      const first = await backend.createInterface(store, 'conformance-new');
+      expect((await first.openDatabase()).isNewDatabase).to.equal(true);
+      first.deinit();
+      const second = await backend.createInterface(store, 'conformance-new');
+      expect((await second.openDatabase()).isNewDatabase).to.not.be.ok;
+      second.deinit();
+      await backend.destroyStore(store);
+    });
+
+    it('sets, gets and removes storage values', async function () {
+      expect(await this.deviceInterface.getRawStorageValue('missing')).to.not.be.ok;
+      await this.deviceInterface.setRawStorageValue('a', '1');
+      await this.deviceInterface.setRawStorageValue('b', '2');
+      await this.deviceInterface.setRawStorageValue('a', '3');
+      expect(await this.deviceInterface.getRawStorageValue('a')).to.equal('3');
+      const all = await this.deviceInterface.getAllRawStorageKeyValues();
+      expect(all).to.have.deep.members([
+        { key: 'a', value: '3' },
+        { key: 'b', value: '2' }
+      ]);
+      await this.deviceInterface.removeRawStorageValue('a');
+      expect(await this.deviceInterface.getRawStorageValue('a')).to.not.be.ok;
+      await this.deviceInterface.removeAllRawStorageValues();
+      expect(await this.deviceInterface.getAllRawStorageKeyValues()).to.eql([]);
+    });
+
+    it('parses json storage values', async function () {
+      await this.deviceInterface.setRawStorageValue('json', JSON.stringify({ a: 1 }));
+      expect(await this.deviceInterface.getJsonParsedStorageValue('json')).to.eql({ a: 1 });
+    });
+
+    it('saves, loads and removes payloads', async function () {
+      const payloads = [
+        { uuid: '1', content_type: 'Note', content: { title: 'one' } },
+        { uuid: '2', content_type: 'Note', content: { title: 'two' } }
+      ];
+      await this.deviceInterface.saveRawDatabasePayloads(payloads);
+      await this.deviceInterface.saveRawDatabasePayload(
+        { uuid: '1', content_type: 'Note', content: { title: 'changed' } }
+      );
+      const loaded = await this.deviceInterface.getAllRawDatabasePayloads();
+      expect(loaded).to.have.deep.members([
+        { uuid: '1', content_type: 'Note', content: { title: 'changed' } },
+        payloads[1]
+      ]);
+      await this.deviceInterface.removeRawDatabasePayloadWithId('1');
+      expect(await this.deviceInterface.getAllRawDatabasePayloads()).to.eql([payloads[1]]);
+      await this.deviceInterface.removeAllRawDatabasePayloads();
+      expect(await this.deviceInterface.getAllRawDatabasePayloads()).to.eql([]);
+    });
+
+    it('saving no payloads succeeds', async function () {
+      await this.deviceInterface.saveRawDatabasePayloads([]);
+      expect(await this.deviceInterface.getAllRawDatabasePayloads()).to.eql([]);
+    });
+
+    it('sets and clears the keychain value', async function () {
+      expect(await this.deviceInterface.getKeychainValue()).to.not.be.ok;
+      const value = { conformance: { masterKey: 'key', version: '004' } };
+      await this.deviceInterface.setKeychainValue(value);
+      expect(await this.deviceInterface.getKeychainValue()).to.eql(value);
+      await this.deviceInterface.clearKeychainValue();
+      expect(await this.deviceInterface.getKeychainValue()).to.not.be.ok;
+    });
+
+    it('keeps values of other namespaces separate', async function () {
+      const other = await this.createInterface('conformance-other');
+      await other.openDatabase();
+      await this.deviceInterface.setRawStorageValue('a', '1');
+      await this.deviceInterface.saveRawDatabasePayload({ uuid: '1' });
+      expect(await other.getRawStorageValue('a')).to.not.be.ok;
+      expect(await other.getAllRawDatabasePayloads()).to.eql([]);
+      await other.removeAllRawStorageValues();
+      await other.removeAllRawDatabasePayloads();
+      expect(await this.deviceInterface.getRawStorageValue('a')).to.equal('1');
+      expect((await this.deviceInterface.getAllRawDatabasePayloads()).length).to.equal(1);
+    });
+
+    it('values persist across interfaces', async function () {
+      await this.deviceInterface.setRawStorageValue('a', '1');
+      await this.deviceInterface.saveRawDatabasePayload({ uuid: '1' });
+      const reopened = await this.createInterface();
+      await reopened.openDatabase();
+      expect(await reopened.getRawStorageValue('a')).to.equal('1');
+      expect(await reopened.getAllRawDatabasePayloads()).to.eql([{ uuid: '1' }]);
+    });
+
+    it('concurrent writes are all kept', async function () {
+      const writes = [];
+      for (let index = 0; index < 20; index++) {
+        writes.push(this.deviceInterface.saveRawDatabasePayload({ uuid: `${index}` }));
+        writes.push(this.deviceInterface.setRawStorageValue(`${index}`, `${index}`));
+      }
+      await Promise.all(writes);
+      expect((await this.deviceInterface.getAllRawDatabasePayloads()).length).to.equal(20);
+      expect((await this.deviceInterface.getAllRawStorageKeyValues()).length).to.equal(20);
+    });
+  });
+}
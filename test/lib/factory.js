@@ -9,7 +9,7 @@ const syncOptions = {
   awaitAll: true
 };
 
-export function createApplication(namespace, environment, platform) {
+export function createApplication(namespace, environment, platform, httpTransport) {
   const deviceInterface = new WebDeviceInterface(
     namespace,
     setTimeout.bind(window),
@@ -27,7 +27,22 @@ export function createApplication(namespace, environment, platform) {
     },
     namespace,
     undefined,
-    undefined
+    undefined,
+    undefined,
+    httpTransport
+  );
+}
+
+/**
+ * Creates an application whose requests are answered by a mock sync server rather
+ * than a live server.
+ */
+export function createMockServerApplication(server, namespace) {
+  return createApplication(
+    namespace || Math.random().toString(36).substring(2, 15),
+    undefined,
+    undefined,
+    new SNMockServerTransport(server)
   );
 }
 
@@ -0,0 +1,215 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from './lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('text merging', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  const ancestorText = 'First paragraph\n\nSecond paragraph\n\nThird paragraph\n';
+
+  const createConflict = (ancestorContent, leftContent, rightContent) => {
+    const ancestor = CreateMaxPayloadFromAnyObject(
+      {
+        ...Factory.createNoteParams({ dirty: false }),
+        content: { references: [], ...ancestorContent },
+        updated_at: new Date(1000)
+      }
+    );
+    const left = CopyPayload(
+      ancestor,
+      {
+        content: { ...ancestor.content, ...leftContent },
+        dirty: true,
+        dirtiedDate: new Date()
+      }
+    );
+    const right = CopyPayload(
+      ancestor,
+      {
+        content: { ...ancestor.content, ...rightContent },
+        updated_at: new Date(2000)
+      }
+    );
+    return { ancestor, left, right };
+  };
+
+  const resolve = async ({ ancestor, left, right }, withAncestor = true) => {
+    const delta = new ConflictDelta(
+      ImmutablePayloadCollection.WithPayloads([left]),
+      left,
+      right,
+      PayloadSource.ConflictData,
+      withAncestor ? ancestor : undefined
+    );
+    const collection = await delta.resultingCollection();
+    return collection.all();
+  };
+
+  it('merges edits to different lines', function () {
+    const left = 'First paragraph, edited\n\nSecond paragraph\n\nThird paragraph\n';
+    const right = 'First paragraph\n\nSecond paragraph\n\nThird paragraph, edited\n';
+    expect(MergeText(ancestorText, left, right)).to.equal(
+      'First paragraph, edited\n\nSecond paragraph\n\nThird paragraph, edited\n'
+    );
+  });
+
+  it('merges insertions and deletions', function () {
+    const left = 'Intro\nFirst paragraph\n\nSecond paragraph\n\nThird paragraph\n';
+    const right = 'First paragraph\n\nThird paragraph\nOutro';
+    expect(MergeText(ancestorText, left, right)).to.equal(
+      'Intro\nFirst paragraph\n\nThird paragraph\nOutro'
+    );
+  });
+
+  it('identical edits do not collide', function () {
+    const edited = 'First paragraph\n\nSecond paragraph, edited\n\nThird paragraph\n';
+    expect(MergeText(ancestorText, edited, edited)).to.equal(edited);
+  });
+
+  it('edits to the same line collide', function () {
+    const left = 'First paragraph\n\nSecond paragraph, left\n\nThird paragraph\n';
+    const right = 'First paragraph\n\nSecond paragraph, right\n\nThird paragraph\n';
+    expect(MergeText(ancestorText, left, right)).to.not.be.ok;
+  });
+
+  it('deleting a line edited on the other side collides', function () {
+    const left = 'First paragraph\n\n\nThird paragraph\n';
+    const right = 'First paragraph\n\nSecond paragraph, edited\n\nThird paragraph\n';
+    expect(MergeText(ancestorText, left, right)).to.not.be.ok;
+  });
+
+  it('insertions at the same position collide', function () {
+    expect(MergeText('a\nb\n', 'a\nx\nb\n', 'a\ny\nb\n')).to.not.be.ok;
+  });
+
+  it('notes use the merge text strategy', function () {
+    const { left, right } = createConflict(
+      { text: ancestorText },
+      { text: 'left' },
+      { text: 'right' }
+    );
+    const leftNote = CreateItemFromPayload(left);
+    expect(leftNote.strategyWhenConflictingWithItem(CreateItemFromPayload(right)))
+      .to.equal(ConflictStrategy.MergeText);
+  });
+
+  it('conflicting notes with non-overlapping edits are merged', async function () {
+    const conflict = createConflict(
+      { title: 'Title', text: ancestorText },
+      { title: 'New title', text: 'First paragraph, edited\n\nSecond paragraph\n\nThird paragraph\n' },
+      { text: 'First paragraph\n\nSecond paragraph\n\nThird paragraph, edited\n' }
+    );
+    const results = await resolve(conflict);
+    expect(results.length).to.equal(1);
+    const merged = results[0];
+    expect(merged.uuid).to.equal(conflict.left.uuid);
+    expect(merged.dirty).to.equal(true);
+    expect(merged.content.title).to.equal('New title');
+    expect(merged.content.text).to.equal(
+      'First paragraph, edited\n\nSecond paragraph\n\nThird paragraph, edited\n'
+    );
+    expect(merged.updated_at.getTime()).to.equal(2000);
+  });
+
+  it('merges references added and removed on either side', async function () {
+    const ref = (uuid) => ({ uuid, content_type: ContentType.Tag });
+    const conflict = createConflict(
+      { text: ancestorText, references: [ref('a'), ref('b')] },
+      { text: `Left\n${ancestorText}`, references: [ref('a'), ref('c')] },
+      { text: `${ancestorText}Right\n`, references: [ref('a'), ref('b'), ref('d')] }
+    );
+    const results = await resolve(conflict);
+    expect(results.length).to.equal(1);
+    expect(results[0].content.references.map((reference) => reference.uuid))
+      .to.eql(['a', 'c', 'd']);
+  });
+
+  it('colliding edits fall back to duplicating', async function () {
+    const conflict = createConflict(
+      { text: ancestorText },
+      { text: 'left' },
+      { text: 'right' }
+    );
+    const results = await resolve(conflict);
+    expect(results.length).to.equal(2);
+    const [left, duplicate] = results;
+    expect(left.uuid).to.equal(conflict.left.uuid);
+    expect(left.content.text).to.equal('left');
+    expect(duplicate.content.text).to.equal('right');
+    expect(duplicate.content.conflict_of).to.equal(conflict.left.uuid);
+  });
+
+  it('without an ancestor falls back to duplicating', async function () {
+    const conflict = createConflict(
+      { text: ancestorText },
+      { text: `Left\n${ancestorText}` },
+      { text: `${ancestorText}Right\n` }
+    );
+    const results = await resolve(conflict, false);
+    expect(results.length).to.equal(2);
+  });
+
+  it('changes on only one side fall back to duplicating', async function () {
+    const conflict = createConflict(
+      { text: ancestorText },
+      { text: `Left\n${ancestorText}` },
+      {}
+    );
+    const results = await resolve(conflict);
+    expect(results.length).to.equal(2);
+  });
+});
+
+describe('text diffing', () => {
+
+  it('diffs lines', function () {
+    expect(DiffLines('a\nb\nc\n', 'a\nx\nc\nd\n')).to.eql([
+      { operation: DiffOperation.Equal, value: 'a\n' },
+      { operation: DiffOperation.Delete, value: 'b\n' },
+      { operation: DiffOperation.Insert, value: 'x\n' },
+      { operation: DiffOperation.Equal, value: 'c\n' },
+      { operation: DiffOperation.Insert, value: 'd\n' }
+    ]);
+  });
+
+  it('equal texts have a single segment', function () {
+    expect(DiffLines('a\nb', 'a\nb')).to.eql([
+      { operation: DiffOperation.Equal, value: 'a\nb' }
+    ]);
+    expect(DiffLines('', '')).to.eql([]);
+  });
+
+  it('segments reproduce both texts', function () {
+    const from = 'one\ntwo\nthree\nfour\n';
+    const to = 'zero\ntwo\nfour\nfive';
+    const segments = DiffLines(from, to);
+    const join = (excluded) => segments
+      .filter((segment) => segment.operation !== excluded)
+      .map((segment) => segment.value)
+      .join('');
+    expect(join(DiffOperation.Insert)).to.equal(from);
+    expect(join(DiffOperation.Delete)).to.equal(to);
+  });
+
+  it('counts changed characters within changed words', function () {
+    const from = 'The quick brown fox';
+    const to = 'The quick red fox jumps';
+    expect(CountTextChanges(from, to)).to.eql({ insertions: 8, deletions: 4 });
+    expect(CountTextChanges('', 'abc')).to.eql({ insertions: 3, deletions: 0 });
+  });
+
+  it('counts long changed runs whole', function () {
+    const from = 'a'.repeat(600) + ' end';
+    const to = 'b' + 'a'.repeat(600) + ' end';
+    expect(CountTextChanges(from, to)).to.eql({ insertions: 601, deletions: 600 });
+  });
+});
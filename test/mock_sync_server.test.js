@@ -0,0 +1,320 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from './lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('mock sync server', () => {
+
+  const HOST = 'http://mock.local';
+
+  beforeEach(function () {
+    this.server = new SNMockSyncServer();
+    this.http = new SNHttpService(new SNMockServerTransport(this.server));
+    this.post = (path, params, authentication) => {
+      return this.http.postAbsolute(HOST + path, params, authentication);
+    };
+    this.get = (path, params, authentication) => {
+      return this.http.getAbsolute(HOST + path, params, authentication);
+    };
+    this.register = (email, password = 'server-password') => {
+      return this.post('/auth', {
+        email,
+        password,
+        api: '20200115',
+        version: '004',
+        identifier: email,
+        pw_nonce: 'nonce'
+      });
+    };
+    this.sync = (token, items = [], params = {}) => {
+      return this.post('/items/sync', { items, ...params }, token);
+    };
+    this.note = (uuid, updatedAt) => {
+      return {
+        uuid,
+        content_type: 'Note',
+        content: '004:encrypted',
+        enc_item_key: '004:key',
+        items_key_id: 'items-key',
+        updated_at: updatedAt
+      };
+    };
+  });
+
+  it('registers accounts and returns their key params', async function () {
+    const response = await this.register('a@example.com');
+    expect(response.user.email).to.equal('a@example.com');
+    expect(response.token).to.be.ok;
+    expect(response.session.refresh_token).to.be.ok;
+    const params = await this.get('/auth/params', { email: 'a@example.com', api: '20200115' });
+    expect(params.version).to.equal('004');
+    expect(params.pw_nonce).to.equal('nonce');
+    expect(params.password).to.not.be.ok;
+    expect(params.api).to.not.be.ok;
+  });
+
+  it('rejects registering an email twice', async function () {
+    await this.register('a@example.com');
+    const error = await this.register('A@example.com').catch((response) => response);
+    expect(error.status).to.equal(401);
+    expect(error.error.message).to.be.ok;
+  });
+
+  it('rejects key params requests for unknown emails', async function () {
+    const error = await this.get('/auth/params', { email: 'none@example.com' })
+      .catch((response) => response);
+    expect(error.status).to.equal(404);
+  });
+
+  it('signs in only with the correct password', async function () {
+    await this.register('a@example.com', 'correct');
+    const error = await this.post('/auth/sign_in', {
+      email: 'a@example.com',
+      password: 'incorrect'
+    }).catch((response) => response);
+    expect(error.status).to.equal(401);
+    const response = await this.post('/auth/sign_in', {
+      email: 'a@example.com',
+      password: 'correct'
+    });
+    expect(response.user.email).to.equal('a@example.com');
+    expect(response.token).to.be.ok;
+  });
+
+  it('rejects syncing without a valid token', async function () {
+    const error = await this.sync('invalid').catch((response) => response);
+    expect(error.status).to.equal(401);
+  });
+
+  it('saves items and retrieves them with sync tokens', async function () {
+    const { token } = await this.register('a@example.com');
+    const first = await this.sync(token, [this.note('1'), this.note('2')]);
+    expect(first.saved_items.map((item) => item.uuid)).to.eql(['1', '2']);
+    expect(first.saved_items[0].content).to.not.be.ok;
+    expect(first.retrieved_items).to.eql([]);
+    expect(first.sync_token).to.be.ok;
+
+    const other = await this.post('/auth/sign_in', {
+      email: 'a@example.com',
+      password: 'server-password'
+    });
+    const download = await this.sync(other.token);
+    expect(download.retrieved_items.map((item) => item.uuid)).to.eql(['1', '2']);
+    expect(download.retrieved_items[0].content).to.equal('004:encrypted');
+
+    const unchanged = await this.sync(token, [], { sync_token: first.sync_token });
+    expect(unchanged.retrieved_items).to.eql([]);
+
+    const savedAt = first.saved_items[0].updated_at;
+    await this.sync(other.token, [this.note('1', savedAt)], {
+      sync_token: download.sync_token
+    });
+    const changed = await this.sync(token, [], { sync_token: first.sync_token });
+    expect(changed.retrieved_items.map((item) => item.uuid)).to.eql(['1']);
+  });
+
+  it('paginates retrieved items', async function () {
+    const { token } = await this.register('a@example.com');
+    const notes = [];
+    for (let index = 0; index < 5; index++) {
+      notes.push(this.note(`${index}`));
+    }
+    await this.sync(token, notes);
+    const uuids = [];
+    let response = await this.sync(token, [], { limit: 2 });
+    uuids.push(...response.retrieved_items.map((item) => item.uuid));
+    while (response.cursor_token) {
+      response = await this.sync(token, [], {
+        limit: 2,
+        cursor_token: response.cursor_token
+      });
+      uuids.push(...response.retrieved_items.map((item) => item.uuid));
+    }
+    expect(uuids).to.eql(['0', '1', '2', '3', '4']);
+  });
+
+  it('retrieves only items of the requested content type', async function () {
+    const { token } = await this.register('a@example.com');
+    await this.sync(token, [
+      this.note('1'),
+      { ...this.note('2'), content_type: 'Tag' }
+    ]);
+    const response = await this.sync(token, [], { content_type: 'Tag' });
+    expect(response.retrieved_items.map((item) => item.uuid)).to.eql(['2']);
+  });
+
+  it('returns a conflict when saving an outdated item', async function () {
+    const { token } = await this.register('a@example.com');
+    const first = await this.sync(token, [this.note('1')]);
+    const savedAt = first.saved_items[0].updated_at;
+    await this.sync(token, [this.note('1', savedAt)]);
+    const response = await this.sync(token, [this.note('1', savedAt)]);
+    expect(response.saved_items).to.eql([]);
+    expect(response.conflicts.length).to.equal(1);
+    expect(response.conflicts[0].type).to.equal('sync_conflict');
+    expect(response.conflicts[0].server_item.uuid).to.equal('1');
+    expect(response.conflicts[0].server_item.updated_at).to.not.equal(savedAt);
+  });
+
+  it('returns a uuid conflict when another account has the uuid', async function () {
+    const first = await this.register('a@example.com');
+    const second = await this.register('b@example.com');
+    await this.sync(first.token, [this.note('1')]);
+    const response = await this.sync(second.token, [this.note('1')]);
+    expect(response.conflicts[0].type).to.equal('uuid_conflict');
+    expect(response.conflicts[0].unsaved_item.uuid).to.equal('1');
+    expect(this.server.itemsForEmail('b@example.com')).to.eql([]);
+  });
+
+  it('clears the content of deleted items', async function () {
+    const { token } = await this.register('a@example.com');
+    const first = await this.sync(token, [this.note('1')]);
+    await this.sync(token, [{
+      ...this.note('1', first.saved_items[0].updated_at),
+      deleted: true
+    }]);
+    const [item] = this.server.itemsForEmail('a@example.com');
+    expect(item.deleted).to.equal(true);
+    expect(item.content).to.not.be.ok;
+  });
+
+  it('computes integrity hashes when given crypto', async function () {
+    const crypto = new SNWebCrypto();
+    const server = new SNMockSyncServer({ crypto });
+    const http = new SNHttpService(new SNMockServerTransport(server));
+    const { token } = await http.postAbsolute(HOST + '/auth', {
+      email: 'a@example.com',
+      password: 'password'
+    });
+    const response = await http.postAbsolute(HOST + '/items/sync', {
+      items: [this.note('1'), this.note('2')],
+      compute_integrity: true
+    }, token);
+    const dates = response.saved_items
+      .map((item) => new Date(item.updated_at).getTime())
+      .sort((a, b) => b - a);
+    expect(response.integrity_hash).to.equal(await crypto.sha256(dates.join(',')));
+  });
+
+  it('expired access tokens can be refreshed', async function () {
+    this.server = new SNMockSyncServer({ accessTokenLifetime: 1 });
+    this.http = new SNHttpService(new SNMockServerTransport(this.server));
+    const registration = await this.register('a@example.com');
+    await Factory.sleep(0.01);
+    const error = await this.sync(registration.token).catch((response) => response);
+    expect(error.status).to.equal(498);
+    expect(this.http.isErrorResponseExpiredToken(error)).to.equal(true);
+    const refreshed = await this.post('/session/refresh', {
+      access_token: registration.token,
+      refresh_token: registration.session.refresh_token
+    });
+    expect(refreshed.token).to.not.equal(registration.token);
+    const reused = await this.post('/session/refresh', {
+      access_token: registration.token,
+      refresh_token: registration.session.refresh_token
+    }).catch((response) => response);
+    expect(reused.status).to.equal(400);
+  });
+
+  it('signing out ends the session', async function () {
+    const { token } = await this.register('a@example.com');
+    const response = await this.post('/auth/sign_out', undefined, token);
+    expect(response.status).to.equal(204);
+    const error = await this.sync(token).catch((response) => response);
+    expect(error.status).to.equal(401);
+  });
+
+  it('changes passwords and key params', async function () {
+    const { token } = await this.register('a@example.com', 'old');
+    const error = await this.post('/auth/change_pw', {
+      current_password: 'wrong',
+      new_password: 'new'
+    }, token).catch((response) => response);
+    expect(error.status).to.equal(401);
+    await this.post('/auth/change_pw', {
+      current_password: 'old',
+      new_password: 'new',
+      version: '004',
+      pw_nonce: 'new-nonce'
+    }, token);
+    const params = await this.get('/auth/params', { email: 'a@example.com' });
+    expect(params.pw_nonce).to.equal('new-nonce');
+    expect(params.new_password).to.not.be.ok;
+    const response = await this.post('/auth/sign_in', {
+      email: 'a@example.com',
+      password: 'new'
+    });
+    expect(response.token).to.be.ok;
+  });
+
+  it('keeps revisions of saved items', async function () {
+    const { token } = await this.register('a@example.com');
+    const first = await this.sync(token, [this.note('1')]);
+    await this.sync(token, [this.note('1', first.saved_items[0].updated_at)]);
+    /** As the sync server does, lists are sent as bare arrays */
+    const { data: revisions } = await this.get('/items/1/revisions', {}, token);
+    expect(revisions.length).to.equal(2);
+    expect(revisions[0].content).to.not.be.ok;
+    const revision = await this.get(
+      `/items/1/revisions/${revisions[1].uuid}`,
+      {},
+      token
+    );
+    expect(revision.uuid).to.equal(revisions[1].uuid);
+    expect(revision.item_uuid).to.equal('1');
+    expect(revision.content).to.equal('004:encrypted');
+  });
+
+  it('rejects unknown routes', async function () {
+    const error = await this.get('/unknown').catch((response) => response);
+    expect(error.status).to.equal(404);
+  });
+});
+
+describe('mock sync server applications', function () {
+  this.timeout(Factory.TestTimeout);
+
+  before(async function () {
+    localStorage.clear();
+  });
+
+  after(async function () {
+    localStorage.clear();
+  });
+
+  beforeEach(async function () {
+    this.server = new SNMockSyncServer({ crypto: new SNWebCrypto() });
+    this.email = Factory.generateUuid();
+    this.password = Factory.generateUuid();
+    this.application = Factory.createMockServerApplication(this.server);
+    await Factory.initializeApplication(this.application);
+    await Factory.registerUserToApplication({
+      application: this.application,
+      email: this.email,
+      password: this.password
+    });
+  });
+
+  afterEach(async function () {
+    this.application.deinit();
+  });
+
+  it('syncs items between applications without a live server', async function () {
+    const note = await Factory.createSyncedNote(this.application);
+    const serverUuids = this.server.itemsForEmail(this.email).map((item) => item.uuid);
+    expect(serverUuids).to.include(note.uuid);
+
+    const other = Factory.createMockServerApplication(this.server);
+    await Factory.initializeApplication(other);
+    await Factory.loginToApplication({
+      application: other,
+      email: this.email,
+      password: this.password
+    });
+    const retrieved = other.findItem(note.uuid);
+    expect(retrieved).to.be.ok;
+    expect(retrieved.title).to.equal(note.title);
+    other.deinit();
+  });
+});
@@ -488,4 +488,47 @@ describe('importing', () => {
       expect(result.errorCount).to.be.eq(1);
       expect(this.application.itemManager.notes.length).to.equal(0);
     });
+
+  it('import plan should report outcomes without importing', async function () {
+    const existing = Factory.createNotePayload();
+    await this.application.itemManager.emitItemFromPayload(
+      existing,
+      PayloadSource.LocalSaved
+    );
+    const mutated = CreateMaxPayloadFromAnyObject(
+      existing,
+      { content: { ...existing.content, title: `${Math.random()}` } }
+    );
+    const created = Factory.createNotePayload();
+    const { plan } = await this.application.planImport({ items: [mutated, created] });
+
+    const actions = {};
+    for (const entry of plan) {
+      actions[entry.payload.uuid] = entry.action;
+    }
+    expect(actions[existing.uuid]).to.equal(ImportAction.Conflict);
+    expect(actions[created.uuid]).to.equal(ImportAction.Create);
+    expect(this.application.itemManager.notes.length).to.equal(1);
+  });
+
+  it('applying import plan should import only selected items', async function () {
+    const first = Factory.createNotePayload();
+    const second = Factory.createNotePayload();
+    const { plan } = await this.application.planImport({ items: [first, second] });
+    const result = await this.application.applyImportPlan(plan, [second.uuid], true);
+    expect(result.affectedItems.map((item) => item.uuid)).to.eql([second.uuid]);
+    expect(this.application.findItem(first.uuid)).to.not.be.ok;
+    expect(this.application.findItem(second.uuid)).to.be.ok;
+  });
+
+  it('applying import plan should count failures of selected items only', async function () {
+    const imported = Factory.createNotePayload();
+    const failed = Factory.createNotePayload();
+    const { plan } = await this.application.planImport({ items: [imported] });
+    plan.push({ action: ImportAction.FailedDecryption, payload: failed, results: [] });
+    const selectedResult = await this.application.applyImportPlan(plan, [imported.uuid]);
+    expect(selectedResult.errorCount).to.equal(0);
+    const allResult = await this.application.applyImportPlan(plan);
+    expect(allResult.errorCount).to.equal(1);
+  });
 });
@@ -110,4 +110,100 @@ describe('payload manager', () => {
     expect(this.modelManager.changeObservers.length).equal(1);
   });
 
-});
\ No newline at end of file
+  describe('import plan', () => {
+    beforeEach(async function () {
+      this.local = await this.createNotePayload();
+      await this.modelManager.emitPayload(CopyPayload(this.local, {
+        updated_at: new Date(2020, 0, 2)
+      }));
+      this.imported = (content, updatedAt = new Date(2020, 0, 1)) => {
+        return CreateSourcedPayloadFromObject(
+          {
+            ...this.local,
+            content: { ...this.local.safeContent, ...content },
+            updated_at: updatedAt
+          },
+          PayloadSource.FileImport
+        );
+      };
+    });
+
+    it('new items would be created', async function () {
+      const payload = await this.createNotePayload();
+      const [entry] = await this.modelManager.planImport([payload]);
+      expect(entry.action).to.equal(ImportAction.Create);
+      expect(entry.localPayload).to.not.be.ok;
+      expect(entry.results.map((result) => result.uuid)).to.eql([payload.uuid]);
+    });
+
+    it('identical items would be unchanged', async function () {
+      const [entry] = await this.modelManager.planImport([this.imported({})]);
+      expect(entry.action).to.equal(ImportAction.Unchanged);
+      expect(entry.localPayload.uuid).to.equal(this.local.uuid);
+    });
+
+    it('differing items would become conflicts', async function () {
+      const [entry] = await this.modelManager.planImport([
+        this.imported({ text: 'imported text' })
+      ]);
+      expect(entry.action).to.equal(ImportAction.Conflict);
+      const copy = entry.results.find((result) => result.uuid !== this.local.uuid);
+      expect(copy.content.conflict_of).to.equal(this.local.uuid);
+      expect(copy.content.text).to.equal('imported text');
+    });
+
+    it('overwrites of newer local versions are flagged', async function () {
+      this.modelManager.registerConflictResolver(ContentType.Note, (base, apply) => {
+        return [apply];
+      });
+      const [older, newer] = await this.modelManager.planImport([
+        this.imported({ text: 'older' }),
+        CreateSourcedPayloadFromObject(
+          {
+            ...(await this.createNotePayload()),
+            updated_at: new Date(2020, 0, 3)
+          },
+          PayloadSource.FileImport
+        )
+      ]);
+      expect(older.action).to.equal(ImportAction.Overwrite);
+      expect(older.overwritesNewer).to.equal(true);
+      expect(newer.action).to.equal(ImportAction.Create);
+
+      const [entry] = await this.modelManager.planImport([
+        this.imported({ text: 'newer' }, new Date(2020, 0, 3))
+      ]);
+      expect(entry.action).to.equal(ImportAction.Overwrite);
+      expect(entry.overwritesNewer).to.equal(false);
+    });
+
+    it('merged items would be merged', async function () {
+      this.modelManager.registerConflictResolver(ContentType.Note, (base, apply) => {
+        return [CopyPayload(base, {
+          content: { ...base.safeContent, text: `${base.safeContent.text} ${apply.safeContent.text}` }
+        })];
+      });
+      const [entry] = await this.modelManager.planImport([this.imported({ text: 'imported' })]);
+      expect(entry.action).to.equal(ImportAction.Merge);
+      expect(entry.results[0].content.text).to.equal('world imported');
+    });
+
+    it('planning does not change items', async function () {
+      await this.modelManager.planImport([
+        this.imported({ text: 'imported text' }),
+        await this.createNotePayload()
+      ]);
+      expect(this.modelManager.collection.all().length).to.equal(1);
+      expect(this.modelManager.collection.find(this.local.uuid).content.text).to.equal('world');
+    });
+
+    it('planned results match imported results', async function () {
+      const payloads = [this.imported({ text: 'imported text' }), await this.createNotePayload()];
+      const plan = await this.modelManager.planImport(payloads);
+      const planned = [].concat(...plan.map((entry) => entry.results.map((result) => result.uuid)));
+      const imported = await this.modelManager.importPayloads(payloads);
+      expect(imported.length).to.equal(planned.length);
+      expect(imported).to.include(this.local.uuid);
+    });
+  });
+});
@@ -455,4 +455,181 @@ describe('predicates', async function () {
     );
     expect(itemManager.itemsMatchingPredicate(predicate).length).to.equal(1);
   });
+
+  it('contains is case insensitive', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'contains', 'ELL'))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'contains', 'xyz'))).to.equal(false);
+    expect(item.satisfiesPredicate(new SNPredicate('content.numbers', 'contains', '2'))).to.equal(true);
+  });
+
+  it('endsWith', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'endsWith', 'llo'))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'endsWith', 'Hel'))).to.equal(false);
+  });
+
+  it('between', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.numbers.length', 'between', [1, 3]))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('content.numbers.length', 'between', [4, 5]))).to.equal(false);
+  });
+
+  it('between dates', async function () {
+    const payload = CreateMaxPayloadFromAnyObject(
+      {
+        ...createItemParams(),
+        updated_at: new Date()
+      }
+    );
+    const item = await this.itemManager.emitItemFromPayload(payload, PayloadSource.LocalSaved);
+    expect(item.satisfiesPredicate(
+      new SNPredicate('updated_at', 'between', ['1.weeks.ago', '2999-01-01'])
+    )).to.equal(true);
+    expect(item.satisfiesPredicate(
+      new SNPredicate('updated_at', 'between', ['2.years.ago', '1.months.ago'])
+    )).to.equal(false);
+  });
+
+  it('exists', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'exists', true))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('content.foobar', 'exists', true))).to.equal(false);
+    expect(item.satisfiesPredicate(new SNPredicate('content.foobar', 'exists', false))).to.equal(true);
+  });
+
+  it('length', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.tags', 'length', ['=', 3]))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('content.tags', 'length', ['>', 3]))).to.equal(false);
+    expect(item.satisfiesPredicate(new SNPredicate('content.tags', 'length', ['<=', 3]))).to.equal(true);
+    /** Missing arrays have length 0 */
+    expect(item.satisfiesPredicate(new SNPredicate('content.foobar', 'length', ['=', 0]))).to.equal(true);
+  });
+
+  it('regex with flags', async function () {
+    const item = await this.createItem();
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'matches', ['^hello$']))).to.equal(false);
+    expect(item.satisfiesPredicate(new SNPredicate('content.title', 'matches', ['^hello$', 'i']))).to.equal(true);
+  });
+
+  it('date units', async function () {
+    const now = Date.now();
+    const expectOffset = (string, milliseconds) => {
+      const date = SNPredicate.DateFromString(string);
+      /** Allow for daylight saving changes */
+      expect(Math.abs(now - milliseconds - date.getTime())).to.be.below(3_600_000 + 1000);
+    };
+    expectOffset('5.minutes.ago', 5 * 60_000);
+    expectOffset('1.minute.ago', 60_000);
+    expectOffset('2.hours.ago', 2 * 3_600_000);
+    expectOffset('3.days.ago', 3 * 86_400_000);
+    expectOffset('2.weeks.ago', 14 * 86_400_000);
+    expect(SNPredicate.DateFromString('2.months.ago').getMonth()).to.equal(
+      (new Date().getMonth() + 10) % 12
+    );
+    expect(SNPredicate.DateFromString('1.years.ago').getFullYear()).to.equal(
+      new Date().getFullYear() - 1
+    );
+    expect(SNPredicate.DateFromString('2020-06-30T12:00:00.000Z').getTime()).to.equal(
+      Date.UTC(2020, 5, 30, 12)
+    );
+  });
+
+  it('absolute dates compare against dates only', async function () {
+    const payload = CreateMaxPayloadFromAnyObject(
+      {
+        ...createItemParams(),
+        updated_at: new Date('2020-06-30T12:00:00.000Z')
+      }
+    );
+    const item = await this.itemManager.emitItemFromPayload(payload, PayloadSource.LocalSaved);
+    expect(item.satisfiesPredicate(new SNPredicate('updated_at', '>', '2020-01-01'))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('updated_at', '=', '2020-06-30T12:00:00.000Z'))).to.equal(true);
+    expect(item.satisfiesPredicate(new SNPredicate('updated_at', '<', '2020-01-01'))).to.equal(false);
+
+    const changedItem = await this.itemManager.changeItem(item.uuid, (mutator) => {
+      mutator.content.title = '2020-01-01';
+    });
+    expect(changedItem.satisfiesPredicate(new SNPredicate('content.title', '=', '2020-01-01'))).to.equal(true);
+  });
+
+  it('new operators round trip through array representation', async function () {
+    const item = await this.createItem();
+    const predicate = new SNPredicate('ignored', 'and', [
+      ['content.title', 'contains', 'ell'],
+      ['content.title', 'endsWith', 'o'],
+      ['content.numbers.length', 'between', [1, 3]],
+      ['content.title', 'exists', true],
+      ['content.tags', 'length', ['>=', 3]],
+      ['content.title', 'matches', ['^HELLO', 'i']],
+      ['created_at', '>', '1.years.ago']
+    ]);
+    const json = JSON.parse(JSON.stringify(predicate.arrayRepresentation()));
+    const restored = SNPredicate.FromArray(json);
+    expect(restored.arrayRepresentation()).to.eql(predicate.arrayRepresentation());
+    expect(item.satisfiesPredicate(predicate)).to.equal(true);
+    expect(item.satisfiesPredicate(restored)).to.equal(true);
+  });
+
+  it('compiled predicate', async function () {
+    const item = await this.createItem();
+    const evaluator = CompilePredicate(new SNPredicate('ignored', 'and', [
+      ['content.title', 'startsWith', 'H'],
+      ['', 'not', ['content.title', 'matches', '^x']],
+      ['content.tags', 'includes', ['title', '=', 'bar']]
+    ]));
+    expect(evaluator(item)).to.equal(true);
+    expect(CompilePredicate(['content.title', '=', 'Foo'])(item)).to.equal(false);
+  });
+
+  it('compiled predicates are cached by value', async function () {
+    const first = CompilePredicate(new SNPredicate('content.title', '=', 'Hello'));
+    const second = CompilePredicate(['content.title', '=', 'Hello']);
+    const different = CompilePredicate(['content.title', '=', 'Hello!']);
+    expect(first).to.equal(second);
+    expect(first).to.not.equal(different);
+  });
+
+  it('smart tag results update as notes change', async function () {
+    const note = await this.itemManager.createItem(ContentType.Note, { title: 'Meeting' });
+    await this.itemManager.createItem(ContentType.Note, { title: 'Groceries' });
+    const tag = await this.itemManager.createSmartTag(
+      'Meetings',
+      new SNPredicate('title', 'startsWith', 'Meeting')
+    );
+    expect(this.itemManager.countNotesMatchingSmartTag(tag)).to.equal(1);
+
+    await this.itemManager.createItem(ContentType.Note, { title: 'Meeting notes' });
+    expect(this.itemManager.countNotesMatchingSmartTag(tag)).to.equal(2);
+
+    await this.itemManager.changeItem(note.uuid, (mutator) => {
+      mutator.trashed = true;
+    });
+    expect(this.itemManager.countNotesMatchingSmartTag(tag)).to.equal(1);
+    const trashTag = this.itemManager.trashSmartTag;
+    expect(this.itemManager.notesMatchingSmartTag(trashTag)[0].uuid).to.equal(note.uuid);
+
+    await this.itemManager.setItemToBeDeleted(note.uuid);
+    expect(this.itemManager.countNotesMatchingSmartTag(trashTag)).to.equal(0);
+  });
+
+  it('changing smart tag predicate updates results', async function () {
+    await this.itemManager.createItem(ContentType.Note, { title: 'Meeting' });
+    await this.itemManager.createItem(ContentType.Note, { title: 'Groceries' });
+    const tag = await this.itemManager.createSmartTag(
+      'Meetings',
+      new SNPredicate('title', 'startsWith', 'Meeting')
+    );
+    const changedTag = await this.itemManager.changeItem(tag.uuid, (mutator) => {
+      mutator.content.predicate = new SNPredicate('title', 'contains', 'r');
+    });
+    const notes = this.itemManager.notesMatchingSmartTag(changedTag);
+    expect(notes.length).to.equal(1);
+    expect(notes[0].title).to.equal('Groceries');
+
+    await this.itemManager.setItemToBeDeleted(tag.uuid);
+    /** Falls back to evaluating the predicate for tags that are no longer managed */
+    expect(this.itemManager.countNotesMatchingSmartTag(changedTag)).to.equal(1);
+  });
 });
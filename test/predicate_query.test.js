@@ -0,0 +1,194 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('predicate queries', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(function () {
+    this.modelManager = new PayloadManager();
+    this.itemManager = new ItemManager(this.modelManager);
+    this.parse = (query) => {
+      const result = ParsePredicateQuery(query);
+      expect(result.error).to.not.be.ok;
+      return result.predicate.arrayRepresentation();
+    };
+  });
+
+  it('parses comparison', function () {
+    expect(this.parse('content.title = "Hello"')).to.eql(['content.title', '=', 'Hello']);
+    expect(this.parse('content.count >= 3')).to.eql(['content.count', '>=', 3]);
+    expect(this.parse('updated_at > 7.days.ago')).to.eql(['updated_at', '>', '7.days.ago']);
+    expect(this.parse('archived != false')).to.eql(['archived', '!=', false]);
+  });
+
+  it('parses bare keypath as true', function () {
+    expect(this.parse('pinned')).to.eql(['pinned', '=', true]);
+  });
+
+  it('parses function operators', function () {
+    expect(this.parse('title:startsWith("Meeting")')).to.eql(['title', 'startsWith', 'Meeting']);
+    expect(this.parse('title:matches(\'^[a-z]+$\')')).to.eql(['title', 'matches', '^[a-z]+$']);
+    expect(this.parse('title:in(["a", "b"])')).to.eql(['title', 'in', ['a', 'b']]);
+    expect(this.parse('title:in("a", "b")')).to.eql(['title', 'in', ['a', 'b']]);
+    expect(this.parse('content.tags:includes(title = "foo")')).to.eql(
+      ['content.tags', 'includes', ['title', '=', 'foo']]
+    );
+    expect(this.parse('content.numbers:includes("1")')).to.eql(
+      ['content.numbers', 'includes', '1']
+    );
+  });
+
+  it('parses boolean operators with precedence', function () {
+    expect(this.parse('a AND b OR c')).to.eql(
+      ['ignored', 'or', [
+        ['ignored', 'and', [['a', '=', true], ['b', '=', true]]],
+        ['c', '=', true]
+      ]]
+    );
+    expect(this.parse('a and (b or c)')).to.eql(
+      ['ignored', 'and', [
+        ['a', '=', true],
+        ['ignored', 'or', [['b', '=', true], ['c', '=', true]]]
+      ]]
+    );
+    expect(this.parse('NOT pinned')).to.eql(['ignored', 'not', ['pinned', '=', true]]);
+  });
+
+  it('reports errors with positions', function () {
+    const cases = [
+      ['', 0],
+      ['title = ', 8],
+      ['title = "unterminated', 8],
+      ['title:unknown("x")', 6],
+      ['(pinned', 7],
+      ['pinned archived', 7],
+      ['title # 2', 6],
+      ['AND pinned', 0]
+    ];
+    for (const [query, position] of cases) {
+      const result = ParsePredicateQuery(query);
+      expect(result.predicate).to.not.be.ok;
+      expect(result.error.position).to.equal(position);
+      expect(result.error.message).to.be.ok;
+    }
+  });
+
+  it('prints predicate as query', function () {
+    const predicate = new SNPredicate('ignored', 'and', [
+      ['title', 'startsWith', 'Meeting'],
+      ['updated_at', '>', '7.days.ago'],
+      ['', 'not', ['pinned', '=', true]],
+      ['ignored', 'or', [['a', '=', 'x'], ['b', 'in', ['y', 'z']]]]
+    ]);
+    expect(PrintPredicateQuery(predicate)).to.equal(
+      'title:startsWith("Meeting") AND updated_at > 7.days.ago AND NOT pinned' +
+      ' AND (a = "x" OR b:in(["y", "z"]))'
+    );
+  });
+
+  it('printed query parses to same predicate', function () {
+    const queries = [
+      'title:startsWith("Meeting") AND updated_at > 7.days.ago AND NOT pinned',
+      'content.tags:includes(title = "foo" OR title:matches("^b")) AND archived = false',
+      'NOT (a OR b) AND text = "quote \\" and \\\\ backslash"',
+      'content.numbers = ["1", "2"]'
+    ];
+    for (const query of queries) {
+      const array = this.parse(query);
+      expect(this.parse(PrintPredicateQuery(array))).to.eql(array);
+    }
+  });
+
+  it('parsed predicate matches items', async function () {
+    const note = await this.itemManager.createItem(
+      ContentType.Note,
+      { title: 'Meeting notes', text: 'agenda' }
+    );
+    const { predicate } = ParsePredicateQuery(
+      'title:startsWith("Meeting") AND updated_at < 1.days.ago AND NOT pinned'
+    );
+    expect(note.satisfiesPredicate(predicate)).to.equal(true);
+  });
+
+  it('create smart tag from query', async function () {
+    await this.itemManager.createItem(
+      ContentType.Note,
+      { title: 'Meeting notes', text: 'agenda' }
+    );
+    await this.itemManager.createItem(
+      ContentType.Note,
+      { title: 'Groceries', text: 'milk' }
+    );
+    const tag = await this.itemManager.createSmartTag(
+      'Meetings',
+      'title:startsWith("Meeting") AND NOT pinned'
+    );
+    expect(tag.content_type).to.equal(ContentType.SmartTag);
+    expect(tag.dirty).to.equal(true);
+    const notes = this.itemManager.notesMatchingSmartTag(tag);
+    expect(notes.length).to.equal(1);
+    expect(notes[0].title).to.equal('Meeting notes');
+  });
+
+  it('create smart tag from predicate', async function () {
+    const tag = await this.itemManager.createSmartTag(
+      'Pinned',
+      new SNPredicate('pinned', '=', true)
+    );
+    expect(tag.predicate.arrayRepresentation()).to.eql(['pinned', '=', true]);
+  });
+
+  it('create smart tag with invalid query should throw', async function () {
+    let error;
+    try {
+      await this.itemManager.createSmartTag('Invalid', 'title =');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).to.be.ok;
+  });
+
+  it('parses extended operators', function () {
+    expect(this.parse('title:contains("meet")')).to.eql(['title', 'contains', 'meet']);
+    expect(this.parse('title:endsWith("notes")')).to.eql(['title', 'endsWith', 'notes']);
+    expect(this.parse('created_at:between("2020-01-01", 7.days.ago)')).to.eql(
+      ['created_at', 'between', ['2020-01-01', '7.days.ago']]
+    );
+    expect(this.parse('content.conflict_of:exists()')).to.eql(['content.conflict_of', 'exists', true]);
+    expect(this.parse('content.conflict_of:exists(false)')).to.eql(['content.conflict_of', 'exists', false]);
+    expect(this.parse('references:length(>= 2)')).to.eql(['references', 'length', ['>=', 2]]);
+    expect(this.parse('references:length(0)')).to.eql(['references', 'length', ['=', 0]]);
+    expect(this.parse('title:matches("^a", "i")')).to.eql(['title', 'matches', ['^a', 'i']]);
+  });
+
+  it('between requires two bounds', function () {
+    const result = ParsePredicateQuery('created_at:between(1.days.ago)');
+    expect(result.error.position).to.equal(19);
+  });
+
+  it('rejects relative dates with units predicates do not support', function () {
+    for (const query of ['updated_at > 7.dys.ago', 'updated_at > 7.Days.ago']) {
+      const result = ParsePredicateQuery(query);
+      expect(result.error.position).to.equal(13);
+      expect(result.error.message).to.contain('Unknown date unit');
+    }
+    expect(this.parse('updated_at > 1.hour.ago')).to.eql(['updated_at', '>', '1.hour.ago']);
+  });
+
+  it('extended operators round trip through printing', function () {
+    const query = 'title:contains("meet") AND created_at:between("2020-01-01", 1.weeks.ago)' +
+      ' AND content.conflict_of:exists(false) AND references:length(>= 2)' +
+      ' AND title:matches("^a", "i") AND title:endsWith("s")';
+    const array = this.parse(query);
+    expect(PrintPredicateQuery(array)).to.equal(query);
+  });
+});
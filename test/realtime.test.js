@@ -0,0 +1,270 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from './lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('realtime service', () => {
+
+  const HOST = 'http://mock.local';
+  const URL = 'ws://mock.local/realtime';
+
+  beforeEach(async function () {
+    this.server = new SNMockSyncServer();
+    this.http = new SNHttpService(new SNMockServerTransport(this.server));
+    const registration = await this.http.postAbsolute(HOST + '/auth', {
+      email: 'a@example.com',
+      password: 'password'
+    });
+    this.token = registration.token;
+    this.session = { accessToken: this.token };
+    this.syncs = [];
+    this.service = new SNRealtimeService(
+      { getSession: () => this.session },
+      {
+        sync: async (options) => {
+          this.syncs.push(options);
+        }
+      },
+      { timeout: setTimeout.bind(window) }
+    );
+    this.events = [];
+    this.service.addEventObserver(async (event, data) => {
+      this.events.push({ event, data });
+    });
+    this.options = {
+      url: URL,
+      channel: new SNMockRealtimeChannel(this.server),
+      reconnect: { initialDelay: 10, maxDelay: 10, jitter: 0 }
+    };
+    /** Saves an item from another session of the account */
+    this.saveFromOtherSession = async () => {
+      const other = await this.http.postAbsolute(HOST + '/auth/sign_in', {
+        email: 'a@example.com',
+        password: 'password'
+      });
+      await this.http.postAbsolute(HOST + '/items/sync', {
+        items: [{ uuid: Factory.generateUuid(), content_type: 'Note', content: '004:x' }]
+      }, other.token);
+    };
+  });
+
+  afterEach(function () {
+    this.service.deinit();
+  });
+
+  it('connects with the session access token', async function () {
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    expect(this.service.isConnected()).to.equal(true);
+    expect(this.server.realtimeConnectionCount).to.equal(1);
+    expect(this.events[0].event).to.equal(RealtimeEvent.Connected);
+    expect(this.syncs).to.eql([]);
+  });
+
+  it('syncs when another session changes items', async function () {
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    await this.saveFromOtherSession();
+    await Factory.sleep(0.02);
+    expect(this.syncs).to.eql([{
+      queueStrategy: SyncQueueStrategy.ResolveOnNext,
+      source: SyncSources.Realtime
+    }]);
+  });
+
+  it('is not notified of its own changes', async function () {
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    await this.http.postAbsolute(HOST + '/items/sync', {
+      items: [{ uuid: Factory.generateUuid(), content_type: 'Note', content: '004:x' }]
+    }, this.token);
+    await Factory.sleep(0.02);
+    expect(this.syncs).to.eql([]);
+  });
+
+  it('ignores unknown and malformed messages', async function () {
+    const channel = {
+      connect: (url, handlers) => {
+        setTimeout(() => {
+          handlers.onOpen();
+          handlers.onMessage('not json');
+          handlers.onMessage(JSON.stringify({ type: 'unknown' }));
+        });
+        return { close: () => {} };
+      }
+    };
+    this.service.start({ ...this.options, channel });
+    await Factory.sleep(0.02);
+    expect(this.service.isConnected()).to.equal(true);
+    expect(this.syncs).to.eql([]);
+  });
+
+  it('does not connect without a session', async function () {
+    this.session = undefined;
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    expect(this.server.realtimeConnectionCount).to.equal(0);
+
+    this.session = { accessToken: this.token };
+    this.service.connect();
+    await Factory.sleep(0.02);
+    expect(this.service.isConnected()).to.equal(true);
+  });
+
+  it('reconnects after the connection is lost, then syncs', async function () {
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    this.server.dropRealtimeConnections();
+    await Factory.sleep(0.005);
+    expect(this.service.isConnected()).to.equal(false);
+    await Factory.sleep(0.05);
+    expect(this.service.isConnected()).to.equal(true);
+    expect(this.server.realtimeConnectionCount).to.equal(1);
+    expect(this.events.map((entry) => entry.event)).to.eql([
+      RealtimeEvent.Connected,
+      RealtimeEvent.Disconnected,
+      RealtimeEvent.ReconnectScheduled,
+      RealtimeEvent.Connected
+    ]);
+    expect(this.syncs.length).to.equal(1);
+  });
+
+  it('backs off while the connection cannot be opened', async function () {
+    this.session = { accessToken: 'invalid' };
+    this.service.start({
+      ...this.options,
+      reconnect: { initialDelay: 5, maxDelay: 1000, jitter: 0, maxAttempts: 3 }
+    });
+    await Factory.sleep(0.2);
+    const scheduled = this.events
+      .filter((entry) => entry.event === RealtimeEvent.ReconnectScheduled)
+      .map((entry) => [entry.data.attempt, entry.data.delay]);
+    expect(scheduled).to.eql([[1, 5], [2, 10], [3, 20]]);
+    expect(this.service.isConnected()).to.equal(false);
+  });
+
+  it('stops connecting when stopped', async function () {
+    this.service.start(this.options);
+    await Factory.sleep(0.02);
+    this.service.stop();
+    expect(this.service.isStarted()).to.equal(false);
+    expect(this.server.realtimeConnectionCount).to.equal(0);
+    await Factory.sleep(0.05);
+    expect(this.server.realtimeConnectionCount).to.equal(0);
+    expect(this.events.map((entry) => entry.event)).to.eql([
+      RealtimeEvent.Connected,
+      RealtimeEvent.Disconnected
+    ]);
+  });
+
+  it('cancels a scheduled reconnect with the device timeout when it can cancel', async function () {
+    const cancelled = [];
+    const timeout = (callback, delay) => setTimeout(callback, delay);
+    timeout.cancel = (timer) => {
+      cancelled.push(timer);
+      clearTimeout(timer);
+    };
+    this.service.deinit();
+    this.service = new SNRealtimeService(
+      { getSession: () => ({ accessToken: 'invalid' }) },
+      { sync: async () => {} },
+      { timeout }
+    );
+    this.service.start({
+      ...this.options,
+      reconnect: { initialDelay: 1000, maxDelay: 1000, jitter: 0 }
+    });
+    await Factory.sleep(0.02);
+    this.service.stop();
+    expect(cancelled.length).to.equal(1);
+  });
+});
+
+describe('realtime channels', () => {
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.closed = false;
+      FakeWebSocket.instances.push(this);
+    }
+
+    close() {
+      this.closed = true;
+    }
+  }
+
+  class FakeEventSource extends FakeWebSocket {}
+
+  beforeEach(function () {
+    FakeWebSocket.instances = [];
+    this.received = [];
+    this.handlers = {
+      onOpen: () => this.received.push('open'),
+      onMessage: (data) => this.received.push(data),
+      onClose: (error) => this.received.push(error ? 'error' : 'close')
+    };
+  });
+
+  it('forwards websocket events', function () {
+    const channel = new SNWebSocketChannel(FakeWebSocket);
+    const connection = channel.connect('ws://host/realtime', this.handlers);
+    const [socket] = FakeWebSocket.instances;
+    expect(socket.url).to.equal('ws://host/realtime');
+    socket.onopen();
+    socket.onmessage({ data: 'message' });
+    socket.onmessage({ data: new ArrayBuffer(1) });
+    socket.onclose({ wasClean: false });
+    expect(this.received).to.eql(['open', 'message', 'error']);
+    connection.close();
+    expect(socket.closed).to.equal(true);
+  });
+
+  it('closes event sources on errors rather than letting them reconnect', function () {
+    const channel = new SNEventSourceChannel(FakeEventSource);
+    channel.connect('http://host/realtime', this.handlers);
+    const [source] = FakeWebSocket.instances;
+    source.onopen();
+    source.onmessage({ data: 'message' });
+    source.onerror();
+    expect(this.received).to.eql(['open', 'message', 'error']);
+    expect(source.closed).to.equal(true);
+  });
+});
+
+describe('realtime applications', function () {
+  this.timeout(Factory.TestTimeout);
+
+  before(async function () {
+    localStorage.clear();
+  });
+
+  after(async function () {
+    localStorage.clear();
+  });
+
+  it('receives changes from other devices without waiting for auto-sync', async function () {
+    const server = new SNMockSyncServer({ crypto: new SNWebCrypto() });
+    const email = Factory.generateUuid();
+    const password = Factory.generateUuid();
+    const application = Factory.createMockServerApplication(server);
+    await Factory.initializeApplication(application);
+    await Factory.registerUserToApplication({ application, email, password });
+    application.realtimeService.start({
+      url: 'ws://mock.local/realtime',
+      channel: new SNMockRealtimeChannel(server)
+    });
+
+    const other = Factory.createMockServerApplication(server);
+    await Factory.initializeApplication(other);
+    await Factory.loginToApplication({ application: other, email, password });
+    await Factory.sleep(0.1);
+    const note = await Factory.createSyncedNote(other);
+    await Factory.sleep(0.5);
+    expect(application.findItem(note.uuid)).to.be.ok;
+
+    other.deinit();
+    application.deinit();
+  });
+});
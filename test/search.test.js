@@ -0,0 +1,121 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('note search', () => {
+
+  before(async function () {
+    const crypto = new SNWebCrypto();
+    Uuid.SetGenerators(
+      crypto.generateUUIDSync,
+      crypto.generateUUID
+    );
+  });
+
+  beforeEach(function () {
+    this.modelManager = new PayloadManager();
+    this.itemManager = new ItemManager(this.modelManager);
+    this.createNote = async (title, text) => {
+      return this.itemManager.createItem(
+        ContentType.Note,
+        { title, text }
+      );
+    };
+    this.titles = (notes) => notes.map((note) => note.title);
+  });
+
+  it('matches terms in title and text', async function () {
+    await this.createNote('Meeting notes', 'agenda');
+    await this.createNote('Groceries', 'milk, eggs and a meeting');
+    await this.createNote('Unrelated', 'nothing here');
+
+    const results = this.itemManager.searchNotes('meeting');
+    expect(this.titles(results)).to.have.members(['Meeting notes', 'Groceries']);
+  });
+
+  it('ranks title matches above text matches', async function () {
+    await this.createNote('Groceries', 'milk, eggs and a meeting');
+    await this.createNote('Meeting notes', 'agenda');
+
+    const results = this.itemManager.searchNotes('meeting');
+    expect(this.titles(results)).to.eql(['Meeting notes', 'Groceries']);
+  });
+
+  it('requires all terms to match', async function () {
+    await this.createNote('Meeting notes', 'quarterly agenda');
+    await this.createNote('Meeting', 'weekly sync');
+
+    const results = this.itemManager.searchNotes('meeting quarterly');
+    expect(this.titles(results)).to.eql(['Meeting notes']);
+  });
+
+  it('prefix matching', async function () {
+    await this.createNote('Meeting notes', '');
+
+    expect(this.itemManager.searchNotes('mee').length).to.equal(1);
+    expect(this.itemManager.searchNotes('mee', { prefixMatch: false }).length).to.equal(0);
+  });
+
+  it('phrase matching', async function () {
+    await this.createNote('First', 'the action items are listed below');
+    await this.createNote('Second', 'items that require action');
+
+    const results = this.itemManager.searchNotes('"action items"');
+    expect(this.titles(results)).to.eql(['First']);
+  });
+
+  it('is case and punctuation insensitive', async function () {
+    await this.createNote('Hello, World!', '');
+
+    expect(this.itemManager.searchNotes('HELLO world').length).to.equal(1);
+  });
+
+  it('empty query returns no results', async function () {
+    await this.createNote('Meeting notes', '');
+
+    expect(this.itemManager.searchNotes('').length).to.equal(0);
+    expect(this.itemManager.searchNotes('  ,. ').length).to.equal(0);
+  });
+
+  it('updates index when note changes', async function () {
+    const note = await this.createNote('Meeting notes', '');
+    await this.itemManager.changeItem(note.uuid, (mutator) => {
+      mutator.title = 'Standup';
+    });
+
+    expect(this.itemManager.searchNotes('meeting').length).to.equal(0);
+    expect(this.itemManager.searchNotes('standup').length).to.equal(1);
+  });
+
+  it('removes deleted notes from index', async function () {
+    const note = await this.createNote('Meeting notes', '');
+    await this.itemManager.setItemToBeDeleted(note.uuid);
+
+    expect(this.itemManager.searchNotes('meeting').length).to.equal(0);
+  });
+
+  it('excludes trashed notes unless requested', async function () {
+    const note = await this.createNote('Meeting notes', '');
+    await this.itemManager.changeItem(note.uuid, (mutator) => {
+      mutator.trashed = true;
+    });
+
+    expect(this.itemManager.searchNotes('meeting').length).to.equal(0);
+    expect(this.itemManager.searchNotes('meeting', { includeTrashed: true }).length).to.equal(1);
+  });
+
+  it('limits results', async function () {
+    for (let i = 0; i < 5; i++) {
+      await this.createNote(`Meeting ${i}`, '');
+    }
+
+    expect(this.itemManager.searchNotes('meeting', { limit: 2 }).length).to.equal(2);
+  });
+
+  it('does not index tags', async function () {
+    await this.itemManager.createItem(ContentType.Tag, { title: 'meeting' });
+
+    expect(this.itemManager.searchNotes('meeting').length).to.equal(0);
+  });
+});
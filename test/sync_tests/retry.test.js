@@ -0,0 +1,189 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from '../lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('sync retry policy', () => {
+
+  const options = {
+    maxAttempts: 5,
+    initialDelay: 1000,
+    maxDelay: 10000,
+    jitter: 0
+  };
+
+  it('classifies failures by status', function () {
+    expect(SyncFailureKindForStatus(0)).to.equal(SyncFailureKind.Network);
+    expect(SyncFailureKindForStatus(500)).to.equal(SyncFailureKind.Server);
+    expect(SyncFailureKindForStatus(503)).to.equal(SyncFailureKind.Server);
+    expect(SyncFailureKindForStatus(429)).to.equal(SyncFailureKind.Server);
+    expect(SyncFailureKindForStatus(408)).to.equal(SyncFailureKind.Server);
+    expect(SyncFailureKindForStatus(undefined)).to.equal(SyncFailureKind.Server);
+    expect(SyncFailureKindForStatus(400)).to.equal(SyncFailureKind.Rejected);
+    expect(SyncFailureKindForStatus(401)).to.equal(SyncFailureKind.Rejected);
+    expect(SyncFailureKindForStatus(404)).to.equal(SyncFailureKind.Rejected);
+  });
+
+  it('doubles the delay for each attempt up to the max delay', function () {
+    const delays = [1, 2, 3, 4, 5, 6].map((attempt) => SyncRetryDelay(attempt, options));
+    expect(delays).to.eql([1000, 2000, 4000, 8000, 10000, 10000]);
+  });
+
+  it('randomizes the jitter fraction of each delay', function () {
+    const jittered = { ...options, jitter: 0.5 };
+    expect(SyncRetryDelay(2, jittered, () => 0)).to.equal(1000);
+    expect(SyncRetryDelay(2, jittered, () => 0.5)).to.equal(1500);
+    expect(SyncRetryDelay(2, jittered, () => 0.999)).to.be.below(2000);
+    for (let i = 0; i < 20; i++) {
+      const delay = SyncRetryDelay(3, jittered);
+      expect(delay).to.be.at.least(2000);
+      expect(delay).to.be.at.most(4000);
+    }
+  });
+
+  it('parses retry after seconds and dates', function () {
+    const now = Date.parse('2020-06-01T00:00:00Z');
+    expect(RetryAfterDelay('30', now)).to.equal(30000);
+    expect(RetryAfterDelay(' 0 ', now)).to.equal(0);
+    expect(RetryAfterDelay('Mon, 01 Jun 2020 00:01:00 GMT', now)).to.equal(60000);
+    expect(RetryAfterDelay('Sun, 31 May 2020 00:00:00 GMT', now)).to.equal(0);
+    expect(RetryAfterDelay('soon', now)).to.not.be.ok;
+    expect(RetryAfterDelay(undefined, now)).to.not.be.ok;
+  });
+});
+
+describe('sync retries', function () {
+  this.timeout(Factory.TestTimeout);
+
+  const isSyncRequest = (request) => request.url.endsWith('/items/sync');
+
+  before(async function () {
+    localStorage.clear();
+  });
+
+  after(async function () {
+    localStorage.clear();
+  });
+
+  beforeEach(async function () {
+    this.server = new SNMockSyncServer();
+    this.application = Factory.createMockServerApplication(this.server);
+    await Factory.initializeApplication(this.application);
+    await Factory.registerUserToApplication({
+      application: this.application,
+      email: Factory.generateUuid(),
+      password: Factory.generateUuid()
+    });
+    this.application.setSyncRetryOptions({
+      maxAttempts: 3,
+      initialDelay: 50,
+      maxDelay: 50,
+      jitter: 0
+    });
+    this.events = [];
+    this.removeObserver = this.application.addEventObserver(async (event, data) => {
+      if ([
+        ApplicationEvent.SyncRetryScheduled,
+        ApplicationEvent.EnteredOffline,
+        ApplicationEvent.ExitedOffline
+      ].includes(event)) {
+        this.events.push({ event, data });
+      }
+    });
+    /** Fails sync requests with `this.failure`, while it is set */
+    this.failure = undefined;
+    this.application.addHttpInterceptor(async (request, next) => {
+      if (this.failure && isSyncRequest(request)) {
+        return this.failure();
+      }
+      return next(request);
+    });
+  });
+
+  afterEach(async function () {
+    this.removeObserver();
+    this.application.deinit();
+  });
+
+  it('enters offline on network errors and retries until online', async function () {
+    this.failure = async () => {
+      throw Error('The network is unreachable');
+    };
+    await this.application.sync();
+    expect(this.application.isOffline()).to.equal(true);
+    expect(this.application.getNextSyncRetryDate()).to.be.ok;
+    expect(this.events[0].event).to.equal(ApplicationEvent.EnteredOffline);
+    expect(this.events[1].event).to.equal(ApplicationEvent.SyncRetryScheduled);
+    expect(this.events[1].data.attempt).to.equal(1);
+    expect(this.events[1].data.delay).to.equal(50);
+
+    this.failure = undefined;
+    await Factory.sleep(0.2);
+    expect(this.application.isOffline()).to.equal(false);
+    expect(this.application.getNextSyncRetryDate()).to.not.be.ok;
+    expect(this.events.map((entry) => entry.event)).to.include(ApplicationEvent.ExitedOffline);
+  });
+
+  it('honours retry after on server errors', async function () {
+    this.application.setSyncRetryOptions({
+      maxAttempts: 3,
+      initialDelay: 50,
+      maxDelay: 5000,
+      jitter: 0
+    });
+    this.failure = async () => {
+      return { status: 503, body: '{}', headers: { 'retry-after': '2' } };
+    };
+    await this.application.sync();
+    expect(this.application.isOffline()).to.equal(false);
+    const [scheduled] = this.events;
+    expect(scheduled.event).to.equal(ApplicationEvent.SyncRetryScheduled);
+    expect(scheduled.data.delay).to.equal(2000);
+  });
+
+  it('waits no longer than the max delay when retry after is longer', async function () {
+    this.failure = async () => {
+      return { status: 503, body: '{}', headers: { 'retry-after': '3600' } };
+    };
+    await this.application.sync();
+    const [scheduled] = this.events;
+    expect(scheduled.event).to.equal(ApplicationEvent.SyncRetryScheduled);
+    expect(scheduled.data.delay).to.equal(50);
+  });
+
+  it('does not retry requests the server rejects', async function () {
+    this.failure = async () => {
+      return { status: 400, body: JSON.stringify({ error: { message: 'Invalid' } }) };
+    };
+    await this.application.sync();
+    expect(this.events).to.eql([]);
+    expect(this.application.getNextSyncRetryDate()).to.not.be.ok;
+  });
+
+  it('stops retrying after the max attempts', async function () {
+    this.failure = async () => {
+      return { status: 500, body: '{}' };
+    };
+    await this.application.sync();
+    await Factory.sleep(0.4);
+    const attempts = this.events
+      .filter((entry) => entry.event === ApplicationEvent.SyncRetryScheduled)
+      .map((entry) => entry.data.attempt);
+    expect(attempts).to.eql([1, 2, 3]);
+    expect(this.application.getNextSyncRetryDate()).to.not.be.ok;
+  });
+
+  it('retries again when a sync fails after the max attempts were reached', async function () {
+    this.failure = async () => {
+      return { status: 500, body: '{}' };
+    };
+    await this.application.sync();
+    await Factory.sleep(0.4);
+    this.events = [];
+    await this.application.sync();
+    expect(this.application.getNextSyncRetryDate()).to.be.ok;
+    expect(this.events[0].event).to.equal(ApplicationEvent.SyncRetryScheduled);
+    expect(this.events[0].data.attempt).to.equal(1);
+  });
+});
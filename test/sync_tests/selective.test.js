@@ -0,0 +1,171 @@
+/* eslint-disable no-unused-expressions */
+/* eslint-disable no-undef */
+import * as Factory from '../lib/factory.js';
+chai.use(chaiAsPromised);
+const expect = chai.expect;
+
+describe('selective sync', function () {
+  this.timeout(Factory.TestTimeout);
+
+  const isSyncRequest = (request) => request.url.endsWith('/items/sync');
+
+  before(async function () {
+    localStorage.clear();
+  });
+
+  after(async function () {
+    localStorage.clear();
+  });
+
+  beforeEach(async function () {
+    this.server = new SNMockSyncServer();
+    this.email = Factory.generateUuid();
+    this.password = Factory.generateUuid();
+    this.application = Factory.createMockServerApplication(this.server);
+    await Factory.initializeApplication(this.application);
+    await Factory.registerUserToApplication({
+      application: this.application,
+      email: this.email,
+      password: this.password
+    });
+    this.note = await Factory.createSyncedNote(this.application);
+    this.tag = await Factory.createMappedTag(this.application);
+    await this.application.setItemNeedsSync(this.tag);
+    await this.application.sync();
+
+    this.other = Factory.createMockServerApplication(this.server);
+    await Factory.initializeApplication(this.other);
+    /** The bodies of the sync requests the other application sends */
+    this.syncRequests = [];
+    this.other.addHttpInterceptor(async (request, next) => {
+      if (isSyncRequest(request)) {
+        this.syncRequests.push(JSON.parse(request.body));
+      }
+      return next(request);
+    });
+  });
+
+  afterEach(async function () {
+    this.other.deinit();
+    this.application.deinit();
+  });
+
+  it('downloads only the selected content types', async function () {
+    await this.other.setSyncSelection([ContentType.Note]);
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    expect(await this.other.getSyncSelection()).to.eql([
+      ContentType.ItemsKey,
+      ContentType.UserPrefs,
+      ContentType.Privileges,
+      ContentType.Note
+    ]);
+    expect(this.other.findItem(this.note.uuid)).to.be.ok;
+    expect(this.other.findItem(this.note.uuid).errorDecrypting).to.not.be.ok;
+    expect(this.other.findItem(this.tag.uuid)).to.not.be.ok;
+    const contentTypes = this.syncRequests.map((body) => body.content_type);
+    expect(contentTypes).to.include(ContentType.ItemsKey);
+    expect(contentTypes).to.include(ContentType.Note);
+    expect(contentTypes).to.not.include(undefined);
+  });
+
+  it('removes local items of content types no longer selected', async function () {
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    expect(this.other.findItem(this.tag.uuid)).to.be.ok;
+    const unsyncedTag = await Factory.createMappedTag(this.other);
+    await this.other.itemManager.setItemDirty(unsyncedTag.uuid);
+
+    await this.other.setSyncSelection([ContentType.Note]);
+    expect(this.other.findItem(this.tag.uuid)).to.not.be.ok;
+    const storedTags = await Factory.getStoragePayloadsOfType(this.other, ContentType.Tag);
+    expect(storedTags.map((payload) => payload.uuid)).to.eql([unsyncedTag.uuid]);
+    expect(this.other.findItem(this.note.uuid)).to.be.ok;
+    /** Removed items are kept on the server */
+    await this.application.sync();
+    expect(this.application.findItem(this.tag.uuid).deleted).to.not.be.ok;
+    expect(this.application.findItem(unsyncedTag.uuid)).to.be.ok;
+  });
+
+  it('downloads newly selected content types without downloading the others again', async function () {
+    await this.other.setSyncSelection([ContentType.Note]);
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    this.syncRequests = [];
+    await this.other.setSyncSelection([ContentType.Note, ContentType.Tag]);
+    expect(this.other.findItem(this.tag.uuid)).to.be.ok;
+    const requestFor = (contentType) => {
+      return this.syncRequests.find((body) => body.content_type === contentType);
+    };
+    expect(requestFor(ContentType.Note).sync_token).to.be.ok;
+    expect(requestFor(ContentType.Tag).sync_token).to.not.be.ok;
+  });
+
+  it('downloads all items once the selection is cleared', async function () {
+    await this.other.setSyncSelection([ContentType.Note]);
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    this.syncRequests = [];
+    await this.other.setSyncSelection(undefined);
+    expect(await this.other.getSyncSelection()).to.not.be.ok;
+    expect(this.other.findItem(this.tag.uuid)).to.be.ok;
+    expect(this.syncRequests[0].content_type).to.not.be.ok;
+    expect(this.syncRequests[0].sync_token).to.not.be.ok;
+  });
+
+  it('keeps protections when the selection changes', async function () {
+    const privileges = await this.application.privilegesService.getPrivileges();
+    await this.application.changeAndSaveItem(privileges.uuid, (mutator) => {
+      mutator.addCredentialForAction(
+        ProtectedAction.ViewProtectedNotes,
+        PrivilegeCredential.AccountPassword
+      );
+    });
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    await this.other.setSyncSelection([ContentType.Tag]);
+    await this.other.setSyncSelection([ContentType.Note]);
+    expect(this.other.findItem(privileges.uuid)).to.be.ok;
+    expect(this.other.getItems(ContentType.Privileges).length).to.equal(1);
+    expect(await this.other.privilegesService.actionRequiresPrivilege(
+      ProtectedAction.ViewProtectedNotes
+    )).to.equal(true);
+    const storedPrivileges = await Factory.getStoragePayloadsOfType(
+      this.other,
+      ContentType.Privileges
+    );
+    expect(storedPrivileges.map((payload) => payload.uuid)).to.eql([privileges.uuid]);
+  });
+
+  it('keeps the selected content types up to date', async function () {
+    await this.other.setSyncSelection([ContentType.Note]);
+    await Factory.loginToApplication({
+      application: this.other,
+      email: this.email,
+      password: this.password
+    });
+    const note = await Factory.createSyncedNote(this.application);
+    const tag = await Factory.createMappedTag(this.application);
+    await this.application.setItemNeedsSync(tag);
+    await this.application.sync();
+
+    await this.other.sync();
+    expect(this.other.findItem(note.uuid)).to.be.ok;
+    expect(this.other.findItem(tag.uuid)).to.not.be.ok;
+  });
+});
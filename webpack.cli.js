@@ -0,0 +1,17 @@
+const webpack = require('webpack');
+const merge = require('webpack-merge');
+const config = require('./webpack.prod.js');
+
+/** Bundles the command line interface for Node, separately from the library */
+module.exports = merge.strategy({ entry: 'replace' })(config, {
+  entry: {
+    'cli.js': './lib/cli/main.ts'
+  },
+  target: 'node',
+  output: {
+    libraryTarget: 'commonjs2'
+  },
+  plugins: [
+    new webpack.BannerPlugin({ banner: '#!/usr/bin/env node', raw: true })
+  ]
+});